@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Runs against the production build (see playwright.pwa.config.js),
+ * where the service worker is registered.
+ */
+test.describe('Installable app', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    // Resolves once the service worker has cached the app and controls the page
+    await page.evaluate(async () => {
+      await navigator.serviceWorker.ready;
+      if (!navigator.serviceWorker.controller) {
+        await new Promise(resolve => navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true }));
+      }
+    });
+  });
+
+  test('should link a manifest with a New task shortcut', async ({ page }) => {
+    const href = await page.locator('link[rel="manifest"]').getAttribute('href');
+    const manifest = await (await page.request.get(href)).json();
+
+    expect(manifest.display).toBe('standalone');
+    expect(manifest.icons.map(icon => icon.sizes)).toEqual(expect.arrayContaining(['192x192', '512x512']));
+    expect(manifest.shortcuts[0]).toMatchObject({ name: 'New task', url: '/?action=new' });
+  });
+
+  test('should reload offline with the saved todos', async ({ page, context }) => {
+    await page.locator('input[aria-label="New todo"]').fill('Works offline');
+    await page.locator('button:has-text("Add")').click();
+
+    await context.setOffline(true);
+    await page.reload();
+
+    await expect(page.locator('h1')).toHaveText('My Tasks');
+    await expect(page.locator('.todo-text')).toHaveText('Works offline');
+
+    await page.goto('/?action=new');
+    await expect(page.locator('input[aria-label="New todo"]')).toBeFocused();
+    await context.setOffline(false);
+  });
+});
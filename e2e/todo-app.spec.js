@@ -1,5 +1,83 @@
+import { readFile } from 'node:fs/promises';
 import { test, expect } from '@playwright/test';
 
+/**
+ * Runs axe-style checks over the page, including every shadow root:
+ * controls need an accessible name, ARIA references must resolve, IDs
+ * must be unique, and tablists and lists need their required children.
+ * Hidden elements are skipped.
+ *
+ * @param {import('@playwright/test').Page} page - Page to check
+ * @returns {Promise<Array<string>>} One "rule: element" line per violation
+ */
+async function findA11yViolations(page) {
+  return page.evaluate(() => {
+    const violations = [];
+    const describe = el => `${el.tagName.toLowerCase()}${el.className ? `.${String(el.className).trim().split(/\s+/).join('.')}` : ''}`;
+    const text = el => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+
+    const roots = [document];
+    for (let i = 0; i < roots.length; i++) {
+      roots[i].querySelectorAll('*').forEach(el => el.shadowRoot && roots.push(el.shadowRoot));
+    }
+
+    for (const root of roots) {
+      const name = el => {
+        if (el.hasAttribute('aria-labelledby')) {
+          return el.getAttribute('aria-labelledby').split(/\s+/).map(id => text(root.getElementById(id))).join(' ').trim();
+        }
+        if (el.getAttribute('aria-label')) {
+          return el.getAttribute('aria-label').trim();
+        }
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) {
+          return text(el.closest('label') || (el.id && root.querySelector(`label[for="${el.id}"]`))) || el.title;
+        }
+        return text(el) || el.title;
+      };
+
+      const ids = new Set();
+      for (const el of root.querySelectorAll('[id]')) {
+        if (ids.has(el.id)) {
+          violations.push(`duplicate-id: #${el.id}`);
+        }
+        ids.add(el.id);
+      }
+
+      for (const el of root.querySelectorAll('*')) {
+        if (!el.checkVisibility()) {
+          continue;
+        }
+        for (const attr of ['aria-labelledby', 'aria-describedby', 'aria-controls']) {
+          const missing = (el.getAttribute(attr) || '').split(/\s+/).filter(id => id && !root.getElementById(id));
+          if (missing.length > 0) {
+            violations.push(`aria-valid-attr-value: ${describe(el)} ${attr}=${missing.join(' ')}`);
+          }
+        }
+
+        const role = el.getAttribute('role');
+        const control = el.matches('button, a[href], input:not([type="hidden"]), select, textarea, [role="tab"], [role="option"]');
+        if (control && !name(el)) {
+          violations.push(`${el.tagName === 'BUTTON' ? 'button-name' : el.tagName === 'A' ? 'link-name' : 'label'}: ${describe(el)}`);
+        }
+        if (role === 'tablist' && ![...el.children].every(child => child.getAttribute('role') === 'tab')) {
+          violations.push(`aria-required-children: ${describe(el)}`);
+        }
+        if (role === 'tablist' && el.querySelectorAll('[role="tab"][aria-selected="true"]').length !== 1) {
+          violations.push(`tablist-selection: ${describe(el)}`);
+        }
+        if (role === 'list' && ![...el.children].every(child => child.getAttribute('role') === 'listitem')) {
+          violations.push(`aria-required-children: ${describe(el)}`);
+        }
+        if ((role === 'tab' && el.parentElement?.getAttribute('role') !== 'tablist')
+          || (role === 'listitem' && el.parentElement?.getAttribute('role') !== 'list')) {
+          violations.push(`aria-required-parent: ${describe(el)}`);
+        }
+      }
+    }
+    return violations;
+  });
+}
+
 test.describe('Todo App E2E Tests', () => {
   test.beforeEach(async ({ page }) => {
     await page.goto('/');
@@ -168,11 +246,12 @@ test.describe('Todo App E2E Tests', () => {
     await input.fill('Task to delete');
     await input.press('Enter');
 
-    // Listen for dialog
-    page.on('dialog', dialog => dialog.accept());
-
     await page.locator('button:has-text("Delete")').click();
 
+    // Confirm in the dialog
+    await expect(page.locator('todo-dialog h2')).toHaveText('Delete this todo?');
+    await page.locator('.dialog-confirm').click();
+
     // Todo should be removed
     await expect(page.locator('.todo-text')).toHaveCount(0);
     await expect(page.locator('.empty-state')).toBeVisible();
@@ -193,11 +272,9 @@ test.describe('Todo App E2E Tests', () => {
     await page.locator('.checkbox').nth(0).click();
     await page.locator('.checkbox').nth(2).click();
 
-    // Accept confirmation dialog
-    page.on('dialog', dialog => dialog.accept());
-
-    // Clear completed
+    // Clear completed and confirm
     await page.locator('button:has-text("Clear Completed")').click();
+    await page.locator('.dialog-confirm').click();
 
     // Only 1 todo should remain
     await expect(page.locator('.todo-text')).toHaveCount(1);
@@ -213,11 +290,9 @@ test.describe('Todo App E2E Tests', () => {
     await input.fill('Task 2');
     await input.press('Enter');
 
-    // Accept confirmation dialog
-    page.on('dialog', dialog => dialog.accept());
-
-    // Clear all
+    // Clear all and confirm
     await page.locator('button:has-text("Clear All")').click();
+    await page.locator('.dialog-confirm').click();
 
     // All todos should be removed
     await expect(page.locator('.empty-state')).toBeVisible();
@@ -293,4 +368,708 @@ test.describe('Todo App E2E Tests', () => {
     await expect(todos.nth(1)).toHaveText('Second');
     await expect(todos.nth(2)).toHaveText('Third');
   });
+
+  test('should undo a deletion from the toast', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Buy milk');
+    await input.press('Enter');
+
+    await page.locator('button:has-text("Delete")').click();
+    await page.locator('.dialog-confirm').click();
+    await expect(page.locator('.todo-text')).toHaveCount(0);
+    await expect(page.locator('.toast-message')).toHaveText('Deleted \'Buy milk\'');
+
+    await page.locator('.toast-action').click();
+    await expect(page.locator('.todo-text')).toHaveText('Buy milk');
+  });
+
+  test('should undo and redo with keyboard shortcuts', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Task 1');
+    await input.press('Enter');
+    await page.locator('.checkbox').click();
+    await page.locator('h1').click();
+
+    await page.keyboard.press('Control+z');
+    await expect(page.locator('.checkbox')).not.toBeChecked();
+
+    await page.keyboard.press('Control+Shift+z');
+    await expect(page.locator('.checkbox')).toBeChecked();
+  });
+
+  test('should keep undo history across reloads', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Task 1');
+    await input.press('Enter');
+    await page.locator('button:has-text("Clear All")').click();
+    await page.locator('.dialog-confirm').click();
+    await expect(page.locator('.empty-state')).toBeVisible();
+
+    await page.reload();
+    await page.locator('h1').click();
+    await page.keyboard.press('Control+z');
+
+    await expect(page.locator('.todo-text')).toHaveText('Task 1');
+  });
+
+  test('should show overdue todos under the Overdue tab', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Pay rent');
+    await page.locator('.due-date').fill('2020-01-01');
+    await input.press('Enter');
+    await input.fill('No deadline');
+    await input.press('Enter');
+
+    await expect(page.locator('.due-label').first()).toContainText('Overdue');
+
+    await page.locator('.filter-tab:has-text("Overdue")').click();
+    await expect(page.locator('.todo-text')).toHaveCount(1);
+    await expect(page.locator('.todo-text')).toHaveText('Pay rent');
+  });
+
+  test('should sort todos by priority', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Low task');
+    await page.locator('select.priority').selectOption('low');
+    await input.press('Enter');
+    await input.fill('Urgent task');
+    await page.locator('select.priority').selectOption('urgent');
+    await input.press('Enter');
+
+    await expect(page.locator('.priority-badge').nth(1)).toHaveText('Urgent');
+
+    await page.locator('select.sort-order').selectOption('priority');
+    await expect(page.locator('.todo-text').nth(0)).toHaveText('Urgent task');
+    await expect(page.locator('.todo-text').nth(1)).toHaveText('Low task');
+
+    await page.locator('select.priority-filter').selectOption('low');
+    await expect(page.locator('.todo-text')).toHaveCount(1);
+  });
+
+  test('should parse hashtags into clickable tag chips', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Pay invoice #finance #urgent');
+    await input.press('Enter');
+    await input.fill('Walk the dog');
+    await input.press('Enter');
+
+    await expect(page.locator('.todo-text').first()).toHaveText('Pay invoice');
+    await expect(page.locator('.tag-chip')).toHaveText(['#finance', '#urgent']);
+
+    await page.locator('.tag-chip:has-text("#finance")').click();
+    await expect(page.locator('.todo-text')).toHaveCount(1);
+    await expect(page.locator('select.tag-filter')).toHaveValue('finance');
+
+    await page.locator('button:has-text("Rename tag")').click();
+    await page.locator('.rename-tag-input').fill('money');
+    await page.locator('.rename-tag-input').press('Enter');
+    await expect(page.locator('.tag-chip').first()).toHaveText('#money');
+  });
+
+  test('should track checklist progress and auto-complete the parent', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Move house');
+    await input.press('Enter');
+
+    await page.locator('.subtask-toggle').click();
+    const newSubtask = page.locator('.new-subtask-input');
+    await newSubtask.fill('Book van');
+    await newSubtask.press('Enter');
+    await newSubtask.fill('Pack boxes');
+    await newSubtask.press('Enter');
+
+    await expect(page.locator('.subtask-toggle')).toContainText('0/2');
+
+    await page.locator('.subtask-checkbox').nth(0).click();
+    await expect(page.locator('.subtask-toggle')).toContainText('1/2');
+    await expect(page.locator('.checkbox')).not.toBeChecked();
+
+    await page.locator('.subtask-checkbox').nth(1).click();
+    await expect(page.locator('.subtask-toggle')).toContainText('2/2');
+    await expect(page.locator('.checkbox')).toBeChecked();
+  });
+
+  test('should keep separate todos per list and move todos between lists', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Personal task');
+    await input.press('Enter');
+
+    await page.locator('.list-new').click();
+    await page.locator('.list-name-input').fill('Work');
+    await page.locator('.list-name-input').press('Enter');
+
+    await expect(page.locator('.empty-state')).toBeVisible();
+    await input.fill('Work task');
+    await input.press('Enter');
+
+    await page.reload();
+    await expect(page.locator('.todo-text')).toHaveText('Work task');
+
+    await page.locator('.list-select').selectOption({ label: 'Inbox (1)' });
+    await expect(page.locator('.todo-text')).toHaveText('Personal task');
+
+    await page.locator('button:has-text("Edit")').click();
+    await page.locator('.edit-list').selectOption({ label: 'Work' });
+    await page.locator('button:has-text("Save")').click();
+    await expect(page.locator('.empty-state')).toBeVisible();
+    await expect(page.locator('.toast-message')).toHaveText('Moved \'Personal task\' to \'Work\'');
+  });
+
+  test('should reorder todos with the keyboard and keep the order after reload', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    for (const text of ['First', 'Second', 'Third']) {
+      await input.fill(text);
+      await input.press('Enter');
+    }
+
+    await page.locator('.drag-handle').nth(2).focus();
+    await page.keyboard.press('ArrowUp');
+    await expect(page.locator('.todo-text')).toHaveText(['First', 'Third', 'Second']);
+
+    await page.locator('.checkbox').nth(0).press('Alt+ArrowDown');
+    await expect(page.locator('.todo-text')).toHaveText(['Third', 'First', 'Second']);
+
+    await page.reload();
+    await expect(page.locator('.todo-text')).toHaveText(['Third', 'First', 'Second']);
+  });
+
+  test('should reorder todos by dragging the handle', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    for (const text of ['First', 'Second']) {
+      await input.fill(text);
+      await input.press('Enter');
+    }
+
+    await page.locator('.drag-handle').nth(1).dragTo(page.locator('todo-item').nth(0), {
+      targetPosition: { x: 40, y: 4 }
+    });
+    await expect(page.locator('.todo-text')).toHaveText(['Second', 'First']);
+  });
+
+  test('should search todos, highlight matches and keep the query in the URL', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    for (const text of ['Buy crème fraîche', 'Buy milk', 'Walk dog']) {
+      await input.fill(text);
+      await input.press('Enter');
+    }
+
+    await page.locator('h1').click();
+    await page.keyboard.press('/');
+    await page.keyboard.type('CREME');
+
+    await expect(page.locator('.todo-text')).toHaveText(['Buy crème fraîche']);
+    await expect(page.locator('.todo-text mark')).toHaveText('crème');
+    await expect(page.locator('.stat-item.matches')).toContainText('1');
+    await expect(page).toHaveURL(/\?q=CREME/);
+
+    await page.reload();
+    await expect(page.locator('.todo-text')).toHaveText(['Buy crème fraîche']);
+    await expect(page.locator('.search-input')).toHaveValue('CREME');
+  });
+
+  test('should export a JSON backup and merge it back in', async ({ page }) => {
+    const input = page.locator('input[type="text"]');
+    await input.fill('Backed up task');
+    await input.press('Enter');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('.export-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toMatch(/^todos-\d{4}-\d{2}-\d{2}\.json$/);
+
+    const backup = JSON.parse(await readFile(await download.path(), 'utf8'));
+    backup.lists[0].todos.push(
+      { id: 1, text: 'Colliding id', completed: false, createdAt: new Date().toISOString() },
+      { id: 2, text: '', completed: false, createdAt: new Date().toISOString() }
+    );
+
+    await page.locator('.import-file').setInputFiles({
+      name: 'backup.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(backup))
+    });
+    await expect(page.locator('.import-errors li')).toHaveCount(1);
+    await expect(page.locator('.import-errors')).toContainText('record 3');
+
+    await page.locator('.import-merge').click();
+    await expect(page.locator('.todo-text')).toHaveText(['Backed up task', 'Colliding id']);
+    await expect(page.locator('.toast-message')).toHaveText('Imported 1 todo (1 already present)');
+  });
+
+  test('should import pasted Markdown and export todo.txt', async ({ page }) => {
+    await page.locator('.paste-btn').click();
+    await page.locator('.paste-input').fill('# Groceries\n- [ ] Milk #shop\n  - [x] Skimmed\n- [x] Bread');
+    await page.locator('.paste-submit').click();
+
+    await expect(page.locator('.import-summary')).toContainText('Found 2 todos in Markdown text');
+    await page.locator('.import-merge').click();
+
+    await expect(page.locator('.todo-text')).toHaveText(['Milk', 'Bread']);
+    await expect(page.locator('.subtask-toggle').first()).toContainText('1/1');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('.export-todotxt-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('inbox-todo.txt');
+    const text = await readFile(await download.path(), 'utf8');
+    expect(text).toMatch(/^\d{4}-\d{2}-\d{2} Milk \+shop\nx Bread created:/);
+  });
+
+  test('should repair stored todos and quarantine unrecoverable ones', async ({ page }) => {
+    await page.evaluate(() => {
+      localStorage.setItem('todos_items', JSON.stringify([
+        { id: 1, text: 'Old task', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 1, text: 'Same id', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 2, text: '' }
+      ]));
+    });
+    await page.reload();
+
+    await expect(page.locator('.todo-text')).toHaveText(['Old task', 'Same id']);
+    await expect(page.locator('.toast-message')).toHaveText('1 damaged todo was set aside in storage');
+
+    const stored = await page.evaluate(() => ({
+      version: JSON.parse(localStorage.getItem('todos_schemaVersion')),
+      ids: JSON.parse(localStorage.getItem('todos_items')).map(t => t.id),
+      quarantine: JSON.parse(localStorage.getItem('todos_quarantine'))
+    }));
+    expect(stored.version).toBe(4);
+    expect(stored.ids).toEqual([1, 2]);
+    expect(stored.quarantine).toHaveLength(1);
+    expect(stored.quarantine[0].record).toEqual({ id: 2, text: '' });
+  });
+
+  test('should keep two open tabs in sync', async ({ page }) => {
+    const other = await page.context().newPage();
+    await other.goto('/');
+
+    await page.locator('input[type="text"]').fill('Typed in the first tab');
+    await page.locator('button:has-text("Add")').click();
+    await expect(other.locator('.todo-text')).toHaveText('Typed in the first tab');
+
+    await other.locator('.checkbox').first().click();
+    await expect(page.locator('.checkbox').first()).toBeChecked();
+
+    await other.locator('.theme-toggle').click();
+    await expect(page.locator('body')).toHaveClass(/dark-mode/);
+    await other.close();
+  });
+
+  test('should add the next occurrence when a repeating todo is completed', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Water plants');
+    await page.locator('button:has-text("Add")').click();
+
+    await page.locator('.edit-btn').click();
+    await page.locator('.edit-due-date').fill('2099-01-04');
+    await page.locator('.edit-repeat').selectOption('interval');
+    await page.locator('.edit-interval').fill('3');
+    await page.locator('.save-btn').click();
+    await expect(page.locator('.recurrence-label')).toHaveText('↻ Every 3 days');
+
+    await page.locator('.checkbox').first().click();
+
+    await expect(page.locator('.todo-text')).toHaveText(['Water plants', 'Water plants']);
+    await expect(page.locator('.checkbox').nth(0)).toBeChecked();
+    await expect(page.locator('.checkbox').nth(1)).not.toBeChecked();
+    await expect(page.locator('.due-label').nth(1)).toContainText('Jan 7');
+    await expect(page.locator('.recurrence-label')).toHaveCount(1);
+  });
+
+  test('should preview and apply quick-add fields typed in the form', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Call mom tomorrow 6pm !high #family every sunday');
+
+    await expect(page.locator('.quick-add-preview .chip')).toHaveText([
+      'Call mom', /^Due .*, 18:00$/, 'High priority', '#family', '↻ Every Sun'
+    ]);
+
+    await page.locator('button:has-text("Add")').click();
+
+    await expect(page.locator('.quick-add-preview')).toHaveCount(0);
+    await expect(page.locator('.todo-text')).toHaveText('Call mom');
+    await expect(page.locator('.priority-badge')).toHaveText('High');
+    await expect(page.locator('.tag-chip')).toHaveText('#family');
+    await expect(page.locator('.due-label')).toContainText('18:00');
+    await expect(page.locator('.recurrence-label')).toHaveText('↻ Every Sun');
+  });
+
+  test('should apply batch actions to a shift-click range of todos', async ({ page }) => {
+    for (const text of ['First', 'Second', 'Third', 'Fourth']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+
+    await page.locator('.todo-text').nth(1).click({ modifiers: ['Shift'] });
+    await page.locator('.select-toggle').nth(3).click({ modifiers: ['Shift'] });
+    await expect(page.locator('.batch-count')).toHaveText('3 selected');
+
+    await page.locator('.batch-tag-input').fill('batch');
+    await page.locator('.batch-tag').click();
+    await page.locator('.batch-priority').selectOption('high');
+    await expect(page.locator('.tag-chip')).toHaveCount(3);
+    await expect(page.locator('.priority-badge')).toHaveCount(3);
+
+    await page.locator('.batch-complete').click();
+    await expect(page.locator('.checkbox:checked')).toHaveCount(3);
+
+    await page.locator('.batch-delete').click();
+    await expect(page.locator('todo-dialog h2')).toHaveText('Delete 3 todos?');
+    await page.locator('.dialog-confirm').click();
+    await expect(page.locator('.todo-text')).toHaveText(['First']);
+    await expect(page.locator('todo-batch-bar')).toHaveCount(0);
+
+    await page.locator('.toast-action').click();
+    await expect(page.locator('.todo-text')).toHaveCount(4);
+  });
+
+  test('should select every visible todo with Ctrl+A and leave with Escape', async ({ page }) => {
+    for (const text of ['One', 'Two']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+
+    await page.locator('h1').click();
+    await page.keyboard.press('Control+a');
+    await expect(page.locator('.batch-count')).toHaveText('2 selected');
+    await expect(page.locator('.select-toggle:checked')).toHaveCount(2);
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('todo-batch-bar')).toHaveCount(0);
+    await expect(page.locator('.select-toggle')).toHaveCount(0);
+  });
+
+  test('should keep the filter in the URL and move between views with back and forward', async ({ page }) => {
+    for (const text of ['Done task', 'Open task']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+    await page.locator('.checkbox').first().click();
+
+    await page.locator('.filter-tab:has-text("Active")').click();
+    await expect(page).toHaveURL(/#\/active$/);
+    await expect(page.locator('.todo-text')).toHaveText(['Open task']);
+
+    await page.locator('.filter-tab:has-text("Completed")').click();
+    await expect(page).toHaveURL(/#\/completed$/);
+    await expect(page.locator('.todo-text')).toHaveText(['Done task']);
+
+    await page.goBack();
+    await expect(page.locator('.filter-tab.active')).toHaveText('Active');
+    await expect(page.locator('.todo-text')).toHaveText(['Open task']);
+
+    await page.reload();
+    await expect(page.locator('.filter-tab.active')).toHaveText('Active');
+    await expect(page.locator('.todo-text')).toHaveText(['Open task']);
+  });
+
+  test('should highlight the todo a link points at', async ({ page }) => {
+    for (const text of ['First', 'Second', 'Third']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+
+    await page.goto('/#/todo/2');
+    await expect(page.locator('todo-item[highlighted]')).toHaveCount(1);
+    await expect(page.locator('todo-item[highlighted] .todo-text')).toHaveText('Second');
+
+    await page.locator('.todo-link').nth(2).click();
+    await expect(page).toHaveURL(/#\/todo\/3$/);
+    await expect(page.locator('todo-item[highlighted] .todo-text')).toHaveText('Third');
+
+    await page.goto('/#/todo/99');
+    await expect(page.locator('.toast-message')).toHaveText('That todo is not in this list');
+    await expect(page).toHaveURL(/#\/$/);
+    await expect(page.locator('todo-item[highlighted]')).toHaveCount(0);
+  });
+
+  test('should move between, toggle, edit and remove todos from the keyboard', async ({ page }) => {
+    for (const text of ['First', 'Second', 'Third']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+    await page.locator('h1').click();
+
+    await page.keyboard.press('j');
+    await page.keyboard.press('j');
+    await expect(page.locator('todo-item').nth(1)).toBeFocused();
+    await page.keyboard.press('x');
+    await expect(page.locator('.checkbox').nth(1)).toBeChecked();
+
+    await page.keyboard.press('k');
+    await page.keyboard.press('Delete');
+    await expect(page.locator('.dialog-confirm')).toBeFocused();
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.todo-text')).toHaveText(['Second', 'Third']);
+    await expect(page.locator('todo-item').nth(0)).toBeFocused();
+
+    await page.keyboard.press('e');
+    await expect(page.locator('.edit-input')).toBeFocused();
+    await page.locator('.edit-input').fill('Renamed');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.todo-text').nth(0)).toHaveText('Renamed');
+
+    await page.keyboard.press('2');
+    await expect(page).toHaveURL(/#\/active$/);
+    await page.keyboard.press('n');
+    await expect(page.locator('input[aria-label="New todo"]')).toBeFocused();
+  });
+
+  test('should run commands and jump to todos from the command palette', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Book dentist');
+    await page.locator('button:has-text("Add")').click();
+
+    await page.keyboard.press('Control+k');
+    await expect(page.locator('.palette-input')).toBeFocused();
+    await page.locator('.palette-input').fill('shco');
+    await expect(page.locator('.palette-option').first()).toContainText('Show completed todos');
+    await page.keyboard.press('Enter');
+    await expect(page).toHaveURL(/#\/completed$/);
+    await expect(page.locator('todo-command-palette dialog')).not.toBeVisible();
+
+    await page.keyboard.press('Control+k');
+    await page.locator('.palette-input').fill('dentist');
+    await page.keyboard.press('Enter');
+    await expect(page).toHaveURL(/#\/todo\/1$/);
+    await expect(page.locator('todo-item[highlighted] .todo-text')).toHaveText('Book dentist');
+  });
+
+  test('should list shortcuts and keep a remapped key after a reload', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Only todo');
+    await page.locator('button:has-text("Add")').click();
+    await page.locator('h1').click();
+
+    await page.keyboard.press('?');
+    await expect(page.locator('#shortcuts-title')).toBeVisible();
+    await page.locator('.shortcut-change').first().click();
+    await page.keyboard.press('ArrowDown');
+    await expect(page.locator('.shortcut-keys').first()).toHaveText('↓');
+    await page.locator('.shortcuts-close').click();
+
+    await page.reload();
+    await page.locator('h1').click();
+    await page.keyboard.press('j');
+    await expect(page.locator('todo-item').first()).not.toBeFocused();
+    await page.keyboard.press('ArrowDown');
+    await expect(page.locator('todo-item').first()).toBeFocused();
+  });
+
+  test('should keep a todo when its deletion is cancelled and give focus back', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Keep me');
+    await page.locator('button:has-text("Add")').click();
+
+    const deleteButton = page.locator('button[aria-label="Delete todo"]');
+    await deleteButton.focus();
+    await page.keyboard.press('Enter');
+    const dialog = page.getByRole('alertdialog');
+    await expect(dialog).toBeVisible();
+    await expect(dialog).toHaveAttribute('aria-modal', 'true');
+
+    // Tab stays inside the dialog
+    await page.keyboard.press('Tab');
+    await page.keyboard.press('Tab');
+    await page.keyboard.press('Tab');
+    await expect(page.locator('.dialog-confirm')).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(dialog).toBeHidden();
+    await expect(deleteButton).toBeFocused();
+    await expect(page.locator('.todo-text')).toHaveText('Keep me');
+  });
+
+  test('should stop asking once "Don\'t ask again" is ticked', async ({ page }) => {
+    for (const text of ['One', 'Two']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+
+    await page.locator('button[aria-label="Delete todo"]').first().click();
+    await page.getByLabel('Don\'t ask again').check();
+    await page.locator('.dialog-confirm').click();
+    await expect(page.locator('.todo-text')).toHaveText('Two');
+
+    await page.reload();
+    await page.locator('button[aria-label="Delete todo"]').click();
+    await expect(page.locator('.empty-state')).toBeVisible();
+    await expect(page.getByRole('alertdialog')).toHaveCount(0);
+
+    // Clearing still asks; only deleting was skipped
+    await page.locator('.toast-action').click();
+    await page.locator('button:has-text("Clear All")').click();
+    await expect(page.getByRole('alertdialog')).toBeVisible();
+  });
+
+  test('should pass accessibility checks in every part of the app', async ({ page }) => {
+    expect(await findA11yViolations(page)).toEqual([]);
+
+    for (const text of ['Buy milk #shop', 'Walk the dog']) {
+      await page.locator('input[type="text"]').fill(text);
+      await page.locator('button:has-text("Add")').click();
+    }
+    expect(await findA11yViolations(page)).toEqual([]);
+
+    await page.locator('button[aria-label="Edit todo"]').first().click();
+    expect(await findA11yViolations(page)).toEqual([]);
+    await page.keyboard.press('Escape');
+
+    await page.locator('.select-mode').click();
+    expect(await findA11yViolations(page)).toEqual([]);
+    await page.locator('.batch-done').click();
+
+    await page.locator('button[aria-label="Delete todo"]').first().click();
+    await expect(page.getByRole('alertdialog')).toBeVisible();
+    expect(await findA11yViolations(page)).toEqual([]);
+    await page.keyboard.press('Escape');
+
+    await page.locator('h1').click();
+    await page.keyboard.press('Control+k');
+    expect(await findA11yViolations(page)).toEqual([]);
+    await page.keyboard.press('Escape');
+
+    await page.keyboard.press('?');
+    expect(await findA11yViolations(page)).toEqual([]);
+  });
+
+  test('should announce changes to screen readers', async ({ page }) => {
+    const liveRegion = page.locator('todo-app [role="status"][aria-live="polite"]');
+    await expect(liveRegion).toBeAttached();
+
+    await page.locator('input[type="text"]').fill('Buy milk');
+    await page.locator('button:has-text("Add")').click();
+    await expect(liveRegion).toHaveText('Added \'Buy milk\', 1 active');
+
+    await page.locator('.checkbox').click();
+    await expect(liveRegion).toHaveText('Completed \'Buy milk\', 0 active');
+
+    await page.locator('h1').click();
+    await page.keyboard.press('Control+z');
+    await expect(liveRegion).toHaveText('Undid: Completed \'Buy milk\', 1 active');
+  });
+
+  test('should move between filter tabs with the arrow keys', async ({ page }) => {
+    const tabs = page.getByRole('tab');
+    await expect(page.getByRole('tablist')).toHaveAccessibleName('Show todos');
+    await expect(tabs).toHaveCount(6);
+    await expect(page.getByRole('tab', { selected: true })).toHaveText('All');
+    await expect(page.locator('.filter-tab[tabindex="0"]')).toHaveCount(1);
+
+    await page.getByRole('tab', { name: 'All' }).focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(page).toHaveURL(/#\/active$/);
+    await expect(page.getByRole('tab', { name: 'Active' })).toBeFocused();
+    await expect(page.getByRole('tab', { selected: true })).toHaveText('Active');
+
+    await page.keyboard.press('End');
+    await expect(page).toHaveURL(/#\/upcoming$/);
+    await page.keyboard.press('ArrowRight');
+    await expect(page).toHaveURL(/#\/$/);
+    await expect(page.getByRole('tab', { name: 'All' })).toBeFocused();
+
+    await page.locator('input[type="text"]').fill('Buy milk');
+    await page.locator('button:has-text("Add")').click();
+    await expect(page.getByRole('list', { name: /^Todos in / })).toBeVisible();
+    await expect(page.getByRole('listitem')).toHaveCount(1);
+  });
+
+  test('should switch language, lay out right to left and remember the choice', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Buy milk');
+    await page.locator('button:has-text("Add")').click();
+    await expect(page.locator('.created-at')).toHaveAttribute('datetime', /^\d{4}-\d{2}-\d{2}T/);
+
+    await page.locator('.locale-select').selectOption('de');
+    await expect(page.locator('h1')).toHaveText('Meine Aufgaben');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'de');
+    await expect(page.getByRole('tab', { selected: true })).toHaveText('Alle');
+    await expect(page.locator('.delete-btn')).toHaveText('Löschen');
+
+    await page.locator('.locale-select').selectOption('ar');
+    await expect(page.locator('html')).toHaveAttribute('dir', 'rtl');
+    await expect(page.locator('.stat-label').first()).toHaveText('الكل');
+
+    await page.reload();
+    await expect(page.locator('h1')).toHaveText('مهامي');
+    await expect(page.locator('html')).toHaveAttribute('dir', 'rtl');
+
+    // The left arrow moves forward through the tabs in right-to-left languages
+    await page.getByRole('tab', { selected: true }).focus();
+    await page.keyboard.press('ArrowLeft');
+    await expect(page).toHaveURL(/#\/active$/);
+  });
+
+  test('should follow the system colour scheme, switch palettes and keep a custom accent', async ({ page }) => {
+    await page.emulateMedia({ colorScheme: 'light' });
+    await page.locator('.theme-picker-toggle').click();
+    await expect(page.locator('.theme-mode[value="system"]')).toBeChecked();
+    await expect(page.locator('body')).not.toHaveClass(/dark-mode/);
+
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await expect(page.locator('body')).toHaveClass(/dark-mode/);
+
+    await page.locator('.theme-mode[value="light"]').check();
+    await expect(page.locator('body')).not.toHaveClass(/dark-mode/);
+
+    await page.locator('.theme-palette').selectOption('sepia');
+    await expect(page.locator('body')).toHaveClass(/palette-sepia/);
+    await page.locator('.theme-accent').fill('#ff8800');
+    const primary = () => page.evaluate(() => document.body.style.getPropertyValue('--color-primary'));
+    await expect.poll(primary).toBe('#ff8800');
+
+    // The saved theme is applied before the app has loaded
+    await page.reload();
+    await expect(page.locator('body')).toHaveClass(/palette-sepia/);
+    await expect(page.locator('body')).not.toHaveClass(/dark-mode/);
+    await expect.poll(primary).toBe('#ff8800');
+
+    await page.locator('.theme-picker-toggle').click();
+    await page.locator('.theme-accent-reset').click();
+    await expect.poll(primary).toBe('');
+  });
+
+  test('should drop transitions when the user asks for reduced motion', async ({ page }) => {
+    const duration = () => page.locator('.theme-toggle').evaluate(el => getComputedStyle(el).transitionDuration);
+    await expect.poll(duration).not.toBe('0s');
+
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    await expect.poll(duration).toBe('0s');
+  });
+
+  test('should chart completions and streaks on the statistics dashboard', async ({ page }) => {
+    await page.locator('input[type="text"]').fill('Buy milk');
+    await page.locator('button:has-text("Add")').click();
+    await page.locator('.checkbox').first().click();
+
+    await page.locator('.dashboard-link').click();
+    await expect(page).toHaveURL(/#\/stats$/);
+    await expect(page.locator('todo-list')).toHaveCount(0);
+    await expect(page.locator('.completed-total dd')).toHaveText('1 todo');
+    await expect(page.locator('.current-streak dd')).toHaveText('1 day');
+    await expect(page.locator('.average-time dd')).toHaveText(/minute/);
+    await expect(page.locator('.bar')).toHaveCount(14);
+
+    await page.locator('.range-week').click();
+    await expect(page.locator('.range-week')).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('.bar')).toHaveCount(12);
+
+    // Survives a reload, and the shortcut or the back button returns to the list
+    await page.reload();
+    await expect(page.locator('.completed-total dd')).toHaveText('1 todo');
+    await page.locator('.dashboard-back').click();
+    await expect(page).toHaveURL(/#\/$/);
+    await expect(page.locator('.todo-text')).toHaveText('Buy milk');
+    await page.keyboard.press('s');
+    await expect(page).toHaveURL(/#\/stats$/);
+
+    // Clearing the completed todo keeps its completion
+    await page.locator('.dashboard-back').click();
+    await page.locator('button:has-text("Clear Completed")').click();
+    await page.locator('.dialog-confirm').click();
+    await expect(page.locator('.todo-text')).toHaveCount(0);
+    await page.locator('.dashboard-link').click();
+    await expect(page.locator('.completed-total dd')).toHaveText('1 todo');
+  });
+
+  test('should focus the new task field when opened from the app shortcut', async ({ page }) => {
+    await page.goto('/?action=new');
+
+    await expect(page.locator('input[aria-label="New todo"]')).toBeFocused();
+    expect(new URL(page.url()).searchParams.has('action')).toBe(false);
+  });
 });
@@ -1,7 +1,9 @@
 import { defineConfig, devices } from '@playwright/test';
 
 /**
- * Playwright E2E test configuration
+ * Playwright E2E test configuration, against the dev server.
+ * The installable-app tests need a production build and have their own
+ * config, playwright.pwa.config.js, so this run never builds.
  * @see https://playwright.dev/docs/test-configuration
  */
 export default defineConfig({
@@ -20,6 +22,7 @@ export default defineConfig({
     {
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
+      testIgnore: /pwa\.spec\.js/,
     },
   ],
 
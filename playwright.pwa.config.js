@@ -0,0 +1,30 @@
+import { defineConfig, devices } from '@playwright/test';
+import baseConfig from './playwright.config.js';
+
+/**
+ * Playwright configuration for the installable-app tests. The service
+ * worker is only registered in production builds, so these run against
+ * `vite preview` of a fresh build.
+ * @see https://playwright.dev/docs/test-configuration
+ */
+export default defineConfig({
+  ...baseConfig,
+  use: {
+    ...baseConfig.use,
+    baseURL: 'http://localhost:4173',
+  },
+
+  projects: [
+    {
+      name: 'pwa',
+      use: { ...devices['Desktop Chrome'] },
+      testMatch: /pwa\.spec\.js/,
+    },
+  ],
+
+  webServer: {
+    command: 'npm run build && npm run preview',
+    url: 'http://localhost:4173',
+    reuseExistingServer: !process.env.CI,
+  },
+});
@@ -0,0 +1,185 @@
+import { createServer } from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { validateLists } from '../src/models/backup.js';
+
+/**
+ * Reference server for SyncService: keeps one shared copy of every list
+ * in memory, optionally persisted to a JSON file. Meant for trying sync
+ * locally, not for production (no authentication, one shared document).
+ *
+ *   GET  /api/todos  ->  200 {revision, lists}
+ *   PUT  /api/todos  <-  {baseRevision, lists}
+ *                    ->  200 {revision}, or 409 {revision, lists} if
+ *                        baseRevision is not the current revision, or
+ *                        500 if the data file could not be written
+ *
+ * Pushes are handled one at a time and a revision is only served once it
+ * has been written, so the data file always holds the revision in memory.
+ *
+ * Usage: node server/sync-server.js, with PORT (default 8787) and
+ * DATA_FILE (no persistence if unset) environment variables.
+ */
+
+/**
+ * Path the todo document is served on.
+ *
+ * @type {string}
+ */
+export const SYNC_PATH = '/api/todos';
+
+/**
+ * Largest request body accepted, in bytes.
+ *
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Headers that let the app call the server from another origin (e.g. the Vite dev server).
+ *
+ * @type {Object<string, string>}
+ */
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body.
+ *
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} If the body is too large or not JSON
+ */
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Loads the stored document, starting empty if there is none.
+ *
+ * @param {string|null} dataFile - JSON file to read
+ * @returns {Promise<{revision: number, lists: Array<Object>}>} Document
+ */
+async function loadDocument(dataFile) {
+  if (dataFile) {
+    try {
+      const doc = JSON.parse(await readFile(dataFile, 'utf8'));
+      if (Number.isInteger(doc.revision) && Array.isArray(doc.lists)) {
+        return doc;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read ${dataFile}, starting empty:`, error);
+      }
+    }
+  }
+  return { revision: 0, lists: [] };
+}
+
+/**
+ * Creates the sync server. Call `listen()` on the result to start it.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.dataFile=null] - JSON file to persist the document to
+ * @returns {Promise<import('node:http').Server>} HTTP server
+ */
+export async function createSyncServer({ dataFile = null } = {}) {
+  let doc = await loadDocument(dataFile);
+  let queue = Promise.resolve();
+
+  /**
+   * Runs a task once every task queued before it has finished.
+   *
+   * @param {function(): Promise<*>} task - Task to run
+   * @returns {Promise<*>} Result of the task
+   */
+  const enqueue = task => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== SYNC_PATH) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'GET') {
+      sendJson(res, 200, doc);
+    } else if (req.method === 'PUT') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (error) {
+        sendJson(res, 400, { error: error.message });
+        return;
+      }
+      if (!body || !Number.isInteger(body.baseRevision) || !Array.isArray(body.lists)) {
+        sendJson(res, 400, { error: 'Expected {baseRevision, lists}' });
+        return;
+      }
+      const { lists, errors } = validateLists(body.lists);
+      if (errors.length > 0) {
+        sendJson(res, 400, { error: 'Invalid lists', errors });
+        return;
+      }
+      const [status, result] = await enqueue(async () => {
+        if (body.baseRevision !== doc.revision) {
+          return [409, doc];
+        }
+        const next = { revision: doc.revision + 1, lists };
+        if (dataFile) {
+          try {
+            await writeFile(dataFile, JSON.stringify(next));
+          } catch (error) {
+            console.error(`Could not write ${dataFile}:`, error);
+            return [500, { error: 'Could not save the lists' }];
+          }
+        }
+        doc = next;
+        return [200, { revision: next.revision }];
+      });
+      sendJson(res, status, result);
+    } else {
+      res.writeHead(405, { ...CORS_HEADERS, Allow: 'GET, PUT, OPTIONS' });
+      res.end();
+    }
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const server = await createSyncServer({ dataFile: process.env.DATA_FILE || null });
+  server.listen(port, () => {
+    console.log(`Sync server listening on http://localhost:${port}${SYNC_PATH}`);
+  });
+}
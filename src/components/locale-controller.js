@@ -0,0 +1,31 @@
+import { subscribe } from '../models/i18n.js';
+
+/**
+ * LocaleController - Re-renders its host whenever the language changes,
+ * so every `t()` call in the host's template picks up the new locale.
+ * Add one in the constructor of each component that shows text:
+ *
+ *   this.localeController = new LocaleController(this);
+ *
+ * @class
+ * @implements {import('lit').ReactiveController}
+ */
+export class LocaleController {
+  /**
+   * @param {import('lit').ReactiveControllerHost} host - Component to re-render
+   */
+  constructor(host) {
+    this.host = host;
+    this.unsubscribe = null;
+    host.addController(this);
+  }
+
+  hostConnected() {
+    this.unsubscribe = subscribe(() => this.host.requestUpdate());
+  }
+
+  hostDisconnected() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+}
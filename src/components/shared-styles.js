@@ -0,0 +1,24 @@
+import { css } from 'lit';
+
+/**
+ * Turns off transitions and animations inside a component's shadow root
+ * when the user asks for reduced motion. The page-level rule in
+ * styles.css cannot reach into shadow DOM, so every component with a
+ * `transition` or `animation` lists this first in its styles:
+ *
+ *   static styles = [reducedMotionStyles, css`...`];
+ *
+ * @type {import('lit').CSSResult}
+ */
+export const reducedMotionStyles = css`
+  @media (prefers-reduced-motion: reduce) {
+    :host,
+    *,
+    *::before,
+    *::after {
+      transition: none !important;
+      animation: none !important;
+      scroll-behavior: auto !important;
+    }
+  }
+`;
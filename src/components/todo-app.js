@@ -1,34 +1,136 @@
 import { LitElement, html, css } from 'lit';
 import { TodoModel } from '../models/todo-model.js';
-import { StorageService } from '../services/storage-service.js';
+import { createStorageService, DEFAULT_STORAGE_BACKEND } from '../services/storage-backends.js';
+import { FileService } from '../services/file-service.js';
+import { SyncService } from '../services/sync-service.js';
+import { registerServiceWorker, applyUpdate } from '../services/service-worker.js';
+import { parseRoute, formatRoute } from '../services/router.js';
+import { createBackup, parseBackup, BackupError } from '../models/backup.js';
+import { parseTextTodos, toMarkdown, toTodoTxt } from '../models/text-formats.js';
+import { describeConfirmation, normalizeSkippedConfirmations } from '../models/confirmations.js';
+import { COMMANDS, commandLabel, defaultKeybindings, normalizeKeybindings, setKeybinding, keyFromEvent, findCommand } from '../models/keybindings.js';
+import { LOCALES, t, setLocale, matchLocale, isValidLocale, direction } from '../models/i18n.js';
+import { DEFAULT_THEME, FIRST_PAINT_KEY, normalizeTheme, themeClasses, accentProperties } from '../models/theme.js';
 import './todo-form.js';
 import './todo-list.js';
 import './todo-filter.js';
+import './todo-toast.js';
+import './todo-list-switcher.js';
+import './todo-search.js';
+import './todo-backup.js';
+import './todo-sync-status.js';
+import './todo-update-prompt.js';
+import './todo-command-palette.js';
+import './todo-shortcuts-help.js';
+import './todo-dialog.js';
+import './todo-theme-picker.js';
+import './todo-stats-dashboard.js';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * Element to focus for each `action` URL parameter, used by the app
+ * shortcuts in manifest.webmanifest.
+ *
+ * @type {Object<string, string>}
+ */
+const LAUNCH_ACTIONS = {
+  new: 'todo-form',
+  search: 'todo-search'
+};
 
 /**
  * TodoApp - Main application component.
  * Coordinates between Model and View components using the Observer pattern.
+ * The storage backend is chosen with the `storage-backend` attribute
+ * ('localstorage', 'indexeddb' or 'memory'); a loading state is shown
+ * while it reads the stored todos. Setting `sync-url` to a sync server
+ * endpoint (see server/sync-server.js) keeps every list in sync with it.
+ * Production builds register a service worker (src/sw.js) so the app
+ * starts offline, and offer to reload when a new build is deployed.
+ * The status filter follows the URL hash (see services/router.js), so
+ * views can be bookmarked and back/forward moves between them; "#/stats"
+ * swaps the todo list for the statistics dashboard.
+ * Keyboard commands (see models/keybindings.js) work app-wide, with
+ * remappable keys, a Ctrl+K command palette and a "?" overlay.
+ * Deleting and clearing todos is confirmed in a <todo-dialog> unless
+ * the user chose "Don't ask again" for that kind of action. Every change
+ * and toast is announced to screen readers through a live region.
+ * Text comes from the message catalog (see models/i18n.js) in the
+ * browser's language until another is picked; right-to-left languages
+ * flip the page direction.
  * 
  * @class
  * @extends {LitElement}
  * 
+ * @property {string} storageBackend - Storage backend to load todos from
+ * @property {string|null} syncUrl - Sync server endpoint, or null to keep todos on this device
+ * @property {{status: string, error: string, lastSyncedAt: string|null}|null} syncState - Sync status, or null without a sync server
+ * @property {boolean} loading - Whether the todos are still being loaded
  * @property {Array<Object>} todos - Array of todo items from the model
  * @property {number} activeCount - Count of incomplete todos
  * @property {number} completedCount - Count of completed todos
- * @property {string} currentFilter - Current filter selection
- * @property {boolean} darkMode - Whether dark mode is enabled
+ * @property {number} overdueCount - Count of incomplete todos past their due date
+ * @property {string} currentFilter - Current filter selection, mirrored in the URL hash
+ * @property {number|null} highlightId - ID of the todo a "#/todo/:id" link points at, or null
+ * @property {'todos'|'stats'} view - Whether the todo list or the statistics dashboard is shown
+ * @property {Array<Object>} completions - Completion log for the dashboard, kept up to date while it is shown
+ * @property {string|null} priorityFilter - Priority the view is restricted to
+ * @property {string} sortOrder - Current sort order
+ * @property {string|null} tagFilter - Tag the view is restricted to
+ * @property {Array<string>} allTags - Every tag in use
+ * @property {string} searchQuery - Current search text, mirrored in the "q" URL parameter
+ * @property {Array<{id: number, name: string, activeCount: number}>} lists - Named lists in display order
+ * @property {number} currentListId - ID of the list being shown
+ * @property {{mode: string, palette: string, accent: string|null}} theme - Colour mode, palette and accent colour
+ * @property {boolean} darkMode - Whether dark colours are showing, from the theme's mode or the system's scheme
+ * @property {string} locale - Language the app is shown in, a key of LOCALES
+ * @property {Object<string, Array<string>>} keybindings - Keys for every keyboard command
+ * @property {boolean} paletteOpen - Whether the command palette is shown
+ * @property {boolean} shortcutsOpen - Whether the keyboard shortcuts overlay is shown
+ * @property {{kind: string, heading: string, message: string, confirmLabel: string}|null} confirmation - Confirmation being asked, or null
+ * @property {Array<string>} skippedConfirmations - Kinds of confirmation the user chose not to be asked again
+ * @property {{message: string, actionLabel: string, action: string}|null} toast - Current toast notification
+ * @property {string} announcement - Text of the screen reader live region
+ * @property {ServiceWorkerRegistration|null} pendingUpdate - Registration with a newer build waiting, or null
+ * @property {Object|null} importPreview - Parsed backup waiting for the user to replace or merge
  */
 export class TodoApp extends LitElement {
   static properties = {
+    storageBackend: { type: String, attribute: 'storage-backend' },
+    syncUrl: { type: String, attribute: 'sync-url' },
+    syncState: { state: true },
+    loading: { state: true },
     todos: { state: true },
     activeCount: { state: true },
     completedCount: { state: true },
     currentFilter: { state: true },
+    highlightId: { state: true },
+    view: { state: true },
+    completions: { state: true },
+    priorityFilter: { state: true },
+    sortOrder: { state: true },
+    tagFilter: { state: true },
+    allTags: { state: true },
+    searchQuery: { state: true },
+    lists: { state: true },
+    currentListId: { state: true },
     totalCount: { state: true },
-    darkMode: { state: true }
+    overdueCount: { state: true },
+    theme: { state: true },
+    darkMode: { state: true },
+    locale: { state: true },
+    keybindings: { state: true },
+    paletteOpen: { state: true },
+    shortcutsOpen: { state: true },
+    confirmation: { state: true },
+    skippedConfirmations: { state: true },
+    toast: { state: true },
+    announcement: { state: true },
+    pendingUpdate: { state: true },
+    importPreview: { state: true }
   };
 
-  static styles = css`
+  static styles = [reducedMotionStyles, css`
     :host {
       display: block;
     }
@@ -59,6 +161,7 @@ export class TodoApp extends LitElement {
       display: flex;
       justify-content: space-between;
       align-items: center;
+      margin: 0;
       padding: 16px;
       background: var(--color-background, #f5f5f5);
       border-radius: 8px;
@@ -66,18 +169,52 @@ export class TodoApp extends LitElement {
       transition: background 0.3s ease;
     }
 
+    .dashboard-link {
+      display: block;
+      margin: -12px 0 16px;
+      text-align: end;
+      font-size: 13px;
+      color: var(--color-primary, #667eea);
+      text-decoration: none;
+    }
+
+    .dashboard-link:hover {
+      text-decoration: underline;
+    }
+
+    .loading {
+      padding: 40px 20px;
+      text-align: center;
+      color: var(--color-text-muted, #666);
+    }
+
+    .visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+    }
+
     .stat-item {
       display: flex;
-      flex-direction: column;
+      flex-direction: column-reverse;
       align-items: center;
     }
 
     .stat-value {
+      margin: 0;
       font-size: 24px;
       font-weight: 700;
       color: var(--color-primary, #667eea);
     }
 
+    .stat-item.matches .stat-value {
+      color: var(--color-btn-save, #2196F3);
+    }
+
     .stat-label {
       font-size: 12px;
       color: var(--color-text-muted, #666);
@@ -135,10 +272,27 @@ export class TodoApp extends LitElement {
       transition: border-color 0.3s ease, color 0.3s ease;
     }
 
-    .theme-toggle {
+    .app-settings {
       position: absolute;
       top: 16px;
-      right: 16px;
+      inset-inline-end: 16px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .locale-select {
+      padding: 8px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-text, #333);
+      font-size: 14px;
+      cursor: pointer;
+    }
+
+    .theme-toggle {
+      flex: none;
       padding: 8px 12px;
       background: var(--color-background, #f5f5f5);
       border: 1px solid var(--color-border, #e0e0e0);
@@ -151,56 +305,595 @@ export class TodoApp extends LitElement {
     .theme-toggle:hover {
       transform: scale(1.1);
     }
-  `;
+  `];
 
   /**
    * Creates a TodoApp instance.
-   * Initializes the model and subscribes to changes.
+   * The model is created once the app is connected and its storage has loaded.
    */
   constructor() {
     super();
-    this.storageService = new StorageService();
-    this.model = new TodoModel(this.storageService);
-    this.todos = this.model.filteredTodos;
-    this.activeCount = this.model.activeCount;
-    this.completedCount = this.model.completedCount;
-    this.currentFilter = this.model.filter;
-    this.totalCount = this.model.todos.length;
+    this.storageBackend = DEFAULT_STORAGE_BACKEND;
+    this.loading = true;
+    this.storageService = null;
+    this.model = null;
+    this.modelLoading = null;
+    this.fileService = new FileService();
+    this.todos = [];
+    this.activeCount = 0;
+    this.completedCount = 0;
+    this.currentFilter = 'all';
+    this.highlightId = null;
+    this.view = 'todos';
+    this.completions = [];
+    this.priorityFilter = null;
+    this.sortOrder = 'default';
+    this.tagFilter = null;
+    this.allTags = [];
+    this.searchQuery = '';
+    this.lists = [];
+    this.currentListId = 1;
+    this.totalCount = 0;
+    this.overdueCount = 0;
+    this.theme = { ...DEFAULT_THEME };
+    this.darkMode = false;
+    this.colorSchemeQuery = window.matchMedia?.('(prefers-color-scheme: dark)') ?? null;
+    this.locale = matchLocale(navigator.languages);
+    this.keybindings = defaultKeybindings();
+    this.paletteOpen = false;
+    this.shortcutsOpen = false;
+    this.confirmation = null;
+    this.skippedConfirmations = [];
+    this.resolveConfirmation = null;
     
-    // Load dark mode preference
-    this.darkMode = this.storageService.load('darkMode', false);
+    this.toast = null;
+    this.announcement = '';
+    this.announcedChange = null;
+    this.pendingUpdate = null;
+    this.importPreview = null;
+    this.syncUrl = null;
+    this.syncState = null;
+    this.syncService = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleColorSchemeChange = this.handleColorSchemeChange.bind(this);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.colorSchemeQuery?.addEventListener('change', this.handleColorSchemeChange);
+    this.applyLocale();
+    if (!this.modelLoading) {
+      this.modelLoading = this.loadModel();
+      if (import.meta.env?.PROD) {
+        registerServiceWorker({ onUpdateReady: registration => this.pendingUpdate = registration });
+      }
+    } else {
+      this.syncService?.start();
+    }
+  }
+
+  /**
+   * Opens the chosen storage backend, loads the model and subscribes to
+   * its changes. Falls back to localStorage if the backend cannot be opened
+   * (e.g. IndexedDB disabled in a private window).
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadModel() {
+    let storage = createStorageService(this.storageBackend);
+    let model;
+    let fellBack = false;
+    try {
+      model = await TodoModel.load(storage);
+    } catch (error) {
+      console.error(`Failed to open ${this.storageBackend} storage, using localStorage instead:`, error);
+      // Otherwise its channel keeps receiving other tabs' writes for the life of the page
+      storage.close();
+      storage = createStorageService(DEFAULT_STORAGE_BACKEND);
+      model = await TodoModel.load(storage);
+      fellBack = true;
+    }
+
+    this.storageService = storage;
+    this.model = model;
+    // Before any toast, so it is shown in the saved language
+    this.loadLocale();
+
+    if (fellBack) {
+      this.showToast(t('app.storageFallback'));
+    }
+    const { quarantined } = model.upgradeReport;
+    if (quarantined > 0) {
+      this.showToast(t('app.quarantined', { count: quarantined }));
+    }
+    this.model.setSearchQuery(new URLSearchParams(window.location.search).get('q') || '');
+
+    // Load the theme, or the dark mode flag saved before themes existed
+    this.theme = normalizeTheme(this.storageService.load('theme', null), this.storageService.load('darkMode', null));
     this.applyTheme();
+    this.keybindings = normalizeKeybindings(this.storageService.load('keybindings', null));
+    this.skippedConfirmations = normalizeSkippedConfirmations(this.storageService.load('skippedConfirmations', []));
 
     // Subscribe to model changes
-    this.model.subscribe(() => {
-      this.todos = [...this.model.filteredTodos];
-      this.activeCount = this.model.activeCount;
-      this.completedCount = this.model.completedCount;
-      this.currentFilter = this.model.filter;
-      this.totalCount = this.model.todos.length;
+    this.model.subscribe(() => this.syncFromModel());
+    // Follow changes saved in other tabs
+    this.storageService.subscribe(key => this.handleStorageChange(key));
+    this.syncFromModel();
+    this.applyRoute(parseRoute(window.location.hash));
+    this.loading = false;
+
+    if (this.syncUrl) {
+      this.startSync();
+    }
+    this.runLaunchAction();
+  }
+
+  /**
+   * Focuses the field an app shortcut asked for with the `action` URL
+   * parameter (e.g. "?action=new"), then drops the parameter so a
+   * reload does not repeat it.
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runLaunchAction() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has('action')) {
+      return;
+    }
+
+    const selector = LAUNCH_ACTIONS[url.searchParams.get('action')];
+    url.searchParams.delete('action');
+    window.history.replaceState(window.history.state, '', url);
+    if (selector) {
+      await this.updateComplete;
+      this.focusField(selector);
+    }
+  }
+
+  /**
+   * Focuses a field of the todo view (the new todo or search field),
+   * leaving the statistics dashboard first if it is shown.
+   * 
+   * @param {string} selector - Component to focus, e.g. 'todo-form'
+   * @returns {Promise<void>}
+   * @private
+   */
+  async focusField(selector) {
+    if (this.view === 'stats') {
+      this.handleStatsClose();
+      await this.updateComplete;
+    }
+    this.shadowRoot.querySelector(selector).focus();
+  }
+
+  /**
+   * Switches to the newer build once the user accepts the update prompt.
+   * 
+   * @private
+   */
+  handleUpdateAccept() {
+    if (!applyUpdate(this.pendingUpdate)) {
+      this.pendingUpdate = null;
+    }
+  }
+
+  /**
+   * Starts syncing with the server at `syncUrl` and mirrors its status.
+   * 
+   * @private
+   */
+  startSync() {
+    this.syncService = new SyncService(this.model, this.storageService, { endpoint: this.syncUrl });
+    this.syncService.subscribe(() => {
+      const { status, error, lastSyncedAt } = this.syncService;
+      this.syncState = { status, error: error ? error.message : '', lastSyncedAt };
     });
+    this.syncService.start();
   }
 
   /**
-   * Applies the current theme to the document body.
+   * Applies a change another tab saved: the theme and language
+   * preferences here, everything else through the model.
    * 
+   * @param {string} key - Storage key that changed
    * @private
    */
-  applyTheme() {
-    if (this.darkMode) {
-      document.body.classList.add('dark-mode');
+  handleStorageChange(key) {
+    if (key === 'theme') {
+      this.theme = normalizeTheme(this.storageService.load('theme', null));
+      this.applyTheme();
+    } else if (key === 'locale') {
+      this.loadLocale();
+    } else if (key === 'keybindings') {
+      this.keybindings = normalizeKeybindings(this.storageService.load('keybindings', null));
+    } else if (key === 'skippedConfirmations') {
+      this.skippedConfirmations = normalizeSkippedConfirmations(this.storageService.load('skippedConfirmations', []));
     } else {
-      document.body.classList.remove('dark-mode');
+      this.model.syncFromStorage(key);
+    }
+  }
+
+  /**
+   * Copies the model's current state into the reactive properties, and
+   * announces the change that caused it.
+   * Todo IDs belong to a list, so switching lists leaves a todo route.
+   * 
+   * @private
+   */
+  syncFromModel() {
+    if (this.highlightId !== null && this.model.currentListId !== this.currentListId) {
+      this.leaveTodoRoute();
+    }
+    if (this.view === 'stats') {
+      this.completions = this.model.completions;
+    }
+    const change = this.model.lastChange;
+    if (change && change !== this.announcedChange) {
+      this.announcedChange = change;
+      this.announce(t('app.announceChange', { label: change.label, count: this.model.activeCount }));
+    }
+    this.todos = [...this.model.filteredTodos];
+    this.activeCount = this.model.activeCount;
+    this.completedCount = this.model.completedCount;
+    this.currentFilter = this.model.filter;
+    this.priorityFilter = this.model.priorityFilter;
+    this.sortOrder = this.model.sortOrder;
+    this.tagFilter = this.model.tagFilter;
+    this.allTags = this.model.allTags;
+    this.searchQuery = this.model.searchQuery;
+    this.lists = this.model.listSummaries;
+    this.currentListId = this.model.currentListId;
+    this.totalCount = this.model.todos.length;
+    this.overdueCount = this.model.overdueCount;
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    this.colorSchemeQuery?.removeEventListener('change', this.handleColorSchemeChange);
+    this.syncService?.stop();
+  }
+
+  /**
+   * Runs the keyboard command bound to the pressed key. Text fields keep
+   * their native behaviour, except that the command palette opens from
+   * anywhere; Enter and Space keep activating buttons and links. Escape
+   * leaves selection mode. While the palette, the shortcuts overlay or a
+   * confirmation is open, it handles the keyboard itself.
+   * 
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (!this.model || this.paletteOpen || this.shortcutsOpen || this.confirmation) {
+      return;
+    }
+
+    const target = e.composedPath()[0];
+    const key = keyFromEvent(e);
+    const command = findCommand(this.keybindings, key);
+    if (this.isTextEntry(target)) {
+      if (command === 'command-palette') {
+        e.preventDefault();
+        this.runCommand(command);
+      }
+      return;
+    }
+
+    const list = this.shadowRoot.querySelector('todo-list');
+    if (key === 'escape' && list?.selecting) {
+      list.endSelection();
+      return;
+    }
+
+    const activates = ['BUTTON', 'A', 'INPUT', 'SELECT', 'SUMMARY'].includes(target?.tagName);
+    if (!command || (activates && (key === 'enter' || key === 'space'))) {
+      return;
+    }
+    e.preventDefault();
+    this.runCommand(command);
+  }
+
+  /**
+   * Checks whether an element takes typed text, so single-key commands
+   * must not fire while it has focus.
+   * 
+   * @param {Element|undefined} target - Focused element
+   * @returns {boolean} True for text inputs, textareas, selects and editable content
+   * @private
+   */
+  isTextEntry(target) {
+    if (!target) {
+      return false;
     }
+    if (target.tagName === 'INPUT') {
+      return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(target.type);
+    }
+    return target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || Boolean(target.isContentEditable);
+  }
+
+  /**
+   * Runs a keyboard command, from a key press or the command palette.
+   * Commands on "the focused todo" act on the list's active todo.
+   * 
+   * @param {string} id - Command ID, one of {@link COMMANDS}
+   */
+  runCommand(id) {
+    const list = this.shadowRoot.querySelector('todo-list');
+    const active = list?.activeTodo;
+
+    if (id.startsWith('filter-')) {
+      window.location.hash = formatRoute({ filter: id.slice('filter-'.length) });
+    } else if (id === 'next-todo' || id === 'previous-todo') {
+      list?.moveFocus(id === 'next-todo' ? 1 : -1);
+    } else if (id === 'toggle-todo' && active) {
+      this.model.toggleComplete(active.id);
+      list.focusTodo(active.id);
+    } else if (id === 'edit-todo' && active) {
+      list.itemFor(active.id)?.handleEdit();
+    } else if (id === 'delete-todo' && active) {
+      this.deleteTodo(active.id);
+    } else if (id === 'new-todo') {
+      this.focusField('todo-form');
+    } else if (id === 'focus-search') {
+      this.focusField('todo-search');
+    } else if (id === 'toggle-stats') {
+      if (this.view === 'stats') {
+        this.handleStatsClose();
+      } else {
+        window.location.hash = formatRoute({ view: 'stats' });
+      }
+    } else if (id === 'select-all') {
+      list?.selectAll();
+    } else if (id === 'undo') {
+      this.handleUndo();
+    } else if (id === 'redo') {
+      this.handleRedo();
+    } else if (id === 'toggle-theme') {
+      this.toggleDarkMode();
+    } else if (id === 'reset-confirmations') {
+      this.skippedConfirmations = [];
+      this.storageService.save('skippedConfirmations', this.skippedConfirmations);
+      this.showToast(t('app.confirmationsReset'));
+    } else if (id === 'command-palette') {
+      this.paletteOpen = true;
+    } else if (id === 'show-shortcuts') {
+      this.shortcutsOpen = true;
+    }
+  }
+
+  /**
+   * Closes the command palette, then runs the chosen command once focus
+   * is back in the page.
+   * 
+   * @param {CustomEvent} e - Event with detail.id
+   */
+  async handlePaletteCommand(e) {
+    this.paletteOpen = false;
+    await this.updateComplete;
+    this.runCommand(e.detail.id);
+  }
+
+  /**
+   * Closes the command palette and jumps to the chosen todo.
+   * 
+   * @param {CustomEvent} e - Event with detail.id
+   */
+  async handlePaletteTodo(e) {
+    this.paletteOpen = false;
+    window.location.hash = formatRoute({ todoId: e.detail.id });
+    this.applyRoute({ todoId: e.detail.id });
+    await this.updateComplete;
+    this.shadowRoot.querySelector('todo-list').focusTodo(e.detail.id);
+  }
+
+  /**
+   * Gives a command a new key and persists the bindings.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.key
+   */
+  handleKeybindingChange(e) {
+    this.keybindings = setKeybinding(this.keybindings, e.detail.id, e.detail.key);
+    this.storageService.save('keybindings', this.keybindings);
+  }
+
+  /**
+   * Restores the default keys and persists them.
+   */
+  handleKeybindingsReset() {
+    this.keybindings = defaultKeybindings();
+    this.storageService.save('keybindings', this.keybindings);
+  }
+
+  /**
+   * Reverts the last change and offers to redo it.
+   */
+  handleUndo() {
+    const label = this.model.undo();
+    if (label) {
+      this.showToast(t('history.undid', { label }), t('common.redo'), 'redo');
+    }
+  }
+
+  /**
+   * Re-applies the last undone change and offers to undo it again.
+   */
+  handleRedo() {
+    const label = this.model.redo();
+    if (label) {
+      this.showToast(t('history.redid', { label }), t('common.undo'), 'undo');
+    }
+  }
+
+  /**
+   * Shows a toast notification.
+   * 
+   * @param {string} message - Text to display
+   * @param {string} [actionLabel=''] - Label of the action button
+   * @param {string} [action=''] - Action to run when the button is clicked ('undo' | 'redo')
+   * @private
+   */
+  showToast(message, actionLabel = '', action = '') {
+    this.toast = { message, actionLabel, action };
+    if (!action) {
+      // Toasts offering undo or redo report a change already announced
+      this.announce(message);
+    }
+  }
+
+  /**
+   * Reads a message out to screen readers through the live region.
+   * The same message twice in a row is still read out twice.
+   * 
+   * @param {string} message - Text to announce
+   * @private
+   */
+  announce(message) {
+    this.announcement = message === this.announcement ? `${message}\u00a0` : message;
+  }
+
+  /**
+   * Shows an "Undo" toast for the change that was just made.
+   * 
+   * @private
+   */
+  showUndoToast() {
+    if (this.model.undoLabel) {
+      this.showToast(this.model.undoLabel, t('common.undo'), 'undo');
+    }
+  }
+
+  /**
+   * Runs the action attached to the current toast.
+   */
+  handleToastAction() {
+    const action = this.toast && this.toast.action;
+    this.toast = null;
+    if (action === 'undo') {
+      this.handleUndo();
+    } else if (action === 'redo') {
+      this.handleRedo();
+    }
+  }
+
+  /**
+   * Hides the toast once it has timed out.
+   */
+  handleToastDismiss() {
+    this.toast = null;
+  }
+
+  /**
+   * Applies the current theme to the document body: the dark mode and
+   * palette classes, and the accent colour as inline CSS variables.
+   * The theme is also copied where the script in index.html finds it,
+   * so the next start paints in the right colours straight away.
+   * 
+   * @private
+   */
+  applyTheme() {
+    const { body } = document;
+    const prefersDark = Boolean(this.colorSchemeQuery?.matches);
+    const classes = themeClasses(this.theme, prefersDark);
+    body.classList.remove(...[...body.classList].filter(name => name === 'dark-mode' || name.startsWith('palette-')));
+    body.classList.add(...classes);
+    body.style.removeProperty('--color-primary');
+    body.style.removeProperty('--color-primary-hover');
+    for (const [name, value] of Object.entries(accentProperties(this.theme.accent))) {
+      body.style.setProperty(name, value);
+    }
+    this.darkMode = classes.includes('dark-mode');
+
+    try {
+      localStorage.setItem(FIRST_PAINT_KEY, JSON.stringify(this.theme));
+    } catch {
+      // Without localStorage the next start briefly shows the default colours
+    }
+  }
+
+  /**
+   * Follows the system's colour scheme while the theme's mode is "system".
+   * 
+   * @private
+   */
+  handleColorSchemeChange() {
+    if (this.theme.mode === 'system') {
+      this.applyTheme();
+    }
+  }
+
+  /**
+   * Switches to a theme, persists it and applies it.
+   * 
+   * @param {Object} theme - Theme to use; invalid fields fall back to the defaults
+   * @private
+   */
+  setTheme(theme) {
+    this.theme = normalizeTheme(theme);
+    this.storageService.save('theme', this.theme);
+    this.applyTheme();
+  }
+
+  /**
+   * Handles a change made in the theme picker.
+   * 
+   * @param {CustomEvent} e - Event with detail.theme
+   */
+  handleThemeChange(e) {
+    this.setTheme(e.detail.theme);
+  }
+
+  /**
+   * Translates the app into the current locale and sets the document's
+   * language and writing direction, so right-to-left languages flip the
+   * layout and screen readers pick the right voice.
+   * 
+   * @private
+   */
+  applyLocale() {
+    setLocale(this.locale);
+    document.documentElement.lang = this.locale;
+    document.documentElement.dir = direction(this.locale);
+  }
+
+  /**
+   * Switches to the language saved in storage. Without one, the
+   * browser's language is kept.
+   * 
+   * @private
+   */
+  loadLocale() {
+    const saved = this.storageService.load('locale', null);
+    if (isValidLocale(saved)) {
+      this.locale = saved;
+      this.applyLocale();
+    }
+  }
+
+  /**
+   * Switches to the language picked in the language menu and persists it.
+   * 
+   * @param {Event} e - Change event from the language select
+   */
+  handleLocaleChange(e) {
+    this.locale = e.target.value;
+    this.storageService.save('locale', this.locale);
+    this.applyLocale();
   }
 
   /**
    * Handles adding a new todo from the form.
    * 
-   * @param {CustomEvent} e - Event with detail.text containing the todo text
+   * @param {CustomEvent} e - Event with detail.text and optional detail.dueDate/dueTime/priority/tags/recurrence
    */
   handleAddTodo(e) {
-    this.model.addTodo(e.detail.text);
+    const { text, dueDate, dueTime, priority, tags, recurrence } = e.detail;
+    this.model.addTodo(text, { dueDate, dueTime, priority, tags, recurrence });
   }
 
   /**
@@ -218,117 +911,737 @@ export class TodoApp extends LitElement {
    * @param {CustomEvent} e - Event with detail.id of the todo to delete
    */
   handleDeleteTodo(e) {
-    this.model.deleteTodo(e.detail.id);
+    this.deleteTodo(e.detail.id);
+  }
+
+  /**
+   * Deletes a todo once confirmed, then focuses the todo that took its
+   * place so keyboard users keep their position in the list.
+   * 
+   * @param {number} id - ID of the todo to delete
+   * @returns {Promise<void>}
+   * @private
+   */
+  async deleteTodo(id) {
+    const todo = this.model.todos.find(t => t.id === id);
+    if (!todo || !(await this.confirm('delete-todo', { text: todo.text }))) {
+      return;
+    }
+
+    const list = this.shadowRoot.querySelector('todo-list');
+    const neighbour = list.neighbourOf(id);
+    this.model.deleteTodo(id);
+    this.showUndoToast();
+    list.focusTodo(neighbour);
   }
 
   /**
    * Handles updating a todo's text.
    * 
-   * @param {CustomEvent} e - Event with detail.id and detail.text
+   * @param {CustomEvent} e - Event with detail.id, detail.text and detail.dueDate/dueTime/priority/tags/recurrence
    */
   handleUpdateTodo(e) {
-    this.model.updateTodo(e.detail.id, e.detail.text);
+    const { id, text, dueDate, dueTime, priority, tags, recurrence } = e.detail;
+    this.model.updateTodo(id, text, { dueDate, dueTime, priority, tags, recurrence });
+  }
+
+  /**
+   * Handles adding a checklist item to a todo.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.text
+   */
+  handleAddSubtask(e) {
+    this.model.addSubtask(e.detail.id, e.detail.text);
+  }
+
+  /**
+   * Handles toggling a checklist item's completion status.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.subtaskId
+   */
+  handleToggleSubtask(e) {
+    this.model.toggleSubtask(e.detail.id, e.detail.subtaskId);
+  }
+
+  /**
+   * Handles updating a checklist item's text.
+   * 
+   * @param {CustomEvent} e - Event with detail.id, detail.subtaskId and detail.text
+   */
+  handleUpdateSubtask(e) {
+    this.model.updateSubtask(e.detail.id, e.detail.subtaskId, e.detail.text);
   }
 
   /**
-   * Handles clearing all completed todos with confirmation.
+   * Handles deleting a checklist item.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.subtaskId
    */
-  handleClearCompleted() {
-    if (confirm('Clear all completed todos?')) {
+  handleDeleteSubtask(e) {
+    this.model.deleteSubtask(e.detail.id, e.detail.subtaskId);
+    this.showUndoToast();
+  }
+
+  /**
+   * Handles clearing all completed todos once confirmed.
+   * The change can be reverted from the undo toast.
+   * 
+   * @returns {Promise<void>}
+   */
+  async handleClearCompleted() {
+    if (await this.confirm('clear-completed', { count: this.completedCount })) {
       this.model.clearCompleted();
+      this.showUndoToast();
     }
   }
 
   /**
-   * Handles clearing all todos with confirmation.
+   * Handles clearing all todos once confirmed.
+   * The change can be reverted from the undo toast.
+   * 
+   * @returns {Promise<void>}
    */
-  handleClearAll() {
-    if (confirm('Clear ALL todos? This cannot be undone.')) {
+  async handleClearAll() {
+    if (await this.confirm('clear-all', { count: this.totalCount })) {
       this.model.clearAll();
+      this.showUndoToast();
+    }
+  }
+
+  /**
+   * Asks the user to confirm a destructive action in the confirmation
+   * dialog. Resolves straight away if they chose "Don't ask again" for
+   * this kind of action; a confirmation still open is cancelled.
+   * 
+   * @param {string} kind - Kind of confirmation, see models/confirmations.js
+   * @param {{count?: number, text?: string}} [subject] - Todos affected
+   * @returns {Promise<boolean>} True if the action should go ahead
+   * @private
+   */
+  confirm(kind, subject) {
+    if (this.skippedConfirmations.includes(kind)) {
+      return Promise.resolve(true);
+    }
+
+    this.resolveConfirmation?.(false);
+    return new Promise(resolve => {
+      this.resolveConfirmation = resolve;
+      this.confirmation = { kind, ...describeConfirmation(kind, subject) };
+    });
+  }
+
+  /**
+   * Closes the confirmation dialog and settles its promise.
+   * 
+   * @param {boolean} confirmed - Whether the action should go ahead
+   * @private
+   */
+  settleConfirmation(confirmed) {
+    const resolve = this.resolveConfirmation;
+    this.resolveConfirmation = null;
+    this.confirmation = null;
+    resolve?.(confirmed);
+  }
+
+  /**
+   * Goes ahead with the confirmed action, remembering "Don't ask again".
+   * 
+   * @param {CustomEvent} e - Event with detail.skip
+   */
+  handleDialogConfirm(e) {
+    if (e.detail.skip) {
+      this.skippedConfirmations = [...this.skippedConfirmations, this.confirmation.kind];
+      this.storageService.save('skippedConfirmations', this.skippedConfirmations);
+    }
+    this.settleConfirmation(true);
+  }
+
+  /**
+   * Follows the URL hash when a filter tab or todo link is clicked, or
+   * the user goes back or forward.
+   */
+  handleHashChange() {
+    if (this.model) {
+      this.applyRoute(parseRoute(window.location.hash));
     }
   }
 
   /**
-   * Handles filter change from filter tabs.
+   * Shows the view a route names. The statistics route shows the
+   * dashboard over the todos of every list. A todo route keeps the current
+   * filter when the todo is visible in it (clearing the filters otherwise)
+   * and highlights the todo; a todo missing from the current list falls
+   * back to the current view.
    * 
-   * @param {CustomEvent} e - Event with detail.filter
+   * @param {{filter?: string, todoId?: number, view?: string}} route - Route from parseRoute
+   * @private
    */
-  handleFilterChange(e) {
-    this.model.setFilter(e.detail.filter);
+  applyRoute(route) {
+    this.view = route.view === 'stats' ? 'stats' : 'todos';
+    if (this.view === 'stats') {
+      this.highlightId = null;
+      this.completions = this.model.completions;
+      return;
+    }
+
+    if (route.todoId === undefined) {
+      this.highlightId = null;
+      this.model.setFilter(route.filter);
+      return;
+    }
+
+    if (this.model.revealTodo(route.todoId)) {
+      this.highlightId = route.todoId;
+      this.syncSearchParam();
+      return;
+    }
+
+    this.leaveTodoRoute();
+    this.showToast(t('app.todoNotFound'));
   }
 
   /**
-   * Toggles dark mode on/off and persists preference.
+   * Leaves the statistics dashboard for the current filter's view.
+   */
+  handleStatsClose() {
+    this.view = 'todos';
+    window.location.hash = formatRoute({ filter: this.model.filter });
+  }
+
+  /**
+   * Drops the todo highlight and swaps the todo route for the current
+   * filter's route without adding a history entry.
+   * 
+   * @private
+   */
+  leaveTodoRoute() {
+    this.highlightId = null;
+    const url = new URL(window.location.href);
+    url.hash = formatRoute({ filter: this.model.filter });
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  /**
+   * Handles priority filter change from the view options.
+   * 
+   * @param {CustomEvent} e - Event with detail.priority (null for every priority)
+   */
+  handlePriorityFilterChange(e) {
+    this.model.setPriorityFilter(e.detail.priority);
+  }
+
+  /**
+   * Handles sort order change from the view options.
+   * 
+   * @param {CustomEvent} e - Event with detail.sortOrder
+   */
+  handleSortChange(e) {
+    this.model.setSortOrder(e.detail.sortOrder);
+  }
+
+  /**
+   * Handles tag filter change from a tag chip or the tag dropdown.
+   * 
+   * @param {CustomEvent} e - Event with detail.tag (null for every tag)
+   */
+  handleTagFilterChange(e) {
+    this.model.setTagFilter(e.detail.tag);
+  }
+
+  /**
+   * Handles renaming a tag across all todos.
+   * 
+   * @param {CustomEvent} e - Event with detail.from and detail.to
+   */
+  handleRenameTag(e) {
+    this.model.renameTag(e.detail.from, e.detail.to);
+  }
+
+  /**
+   * Handles removing a tag from all todos.
+   * 
+   * @param {CustomEvent} e - Event with detail.tag
+   */
+  handleDeleteTag(e) {
+    this.model.deleteTag(e.detail.tag);
+    this.showUndoToast();
+  }
+
+  /**
+   * Handles choosing another list.
+   * 
+   * @param {CustomEvent} e - Event with detail.listId
+   */
+  handleListSelect(e) {
+    this.model.switchList(e.detail.listId);
+  }
+
+  /**
+   * Handles creating a list and switches to it.
+   * 
+   * @param {CustomEvent} e - Event with detail.name
+   */
+  handleListCreate(e) {
+    const id = this.model.createList(e.detail.name);
+    if (id !== null) {
+      this.model.switchList(id);
+    }
+  }
+
+  /**
+   * Handles renaming a list.
+   * 
+   * @param {CustomEvent} e - Event with detail.listId and detail.name
+   */
+  handleListRename(e) {
+    this.model.renameList(e.detail.listId, e.detail.name);
+  }
+
+  /**
+   * Handles deleting a list and its todos.
+   * The change can be reverted from the undo toast.
+   * 
+   * @param {CustomEvent} e - Event with detail.listId
+   */
+  handleListDelete(e) {
+    this.model.deleteList(e.detail.listId);
+    this.showUndoToast();
+  }
+
+  /**
+   * Handles reordering a list.
+   * 
+   * @param {CustomEvent} e - Event with detail.listId and detail.toIndex
+   */
+  handleListMove(e) {
+    this.model.moveList(e.detail.listId, e.detail.toIndex);
+  }
+
+  /**
+   * Handles moving a todo to another list.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.listId
+   */
+  handleMoveTodo(e) {
+    this.model.moveTodoToList(e.detail.id, e.detail.listId);
+    this.showUndoToast();
+  }
+
+  /**
+   * Handles completing or reopening the selected todos.
+   * 
+   * @param {CustomEvent} e - Event with detail.ids and detail.completed
+   */
+  handleBatchComplete(e) {
+    if (this.model.completeTodos(e.detail.ids, e.detail.completed)) {
+      this.showUndoToast();
+    }
+  }
+
+  /**
+   * Handles deleting the selected todos once confirmed.
+   * 
+   * @param {CustomEvent} e - Event with detail.ids
+   * @returns {Promise<void>}
+   */
+  async handleBatchDelete(e) {
+    const { ids } = e.detail;
+    if (await this.confirm('delete-todo', { count: ids.length }) && this.model.deleteTodos(ids)) {
+      this.showUndoToast();
+    }
+  }
+
+  /**
+   * Handles tagging the selected todos or setting their priority or due date.
+   * 
+   * @param {CustomEvent} e - Event with detail.ids and detail.changes
+   */
+  handleBatchUpdate(e) {
+    if (this.model.updateTodos(e.detail.ids, e.detail.changes)) {
+      this.showUndoToast();
+    }
+  }
+
+  /**
+   * Handles moving the selected todos to another list.
+   * 
+   * @param {CustomEvent} e - Event with detail.ids and detail.listId
+   */
+  handleBatchMove(e) {
+    if (this.model.moveTodosToList(e.detail.ids, e.detail.listId)) {
+      this.showUndoToast();
+    }
+  }
+
+  /**
+   * Handles search text changes and mirrors the query in the URL,
+   * so reloading the page keeps the search.
+   * 
+   * @param {CustomEvent} e - Event with detail.query
+   */
+  handleSearchChange(e) {
+    this.model.setSearchQuery(e.detail.query);
+    this.syncSearchParam();
+  }
+
+  /**
+   * Writes the search query to the "q" URL parameter without adding a
+   * history entry.
+   * 
+   * @private
+   */
+  syncSearchParam() {
+    const url = new URL(window.location.href);
+    if (this.model.searchQuery.trim()) {
+      url.searchParams.set('q', this.model.searchQuery);
+    } else {
+      url.searchParams.delete('q');
+    }
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  /**
+   * Downloads a JSON backup of every list and the app settings, or the
+   * current list as a Markdown task list or todo.txt file.
+   * 
+   * @param {CustomEvent} e - Event with detail.format ('json', 'markdown' or 'todotxt')
+   */
+  handleExport(e) {
+    const { name } = this.model.currentList;
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'todos';
+
+    if (e.detail.format === 'markdown') {
+      this.fileService.download(`${slug}.md`, toMarkdown(name, this.model.todos), 'text/markdown');
+    } else if (e.detail.format === 'todotxt') {
+      this.fileService.download(`${slug}-todo.txt`, toTodoTxt(this.model.todos), 'text/plain');
+    } else {
+      const backup = createBackup(this.model.exportData(), {
+        theme: this.theme,
+        locale: this.locale,
+        keybindings: this.keybindings
+      });
+      const date = backup.exportedAt.slice(0, 10);
+      this.fileService.download(`todos-${date}.json`, JSON.stringify(backup, null, 2));
+    }
+  }
+
+  /**
+   * Validates a chosen file or pasted text and shows the import review panel.
+   * JSON is read as a backup; anything else as Markdown or todo.txt, to be
+   * added to the current list. Unreadable input is reported in a toast.
+   * 
+   * @param {CustomEvent} e - Event with detail.name (null for pasted text) and detail.text
+   */
+  handleImportFile(e) {
+    const { name, text } = e.detail;
+    const isJson = name ? name.toLowerCase().endsWith('.json') : text.trimStart().startsWith('{');
+    this.importPreview = null;
+
+    if (!isJson) {
+      const { format, todos, errors } = parseTextTodos(text);
+      if (todos.length === 0 && errors.length === 0) {
+        this.showToast(t('import.empty'));
+        return;
+      }
+      const list = this.model.currentList;
+      this.importPreview = {
+        format,
+        currentListId: null,
+        targetListId: list.id,
+        lists: [{ id: list.id, name: list.name, nextId: todos.length + 1, todos }],
+        settings: {},
+        errors,
+        todoCount: todos.length
+      };
+      return;
+    }
+
+    try {
+      this.importPreview = parseBackup(text);
+    } catch (error) {
+      if (!(error instanceof BackupError)) {
+        throw error;
+      }
+      this.showToast(t('import.failed', { reason: error.message }));
+    }
+  }
+
+  /**
+   * Imports the reviewed backup. Replacing also restores the backed-up
+   * settings; merging keeps the current ones.
+   * 
+   * @param {CustomEvent} e - Event with detail.mode ('replace' or 'merge')
+   */
+  handleImportConfirm(e) {
+    const { mode } = e.detail;
+    const preview = this.importPreview;
+    this.importPreview = null;
+
+    const { added, skipped } = this.model.importData(preview, mode);
+    const { theme, darkMode } = preview.settings;
+    if (mode === 'replace' && (theme || typeof darkMode === 'boolean')) {
+      this.setTheme(normalizeTheme(theme, darkMode));
+    }
+    if (mode === 'replace' && isValidLocale(preview.settings.locale)) {
+      this.locale = preview.settings.locale;
+      this.storageService.save('locale', this.locale);
+      this.applyLocale();
+    }
+    if (mode === 'replace' && preview.settings.keybindings) {
+      this.keybindings = normalizeKeybindings(preview.settings.keybindings);
+      this.storageService.save('keybindings', this.keybindings);
+    }
+
+    const withSkipped = message => skipped > 0 ? t('import.skipped', { message, count: skipped }) : message;
+    if (mode === 'replace' || added > 0) {
+      this.showToast(withSkipped(t('history.imported', { count: added })), t('common.undo'), 'undo');
+    } else {
+      this.showToast(withSkipped(t('import.nothing')));
+    }
+  }
+
+  /**
+   * Handles dropping a dragged todo next to another todo.
+   * 
+   * @param {CustomEvent} e - Event with detail.id, detail.targetId and detail.after
+   */
+  handleReorderTodo(e) {
+    this.model.reorderTodo(e.detail.id, e.detail.targetId, e.detail.after);
+  }
+
+  /**
+   * Handles moving a todo up or down past its visible neighbour.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.offset
+   */
+  handleNudgeTodo(e) {
+    this.model.moveTodoBy(e.detail.id, e.detail.offset);
+  }
+
+  /**
+   * Switches between light and dark colours, keeping the palette. This
+   * picks the mode explicitly, so the theme stops following the system.
    */
   toggleDarkMode() {
-    this.darkMode = !this.darkMode;
-    this.storageService.save('darkMode', this.darkMode);
-    this.applyTheme();
+    this.setTheme({ ...this.theme, mode: this.darkMode ? 'light' : 'dark' });
+  }
+
+  /**
+   * Renders the todo view: the link to the statistics dashboard, the new
+   * todo form, search, filters, the list and the list-wide actions.
+   * 
+   * @returns {import('lit').TemplateResult} Todo view
+   * @private
+   */
+  renderTodoView() {
+    return html`
+      <a class="dashboard-link" href=${formatRoute({ view: 'stats' })}>📊 ${t('dashboard.open')}</a>
+
+      <todo-form
+        @add-todo=${this.handleAddTodo}>
+      </todo-form>
+
+      <todo-search
+        .query=${this.searchQuery}
+        @search-change=${this.handleSearchChange}>
+      </todo-search>
+
+      <todo-filter
+        .currentFilter=${this.currentFilter}
+        .overdueCount=${this.overdueCount}
+        .priorityFilter=${this.priorityFilter}
+        .sortOrder=${this.sortOrder}
+        .tagFilter=${this.tagFilter}
+        .tags=${this.allTags}
+        @priority-filter-change=${this.handlePriorityFilterChange}
+        @sort-change=${this.handleSortChange}
+        @tag-filter-change=${this.handleTagFilterChange}
+        @rename-tag=${this.handleRenameTag}
+        @delete-tag=${this.handleDeleteTag}>
+      </todo-filter>
+
+      <todo-list
+        .todos=${this.todos}
+        .lists=${this.lists}
+        .currentListId=${this.currentListId}
+        .reorderable=${this.sortOrder === 'default'}
+        .searchQuery=${this.searchQuery}
+        .highlightId=${this.highlightId}
+        @toggle-todo=${this.handleToggleTodo}
+        @delete-todo=${this.handleDeleteTodo}
+        @update-todo=${this.handleUpdateTodo}
+        @tag-select=${this.handleTagFilterChange}
+        @add-subtask=${this.handleAddSubtask}
+        @toggle-subtask=${this.handleToggleSubtask}
+        @update-subtask=${this.handleUpdateSubtask}
+        @delete-subtask=${this.handleDeleteSubtask}
+        @move-todo=${this.handleMoveTodo}
+        @reorder-todo=${this.handleReorderTodo}
+        @nudge-todo=${this.handleNudgeTodo}
+        @batch-complete=${this.handleBatchComplete}
+        @batch-delete=${this.handleBatchDelete}
+        @batch-update=${this.handleBatchUpdate}
+        @batch-move=${this.handleBatchMove}>
+      </todo-list>
+
+      <div class="actions">
+        <button
+          class="clear-completed"
+          @click=${this.handleClearCompleted}
+          ?disabled=${this.completedCount === 0}>
+          ${t('actions.clearCompleted')}
+        </button>
+        <button
+          class="clear-all"
+          @click=${this.handleClearAll}
+          ?disabled=${this.totalCount === 0}>
+          ${t('actions.clearAll')}
+        </button>
+      </div>
+
+      <todo-backup
+        .preview=${this.importPreview}
+        @export-data=${this.handleExport}
+        @import-file=${this.handleImportFile}
+        @import-confirm=${this.handleImportConfirm}
+        @import-dismiss=${() => this.importPreview = null}>
+      </todo-backup>
+    `;
   }
 
   render() {
+    if (this.loading) {
+      return html`
+        <div class="app-container">
+          <h1>${t('app.title')}</h1>
+          <p class="loading" role="status">${t('app.loading')}</p>
+        </div>
+      `;
+    }
+
     return html`
       <div class="app-container">
-        <button 
-          class="theme-toggle" 
-          @click=${this.toggleDarkMode}
-          aria-label="Toggle dark mode">
-          ${this.darkMode ? '☀️' : '🌙'}
-        </button>
+        <div class="app-settings">
+          <select
+            class="locale-select"
+            @change=${this.handleLocaleChange}
+            aria-label=${t('app.language')}>
+            ${Object.entries(LOCALES).map(([code, { name }]) => html`
+              <option value=${code} lang=${code} ?selected=${code === this.locale}>${name}</option>
+            `)}
+          </select>
+          <todo-theme-picker
+            .theme=${this.theme}
+            @theme-change=${this.handleThemeChange}>
+          </todo-theme-picker>
+          <button 
+            class="theme-toggle" 
+            @click=${this.toggleDarkMode}
+            aria-label=${t('app.toggleTheme')}>
+            ${this.darkMode ? '☀️' : '🌙'}
+          </button>
+        </div>
+
+        <h1>${t('app.title')}</h1>
+        <p class="subtitle">${t('app.subtitle')}</p>
+
+        ${this.pendingUpdate ? html`
+          <todo-update-prompt
+            @update-accept=${this.handleUpdateAccept}
+            @update-dismiss=${() => this.pendingUpdate = null}>
+          </todo-update-prompt>
+        ` : ''}
 
-        <h1>My Tasks</h1>
-        <p class="subtitle">Stay organized and productive</p>
+        ${this.syncState ? html`
+          <todo-sync-status
+            status=${this.syncState.status}
+            .error=${this.syncState.error}
+            .lastSyncedAt=${this.syncState.lastSyncedAt}
+            @sync-now=${() => this.syncService.sync()}>
+          </todo-sync-status>
+        ` : ''}
 
-        <div class="stats">
+        <todo-list-switcher
+          .lists=${this.lists}
+          .currentListId=${this.currentListId}
+          @list-select=${this.handleListSelect}
+          @list-create=${this.handleListCreate}
+          @list-rename=${this.handleListRename}
+          @list-delete=${this.handleListDelete}
+          @list-move=${this.handleListMove}>
+        </todo-list-switcher>
+
+        <dl class="stats" aria-label=${t('stats.label')}>
           <div class="stat-item">
-            <div class="stat-value">${this.totalCount}</div>
-            <div class="stat-label">Total</div>
+            <dt class="stat-label">${t('stats.total')}</dt>
+            <dd class="stat-value">${this.totalCount}</dd>
           </div>
           <div class="stat-item">
-            <div class="stat-value">${this.activeCount}</div>
-            <div class="stat-label">Active</div>
+            <dt class="stat-label">${t('stats.active')}</dt>
+            <dd class="stat-value">${this.activeCount}</dd>
           </div>
           <div class="stat-item">
-            <div class="stat-value">${this.completedCount}</div>
-            <div class="stat-label">Completed</div>
+            <dt class="stat-label">${t('stats.completed')}</dt>
+            <dd class="stat-value">${this.completedCount}</dd>
           </div>
-        </div>
+          ${this.searchQuery.trim() ? html`
+            <div class="stat-item matches">
+              <dt class="stat-label">${t('stats.matches', { count: this.todos.length })}</dt>
+              <dd class="stat-value">${this.todos.length}</dd>
+            </div>
+          ` : ''}
+        </dl>
 
-        <todo-form
-          @add-todo=${this.handleAddTodo}>
-        </todo-form>
-
-        <todo-filter
-          .currentFilter=${this.currentFilter}
-          @filter-change=${this.handleFilterChange}>
-        </todo-filter>
-
-        <todo-list
-          .todos=${this.todos}
-          @toggle-todo=${this.handleToggleTodo}
-          @delete-todo=${this.handleDeleteTodo}
-          @update-todo=${this.handleUpdateTodo}>
-        </todo-list>
-
-        <div class="actions">
-          <button
-            class="clear-completed"
-            @click=${this.handleClearCompleted}
-            ?disabled=${this.completedCount === 0}>
-            Clear Completed
-          </button>
-          <button
-            class="clear-all"
-            @click=${this.handleClearAll}
-            ?disabled=${this.totalCount === 0}>
-            Clear All
-          </button>
-        </div>
+        ${this.view === 'stats' ? html`
+          <todo-stats-dashboard
+            .completions=${this.completions}
+            @stats-close=${this.handleStatsClose}>
+          </todo-stats-dashboard>
+        ` : this.renderTodoView()}
 
         <div class="footer">
-          Lab 9: The final battle!
+          ${t('app.footer')}
         </div>
       </div>
+
+      <todo-command-palette
+        ?open=${this.paletteOpen}
+        .commands=${COMMANDS
+    .filter(command => command.id !== 'command-palette')
+    .map(command => ({ ...command, label: commandLabel(command.id), keys: this.keybindings[command.id] }))}
+        .todos=${this.paletteOpen ? this.model.todos : []}
+        @palette-command=${this.handlePaletteCommand}
+        @palette-todo=${this.handlePaletteTodo}
+        @palette-close=${() => this.paletteOpen = false}>
+      </todo-command-palette>
+
+      <todo-shortcuts-help
+        ?open=${this.shortcutsOpen}
+        .bindings=${this.keybindings}
+        @keybinding-change=${this.handleKeybindingChange}
+        @keybindings-reset=${this.handleKeybindingsReset}
+        @shortcuts-close=${() => this.shortcutsOpen = false}>
+      </todo-shortcuts-help>
+
+      <todo-dialog
+        ?open=${this.confirmation !== null}
+        offer-skip
+        .heading=${this.confirmation?.heading ?? ''}
+        .message=${this.confirmation?.message ?? ''}
+        .confirmLabel=${this.confirmation?.confirmLabel ?? ''}
+        .cancelLabel=${t('confirm.keep')}
+        @dialog-confirm=${this.handleDialogConfirm}
+        @dialog-cancel=${() => this.settleConfirmation(false)}>
+      </todo-dialog>
+
+      <div class="visually-hidden" role="status" aria-live="polite" aria-atomic="true">${this.announcement}</div>
+
+      <todo-toast
+        .message=${this.toast ? this.toast.message : ''}
+        .actionLabel=${this.toast ? this.toast.actionLabel : ''}
+        @toast-action=${this.handleToastAction}
+        @toast-dismiss=${this.handleToastDismiss}>
+      </todo-toast>
     `;
   }
 }
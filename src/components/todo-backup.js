@@ -0,0 +1,276 @@
+import { LitElement, html, css } from 'lit';
+import { textFormatLabel } from '../models/text-formats.js';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * TodoBackup - Export and Import actions for JSON backups, Markdown task
+ * lists and todo.txt, plus the import review panel that lists invalid
+ * records and asks how to import the rest.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires export-data - Dispatched when an Export button is clicked
+ * @fires import-file - Dispatched with the text of the chosen file or pasted text
+ * @fires import-confirm - Dispatched when the user picks replace or merge
+ * @fires import-dismiss - Dispatched when the import is abandoned
+ *
+ * @property {Object|null} preview - Parsed import awaiting confirmation; text imports carry a `format`
+ * @property {boolean} isPasting - Whether the paste area is shown
+ * @property {string} pasteValue - Current value of the paste area
+ */
+export class TodoBackup extends LitElement {
+  static properties = {
+    preview: { type: Object },
+    isPasting: { state: true },
+    pasteValue: { state: true }
+  };
+
+  static styles = [reducedMotionStyles, css`
+    :host {
+      display: block;
+      margin-top: 12px;
+    }
+
+    .backup-actions,
+    .import-choices {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+
+    .backup-actions + .backup-actions {
+      margin-top: 8px;
+    }
+
+    .paste-panel textarea {
+      width: 100%;
+      box-sizing: border-box;
+      min-height: 120px;
+      margin-bottom: 8px;
+      padding: 8px;
+      font-family: monospace;
+      font-size: 13px;
+      border: 2px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+    }
+
+    button {
+      flex: 1;
+      padding: 8px 16px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-text, #333);
+      font-size: 14px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover {
+      background: var(--color-border, #e0e0e0);
+    }
+
+    .import-panel,
+    .paste-panel {
+      margin-top: 12px;
+      padding: 16px;
+      border: 2px solid var(--color-primary, #667eea);
+      border-radius: 8px;
+      color: var(--color-text, #333);
+      font-size: 14px;
+    }
+
+    .import-summary {
+      margin-bottom: 8px;
+      font-weight: 600;
+    }
+
+    .import-errors {
+      max-height: 160px;
+      overflow-y: auto;
+      margin: 0 0 12px 0;
+      padding-inline-start: 20px;
+      color: var(--color-btn-delete, #f44336);
+      font-size: 13px;
+    }
+
+    .import-replace {
+      background: var(--color-btn-delete, #f44336);
+      border-color: transparent;
+      color: white;
+    }
+
+    .import-merge {
+      background: var(--color-primary, #667eea);
+      border-color: transparent;
+      color: white;
+    }
+  `];
+
+  /**
+   * Creates a TodoBackup instance.
+   */
+  constructor() {
+    super();
+    this.preview = null;
+    this.isPasting = false;
+    this.pasteValue = '';
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches a backup event.
+   *
+   * @param {string} type - Event name
+   * @param {Object} [detail] - Event detail
+   * @private
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Reads the chosen file and dispatches import-file event.
+   *
+   * @param {Event} e - Change event from the file input
+   */
+  async handleFileChange(e) {
+    const [file] = e.target.files;
+    // Reset so choosing the same file again still fires change
+    e.target.value = '';
+    if (file) {
+      this.emit('import-file', { name: file.name, text: await file.text() });
+    }
+  }
+
+  /**
+   * Submits the pasted text for import.
+   * Dispatches import-file event without a file name.
+   */
+  handlePasteSubmit() {
+    if (this.pasteValue.trim()) {
+      this.emit('import-file', { name: null, text: this.pasteValue });
+      this.isPasting = false;
+      this.pasteValue = '';
+    }
+  }
+
+  /**
+   * Renders the paste area for Markdown, todo.txt or JSON text.
+   *
+   * @returns {import('lit').TemplateResult} Paste area markup
+   * @private
+   */
+  renderPaste() {
+    return html`
+      <div class="paste-panel">
+        <textarea
+          class="paste-input"
+          .value=${this.pasteValue}
+          @input=${(e) => this.pasteValue = e.target.value}
+          placeholder=${t('backup.pastePlaceholder')}
+          aria-label=${t('backup.pasteLabel')}
+        ></textarea>
+        <div class="import-choices">
+          <button class="paste-submit" @click=${this.handlePasteSubmit} ?disabled=${!this.pasteValue.trim()}>
+            ${t('backup.importPasted')}
+          </button>
+          <button @click=${() => this.isPasting = false}>${t('common.close')}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the review panel for a parsed backup.
+   *
+   * @returns {import('lit').TemplateResult} Panel markup
+   * @private
+   */
+  renderPreview() {
+    const { todoCount, lists, errors, format } = this.preview;
+    const source = format
+      ? t('backup.formatText', { format: textFormatLabel(format) })
+      : t('common.lists', { count: lists.length });
+
+    return html`
+      <div class="import-panel" role="region" aria-label=${t('backup.review')}>
+        <p class="import-summary">
+          ${t('backup.summary', { todos: t('common.todos', { count: todoCount }), source })}
+          ${errors.length > 0 ? t('backup.invalid', { count: errors.length }) : ''}
+        </p>
+        ${errors.length > 0 ? html`
+          <ul class="import-errors">
+            ${errors.map(error => html`
+              <li>
+                ${error.index === null ? error.list : t('backup.record', { list: error.list, number: error.index + 1 })}:
+                ${error.messages.join('; ')}
+              </li>
+            `)}
+          </ul>
+        ` : ''}
+        <div class="import-choices">
+          ${format ? html`
+            <button class="import-merge" @click=${() => this.emit('import-confirm', { mode: 'merge' })}>
+              ${t('backup.importInto', { name: lists[0].name })}
+            </button>
+          ` : html`
+            <button class="import-replace" @click=${() => this.emit('import-confirm', { mode: 'replace' })}>
+              ${t('backup.replace')}
+            </button>
+            <button class="import-merge" @click=${() => this.emit('import-confirm', { mode: 'merge' })}>
+              ${t('backup.merge')}
+            </button>
+          `}
+          <button class="import-dismiss" @click=${() => this.emit('import-dismiss')}>
+            ${t('common.close')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  render() {
+    return html`
+      <div class="backup-actions">
+        <button class="export-btn" @click=${() => this.emit('export-data', { format: 'json' })}>
+          ${t('backup.exportJson')}
+        </button>
+        <button class="export-markdown-btn" @click=${() => this.emit('export-data', { format: 'markdown' })}>
+          ${t('backup.exportMarkdown')}
+        </button>
+        <button class="export-todotxt-btn" @click=${() => this.emit('export-data', { format: 'todotxt' })}>
+          ${t('backup.exportTodoTxt')}
+        </button>
+      </div>
+      <div class="backup-actions">
+        <button class="import-btn" @click=${() => this.shadowRoot.querySelector('.import-file').click()}>
+          ${t('backup.importFile')}
+        </button>
+        <button class="paste-btn" @click=${() => this.isPasting = !this.isPasting}>
+          ${t('backup.paste')}
+        </button>
+        <input
+          type="file"
+          class="import-file"
+          accept=".json,.md,.markdown,.txt,application/json,text/markdown,text/plain"
+          @change=${this.handleFileChange}
+          hidden
+        />
+      </div>
+      ${this.isPasting ? this.renderPaste() : ''}
+      ${this.preview ? this.renderPreview() : ''}
+    `;
+  }
+}
+
+customElements.define('todo-backup', TodoBackup);
@@ -0,0 +1,245 @@
+import { LitElement, html, css } from 'lit';
+import { PRIORITIES, priorityLabel } from '../models/priority.js';
+import { normalizeTag } from '../models/tags.js';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * TodoBatchBar - Action bar shown while todos are being selected.
+ * Every action applies to all selected todos at once.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires batch-complete - Dispatched when Complete or Reopen is clicked
+ * @fires batch-delete - Dispatched when Delete is clicked
+ * @fires batch-update - Dispatched when a tag, priority or due date is applied
+ * @fires batch-move - Dispatched when another list is chosen
+ * @fires select-all - Dispatched when Select all is clicked
+ * @fires selection-end - Dispatched when Done is clicked
+ *
+ * @property {Array<number>} ids - IDs of the selected todos
+ * @property {number} total - Number of todos that can be selected
+ * @property {Array<{id: number, name: string}>} lists - Lists the todos can be moved to
+ * @property {number} currentListId - ID of the list being displayed
+ * @property {string} tagValue - Current value of the tag input
+ */
+export class TodoBatchBar extends LitElement {
+  static properties = {
+    ids: { type: Array },
+    total: { type: Number },
+    lists: { type: Array },
+    currentListId: { type: Number },
+    tagValue: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      border-radius: 8px;
+      background: var(--color-background, #f5f5f5);
+      border: 1px solid var(--color-primary, #667eea);
+      color: var(--color-text, #333);
+      font-size: 13px;
+    }
+
+    .batch-count {
+      font-weight: 600;
+      margin-inline-end: auto;
+    }
+
+    .batch-group {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    button,
+    input,
+    select {
+      padding: 6px 10px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      background: var(--color-surface, white);
+      color: inherit;
+      font-size: 13px;
+    }
+
+    button {
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .batch-tag-input {
+      width: 90px;
+    }
+
+    .batch-delete {
+      border-color: var(--color-btn-delete, #f44336);
+      color: var(--color-btn-delete, #f44336);
+    }
+
+    .batch-done {
+      background: var(--color-primary, #667eea);
+      border-color: var(--color-primary, #667eea);
+      color: white;
+      font-weight: 600;
+    }
+  `;
+
+  constructor() {
+    super();
+    this.ids = [];
+    this.total = 0;
+    this.lists = [];
+    this.currentListId = 1;
+    this.tagValue = '';
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches an event carrying the selected IDs.
+   *
+   * @param {string} type - Event name
+   * @param {Object} [detail={}] - Extra event detail
+   * @private
+   */
+  emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail: { ids: [...this.ids], ...detail },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Adds the typed tag to every selected todo.
+   * Dispatches batch-update event.
+   */
+  handleTag() {
+    const tag = normalizeTag(this.tagValue);
+    if (!tag) {
+      return;
+    }
+    this.emit('batch-update', { changes: { addTags: [tag] } });
+    this.tagValue = '';
+  }
+
+  /**
+   * Handles Enter in the tag input.
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleTagKeyDown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.handleTag();
+    }
+  }
+
+  /**
+   * Applies the chosen priority, then resets the select to its prompt.
+   * Dispatches batch-update event.
+   *
+   * @param {Event} e - Change event from the priority select
+   */
+  handlePriorityChange(e) {
+    const priority = e.target.value;
+    e.target.value = '';
+    if (priority) {
+      this.emit('batch-update', { changes: { priority } });
+    }
+  }
+
+  /**
+   * Applies the chosen due date; an emptied date input clears it.
+   * Dispatches batch-update event.
+   *
+   * @param {Event} e - Change event from the date input
+   */
+  handleDueChange(e) {
+    this.emit('batch-update', { changes: { dueDate: e.target.value || null } });
+  }
+
+  /**
+   * Moves the selection to the chosen list, then resets the select.
+   * Dispatches batch-move event.
+   *
+   * @param {Event} e - Change event from the list select
+   */
+  handleMoveChange(e) {
+    const listId = Number(e.target.value);
+    e.target.value = '';
+    if (listId) {
+      this.emit('batch-move', { listId });
+    }
+  }
+
+  render() {
+    const count = this.ids.length;
+    const none = count === 0;
+    const otherLists = this.lists.filter(list => list.id !== this.currentListId);
+
+    return html`
+      <span class="batch-count" role="status">${t('batch.count', { count })}</span>
+      <button
+        class="batch-select-all"
+        @click=${() => this.emit('select-all')}
+        ?disabled=${count === this.total}>
+        ${t('batch.selectAll')}
+      </button>
+      <div class="batch-group">
+        <button class="batch-complete" @click=${() => this.emit('batch-complete', { completed: true })} ?disabled=${none}>
+          ${t('batch.complete')}
+        </button>
+        <button class="batch-reopen" @click=${() => this.emit('batch-complete', { completed: false })} ?disabled=${none}>
+          ${t('batch.reopen')}
+        </button>
+        <button class="batch-delete" @click=${() => this.emit('batch-delete')} ?disabled=${none}>
+          ${t('batch.delete')}
+        </button>
+      </div>
+      <div class="batch-group">
+        <input
+          class="batch-tag-input"
+          placeholder=${t('batch.tagPlaceholder')}
+          .value=${this.tagValue}
+          @input=${(e) => this.tagValue = e.target.value}
+          @keydown=${this.handleTagKeyDown}
+          ?disabled=${none}
+          aria-label=${t('batch.tagLabel')}
+        />
+        <button class="batch-tag" @click=${this.handleTag} ?disabled=${none || !normalizeTag(this.tagValue)}>
+          ${t('batch.tag')}
+        </button>
+      </div>
+      <select class="batch-priority" @change=${this.handlePriorityChange} ?disabled=${none} aria-label=${t('batch.priority')}>
+        <option value="" selected>${t('batch.priorityPrompt')}</option>
+        ${PRIORITIES.map(level => html`<option value=${level}>${priorityLabel(level)}</option>`)}
+      </select>
+      <input
+        type="date"
+        class="batch-due"
+        @change=${this.handleDueChange}
+        ?disabled=${none}
+        aria-label=${t('batch.due')}
+      />
+      ${otherLists.length > 0 ? html`
+        <select class="batch-move" @change=${this.handleMoveChange} ?disabled=${none} aria-label=${t('batch.move')}>
+          <option value="" selected>${t('batch.movePrompt')}</option>
+          ${otherLists.map(list => html`<option value=${list.id}>${list.name}</option>`)}
+        </select>
+      ` : ''}
+      <button class="batch-done" @click=${() => this.emit('selection-end')}>${t('batch.done')}</button>
+    `;
+  }
+}
+
+customElements.define('todo-batch-bar', TodoBatchBar);
@@ -0,0 +1,295 @@
+import { LitElement, html, css } from 'lit';
+import { fuzzyScore } from '../models/search.js';
+import { formatKey } from '../models/keybindings.js';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * Most results shown at once.
+ *
+ * @type {number}
+ */
+const MAX_RESULTS = 12;
+
+/**
+ * TodoCommandPalette - Modal search box that runs a command or jumps to
+ * a todo. Commands and todos are matched with a fuzzy search, so "shac"
+ * finds "Show active todos". Up/Down pick a result, Enter runs it and
+ * Escape closes the palette.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires palette-command - Dispatched when a command is chosen
+ * @fires palette-todo - Dispatched when a todo is chosen
+ * @fires palette-close - Dispatched when the palette is dismissed
+ *
+ * @property {boolean} open - Whether the palette is shown
+ * @property {Array<{id: string, label: string, keys: Array<string>}>} commands - Commands with their current keys
+ * @property {Array<Object>} todos - Todos that can be jumped to
+ * @property {string} query - Current search text
+ * @property {number} activeIndex - Index of the highlighted result
+ */
+export class TodoCommandPalette extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    commands: { type: Array },
+    todos: { type: Array },
+    query: { state: true },
+    activeIndex: { state: true }
+  };
+
+  static styles = css`
+    dialog {
+      width: min(520px, calc(100vw - 32px));
+      margin-top: 12vh;
+      padding: 0;
+      border: none;
+      border-radius: 12px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+      box-shadow: 0 16px 48px rgba(0, 0, 0, 0.3);
+    }
+
+    dialog::backdrop {
+      background: rgba(0, 0, 0, 0.4);
+    }
+
+    .palette-input {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 16px;
+      border: none;
+      border-bottom: 1px solid var(--color-border, #e0e0e0);
+      background: transparent;
+      color: inherit;
+      font-size: 16px;
+      outline: none;
+    }
+
+    ul {
+      max-height: 360px;
+      margin: 0;
+      padding: 6px;
+      overflow-y: auto;
+      list-style: none;
+    }
+
+    .palette-option {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 10px 12px;
+      border-radius: 6px;
+      cursor: pointer;
+    }
+
+    .palette-option.active {
+      background: var(--color-primary, #667eea);
+      color: white;
+    }
+
+    .palette-option .completed {
+      text-decoration: line-through;
+      opacity: 0.7;
+    }
+
+    .palette-hint {
+      flex-shrink: 0;
+      font-size: 12px;
+      opacity: 0.7;
+    }
+
+    kbd {
+      padding: 1px 6px;
+      border: 1px solid currentColor;
+      border-radius: 4px;
+      font-family: inherit;
+    }
+
+    .palette-empty {
+      padding: 16px;
+      text-align: center;
+      color: var(--color-text-muted, #666);
+    }
+  `;
+
+  constructor() {
+    super();
+    this.open = false;
+    this.commands = [];
+    this.todos = [];
+    this.query = '';
+    this.activeIndex = 0;
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Starts each visit with an empty query.
+   *
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  willUpdate(changed) {
+    if (changed.has('open') && this.open) {
+      this.query = '';
+      this.activeIndex = 0;
+    }
+  }
+
+  /**
+   * Shows or hides the dialog when `open` changes.
+   *
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  updated(changed) {
+    if (!changed.has('open')) {
+      return;
+    }
+    const dialog = this.shadowRoot.querySelector('dialog');
+    if (this.open && !dialog.open) {
+      dialog.showModal();
+      this.shadowRoot.querySelector('.palette-input').focus();
+    } else if (!this.open && dialog.open) {
+      dialog.close();
+    }
+  }
+
+  /**
+   * Gets the commands and todos matching the query, best match first.
+   * Without a query every command is listed, then the todos.
+   *
+   * @returns {Array<{type: 'command'|'todo', id: (string|number), label: string, hint: *, completed?: boolean}>} Results
+   */
+  get results() {
+    const candidates = [
+      ...this.commands.map(command => ({
+        type: 'command',
+        id: command.id,
+        label: command.label,
+        hint: command.keys.length > 0 ? html`<kbd>${formatKey(command.keys[0])}</kbd>` : ''
+      })),
+      ...this.todos.map(todo => ({
+        type: 'todo',
+        id: todo.id,
+        label: todo.text,
+        hint: t('palette.todo'),
+        completed: todo.completed
+      }))
+    ];
+
+    return candidates
+      .map((candidate, order) => ({ candidate, order, score: fuzzyScore(candidate.label, this.query) }))
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, MAX_RESULTS)
+      .map(({ candidate }) => candidate);
+  }
+
+  /**
+   * Picks a result; the app runs it and closes the palette.
+   * Dispatches palette-command or palette-todo event.
+   *
+   * @param {{type: string, id: (string|number)}} result - Chosen result
+   */
+  choose(result) {
+    this.dispatchEvent(new CustomEvent(result.type === 'command' ? 'palette-command' : 'palette-todo', {
+      detail: { id: result.id },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Asks the app to close the palette.
+   * Dispatches palette-close event.
+   */
+  dismiss() {
+    this.dispatchEvent(new CustomEvent('palette-close', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Updates the query and highlights the best match.
+   *
+   * @param {InputEvent} e - Input event from the search box
+   */
+  handleInput(e) {
+    this.query = e.target.value;
+    this.activeIndex = 0;
+  }
+
+  /**
+   * Handles Up/Down and Enter in the search box.
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    const results = this.results;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.activeIndex = (this.activeIndex + step + results.length) % Math.max(results.length, 1);
+    } else if (e.key === 'Enter' && results[this.activeIndex]) {
+      e.preventDefault();
+      this.choose(results[this.activeIndex]);
+    }
+  }
+
+  /**
+   * Closes the palette on Escape instead of letting the dialog close
+   * itself, so `open` stays the single source of truth.
+   *
+   * @param {Event} e - Cancel event from the dialog
+   */
+  handleCancel(e) {
+    e.preventDefault();
+    this.dismiss();
+  }
+
+  render() {
+    const results = this.results;
+    const active = Math.min(this.activeIndex, results.length - 1);
+
+    return html`
+      <dialog
+        aria-label=${t('palette.label')}
+        @cancel=${this.handleCancel}
+        @click=${(e) => e.target.tagName === 'DIALOG' && this.dismiss()}>
+        <input
+          class="palette-input"
+          type="search"
+          role="combobox"
+          placeholder=${t('palette.placeholder')}
+          aria-label=${t('palette.input')}
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant=${active >= 0 ? `palette-option-${active}` : ''}
+          autocomplete="off"
+          .value=${this.query}
+          @input=${this.handleInput}
+          @keydown=${this.handleKeyDown}
+        />
+        ${results.length > 0 ? html`
+          <ul id="palette-results" role="listbox" aria-label=${t('palette.results')}>
+            ${results.map((result, index) => html`
+              <li
+                id="palette-option-${index}"
+                class="palette-option ${index === active ? 'active' : ''}"
+                role="option"
+                aria-selected=${index === active ? 'true' : 'false'}
+                @mousemove=${() => this.activeIndex = index}
+                @click=${() => this.choose(result)}>
+                <span class=${result.completed ? 'completed' : ''}>${result.label}</span>
+                <span class="palette-hint">${result.hint}</span>
+              </li>
+            `)}
+          </ul>
+        ` : html`<p class="palette-empty" role="status">${t('palette.empty')}</p>`}
+      </dialog>
+    `;
+  }
+}
+
+customElements.define('todo-command-palette', TodoCommandPalette);
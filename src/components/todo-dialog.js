@@ -0,0 +1,266 @@
+import { LitElement, html, css } from 'lit';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * Elements that can take focus inside the dialog, in tab order.
+ *
+ * @type {string}
+ * @private
+ */
+const FOCUSABLE = 'button:not([disabled]), input:not([disabled])';
+
+/**
+ * TodoDialog - Accessible modal confirmation, used instead of the
+ * blocking `window.confirm()`. Focus moves to the confirm button when the
+ * dialog opens, Tab and Shift+Tab stay inside it, Enter confirms, Escape
+ * cancels, and focus returns to the element that opened it on close.
+ * With `offer-skip` a "Don't ask again" checkbox is shown; its state is
+ * sent with dialog-confirm so the caller can remember it.
+ *
+ * Like the other dialogs, it never closes itself: `open` stays the single
+ * source of truth and the caller closes it in response to the events.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires dialog-confirm - Dispatched when the action is confirmed, with detail.skip
+ * @fires dialog-cancel - Dispatched when the dialog is cancelled or dismissed
+ *
+ * @property {boolean} open - Whether the dialog is shown
+ * @property {string} heading - Question asked, e.g. "Delete this todo?"
+ * @property {string} message - Explanation shown under the heading
+ * @property {string} confirmLabel - Label of the confirm button, "OK" if empty
+ * @property {string} cancelLabel - Label of the cancel button, "Cancel" if empty
+ * @property {boolean} offerSkip - Whether to show the "Don't ask again" checkbox
+ * @property {boolean} skip - Whether "Don't ask again" is ticked
+ */
+export class TodoDialog extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    heading: { type: String },
+    message: { type: String },
+    confirmLabel: { type: String, attribute: 'confirm-label' },
+    cancelLabel: { type: String, attribute: 'cancel-label' },
+    offerSkip: { type: Boolean, attribute: 'offer-skip' },
+    skip: { state: true }
+  };
+
+  static styles = css`
+    dialog {
+      width: min(420px, calc(100vw - 32px));
+      padding: 20px 24px;
+      border: none;
+      border-radius: 12px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+      box-shadow: 0 16px 48px var(--color-shadow, rgba(0, 0, 0, 0.3));
+    }
+
+    dialog::backdrop {
+      background: rgba(0, 0, 0, 0.4);
+    }
+
+    h2 {
+      margin: 0 0 8px;
+      font-size: 20px;
+    }
+
+    p {
+      margin: 0 0 16px;
+      color: var(--color-text-muted, #666);
+      line-height: 1.4;
+      overflow-wrap: anywhere;
+    }
+
+    .dialog-skip {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 16px;
+      font-size: 14px;
+      cursor: pointer;
+    }
+
+    .dialog-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+
+    button {
+      padding: 8px 16px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: var(--color-surface, white);
+      color: inherit;
+      font-size: 14px;
+      cursor: pointer;
+    }
+
+    button:focus-visible {
+      outline: 2px solid var(--color-primary, #667eea);
+      outline-offset: 2px;
+    }
+
+    .dialog-confirm {
+      background: var(--color-btn-delete, #f44336);
+      border-color: var(--color-btn-delete, #f44336);
+      color: white;
+      font-weight: 600;
+    }
+
+    .dialog-confirm:hover {
+      background: var(--color-btn-delete-hover, #da190b);
+    }
+  `;
+
+  constructor() {
+    super();
+    this.open = false;
+    this.heading = '';
+    this.message = '';
+    this.confirmLabel = '';
+    this.cancelLabel = '';
+    this.offerSkip = false;
+    this.skip = false;
+    this.returnFocus = null;
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Starts each visit with "Don't ask again" unticked.
+   *
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  willUpdate(changed) {
+    if (changed.has('open') && this.open) {
+      this.skip = false;
+    }
+  }
+
+  /**
+   * Shows or hides the dialog when `open` changes, moving focus in on
+   * open and back to where it was on close.
+   *
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  updated(changed) {
+    if (!changed.has('open')) {
+      return;
+    }
+    const dialog = this.shadowRoot.querySelector('dialog');
+    if (this.open && !dialog.open) {
+      this.returnFocus = deepActiveElement();
+      dialog.showModal();
+      this.shadowRoot.querySelector('.dialog-confirm').focus();
+    } else if (!this.open && dialog.open) {
+      dialog.close();
+      const target = this.returnFocus;
+      this.returnFocus = null;
+      if (target?.isConnected) {
+        target.focus();
+      }
+    }
+  }
+
+  /**
+   * Dispatches dialog-confirm event.
+   */
+  confirm() {
+    this.dispatchEvent(new CustomEvent('dialog-confirm', {
+      detail: { skip: this.offerSkip && this.skip },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Dispatches dialog-cancel event.
+   */
+  cancel() {
+    this.dispatchEvent(new CustomEvent('dialog-cancel', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Cancels on Escape instead of letting the dialog close itself.
+   *
+   * @param {Event} e - Cancel event from the dialog
+   */
+  handleCancel(e) {
+    e.preventDefault();
+    this.cancel();
+  }
+
+  /**
+   * Keeps Tab inside the dialog and confirms on Enter, except on a
+   * button, which Enter activates as usual.
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    e.stopPropagation(); // App-wide shortcuts must not act behind the dialog
+    if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+      e.preventDefault();
+      this.confirm();
+    } else if (e.key === 'Tab') {
+      const focusable = [...this.shadowRoot.querySelectorAll(FOCUSABLE)];
+      const index = focusable.indexOf(this.shadowRoot.activeElement);
+      const next = (index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+      e.preventDefault();
+      focusable[next].focus();
+    }
+  }
+
+  render() {
+    // Nothing is rendered while closed, so the buttons never clash with
+    // the page's own when looked up by their text
+    return html`
+      <dialog
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="dialog-heading"
+        aria-describedby="dialog-message"
+        @cancel=${this.handleCancel}
+        @keydown=${this.handleKeyDown}>
+        ${this.open ? html`
+          <h2 id="dialog-heading">${this.heading}</h2>
+          <p id="dialog-message">${this.message}</p>
+          ${this.offerSkip ? html`
+            <label class="dialog-skip">
+              <input
+                type="checkbox"
+                .checked=${this.skip}
+                @change=${(e) => this.skip = e.target.checked}
+              />
+              ${t('confirm.skip')}
+            </label>
+          ` : ''}
+          <div class="dialog-actions">
+            <button class="dialog-cancel" @click=${this.cancel}>${this.cancelLabel || t('common.cancel')}</button>
+            <button class="dialog-confirm" @click=${this.confirm}>${this.confirmLabel || t('confirm.ok')}</button>
+          </div>
+        ` : ''}
+      </dialog>
+    `;
+  }
+}
+
+/**
+ * Finds the focused element, looking inside shadow roots, so focus can
+ * be given back to a button inside another component.
+ *
+ * @returns {Element|null} Focused element
+ * @private
+ */
+function deepActiveElement() {
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  return element;
+}
+
+customElements.define('todo-dialog', TodoDialog);
@@ -1,20 +1,56 @@
 import { LitElement, html, css } from 'lit';
+import { PRIORITIES, priorityLabel } from '../models/priority.js';
+import { formatRoute } from '../services/router.js';
+import { t, direction } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
 
 /**
- * TodoFilter - Filter tabs for displaying All/Active/Completed todos.
+ * Filter tabs in display order. Each is labelled by the message
+ * `filter.<name>`, e.g. 'filter.active'.
+ * 
+ * @type {Array<string>}
+ */
+const FILTER_TABS = ['all', 'active', 'completed', 'today', 'overdue', 'upcoming'];
+
+/**
+ * TodoFilter - Filter tabs for displaying All/Active/Completed todos
+ * and the due-date views Today/Overdue/Upcoming. The tabs are links to
+ * the views' routes (e.g. "#/active"), so they can be bookmarked and
+ * opened in a new tab. They form an ARIA tablist with a roving tabindex:
+ * Tab reaches the current view only, and the arrow keys, Home and End
+ * move between the views.
  * 
  * @class
  * @extends {LitElement}
- * @fires filter-change - Dispatched when a filter tab is clicked
+ * @fires priority-filter-change - Dispatched when the priority select changes
+ * @fires sort-change - Dispatched when the sort select changes
+ * @fires tag-filter-change - Dispatched when the tag select changes or the tag filter is cleared
+ * @fires rename-tag - Dispatched when the selected tag is renamed
+ * @fires delete-tag - Dispatched when the selected tag is deleted
  * 
- * @property {string} currentFilter - Currently selected filter ('all', 'active', 'completed')
+ * @property {string} currentFilter - Currently selected filter (see FILTER_TABS)
+ * @property {number} overdueCount - Number of overdue todos, shown as a badge on the Overdue tab
+ * @property {string|null} priorityFilter - Priority the view is restricted to, or null for all
+ * @property {string} sortOrder - Current sort order ('default' or 'priority')
+ * @property {string|null} tagFilter - Tag the view is restricted to, or null for all
+ * @property {Array<string>} tags - Every tag in use, offered in the tag select
+ * @property {boolean} isRenaming - Whether the rename-tag input is shown
+ * @property {string} renameValue - Current value of the rename-tag input
  */
 export class TodoFilter extends LitElement {
   static properties = {
-    currentFilter: { type: String }
+    currentFilter: { type: String },
+    overdueCount: { type: Number },
+    priorityFilter: { type: String },
+    sortOrder: { type: String },
+    tagFilter: { type: String },
+    tags: { type: Array },
+    isRenaming: { state: true },
+    renameValue: { state: true }
   };
 
-  static styles = css`
+  static styles = [reducedMotionStyles, css`
     :host {
       display: block;
       margin: 20px 0;
@@ -22,6 +58,7 @@ export class TodoFilter extends LitElement {
 
     .filter-tabs {
       display: flex;
+      flex-wrap: wrap;
       gap: 8px;
       background: var(--color-background, #f5f5f5);
       padding: 8px;
@@ -30,14 +67,18 @@ export class TodoFilter extends LitElement {
     }
 
     .filter-tab {
-      flex: 1;
-      padding: 10px 16px;
+      flex: 1 1 0;
+      min-width: 80px;
+      box-sizing: border-box;
+      padding: 10px 12px;
       border: none;
       border-radius: 6px;
       background: transparent;
       color: var(--color-text-muted, #666);
       font-size: 14px;
       font-weight: 600;
+      text-align: center;
+      text-decoration: none;
       cursor: pointer;
       transition: all 0.2s;
     }
@@ -51,7 +92,86 @@ export class TodoFilter extends LitElement {
       background: var(--color-primary, #667eea);
       color: white;
     }
-  `;
+
+    .filter-tab:focus-visible {
+      outline: 2px solid var(--color-primary, #667eea);
+      outline-offset: 2px;
+    }
+
+    .view-options {
+      display: flex;
+      gap: 8px;
+      margin-top: 8px;
+    }
+
+    .view-options label {
+      display: flex;
+      flex: 1;
+      align-items: center;
+      gap: 8px;
+      font-size: 13px;
+      color: var(--color-text-muted, #666);
+    }
+
+    .view-options select {
+      flex: 1;
+      padding: 6px 8px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+      transition: background 0.3s ease, color 0.3s ease;
+    }
+
+    .tag-options {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 8px;
+      font-size: 13px;
+      color: var(--color-text-muted, #666);
+    }
+
+    .tag-options input {
+      flex: 1;
+      padding: 6px 8px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+    }
+
+    .tag-action {
+      padding: 6px 10px;
+      border: none;
+      border-radius: 6px;
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-text, #333);
+      font-size: 13px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    .tag-action:hover {
+      background: rgba(102, 126, 234, 0.1);
+    }
+
+    .tag-action.danger {
+      color: var(--color-btn-delete, #f44336);
+    }
+
+    .badge {
+      display: inline-block;
+      min-width: 18px;
+      margin-inline-start: 4px;
+      padding: 0 6px;
+      border-radius: 9px;
+      background: var(--color-btn-delete, #f44336);
+      color: white;
+      font-size: 11px;
+      line-height: 18px;
+    }
+  `];
 
   /**
    * Creates a TodoFilter instance.
@@ -59,40 +179,207 @@ export class TodoFilter extends LitElement {
   constructor() {
     super();
     this.currentFilter = 'all';
+    this.overdueCount = 0;
+    this.priorityFilter = null;
+    this.sortOrder = 'default';
+    this.tagFilter = null;
+    this.tags = [];
+    this.isRenaming = false;
+    this.renameValue = '';
+    this.localeController = new LocaleController(this);
   }
 
   /**
-   * Handles filter tab click.
+   * Handles priority select change.
    * 
-   * @param {string} filter - Filter type to apply
+   * @param {Event} e - Change event; an empty value means every priority
    */
-  handleFilterClick(filter) {
-    this.dispatchEvent(new CustomEvent('filter-change', {
-      detail: { filter },
+  handlePriorityChange(e) {
+    this.dispatchEvent(new CustomEvent('priority-filter-change', {
+      detail: { priority: e.target.value || null },
       bubbles: true,
       composed: true
     }));
   }
 
+  /**
+   * Handles sort select change.
+   * 
+   * @param {Event} e - Change event
+   */
+  handleSortChange(e) {
+    this.dispatchEvent(new CustomEvent('sort-change', {
+      detail: { sortOrder: e.target.value },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Dispatches tag-filter-change for the given tag.
+   * 
+   * @param {string|null} tag - Tag name, or null to show every todo
+   * @private
+   */
+  selectTag(tag) {
+    this.isRenaming = false;
+    this.dispatchEvent(new CustomEvent('tag-filter-change', {
+      detail: { tag },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Shows the rename input pre-filled with the selected tag.
+   */
+  handleRenameStart() {
+    this.isRenaming = true;
+    this.renameValue = this.tagFilter;
+  }
+
+  /**
+   * Dispatches rename-tag for the selected tag and hides the rename input.
+   * 
+   * @param {Event} e - Form submit event
+   */
+  handleRenameSubmit(e) {
+    e.preventDefault();
+    const to = this.renameValue.trim();
+    if (to && to !== this.tagFilter) {
+      this.dispatchEvent(new CustomEvent('rename-tag', {
+        detail: { from: this.tagFilter, to },
+        bubbles: true,
+        composed: true
+      }));
+    }
+    this.isRenaming = false;
+  }
+
+  /**
+   * Dispatches delete-tag for the selected tag.
+   */
+  handleDeleteTag() {
+    this.dispatchEvent(new CustomEvent('delete-tag', {
+      detail: { tag: this.tagFilter },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Renders the tag select and, when a tag is selected, its rename/delete actions.
+   * 
+   * @returns {import('lit').TemplateResult|string} Tag options, or nothing if no tags exist
+   * @private
+   */
+  renderTagOptions() {
+    if (this.tags.length === 0 && !this.tagFilter) {
+      return '';
+    }
+
+    if (this.isRenaming) {
+      return html`
+        <form class="tag-options" @submit=${this.handleRenameSubmit}>
+          <input
+            class="rename-tag-input"
+            .value=${this.renameValue}
+            @input=${(e) => this.renameValue = e.target.value}
+            @keydown=${(e) => e.key === 'Escape' && (this.isRenaming = false)}
+            aria-label=${t('filter.newTagName')}
+          />
+          <button type="submit" class="tag-action">${t('common.save')}</button>
+          <button type="button" class="tag-action" @click=${() => this.isRenaming = false}>${t('common.cancel')}</button>
+        </form>
+      `;
+    }
+
+    return html`
+      <div class="tag-options">
+        <label>
+          ${t('filter.tag')}
+          <select class="tag-filter" @change=${(e) => this.selectTag(e.target.value || null)}>
+            <option value="" ?selected=${!this.tagFilter}>${t('filter.any')}</option>
+            ${this.tags.map(tag => html`
+              <option value=${tag} ?selected=${tag === this.tagFilter}>#${tag}</option>
+            `)}
+          </select>
+        </label>
+        ${this.tagFilter ? html`
+          <button class="tag-action" @click=${this.handleRenameStart}>${t('filter.renameTag')}</button>
+          <button class="tag-action danger" @click=${this.handleDeleteTag}>${t('filter.deleteTag')}</button>
+          <button class="tag-action" @click=${() => this.selectTag(null)} aria-label=${t('filter.clearTag')}>✕</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Moves between the tabs with the arrow keys, Home and End, switching
+   * to each view as it gets focus. Left and right follow the reading
+   * direction, so in right-to-left languages the right arrow goes back.
+   * 
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleTabKeyDown(e) {
+    const tabs = [...this.shadowRoot.querySelectorAll('.filter-tab')];
+    const index = tabs.indexOf(e.target);
+    const forward = direction() === 'rtl' ? -1 : 1;
+    const targets = {
+      ArrowRight: index + forward,
+      ArrowDown: index + 1,
+      ArrowLeft: index - forward,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: tabs.length - 1
+    };
+    if (index === -1 || !(e.key in targets) || e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation(); // Not a keyboard command, even if one is bound to the key
+    const tab = tabs[(targets[e.key] + tabs.length) % tabs.length];
+    tab.focus();
+    tab.click();
+  }
+
   render() {
     return html`
-      <div class="filter-tabs">
-        <button
-          class="filter-tab ${this.currentFilter === 'all' ? 'active' : ''}"
-          @click=${() => this.handleFilterClick('all')}>
-          All
-        </button>
-        <button
-          class="filter-tab ${this.currentFilter === 'active' ? 'active' : ''}"
-          @click=${() => this.handleFilterClick('active')}>
-          Active
-        </button>
-        <button
-          class="filter-tab ${this.currentFilter === 'completed' ? 'active' : ''}"
-          @click=${() => this.handleFilterClick('completed')}>
-          Completed
-        </button>
+      <div class="filter-tabs" role="tablist" aria-label=${t('filter.tabs')} @keydown=${this.handleTabKeyDown}>
+        ${FILTER_TABS.map(filter => html`
+          <a
+            class="filter-tab ${this.currentFilter === filter ? 'active' : ''}"
+            href=${formatRoute({ filter })}
+            role="tab"
+            aria-selected=${this.currentFilter === filter ? 'true' : 'false'}
+            tabindex=${this.currentFilter === filter ? '0' : '-1'}>
+            ${t(`filter.${filter}`)}
+            ${filter === 'overdue' && this.overdueCount > 0
+    ? html`<span class="badge">${this.overdueCount}</span>`
+    : ''}
+          </a>
+        `)}
+      </div>
+      <div class="view-options">
+        <label>
+          ${t('filter.priority')}
+          <select class="priority-filter" @change=${this.handlePriorityChange}>
+            <option value="" ?selected=${!this.priorityFilter}>${t('filter.any')}</option>
+            ${PRIORITIES.map(level => html`
+              <option value=${level} ?selected=${level === this.priorityFilter}>${priorityLabel(level)}</option>
+            `)}
+          </select>
+        </label>
+        <label>
+          ${t('filter.sort')}
+          <select class="sort-order" @change=${this.handleSortChange}>
+            <option value="default" ?selected=${this.sortOrder === 'default'}>${t('filter.sortDefault')}</option>
+            <option value="priority" ?selected=${this.sortOrder === 'priority'}>${t('filter.sortPriority')}</option>
+          </select>
+        </label>
       </div>
+      ${this.renderTagOptions()}
     `;
   }
 }
@@ -1,28 +1,53 @@
 import { LitElement, html, css } from 'lit';
+import { PRIORITIES, DEFAULT_PRIORITY, priorityLabel } from '../models/priority.js';
+import { parseQuickAdd } from '../models/quick-add.js';
+import { describeRecurrence } from '../models/recurrence.js';
+import { t, formatDate } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
 
 /**
  * TodoForm - Input form for adding new todos.
+ * The text is parsed as it is typed (see quick-add.js), and a row of
+ * chips previews the due date, priority, tags and recurrence found in it.
+ * Fields found in the text take precedence over the date, time and
+ * priority controls. Focusing the element focuses its text field.
  * 
  * @class
  * @extends {LitElement}
  * @fires add-todo - Dispatched when a new todo is submitted
  * 
  * @property {string} inputValue - Current value of the input field
+ * @property {string} dueDate - Selected due date ("YYYY-MM-DD"), empty if none
+ * @property {string} dueTime - Selected due time ("HH:MM"), empty if none
+ * @property {string} priority - Selected priority level
  */
 export class TodoForm extends LitElement {
+  static shadowRootOptions = { ...LitElement.shadowRootOptions, delegatesFocus: true };
+
   static properties = {
-    inputValue: { state: true }
+    inputValue: { state: true },
+    dueDate: { state: true },
+    dueTime: { state: true },
+    priority: { state: true }
   };
 
-  static styles = css`
+  static styles = [reducedMotionStyles, css`
     :host {
       display: block;
       margin-bottom: 20px;
     }
 
     form {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+
+    .due-fields {
       display: flex;
       gap: 8px;
+      width: 100%;
     }
 
     input {
@@ -41,6 +66,49 @@ export class TodoForm extends LitElement {
       border-color: var(--color-primary, #667eea);
     }
 
+    .due-fields input,
+    .due-fields select {
+      padding: 8px 12px;
+      font-size: 14px;
+    }
+
+    select {
+      border: 2px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+      transition: background 0.3s ease, color 0.3s ease;
+    }
+
+    .due-fields input:disabled {
+      opacity: 0.5;
+    }
+
+    .quick-add-preview {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      width: 100%;
+      font-size: 12px;
+    }
+
+    .chip {
+      padding: 2px 10px;
+      border-radius: 10px;
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-text-muted, #666);
+    }
+
+    .chip.preview-title {
+      color: var(--color-text, #333);
+      font-weight: 600;
+    }
+
+    .chip.preview-tag,
+    .chip.preview-recurrence {
+      color: var(--color-primary, #667eea);
+    }
+
     button {
       padding: 12px 24px;
       background: var(--color-primary, #667eea);
@@ -65,7 +133,7 @@ export class TodoForm extends LitElement {
       background: var(--color-btn-disabled, #ccc);
       cursor: not-allowed;
     }
-  `;
+  `];
 
   /**
    * Creates a TodoForm instance.
@@ -73,11 +141,16 @@ export class TodoForm extends LitElement {
   constructor() {
     super();
     this.inputValue = '';
+    this.dueDate = '';
+    this.dueTime = '';
+    this.priority = DEFAULT_PRIORITY;
+    this.localeController = new LocaleController(this);
   }
 
   /**
    * Handles form submission.
-   * Dispatches add-todo event with trimmed text and clears input.
+   * Dispatches add-todo event with the parsed text, due date, priority,
+   * tags and recurrence, then clears the inputs.
    * 
    * @param {Event} e - Form submit event
    */
@@ -86,13 +159,24 @@ export class TodoForm extends LitElement {
     const text = this.inputValue.trim();
 
     if (text) {
+      const parsed = parseQuickAdd(text);
       this.dispatchEvent(new CustomEvent('add-todo', {
-        detail: { text },
+        detail: {
+          text: parsed.text,
+          dueDate: parsed.dueDate || this.dueDate || null,
+          dueTime: parsed.dueDate ? parsed.dueTime : this.dueDate && this.dueTime ? this.dueTime : null,
+          priority: parsed.priority || this.priority,
+          tags: parsed.tags,
+          recurrence: parsed.recurrence
+        },
         bubbles: true,
         composed: true
       }));
 
       this.inputValue = '';
+      this.dueDate = '';
+      this.dueTime = '';
+      this.priority = DEFAULT_PRIORITY;
     }
   }
 
@@ -105,21 +189,79 @@ export class TodoForm extends LitElement {
     this.inputValue = e.target.value;
   }
 
+  /**
+   * Renders chips for what the typed text will create.
+   * 
+   * @returns {import('lit').TemplateResult|string} Preview markup, or nothing when no fields were found
+   * @private
+   */
+  renderPreview() {
+    const parsed = parseQuickAdd(this.inputValue);
+    if (!parsed.dueDate && !parsed.priority && parsed.tags.length === 0 && !parsed.recurrence) {
+      return '';
+    }
+
+    const [year, month, day] = (parsed.dueDate || '').split('-').map(Number);
+    const date = parsed.dueDate && formatDate(new Date(year, month - 1, day), {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+    const due = date && t('due.upcoming', { date });
+
+    return html`
+      <div class="quick-add-preview" aria-live="polite" aria-label=${t('form.preview')}>
+        <span class="chip preview-title">${parsed.text}</span>
+        ${due ? html`<span class="chip preview-due">${parsed.dueTime ? t('due.withTime', { due, time: parsed.dueTime }) : due}</span>` : ''}
+        ${parsed.priority ? html`<span class="chip preview-priority">${t('form.previewPriority', { priority: priorityLabel(parsed.priority) })}</span>` : ''}
+        ${parsed.tags.map(tag => html`<span class="chip preview-tag">#${tag}</span>`)}
+        ${parsed.recurrence ? html`<span class="chip preview-recurrence">↻ ${describeRecurrence(parsed.recurrence)}</span>` : ''}
+      </div>
+    `;
+  }
+
   render() {
     return html`
       <form @submit=${this.handleSubmit}>
         <input
           type="text"
-          placeholder="What needs to be done?"
+          placeholder=${t('form.placeholder')}
           .value=${this.inputValue}
           @input=${this.handleInput}
-          aria-label="New todo"
+          aria-label=${t('form.label')}
           maxlength="500"
           autofocus
         />
         <button type="submit" ?disabled=${!this.inputValue.trim()}>
-          Add
+          ${t('form.add')}
         </button>
+        ${this.renderPreview()}
+        <div class="due-fields">
+          <input
+            type="date"
+            class="due-date"
+            .value=${this.dueDate}
+            @input=${(e) => this.dueDate = e.target.value}
+            aria-label=${t('form.dueDate')}
+          />
+          <input
+            type="time"
+            class="due-time"
+            .value=${this.dueTime}
+            @input=${(e) => this.dueTime = e.target.value}
+            ?disabled=${!this.dueDate}
+            aria-label=${t('form.dueTime')}
+          />
+          <select
+            class="priority"
+            .value=${this.priority}
+            @change=${(e) => this.priority = e.target.value}
+            aria-label=${t('form.priority')}>
+            ${PRIORITIES.map(level => html`
+              <option value=${level} ?selected=${level === this.priority}>${priorityLabel(level)}</option>
+            `)}
+          </select>
+        </div>
       </form>
     `;
   }
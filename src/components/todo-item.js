@@ -1,27 +1,93 @@
 import { LitElement, html, css } from 'lit';
+import { getDueStatus } from '../models/due-date.js';
+import { PRIORITIES, getPriority, priorityLabel } from '../models/priority.js';
+import { formatWithTags } from '../models/tags.js';
+import { getSubtasks, getSubtaskProgress } from '../models/subtasks.js';
+import { findMatches } from '../models/search.js';
+import { formatRoute } from '../services/router.js';
+import { FREQUENCIES, MAX_INTERVAL_DAYS, frequencyLabel, describeRecurrence, normalizeRecurrence } from '../models/recurrence.js';
+import { t, formatDate, weekdayName } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * Weekdays offered for weekly rules, numbered like Date#getDay.
+ * 
+ * @type {Array<number>}
+ */
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
 
 /**
  * TodoItem - Individual todo item component.
- * Handles display, editing, toggling completion, and deletion.
+ * Handles display, editing, toggling completion, deletion, and an
+ * expandable checklist of subtasks. Edit mode also sets how the todo
+ * repeats. In selection mode a second checkbox adds the todo to a batch.
+ * Dates are shown in the format of the current language.
  * 
  * @class
  * @extends {LitElement}
  * @fires toggle-todo - Dispatched when checkbox is toggled
  * @fires delete-todo - Dispatched when delete button is clicked
  * @fires update-todo - Dispatched when todo text is edited and saved
+ * @fires tag-select - Dispatched when a tag chip is clicked
+ * @fires add-subtask - Dispatched when a checklist item is added
+ * @fires toggle-subtask - Dispatched when a checklist item's checkbox is toggled
+ * @fires update-subtask - Dispatched when a checklist item's text is edited and saved
+ * @fires delete-subtask - Dispatched when a checklist item is deleted
+ * @fires move-todo - Dispatched when another list is chosen in edit mode and saved
+ * @fires nudge-todo - Dispatched when Alt+Up/Down is pressed to move the todo in the list
+ * @fires select-todo - Dispatched when the selection checkbox is clicked or the todo is shift-clicked
  * 
  * @property {Object} todo - The todo object to display
+ * @property {Array<{id: number, name: string}>} lists - Lists the todo can be moved to
+ * @property {number} currentListId - ID of the list the todo belongs to
+ * @property {boolean} reorderable - Whether the drag handle and Alt+Up/Down reordering are enabled
+ * @property {string} searchQuery - Search text to highlight in the todo text
+ * @property {boolean} selecting - Whether the selection checkbox is shown
+ * @property {boolean} selected - Whether the todo is part of the current selection
+ * @property {boolean} highlighted - Whether a link points at this todo
  * @property {boolean} isEditing - Whether the item is in edit mode
  * @property {string} editValue - Current value of the edit input
+ * @property {string} editDueDate - Current value of the due date input in edit mode
+ * @property {string} editDueTime - Current value of the due time input in edit mode
+ * @property {string} editPriority - Current value of the priority select in edit mode
+ * @property {number} editListId - Current value of the list select in edit mode
+ * @property {string} editRepeat - Recurrence frequency chosen in edit mode, empty for none
+ * @property {Array<number>} editWeekdays - Weekdays chosen for a weekly rule (0 = Sunday)
+ * @property {string} editMonthDay - Day of the month chosen for a monthly rule
+ * @property {string} editIntervalDays - Number of days chosen for an "every N days" rule
+ * @property {boolean} isExpanded - Whether the checklist area is shown
+ * @property {string} newSubtaskValue - Current value of the new checklist item input
+ * @property {number|null} editingSubtaskId - ID of the checklist item being edited
+ * @property {string} subtaskEditValue - Current value of the checklist item edit input
  */
 export class TodoItem extends LitElement {
   static properties = {
     todo: { type: Object },
+    lists: { type: Array },
+    currentListId: { type: Number },
+    reorderable: { type: Boolean },
+    searchQuery: { type: String },
+    selecting: { type: Boolean },
+    selected: { type: Boolean, reflect: true },
+    highlighted: { type: Boolean, reflect: true },
     isEditing: { state: true },
-    editValue: { state: true }
+    editValue: { state: true },
+    editDueDate: { state: true },
+    editDueTime: { state: true },
+    editPriority: { state: true },
+    editListId: { state: true },
+    editRepeat: { state: true },
+    editWeekdays: { state: true },
+    editMonthDay: { state: true },
+    editIntervalDays: { state: true },
+    isExpanded: { state: true },
+    newSubtaskValue: { state: true },
+    editingSubtaskId: { state: true },
+    subtaskEditValue: { state: true }
   };
 
-  static styles = css`
+  static styles = [reducedMotionStyles, css`
     :host {
       display: block;
     }
@@ -37,18 +103,90 @@ export class TodoItem extends LitElement {
       transition: box-shadow 0.2s, background 0.3s ease;
     }
 
+    :host([drop-position="before"]) .todo-item {
+      box-shadow: 0 -3px 0 var(--color-primary, #667eea);
+    }
+
+    :host([drop-position="after"]) .todo-item {
+      box-shadow: 0 3px 0 var(--color-primary, #667eea);
+    }
+
+    :host(:focus) {
+      outline: none;
+    }
+
+    :host(:focus-visible) .todo-item {
+      box-shadow: 0 0 0 3px var(--color-primary, #667eea);
+    }
+
+    :host([selected]) .todo-item {
+      background: var(--color-selected, rgba(102, 126, 234, 0.15));
+    }
+
+    :host([highlighted]) .todo-item {
+      outline: 2px solid var(--color-primary, #667eea);
+      outline-offset: -2px;
+      animation: highlight-pulse 1.2s ease-out;
+    }
+
+    @keyframes highlight-pulse {
+      from {
+        background: var(--color-selected, rgba(102, 126, 234, 0.35));
+      }
+    }
+
+    .todo-item.has-checklist {
+      flex-wrap: wrap;
+    }
+
     .todo-item:hover {
       box-shadow: 0 2px 8px var(--color-surface-hover, rgba(0, 0, 0, 0.1));
     }
 
+    .todo-item.due-overdue {
+      box-shadow: inset 4px 0 0 var(--color-btn-delete, #f44336);
+    }
+
+    .todo-item.due-today {
+      box-shadow: inset 4px 0 0 var(--color-btn-warning, #ff9800);
+    }
+
+    .todo-item.editing {
+      flex-wrap: wrap;
+    }
+
+    .drag-handle {
+      padding: 4px;
+      background: transparent;
+      color: var(--color-text-muted, #666);
+      font-size: 16px;
+      line-height: 1;
+      cursor: grab;
+    }
+
+    .drag-handle:active {
+      cursor: grabbing;
+    }
+
     .checkbox {
       width: 20px;
       height: 20px;
       cursor: pointer;
     }
 
-    .todo-text {
+    .select-toggle {
+      width: 18px;
+      height: 18px;
+      accent-color: var(--color-primary, #667eea);
+      cursor: pointer;
+    }
+
+    .todo-body {
       flex: 1;
+      min-width: 0;
+    }
+
+    .todo-text {
       font-size: 16px;
       color: var(--color-text, #333);
       word-break: break-word;
@@ -59,6 +197,237 @@ export class TodoItem extends LitElement {
       color: var(--color-text-completed, #999);
     }
 
+    .due-label {
+      display: block;
+      margin-top: 4px;
+      font-size: 12px;
+      color: var(--color-text-muted, #666);
+    }
+
+    .due-label.overdue {
+      color: var(--color-btn-delete, #f44336);
+      font-weight: 600;
+    }
+
+    .due-label.today {
+      color: var(--color-btn-warning, #ff9800);
+      font-weight: 600;
+    }
+
+    mark {
+      padding: 0 1px;
+      border-radius: 2px;
+      background: var(--color-highlight, #fff176);
+      color: inherit;
+    }
+
+    .priority-badge {
+      display: inline-block;
+      margin-inline-end: 6px;
+      padding: 1px 8px;
+      border-radius: 10px;
+      font-size: 11px;
+      font-weight: 700;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      vertical-align: middle;
+      color: white;
+    }
+
+    .priority-badge.low {
+      background: var(--color-btn-cancel, #757575);
+    }
+
+    .priority-badge.high {
+      background: var(--color-btn-warning, #ff9800);
+    }
+
+    .priority-badge.urgent {
+      background: var(--color-btn-delete, #f44336);
+    }
+
+    .tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin-top: 4px;
+    }
+
+    .tag-chip {
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-primary, #667eea);
+      font-size: 12px;
+      font-weight: 600;
+    }
+
+    .tag-chip:hover {
+      background: var(--color-primary, #667eea);
+      color: white;
+    }
+
+    .todo-link {
+      padding: 6px 4px;
+      font-size: 14px;
+      text-decoration: none;
+      opacity: 0.4;
+      transition: opacity 0.2s;
+    }
+
+    .todo-link:hover,
+    .todo-link:focus-visible,
+    :host([highlighted]) .todo-link {
+      opacity: 1;
+    }
+
+    .subtask-toggle {
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-text, #333);
+      font-variant-numeric: tabular-nums;
+    }
+
+    .subtask-toggle:hover {
+      background: var(--color-border, #e0e0e0);
+    }
+
+    .subtask-toggle.all-done {
+      color: var(--color-btn-edit, #4CAF50);
+      font-weight: 700;
+    }
+
+    .checklist {
+      width: 100%;
+      padding-inline-start: 32px;
+      list-style: none;
+    }
+
+    .subtask {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 4px 0;
+    }
+
+    .subtask-checkbox {
+      width: 16px;
+      height: 16px;
+      cursor: pointer;
+    }
+
+    .subtask-text {
+      flex: 1;
+      font-size: 14px;
+      color: var(--color-text, #333);
+      cursor: text;
+      word-break: break-word;
+    }
+
+    .subtask-text.completed {
+      color: var(--color-text-completed, #999);
+      text-decoration: line-through;
+    }
+
+    .subtask input:not([type="checkbox"]),
+    .new-subtask input {
+      flex: 1;
+      padding: 4px 8px;
+      font-size: 14px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      color: var(--color-text, #333);
+      background: var(--color-surface, white);
+    }
+
+    .subtask-delete {
+      padding: 2px 8px;
+      background: transparent;
+      color: var(--color-text-muted, #666);
+    }
+
+    .subtask-delete:hover {
+      color: var(--color-btn-delete, #f44336);
+    }
+
+    .new-subtask {
+      display: flex;
+      gap: 8px;
+      padding: 4px 0 4px 24px;
+    }
+
+    .new-subtask button {
+      background: var(--color-primary, #667eea);
+      color: white;
+    }
+
+    .edit-due {
+      display: flex;
+      gap: 8px;
+      width: 100%;
+    }
+
+    .edit-due input,
+    .edit-due select {
+      padding: 6px;
+      font-size: 14px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      color: var(--color-text, #333);
+      background: var(--color-surface, white);
+    }
+
+    .edit-recurrence {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      width: 100%;
+      font-size: 14px;
+      color: var(--color-text, #333);
+    }
+
+    .edit-recurrence select,
+    .edit-recurrence input[type="number"] {
+      padding: 6px;
+      font-size: 14px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      color: var(--color-text, #333);
+      background: var(--color-surface, white);
+    }
+
+    .edit-recurrence input[type="number"] {
+      width: 64px;
+    }
+
+    .edit-weekdays {
+      display: flex;
+      gap: 6px;
+      margin: 0;
+      padding: 0;
+      border: none;
+    }
+
+    .edit-weekdays label {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+    }
+
+    .recurrence-label {
+      display: block;
+      margin-top: 4px;
+      font-size: 12px;
+      color: var(--color-primary, #667eea);
+    }
+
+    .created-at {
+      display: block;
+      margin-top: 4px;
+      font-size: 11px;
+      color: var(--color-text-muted, #666);
+    }
+
     .edit-input {
       flex: 1;
       padding: 8px;
@@ -120,7 +489,7 @@ export class TodoItem extends LitElement {
     .cancel-btn:hover {
       background: var(--color-btn-cancel-hover, #616161);
     }
-  `;
+  `];
 
   /**
    * Creates a TodoItem instance.
@@ -129,6 +498,26 @@ export class TodoItem extends LitElement {
     super();
     this.isEditing = false;
     this.editValue = '';
+    this.editDueDate = '';
+    this.editDueTime = '';
+    this.editPriority = '';
+    this.lists = [];
+    this.currentListId = 1;
+    this.reorderable = false;
+    this.searchQuery = '';
+    this.selecting = false;
+    this.selected = false;
+    this.highlighted = false;
+    this.editListId = 1;
+    this.editRepeat = '';
+    this.editWeekdays = [];
+    this.editMonthDay = '';
+    this.editIntervalDays = '';
+    this.isExpanded = false;
+    this.newSubtaskValue = '';
+    this.editingSubtaskId = null;
+    this.subtaskEditValue = '';
+    this.localeController = new LocaleController(this);
   }
 
   /**
@@ -144,39 +533,254 @@ export class TodoItem extends LitElement {
   }
 
   /**
-   * Handles deleting the todo with confirmation.
-   * Dispatches delete-todo event.
+   * Adds the todo to the selection or removes it. Holding Shift selects
+   * every todo between the last one picked and this one.
+   * Dispatches select-todo event.
+   * 
+   * @param {MouseEvent} e - Click event
+   */
+  handleSelect(e) {
+    this.dispatchEvent(new CustomEvent('select-todo', {
+      detail: { id: this.todo.id, range: e.shiftKey },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles Shift+click on the todo text as a range selection.
+   * Clicks on the tag chips keep their own meaning.
+   * 
+   * @param {MouseEvent} e - Click event
+   */
+  handleBodyClick(e) {
+    if (e.shiftKey && !e.composedPath()[0].closest?.('button')) {
+      this.handleSelect(e);
+    }
+  }
+
+  /**
+   * Handles deleting the todo.
+   * Dispatches delete-todo event; the deletion can be undone from the app.
    */
   handleDelete() {
-    if (confirm('Delete this todo?')) {
-      this.dispatchEvent(new CustomEvent('delete-todo', {
-        detail: { id: this.todo.id },
-        bubbles: true,
-        composed: true
-      }));
+    this.dispatchEvent(new CustomEvent('delete-todo', {
+      detail: { id: this.todo.id },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles Alt+Up / Alt+Down anywhere in the row, and plain Up / Down on
+   * the drag handle, as a keyboard alternative to drag and drop.
+   * Dispatches nudge-todo event and keeps focus on the drag handle.
+   * 
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleReorderKeyDown(e) {
+    const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    const onHandle = e.composedPath()[0].classList?.contains('drag-handle');
+    if (!this.reorderable || !offset || !(e.altKey || onHandle)) {
+      return;
+    }
+
+    e.preventDefault();
+    this.dispatchEvent(new CustomEvent('nudge-todo', {
+      detail: { id: this.todo.id, offset },
+      bubbles: true,
+      composed: true
+    }));
+    // The list moves this element once it re-renders, which drops focus
+    requestAnimationFrame(() => this.shadowRoot.querySelector('.drag-handle')?.focus());
+  }
+
+  /**
+   * Handles clicking a tag chip.
+   * Dispatches tag-select event so the list can be filtered to that tag.
+   * 
+   * @param {string} tag - Tag name
+   */
+  handleTagClick(tag) {
+    this.dispatchEvent(new CustomEvent('tag-select', {
+      detail: { tag },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Dispatches a subtask event for this todo.
+   * 
+   * @param {string} type - Event name
+   * @param {Object} detail - Extra event detail, merged with the todo id
+   * @private
+   */
+  dispatchSubtaskEvent(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail: { id: this.todo.id, ...detail },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Shows or hides the checklist area.
+   */
+  handleToggleChecklist() {
+    this.isExpanded = !this.isExpanded;
+  }
+
+  /**
+   * Adds a checklist item from the new item input.
+   * Dispatches add-subtask event and clears the input.
+   * 
+   * @param {Event} e - Form submit event
+   */
+  handleAddSubtask(e) {
+    e.preventDefault();
+    const text = this.newSubtaskValue.trim();
+    if (text) {
+      this.dispatchSubtaskEvent('add-subtask', { text });
+      this.newSubtaskValue = '';
+    }
+  }
+
+  /**
+   * Enters edit mode for a checklist item.
+   * 
+   * @param {Object} subtask - The subtask to edit
+   */
+  handleEditSubtask(subtask) {
+    this.editingSubtaskId = subtask.id;
+    this.subtaskEditValue = subtask.text;
+  }
+
+  /**
+   * Saves the edited checklist item text if valid.
+   * Dispatches update-subtask event and exits subtask edit mode.
+   */
+  handleSaveSubtask() {
+    const text = this.subtaskEditValue.trim();
+    if (text && this.editingSubtaskId !== null) {
+      this.dispatchSubtaskEvent('update-subtask', { subtaskId: this.editingSubtaskId, text });
+    }
+    this.editingSubtaskId = null;
+    this.subtaskEditValue = '';
+  }
+
+  /**
+   * Handles keyboard shortcuts while editing a checklist item.
+   * Enter saves, Escape cancels.
+   * 
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleSubtaskKeyDown(e) {
+    if (e.key === 'Enter') {
+      this.handleSaveSubtask();
+    } else if (e.key === 'Escape') {
+      this.editingSubtaskId = null;
+      this.subtaskEditValue = '';
     }
   }
 
   /**
-   * Enters edit mode and loads current todo text.
+   * Enters edit mode and loads current todo text, due date, priority and
+   * recurrence. Tags are shown as hashtags after the text so they can be
+   * edited inline.
    */
   handleEdit() {
     this.isEditing = true;
-    this.editValue = this.todo.text;
+    this.editValue = formatWithTags(this.todo.text, this.todo.tags);
+    this.editDueDate = this.todo.dueDate || '';
+    this.editDueTime = this.todo.dueTime || '';
+    this.editPriority = getPriority(this.todo);
+    this.editListId = this.currentListId;
+
+    const rule = normalizeRecurrence(this.todo.recurrence);
+    this.editRepeat = rule ? rule.frequency : '';
+    this.handleRepeatChange(this.editRepeat);
+    if (rule) {
+      this.editWeekdays = rule.weekdays || this.editWeekdays;
+      this.editMonthDay = rule.day ? String(rule.day) : this.editMonthDay;
+      this.editIntervalDays = rule.days ? String(rule.days) : this.editIntervalDays;
+    }
+    this.updateComplete.then(() => this.shadowRoot.querySelector('.edit-input')?.focus());
+  }
+
+  /**
+   * Switches the recurrence frequency in edit mode. The weekday and day
+   * of month default to those of the due date (or today).
+   * 
+   * @param {string} frequency - Chosen frequency, empty for none
+   */
+  handleRepeatChange(frequency) {
+    const [year, month, day] = (this.editDueDate || '').split('-').map(Number);
+    const date = year ? new Date(year, month - 1, day) : new Date();
+
+    this.editRepeat = frequency;
+    this.editWeekdays = [date.getDay()];
+    this.editMonthDay = String(date.getDate());
+    this.editIntervalDays = '2';
+  }
+
+  /**
+   * Adds or removes a weekday of a weekly rule in edit mode.
+   * 
+   * @param {number} day - Weekday (0 = Sunday)
+   * @param {boolean} checked - Whether the weekday is now chosen
+   */
+  handleWeekdayChange(day, checked) {
+    this.editWeekdays = checked
+      ? [...this.editWeekdays, day]
+      : this.editWeekdays.filter(d => d !== day);
   }
 
   /**
-   * Saves the edited todo text if valid.
-   * Dispatches update-todo event and exits edit mode.
+   * Builds the recurrence rule from the edit mode fields.
+   * 
+   * @returns {Object|null} Rule, or null if the todo should not repeat
+   * @private
+   */
+  getEditRecurrence() {
+    return normalizeRecurrence({
+      frequency: this.editRepeat,
+      weekdays: this.editWeekdays,
+      day: this.editMonthDay,
+      days: this.editIntervalDays
+    });
+  }
+
+  /**
+   * Saves the edited todo text, due date, priority and recurrence if valid.
+   * The hashtags left in the edited text become the todo's tags.
+   * Dispatches update-todo event, then move-todo if another list was
+   * chosen, and exits edit mode.
    */
   handleSave() {
     const trimmedValue = this.editValue.trim();
     if (trimmedValue) {
       this.dispatchEvent(new CustomEvent('update-todo', {
-        detail: { id: this.todo.id, text: trimmedValue },
+        detail: {
+          id: this.todo.id,
+          text: trimmedValue,
+          dueDate: this.editDueDate || null,
+          dueTime: this.editDueDate && this.editDueTime ? this.editDueTime : null,
+          priority: this.editPriority,
+          tags: [],
+          recurrence: this.getEditRecurrence()
+        },
         bubbles: true,
         composed: true
       }));
+
+      if (this.editListId !== this.currentListId) {
+        this.dispatchEvent(new CustomEvent('move-todo', {
+          detail: { id: this.todo.id, listId: this.editListId },
+          bubbles: true,
+          composed: true
+        }));
+      }
     }
     // Always exit edit mode after save attempt
     this.isEditing = false;
@@ -193,7 +797,8 @@ export class TodoItem extends LitElement {
 
   /**
    * Handles keyboard shortcuts in edit mode.
-   * Enter saves, Escape cancels.
+   * Enter saves, Escape cancels. Either way focus goes back to the row
+   * (when the list made it focusable) so keyboard navigation carries on.
    * 
    * @param {KeyboardEvent} e - Keyboard event
    */
@@ -202,16 +807,194 @@ export class TodoItem extends LitElement {
       this.handleSave();
     } else if (e.key === 'Escape') {
       this.handleCancel();
+    } else {
+      return;
+    }
+    this.updateComplete.then(() => this.focus());
+  }
+
+  /**
+   * Formats the due date for display, e.g. "Due Mar 5, 18:00".
+   * 
+   * @param {string|null} status - Due status from getDueStatus
+   * @returns {string} Human-readable due label
+   * @private
+   */
+  formatDue(status) {
+    const { dueDate, dueTime } = this.todo;
+    const [year, month, day] = dueDate.split('-').map(Number);
+    const date = formatDate(new Date(year, month - 1, day), {
+      month: 'short',
+      day: 'numeric',
+      year: year === new Date().getFullYear() ? undefined : 'numeric'
+    });
+    const due = status === 'overdue'
+      ? t('due.overdue', { date })
+      : status === 'today' ? t('due.today') : t('due.upcoming', { date });
+    return dueTime ? t('due.withTime', { due, time: dueTime }) : due;
+  }
+
+  /**
+   * Wraps each part of the text that matches the search query in <mark>.
+   * 
+   * @param {string} text - Text to render
+   * @returns {Array<string|import('lit').TemplateResult>|string} Text with highlighted matches
+   * @private
+   */
+  renderHighlighted(text) {
+    const ranges = findMatches(text, this.searchQuery);
+    if (ranges.length === 0) {
+      return text;
+    }
+
+    const parts = [];
+    let last = 0;
+    for (const { start, end } of ranges) {
+      parts.push(text.slice(last, start), html`<mark>${text.slice(start, end)}</mark>`);
+      last = end;
     }
+    parts.push(text.slice(last));
+    return parts;
+  }
+
+  /**
+   * Renders the recurrence fields of edit mode: the frequency, plus the
+   * weekdays, day of month or number of days it needs.
+   * 
+   * @returns {import('lit').TemplateResult} Recurrence fields markup
+   * @private
+   */
+  renderRecurrenceFields() {
+    return html`
+      <div class="edit-recurrence">
+        <select
+          class="edit-repeat"
+          @change=${(e) => this.handleRepeatChange(e.target.value)}
+          aria-label=${t('item.repeat')}>
+          <option value="" ?selected=${!this.editRepeat}>${t('item.noRepeat')}</option>
+          ${FREQUENCIES.map(frequency => html`
+            <option value=${frequency} ?selected=${frequency === this.editRepeat}>${frequencyLabel(frequency)}</option>
+          `)}
+        </select>
+        ${this.editRepeat === 'weekly' ? html`
+          <fieldset class="edit-weekdays">
+            <legend hidden>${t('item.repeatOn')}</legend>
+            ${WEEKDAYS.map(day => html`
+              <label>
+                <input
+                  type="checkbox"
+                  class="edit-weekday"
+                  .checked=${this.editWeekdays.includes(day)}
+                  ?disabled=${this.editWeekdays.length === 1 && this.editWeekdays[0] === day}
+                  @change=${(e) => this.handleWeekdayChange(day, e.target.checked)}
+                />
+                ${weekdayName(day)}
+              </label>
+            `)}
+          </fieldset>
+        ` : ''}
+        ${this.editRepeat === 'monthly' ? html`
+          <label>
+            ${t('item.onDay')}
+            <input
+              type="number"
+              class="edit-month-day"
+              min="1"
+              max="31"
+              .value=${this.editMonthDay}
+              @input=${(e) => this.editMonthDay = e.target.value}
+              @keydown=${this.handleKeyDown}
+            />
+          </label>
+        ` : ''}
+        ${this.editRepeat === 'interval' ? html`
+          <label>
+            ${t('item.every')}
+            <input
+              type="number"
+              class="edit-interval"
+              min="1"
+              max=${MAX_INTERVAL_DAYS}
+              .value=${this.editIntervalDays}
+              @input=${(e) => this.editIntervalDays = e.target.value}
+              @keydown=${this.handleKeyDown}
+            />
+            ${t('item.days')}
+          </label>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the expandable checklist area.
+   * 
+   * @returns {import('lit').TemplateResult} Checklist markup
+   * @private
+   */
+  renderChecklist() {
+    return html`
+      <ul class="checklist" aria-label=${t('item.checklist')}>
+        ${getSubtasks(this.todo).map(subtask => html`
+          <li class="subtask">
+            <input
+              type="checkbox"
+              class="subtask-checkbox"
+              .checked=${subtask.completed}
+              @change=${() => this.dispatchSubtaskEvent('toggle-subtask', { subtaskId: subtask.id })}
+              aria-label=${t('item.toggleSubtask')}
+            />
+            ${this.editingSubtaskId === subtask.id ? html`
+              <input
+                class="subtask-edit-input"
+                .value=${this.subtaskEditValue}
+                @input=${(e) => this.subtaskEditValue = e.target.value}
+                @keydown=${this.handleSubtaskKeyDown}
+                @blur=${this.handleSaveSubtask}
+                maxlength="500"
+                aria-label=${t('item.editSubtask')}
+                autofocus
+              />
+            ` : html`
+              <span
+                class="subtask-text ${subtask.completed ? 'completed' : ''}"
+                @click=${() => this.handleEditSubtask(subtask)}>
+                ${this.renderHighlighted(subtask.text)}
+              </span>
+            `}
+            <button
+              class="subtask-delete"
+              @click=${() => this.dispatchSubtaskEvent('delete-subtask', { subtaskId: subtask.id })}
+              aria-label=${t('item.deleteSubtask')}>
+              ✕
+            </button>
+          </li>
+        `)}
+        <li>
+          <form class="new-subtask" @submit=${this.handleAddSubtask}>
+            <input
+              class="new-subtask-input"
+              placeholder=${t('item.newSubtaskPlaceholder')}
+              .value=${this.newSubtaskValue}
+              @input=${(e) => this.newSubtaskValue = e.target.value}
+              maxlength="500"
+              aria-label=${t('item.newSubtask')}
+            />
+            <button type="submit" aria-label=${t('item.addSubtask')}>＋</button>
+          </form>
+        </li>
+      </ul>
+    `;
   }
 
   render() {
     if (this.isEditing) {
       return html`
-        <div class="todo-item">
+        <div class="todo-item editing">
           <input
             class="edit-input"
             type="text"
+            aria-label=${t('item.text')}
             .value=${this.editValue}
             @input=${(e) => this.editValue = e.target.value}
             @keydown=${this.handleKeyDown}
@@ -219,39 +1002,150 @@ export class TodoItem extends LitElement {
             autofocus
           />
           <div class="button-group">
-            <button class="save-btn" @click=${this.handleSave}>Save</button>
-            <button class="cancel-btn" @click=${this.handleCancel}>Cancel</button>
+            <button class="save-btn" @click=${this.handleSave}>${t('common.save')}</button>
+            <button class="cancel-btn" @click=${this.handleCancel}>${t('common.cancel')}</button>
           </div>
+          <div class="edit-due">
+            <input
+              type="date"
+              class="edit-due-date"
+              .value=${this.editDueDate}
+              @input=${(e) => this.editDueDate = e.target.value}
+              @keydown=${this.handleKeyDown}
+              aria-label=${t('form.dueDate')}
+            />
+            <input
+              type="time"
+              class="edit-due-time"
+              .value=${this.editDueTime}
+              @input=${(e) => this.editDueTime = e.target.value}
+              @keydown=${this.handleKeyDown}
+              ?disabled=${!this.editDueDate}
+              aria-label=${t('form.dueTime')}
+            />
+            <select
+              class="edit-priority"
+              .value=${this.editPriority}
+              @change=${(e) => this.editPriority = e.target.value}
+              aria-label=${t('form.priority')}>
+              ${PRIORITIES.map(level => html`
+                <option value=${level} ?selected=${level === this.editPriority}>${priorityLabel(level)}</option>
+              `)}
+            </select>
+            ${this.lists.length > 1 ? html`
+              <select
+                class="edit-list"
+                @change=${(e) => this.editListId = Number(e.target.value)}
+                aria-label=${t('item.list')}>
+                ${this.lists.map(list => html`
+                  <option value=${list.id} ?selected=${list.id === this.editListId}>${list.name}</option>
+                `)}
+              </select>
+            ` : ''}
+          </div>
+          ${this.renderRecurrenceFields()}
         </div>
       `;
     }
 
+    const dueStatus = getDueStatus(this.todo);
+    const priority = getPriority(this.todo);
+    const progress = getSubtaskProgress(this.todo);
+
     return html`
-      <div class="todo-item">
+      <div
+        class="todo-item ${dueStatus ? `due-${dueStatus}` : ''} ${this.isExpanded ? 'has-checklist' : ''}"
+        @keydown=${this.handleReorderKeyDown}>
+        ${this.reorderable ? html`
+          <button
+            class="drag-handle"
+            draggable="true"
+            title=${t('item.reorderHint')}
+            aria-label=${t('item.reorder')}>
+            ⠿
+          </button>
+        ` : ''}
+        ${this.selecting ? html`
+          <input
+            type="checkbox"
+            class="select-toggle"
+            .checked=${this.selected}
+            @click=${this.handleSelect}
+            aria-label=${t('item.select')}
+          />
+        ` : ''}
         <input
           type="checkbox"
           class="checkbox"
           .checked=${this.todo.completed}
           @change=${this.handleToggle}
-          aria-label="Toggle todo"
+          aria-label=${t('item.toggle')}
         />
-        <span class="todo-text ${this.todo.completed ? 'completed' : ''}">
-          ${this.todo.text}
-        </span>
+        <div
+          class="todo-body"
+          @mousedown=${(e) => e.shiftKey && e.preventDefault()}
+          @click=${this.handleBodyClick}>
+          ${priority !== 'normal' ? html`
+            <span class="priority-badge ${priority}">${priorityLabel(priority)}</span>
+          ` : ''}
+          <span class="todo-text ${this.todo.completed ? 'completed' : ''}">
+            ${this.renderHighlighted(this.todo.text)}
+          </span>
+          ${this.todo.dueDate ? html`
+            <span class="due-label ${dueStatus || ''}">${this.formatDue(dueStatus)}</span>
+          ` : ''}
+          ${this.todo.recurrence ? html`
+            <span class="recurrence-label">↻ ${describeRecurrence(this.todo.recurrence)}</span>
+          ` : ''}
+          ${this.todo.tags && this.todo.tags.length > 0 ? html`
+            <div class="tags">
+              ${this.todo.tags.map(tag => html`
+                <button
+                  class="tag-chip"
+                  @click=${() => this.handleTagClick(tag)}
+                  aria-label=${t('item.tagged', { tag })}>
+                  #${tag}
+                </button>
+              `)}
+            </div>
+          ` : ''}
+          ${this.todo.createdAt ? html`
+            <time class="created-at" datetime=${this.todo.createdAt}>
+              ${t('item.created', { date: formatDate(this.todo.createdAt) })}
+            </time>
+          ` : ''}
+        </div>
         <div class="button-group">
+          <a
+            class="todo-link"
+            href=${formatRoute({ todoId: this.todo.id })}
+            title=${t('item.link')}
+            aria-label=${t('item.link')}>
+            🔗
+          </a>
+          <button
+            class="subtask-toggle ${progress.total > 0 && progress.done === progress.total ? 'all-done' : ''}"
+            @click=${this.handleToggleChecklist}
+            aria-expanded=${this.isExpanded ? 'true' : 'false'}
+            aria-label=${progress.total > 0
+    ? t('item.checklistProgress', { done: progress.done, total: progress.total })
+    : t('item.showChecklist')}>
+            ${progress.total > 0 ? `☑ ${progress.done}/${progress.total}` : '☐'}
+          </button>
           <button
             class="edit-btn"
             @click=${this.handleEdit}
-            aria-label="Edit todo">
-            Edit
+            aria-label=${t('item.editLabel')}>
+            ${t('item.edit')}
           </button>
           <button
             class="delete-btn"
             @click=${this.handleDelete}
-            aria-label="Delete todo">
-            Delete
+            aria-label=${t('item.deleteLabel')}>
+            ${t('item.delete')}
           </button>
         </div>
+        ${this.isExpanded ? this.renderChecklist() : ''}
       </div>
     `;
   }
@@ -0,0 +1,242 @@
+import { LitElement, html, css } from 'lit';
+import { t, direction } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * TodoListSwitcher - Dropdown for choosing, creating, renaming,
+ * deleting and reordering named lists.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires list-select - Dispatched when another list is chosen
+ * @fires list-create - Dispatched when a new list name is submitted
+ * @fires list-rename - Dispatched when the current list is renamed
+ * @fires list-delete - Dispatched when the current list is deleted
+ * @fires list-move - Dispatched when the current list is moved left or right
+ *
+ * @property {Array<{id: number, name: string, activeCount: number}>} lists - Lists in display order
+ * @property {number} currentListId - ID of the list being shown
+ * @property {string|null} mode - Inline form being shown: 'create', 'rename' or null
+ * @property {string} nameValue - Current value of the inline name input
+ */
+export class TodoListSwitcher extends LitElement {
+  static properties = {
+    lists: { type: Array },
+    currentListId: { type: Number },
+    mode: { state: true },
+    nameValue: { state: true }
+  };
+
+  static styles = [reducedMotionStyles, css`
+    :host {
+      display: block;
+      margin-bottom: 20px;
+    }
+
+    .switcher,
+    .name-form {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    select,
+    input {
+      flex: 1;
+      min-width: 0;
+      padding: 8px 12px;
+      font-size: 14px;
+      border: 2px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+      transition: background 0.3s ease, color 0.3s ease, border-color 0.3s ease;
+    }
+
+    select:focus,
+    input:focus {
+      outline: none;
+      border-color: var(--color-primary, #667eea);
+    }
+
+    button {
+      padding: 8px 10px;
+      border: none;
+      border-radius: 8px;
+      background: var(--color-background, #f5f5f5);
+      color: var(--color-text, #333);
+      font-size: 14px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover:not(:disabled) {
+      background: rgba(102, 126, 234, 0.1);
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .primary {
+      background: var(--color-primary, #667eea);
+      color: white;
+    }
+
+    .primary:hover:not(:disabled) {
+      background: var(--color-primary-hover, #5568d3);
+    }
+
+    .danger {
+      color: var(--color-btn-delete, #f44336);
+    }
+  `];
+
+  /**
+   * Creates a TodoListSwitcher instance.
+   */
+  constructor() {
+    super();
+    this.lists = [];
+    this.currentListId = 1;
+    this.mode = null;
+    this.nameValue = '';
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches a list event.
+   *
+   * @param {string} type - Event name
+   * @param {Object} detail - Event detail
+   * @private
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Gets the position of the current list in the list order.
+   *
+   * @returns {number} Index of the current list
+   * @private
+   */
+  get currentIndex() {
+    return this.lists.findIndex(l => l.id === this.currentListId);
+  }
+
+  /**
+   * Shows the inline name form.
+   *
+   * @param {'create'|'rename'} mode - Which action the form performs
+   */
+  openForm(mode) {
+    this.mode = mode;
+    this.nameValue = mode === 'rename' ? this.lists[this.currentIndex].name : '';
+  }
+
+  /**
+   * Hides the inline name form without saving.
+   */
+  closeForm() {
+    this.mode = null;
+    this.nameValue = '';
+  }
+
+  /**
+   * Submits the inline name form.
+   * Dispatches list-create or list-rename event.
+   *
+   * @param {Event} e - Form submit event
+   */
+  handleSubmit(e) {
+    e.preventDefault();
+    const name = this.nameValue.trim();
+    if (name) {
+      if (this.mode === 'create') {
+        this.emit('list-create', { name });
+      } else {
+        this.emit('list-rename', { listId: this.currentListId, name });
+      }
+    }
+    this.closeForm();
+  }
+
+  /**
+   * Moves the current list one position left or right.
+   * Dispatches list-move event.
+   *
+   * @param {number} offset - -1 to move left, 1 to move right
+   */
+  handleMove(offset) {
+    this.emit('list-move', { listId: this.currentListId, toIndex: this.currentIndex + offset });
+  }
+
+  render() {
+    if (this.mode) {
+      return html`
+        <form class="name-form" @submit=${this.handleSubmit}>
+          <input
+            class="list-name-input"
+            .value=${this.nameValue}
+            @input=${(e) => this.nameValue = e.target.value}
+            @keydown=${(e) => e.key === 'Escape' && this.closeForm()}
+            placeholder=${t('lists.name')}
+            maxlength="100"
+            aria-label=${t('lists.name')}
+            autofocus
+          />
+          <button type="submit" class="primary" ?disabled=${!this.nameValue.trim()}>
+            ${this.mode === 'create' ? t('lists.create') : t('common.save')}
+          </button>
+          <button type="button" @click=${this.closeForm}>${t('common.cancel')}</button>
+        </form>
+      `;
+    }
+
+    const index = this.currentIndex;
+    // Earlier lists sit to the right in right-to-left languages
+    const rtl = direction() === 'rtl';
+
+    return html`
+      <div class="switcher">
+        <select
+          class="list-select"
+          @change=${(e) => this.emit('list-select', { listId: Number(e.target.value) })}
+          aria-label=${t('lists.current')}>
+          ${this.lists.map(list => html`
+            <option value=${list.id} ?selected=${list.id === this.currentListId}>
+              ${list.name} (${list.activeCount})
+            </option>
+          `)}
+        </select>
+        <button
+          class="list-move-left"
+          @click=${() => this.handleMove(-1)}
+          ?disabled=${index <= 0}
+          aria-label=${t(rtl ? 'lists.moveRight' : 'lists.moveLeft')}>${rtl ? '▶' : '◀'}</button>
+        <button
+          class="list-move-right"
+          @click=${() => this.handleMove(1)}
+          ?disabled=${index === this.lists.length - 1}
+          aria-label=${t(rtl ? 'lists.moveLeft' : 'lists.moveRight')}>${rtl ? '◀' : '▶'}</button>
+        <button class="list-new" @click=${() => this.openForm('create')}>${t('lists.new')}</button>
+        <button class="list-rename" @click=${() => this.openForm('rename')}>${t('lists.rename')}</button>
+        <button
+          class="list-delete danger"
+          @click=${() => this.emit('list-delete', { listId: this.currentListId })}
+          ?disabled=${this.lists.length <= 1}>
+          ${t('lists.remove')}
+        </button>
+      </div>
+    `;
+  }
+}
+
+customElements.define('todo-list-switcher', TodoListSwitcher);
@@ -1,22 +1,58 @@
-import { LitElement, html, css } from 'lit';
+import { LitElement, html, css, nothing } from 'lit';
 import { repeat } from 'lit/directives/repeat.js';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
 import './todo-item.js';
+import './todo-batch-bar.js';
 
 /**
  * TodoList - Displays a list of todos using Lit's repeat directive.
- * Shows empty state when no todos exist.
+ * Shows empty state when no todos exist. Todos can be reordered by
+ * dragging their handle onto another row.
+ * 
+ * Selection mode picks several todos for a batch action: tick them one
+ * by one, Shift+click to pick a range, or select every visible todo.
+ * The selection only ever holds todos that are currently shown.
+ * 
+ * Rows can take keyboard focus; the last focused row is the "active"
+ * todo that the app's keyboard commands act on. The rows form a list
+ * labelled with the list's name for screen readers.
  * 
  * @class
  * @extends {LitElement}
+ * @fires reorder-todo - Dispatched when a dragged todo is dropped on another row
  * 
  * @property {Array<Object>} todos - Array of todo items to display
+ * @property {Array<{id: number, name: string}>} lists - Lists a todo can be moved to
+ * @property {number} currentListId - ID of the list being displayed
+ * @property {boolean} reorderable - Whether todos can be reordered by hand
+ * @property {string} searchQuery - Search text to highlight in each todo
+ * @property {number|null} highlightId - ID of the todo to scroll to and highlight, e.g. from a "#/todo/:id" link
+ * @property {number|null} dragId - ID of the todo being dragged
+ * @property {{id: number, after: boolean}|null} dropTarget - Row and side the dragged todo would land on
+ * @property {boolean} selecting - Whether selection mode is on
+ * @property {Array<number>} selectedIds - IDs of the selected todos, in list order
+ * @property {number|null} anchorId - Todo a Shift+click range starts from
+ * @property {number|null} activeId - ID of the todo keyboard commands act on
  */
 export class TodoList extends LitElement {
   static properties = {
-    todos: { type: Array }
+    todos: { type: Array },
+    lists: { type: Array },
+    currentListId: { type: Number },
+    reorderable: { type: Boolean },
+    searchQuery: { type: String },
+    highlightId: { type: Number },
+    dragId: { state: true },
+    dropTarget: { state: true },
+    selecting: { state: true },
+    selectedIds: { state: true },
+    anchorId: { state: true },
+    activeId: { state: true }
   };
 
-  static styles = css`
+  static styles = [reducedMotionStyles, css`
     :host {
       display: block;
     }
@@ -34,6 +70,26 @@ export class TodoList extends LitElement {
       margin-bottom: 16px;
     }
 
+    .list-toolbar {
+      display: flex;
+      justify-content: flex-end;
+      margin-bottom: 8px;
+    }
+
+    todo-batch-bar {
+      flex: 1;
+    }
+
+    .select-mode {
+      padding: 4px 12px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      background: var(--color-surface, white);
+      color: var(--color-text-muted, #666);
+      font-size: 13px;
+      cursor: pointer;
+    }
+
     .list-container {
       max-height: 500px;
       overflow-y: auto;
@@ -57,11 +113,248 @@ export class TodoList extends LitElement {
     .list-container::-webkit-scrollbar-thumb:hover {
       background: rgba(255, 255, 255, 0.5);
     }
-  `;
+  `];
 
   constructor() {
     super();
     this.todos = [];
+    this.lists = [];
+    this.currentListId = 1;
+    this.reorderable = false;
+    this.searchQuery = '';
+    this.highlightId = null;
+    this.dragId = null;
+    this.dropTarget = null;
+    this.selecting = false;
+    this.selectedIds = [];
+    this.anchorId = null;
+    this.activeId = null;
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Drops selected todos that are no longer shown. Selection mode ends
+   * when none of the selected todos remain, e.g. after a batch delete,
+   * or when the list is empty.
+   * 
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  willUpdate(changed) {
+    if (!changed.has('todos')) {
+      return;
+    }
+    const visible = new Set(this.todos.map(t => t.id));
+    if (!visible.has(this.activeId)) {
+      this.activeId = null;
+    }
+    const remaining = this.selectedIds.filter(id => visible.has(id));
+    if (this.todos.length === 0 || (this.selectedIds.length > 0 && remaining.length === 0)) {
+      this.endSelection();
+      return;
+    }
+    if (remaining.length < this.selectedIds.length) {
+      this.selectedIds = remaining;
+    }
+    if (!visible.has(this.anchorId)) {
+      this.anchorId = null;
+    }
+  }
+
+  /**
+   * Scrolls the highlighted todo into view when the highlight moves to it,
+   * smoothly unless the user asks for reduced motion.
+   * 
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  updated(changed) {
+    if (changed.has('highlightId') && this.highlightId !== null) {
+      const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+      this.shadowRoot
+        .querySelector(`todo-item[data-todo-id="${this.highlightId}"]`)
+        ?.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+    }
+  }
+
+  /**
+   * Gets the todo keyboard commands act on.
+   * 
+   * @returns {Object|null} The active todo, or null if none is shown
+   */
+  get activeTodo() {
+    return this.todos.find(t => t.id === this.activeId) || null;
+  }
+
+  /**
+   * Gets the row element for a todo.
+   * 
+   * @param {number} id - Todo ID
+   * @returns {HTMLElement|null} The todo-item, or null if it is not shown
+   */
+  itemFor(id) {
+    return this.shadowRoot.querySelector(`todo-item[data-todo-id="${id}"]`);
+  }
+
+  /**
+   * Focuses a todo's row, e.g. after a keyboard command changed the list.
+   * 
+   * @param {number|null} id - Todo ID; nothing happens if it is not shown
+   * @returns {Promise<void>}
+   */
+  async focusTodo(id) {
+    await this.updateComplete;
+    const item = id === null ? null : this.itemFor(id);
+    if (item) {
+      this.activeId = id;
+      item.focus();
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Moves keyboard focus to the next or previous row. With no active
+   * todo, moving down starts at the first row and moving up at the last.
+   * 
+   * @param {number} offset - 1 for the next row, -1 for the previous one
+   */
+  moveFocus(offset) {
+    if (this.todos.length === 0) {
+      return;
+    }
+    const index = this.todos.findIndex(t => t.id === this.activeId);
+    const next = index === -1
+      ? (offset > 0 ? 0 : this.todos.length - 1)
+      : Math.min(Math.max(index + offset, 0), this.todos.length - 1);
+    this.focusTodo(this.todos[next].id);
+  }
+
+  /**
+   * Finds the row to focus once a todo is removed: the next one, or the
+   * previous one for the last row.
+   * 
+   * @param {number} id - ID of the todo being removed
+   * @returns {number|null} ID of the neighbouring todo, or null if there is none
+   */
+  neighbourOf(id) {
+    const index = this.todos.findIndex(t => t.id === id);
+    const neighbour = this.todos[index + 1] || this.todos[index - 1];
+    return index !== -1 && neighbour ? neighbour.id : null;
+  }
+
+  /**
+   * Turns on selection mode and selects every visible todo, e.g. for Ctrl+A.
+   */
+  selectAll() {
+    this.selecting = this.todos.length > 0;
+    this.selectedIds = this.todos.map(t => t.id);
+  }
+
+  /**
+   * Leaves selection mode and forgets the selection.
+   */
+  endSelection() {
+    this.selecting = false;
+    this.selectedIds = [];
+    this.anchorId = null;
+  }
+
+  /**
+   * Adds a todo to the selection or removes it. A range pick selects every
+   * todo between the previous pick and this one, inclusive.
+   * Turns on selection mode if it is off.
+   * 
+   * @param {CustomEvent} e - Event with detail.id and detail.range
+   */
+  handleSelectTodo(e) {
+    const { id, range } = e.detail;
+    const selected = new Set(this.selectedIds);
+    const ids = this.todos.map(t => t.id);
+
+    if (range && this.anchorId !== null) {
+      const from = ids.indexOf(this.anchorId);
+      const to = ids.indexOf(id);
+      ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(rangeId => selected.add(rangeId));
+    } else if (selected.has(id)) {
+      selected.delete(id);
+    } else {
+      selected.add(id);
+    }
+
+    this.selecting = true;
+    this.anchorId = id;
+    this.selectedIds = ids.filter(todoId => selected.has(todoId));
+  }
+
+  /**
+   * Starts dragging a todo by its handle.
+   * 
+   * @param {DragEvent} e - Drag event retargeted to the todo-item
+   * @param {Object} todo - The todo being dragged
+   */
+  handleDragStart(e, todo) {
+    this.dragId = todo.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(todo.id));
+    e.dataTransfer.setDragImage(e.currentTarget, 16, 16);
+  }
+
+  /**
+   * Tracks which half of a row the dragged todo is over.
+   * 
+   * @param {DragEvent} e - Drag event
+   * @param {Object} todo - The todo under the pointer
+   */
+  handleDragOver(e, todo) {
+    if (this.dragId === null) {
+      return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    if (!this.dropTarget || this.dropTarget.id !== todo.id || this.dropTarget.after !== after) {
+      this.dropTarget = { id: todo.id, after };
+    }
+  }
+
+  /**
+   * Drops the dragged todo before or after a row.
+   * Dispatches reorder-todo event.
+   * 
+   * @param {DragEvent} e - Drop event
+   */
+  handleDrop(e) {
+    e.preventDefault();
+    if (this.dragId !== null && this.dropTarget && this.dropTarget.id !== this.dragId) {
+      this.dispatchEvent(new CustomEvent('reorder-todo', {
+        detail: { id: this.dragId, targetId: this.dropTarget.id, after: this.dropTarget.after },
+        bubbles: true,
+        composed: true
+      }));
+    }
+    this.handleDragEnd();
+  }
+
+  /**
+   * Clears drag state when the drag finishes or is cancelled.
+   */
+  handleDragEnd() {
+    this.dragId = null;
+    this.dropTarget = null;
+  }
+
+  /**
+   * Gets the drop indicator position for a row.
+   * 
+   * @param {Object} todo - The todo rendered in the row
+   * @returns {'before'|'after'|typeof nothing} Attribute value, or nothing to remove it
+   * @private
+   */
+  dropPosition(todo) {
+    if (!this.dropTarget || this.dropTarget.id !== todo.id || todo.id === this.dragId) {
+      return nothing;
+    }
+    return this.dropTarget.after ? 'after' : 'before';
   }
 
   render() {
@@ -69,17 +362,60 @@ export class TodoList extends LitElement {
       return html`
         <div class="empty-state">
           <div class="empty-icon">📝</div>
-          <p>No todos yet. Add one above!</p>
+          <p>${this.searchQuery.trim()
+    ? t('list.noMatches', { query: this.searchQuery.trim() })
+    : t('list.empty')}</p>
         </div>
       `;
     }
 
+    const list = this.lists.find(l => l.id === this.currentListId);
     return html`
-      <div class="list-container">
+      <div class="list-toolbar">
+        ${this.selecting ? html`
+          <todo-batch-bar
+            .ids=${this.selectedIds}
+            .total=${this.todos.length}
+            .lists=${this.lists}
+            .currentListId=${this.currentListId}
+            @select-all=${this.selectAll}
+            @selection-end=${this.endSelection}>
+          </todo-batch-bar>
+        ` : html`
+          <button
+            class="select-mode"
+            @click=${() => this.selecting = true}
+            title=${t('list.selectHint')}>
+            ${t('list.select')}
+          </button>
+        `}
+      </div>
+      <div class="list-container" role="list" aria-label=${list ? t('list.label', { name: list.name }) : t('list.labelUntitled')}>
         ${repeat(
     this.todos,
     (todo) => todo.id,
-    (todo) => html`<todo-item .todo=${todo}></todo-item>`
+    (todo) => html`
+      <todo-item
+        .todo=${todo}
+        .lists=${this.lists}
+        .currentListId=${this.currentListId}
+        .reorderable=${this.reorderable}
+        .searchQuery=${this.searchQuery}
+        .selecting=${this.selecting}
+        .selected=${this.selectedIds.includes(todo.id)}
+        .highlighted=${todo.id === this.highlightId}
+        data-todo-id=${todo.id}
+        role="listitem"
+        tabindex="-1"
+        drop-position=${this.dropPosition(todo)}
+        @dragstart=${(e) => this.handleDragStart(e, todo)}
+        @dragover=${(e) => this.handleDragOver(e, todo)}
+        @drop=${this.handleDrop}
+        @dragend=${this.handleDragEnd}
+        @select-todo=${this.handleSelectTodo}
+        @focusin=${() => this.activeId = todo.id}>
+      </todo-item>
+    `
   )}
       </div>
     `;
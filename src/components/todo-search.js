@@ -0,0 +1,108 @@
+import { LitElement, html, css } from 'lit';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * TodoSearch - Search box that narrows the visible todos.
+ * Focusing the element focuses its input, so the app can bind it to "/".
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires search-change - Dispatched whenever the search text changes
+ *
+ * @property {string} query - Current search text
+ */
+export class TodoSearch extends LitElement {
+  static shadowRootOptions = { ...LitElement.shadowRootOptions, delegatesFocus: true };
+
+  static properties = {
+    query: { type: String }
+  };
+
+  static styles = [reducedMotionStyles, css`
+    :host {
+      display: block;
+      margin-bottom: 20px;
+    }
+
+    input {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 10px 16px;
+      font-size: 14px;
+      border: 2px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      outline: none;
+      transition: border-color 0.3s, background 0.3s ease, color 0.3s ease;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+    }
+
+    input:focus {
+      border-color: var(--color-primary, #667eea);
+    }
+  `];
+
+  /**
+   * Creates a TodoSearch instance.
+   */
+  constructor() {
+    super();
+    this.query = '';
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches search-change event with the given text.
+   *
+   * @param {string} query - New search text
+   * @private
+   */
+  emitChange(query) {
+    this.dispatchEvent(new CustomEvent('search-change', {
+      detail: { query },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles typing in the search box.
+   *
+   * @param {Event} e - Input event
+   */
+  handleInput(e) {
+    this.query = e.target.value;
+    this.emitChange(this.query);
+  }
+
+  /**
+   * Clears the search on Escape and leaves the search box.
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.query = '';
+      this.emitChange('');
+      e.target.blur();
+    }
+  }
+
+  render() {
+    return html`
+      <input
+        type="search"
+        class="search-input"
+        .value=${this.query}
+        @input=${this.handleInput}
+        @keydown=${this.handleKeyDown}
+        placeholder=${t('search.placeholder')}
+        aria-label=${t('search.label')}
+      />
+    `;
+  }
+}
+
+customElements.define('todo-search', TodoSearch);
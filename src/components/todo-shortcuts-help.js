@@ -0,0 +1,241 @@
+import { LitElement, html, css } from 'lit';
+import { COMMANDS, commandLabel, formatKey, keyFromEvent } from '../models/keybindings.js';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * TodoShortcutsHelp - Modal overlay listing every keyboard command and
+ * its keys. Each command can be given a new key: click Change, then
+ * press the key (Escape gives up).
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires keybinding-change - Dispatched when a new key is pressed for a command
+ * @fires keybindings-reset - Dispatched when Reset to defaults is clicked
+ * @fires shortcuts-close - Dispatched when the overlay is dismissed
+ *
+ * @property {boolean} open - Whether the overlay is shown
+ * @property {Object<string, Array<string>>} bindings - Keys for every command
+ * @property {string|null} capturingId - Command waiting for its new key, or null
+ */
+export class TodoShortcutsHelp extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    bindings: { type: Object },
+    capturingId: { state: true }
+  };
+
+  static styles = css`
+    dialog {
+      width: min(560px, calc(100vw - 32px));
+      max-height: 80vh;
+      padding: 20px 24px;
+      border: none;
+      border-radius: 12px;
+      background: var(--color-surface, white);
+      color: var(--color-text, #333);
+      box-shadow: 0 16px 48px rgba(0, 0, 0, 0.3);
+    }
+
+    dialog::backdrop {
+      background: rgba(0, 0, 0, 0.4);
+    }
+
+    h2 {
+      margin: 0 0 12px;
+      font-size: 20px;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+
+    td {
+      padding: 6px 4px;
+      border-bottom: 1px solid var(--color-border, #e0e0e0);
+    }
+
+    .shortcut-keys {
+      white-space: nowrap;
+    }
+
+    .shortcut-none,
+    .shortcut-capturing {
+      color: var(--color-text-muted, #666);
+      font-style: italic;
+    }
+
+    kbd {
+      display: inline-block;
+      margin-inline-end: 4px;
+      padding: 1px 6px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      background: var(--color-background, #f5f5f5);
+      font-family: inherit;
+      font-size: 12px;
+    }
+
+    button {
+      padding: 4px 10px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 4px;
+      background: var(--color-surface, white);
+      color: inherit;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .shortcuts-footer {
+      display: flex;
+      justify-content: space-between;
+      margin-top: 16px;
+    }
+
+    .shortcuts-close {
+      background: var(--color-primary, #667eea);
+      border-color: var(--color-primary, #667eea);
+      color: white;
+      font-weight: 600;
+    }
+  `;
+
+  constructor() {
+    super();
+    this.open = false;
+    this.bindings = {};
+    this.capturingId = null;
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Shows or hides the dialog when `open` changes.
+   *
+   * @param {Map<string, *>} changed - Properties changed since the last update
+   */
+  updated(changed) {
+    if (!changed.has('open')) {
+      return;
+    }
+    const dialog = this.shadowRoot.querySelector('dialog');
+    if (this.open && !dialog.open) {
+      dialog.showModal();
+    } else if (!this.open && dialog.open) {
+      this.capturingId = null;
+      dialog.close();
+    }
+  }
+
+  /**
+   * Asks the app to close the overlay.
+   * Dispatches shortcuts-close event.
+   */
+  dismiss() {
+    this.dispatchEvent(new CustomEvent('shortcuts-close', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Takes the next key pressed as the new key of the command being changed.
+   * Dispatches keybinding-change event.
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (this.capturingId === null) {
+      return;
+    }
+
+    const key = keyFromEvent(e);
+    if (!key) {
+      return; // A lone modifier; wait for the rest of the combination
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (key !== 'escape') {
+      this.dispatchEvent(new CustomEvent('keybinding-change', {
+        detail: { id: this.capturingId, key },
+        bubbles: true,
+        composed: true
+      }));
+    }
+    this.capturingId = null;
+  }
+
+  /**
+   * Closes the overlay on Escape, unless Escape just ended a key capture.
+   *
+   * @param {Event} e - Cancel event from the dialog
+   */
+  handleCancel(e) {
+    e.preventDefault();
+    if (this.capturingId === null) {
+      this.dismiss();
+    }
+  }
+
+  /**
+   * Dispatches keybindings-reset event.
+   */
+  handleReset() {
+    this.capturingId = null;
+    this.dispatchEvent(new CustomEvent('keybindings-reset', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Renders the keys bound to a command.
+   *
+   * @param {string} id - Command ID
+   * @returns {import('lit').TemplateResult} Key list
+   * @private
+   */
+  renderKeys(id) {
+    if (this.capturingId === id) {
+      return html`<span class="shortcut-capturing" role="status">${t('shortcuts.capturing')}</span>`;
+    }
+    const keys = this.bindings[id] || [];
+    return keys.length > 0
+      ? html`${keys.map(key => html`<kbd>${formatKey(key)}</kbd>`)}`
+      : html`<span class="shortcut-none">${t('shortcuts.none')}</span>`;
+  }
+
+  render() {
+    return html`
+      <dialog
+        aria-labelledby="shortcuts-title"
+        @cancel=${this.handleCancel}
+        @keydown=${this.handleKeyDown}>
+        <h2 id="shortcuts-title">${t('shortcuts.title')}</h2>
+        <table>
+          ${COMMANDS.map(command => html`
+            <tr>
+              <td>${commandLabel(command.id)}</td>
+              <td class="shortcut-keys">${this.renderKeys(command.id)}</td>
+              <td>
+                <button
+                  class="shortcut-change"
+                  @click=${() => this.capturingId = command.id}
+                  aria-label=${t('shortcuts.changeFor', { command: commandLabel(command.id) })}>
+                  ${t('shortcuts.change')}
+                </button>
+              </td>
+            </tr>
+          `)}
+        </table>
+        <div class="shortcuts-footer">
+          <button class="shortcuts-reset" @click=${this.handleReset}>${t('shortcuts.reset')}</button>
+          <button class="shortcuts-close" @click=${this.dismiss}>${t('common.close')}</button>
+        </div>
+      </dialog>
+    `;
+  }
+}
+
+customElements.define('todo-shortcuts-help', TodoShortcutsHelp);
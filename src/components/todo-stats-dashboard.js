@@ -0,0 +1,368 @@
+import { LitElement, html, svg, css } from 'lit';
+import { t, formatDate, weekdayName } from '../models/i18n.js';
+import { productivityStats, durationParts } from '../models/stats.js';
+import { LocaleController } from './locale-controller.js';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * Size of the chart's drawing area, in SVG user units. The chart scales
+ * to the width of the dashboard.
+ *
+ * @type {{width: number, height: number, labels: number}}
+ */
+const CHART = { width: 560, height: 200, labels: 20 };
+
+/**
+ * Reads a local "YYYY-MM-DD" date key.
+ *
+ * @param {string} dateKey - Date key
+ * @returns {Date} Local midnight of that day
+ */
+function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * TodoStatsDashboard - Productivity statistics from the completion log of
+ * every list: completions per day or week as a bar chart, the average time to
+ * complete a todo, completion streaks and the busiest weekday. The chart
+ * is drawn as inline SVG, so the dashboard works offline; screen readers
+ * get the same numbers as a table.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires stats-close - Dispatched when the Back to todos button is clicked
+ *
+ * @property {Array<{createdAt: string, completedAt: string}>} completions - Completion log, see TodoModel#completions
+ * @property {'day'|'week'} range - Whether the chart shows days or weeks
+ */
+export class TodoStatsDashboard extends LitElement {
+  static properties = {
+    completions: { type: Array },
+    range: { state: true }
+  };
+
+  static styles = [reducedMotionStyles, css`
+    :host {
+      display: block;
+      color: var(--color-text, #333);
+    }
+
+    .dashboard-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      margin-bottom: 16px;
+    }
+
+    h2 {
+      font-size: 20px;
+    }
+
+    button {
+      padding: 6px 12px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: var(--color-background, #f5f5f5);
+      color: inherit;
+      font-size: 13px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover {
+      background: var(--color-surface-hover, rgba(0, 0, 0, 0.05));
+    }
+
+    .dashboard-empty {
+      margin-bottom: 16px;
+      color: var(--color-text-muted, #666);
+      font-size: 14px;
+    }
+
+    .dashboard-cards {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
+      gap: 12px;
+      margin: 0 0 20px;
+    }
+
+    .card {
+      display: flex;
+      flex-direction: column-reverse;
+      gap: 4px;
+      padding: 12px;
+      background: var(--color-background, #f5f5f5);
+      border-radius: 8px;
+    }
+
+    .card dt {
+      font-size: 12px;
+      color: var(--color-text-muted, #666);
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+
+    .card dd {
+      margin: 0;
+      font-size: 20px;
+      font-weight: 700;
+      color: var(--color-primary, #667eea);
+    }
+
+    figure {
+      margin: 0;
+      padding: 12px;
+      background: var(--color-background, #f5f5f5);
+      border-radius: 8px;
+    }
+
+    .chart-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      margin-bottom: 8px;
+      font-size: 14px;
+    }
+
+    .chart-range {
+      display: flex;
+      gap: 4px;
+    }
+
+    .chart-range button[aria-pressed='true'] {
+      background: var(--color-primary, #667eea);
+      border-color: var(--color-primary, #667eea);
+      color: white;
+    }
+
+    svg {
+      display: block;
+      width: 100%;
+      height: auto;
+    }
+
+    .bar {
+      fill: var(--color-primary, #667eea);
+    }
+
+    .bar-count,
+    .bar-label {
+      fill: var(--color-text-muted, #666);
+      font-size: 11px;
+      text-anchor: middle;
+    }
+
+    .axis {
+      stroke: var(--color-border, #e0e0e0);
+    }
+
+    .visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+    }
+  `];
+
+  /**
+   * Creates a TodoStatsDashboard instance.
+   */
+  constructor() {
+    super();
+    this.completions = [];
+    this.range = 'day';
+    this.stats = productivityStats([]);
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Recomputes the statistics when the completions change.
+   *
+   * @param {Map<string, *>} changed - Properties about to be updated
+   */
+  willUpdate(changed) {
+    if (changed.has('completions')) {
+      this.stats = productivityStats(this.completions);
+    }
+  }
+
+  /**
+   * Dispatches stats-close event.
+   */
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('stats-close', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Names a chart period, for bar tooltips and the data table.
+   *
+   * @param {string} start - First day of the period, "YYYY-MM-DD"
+   * @returns {string} e.g. "Mar 13, 2024" or "Week of Mar 11, 2024"
+   * @private
+   */
+  periodName(start) {
+    const date = formatDate(fromDateKey(start));
+    return this.range === 'week' ? t('dashboard.weekOf', { date }) : date;
+  }
+
+  /**
+   * Writes the short label under a bar: the day of the month, or the
+   * day and month a week starts on.
+   *
+   * @param {string} start - First day of the period, "YYYY-MM-DD"
+   * @returns {string} Axis label
+   * @private
+   */
+  axisLabel(start) {
+    const options = this.range === 'week' ? { day: 'numeric', month: 'numeric' } : { day: 'numeric' };
+    return formatDate(fromDateKey(start), options);
+  }
+
+  /**
+   * Formats the average time to complete a todo.
+   *
+   * @returns {string} e.g. "1.5 days", or a placeholder with no completions
+   * @private
+   */
+  averageTime() {
+    if (this.stats.averageTime === null) {
+      return t('dashboard.none');
+    }
+    const { unit, count } = durationParts(this.stats.averageTime);
+    return t(`dashboard.${unit}`, { count });
+  }
+
+  /**
+   * Draws the bar chart of completions per period.
+   *
+   * @param {Array<{start: string, count: number}>} periods - Periods, oldest first
+   * @returns {import('lit').TemplateResult} SVG chart
+   * @private
+   */
+  renderChart(periods) {
+    const max = Math.max(1, ...periods.map(period => period.count));
+    const slot = CHART.width / periods.length;
+    const barWidth = slot * 0.6;
+    const plotHeight = CHART.height - CHART.labels * 2;
+    const baseline = CHART.height - CHART.labels;
+
+    const bars = periods.map((period, index) => {
+      const height = period.count / max * plotHeight;
+      const x = index * slot + (slot - barWidth) / 2;
+      const middle = index * slot + slot / 2;
+      const label = t('dashboard.bar', {
+        period: this.periodName(period.start),
+        todos: t('common.todos', { count: period.count })
+      });
+      return svg`
+        <g>
+          <title>${label}</title>
+          <rect class="bar" x=${x} y=${baseline - height} width=${barWidth} height=${height} rx="3"></rect>
+          ${period.count > 0 ? svg`
+            <text class="bar-count" x=${middle} y=${baseline - height - 4}>${period.count}</text>
+          ` : ''}
+          <text class="bar-label" x=${middle} y=${CHART.height - 4}>${this.axisLabel(period.start)}</text>
+        </g>
+      `;
+    });
+
+    return html`
+      <svg viewBox="0 0 ${CHART.width} ${CHART.height}" aria-hidden="true" focusable="false">
+        <line class="axis" x1="0" x2=${CHART.width} y1=${baseline} y2=${baseline}></line>
+        ${bars}
+      </svg>
+    `;
+  }
+
+  render() {
+    const { completed, perDay, perWeek, streaks, busiestWeekday } = this.stats;
+    const periods = this.range === 'week' ? perWeek : perDay;
+    const caption = this.range === 'week'
+      ? t('dashboard.chartWeeks', { count: perWeek.length })
+      : t('dashboard.chartDays', { count: perDay.length });
+
+    return html`
+      <section class="dashboard" aria-labelledby="dashboard-title">
+        <div class="dashboard-header">
+          <h2 id="dashboard-title">${t('dashboard.title')}</h2>
+          <button class="dashboard-back" @click=${this.handleClose}>${t('dashboard.back')}</button>
+        </div>
+
+        ${completed === 0 ? html`<p class="dashboard-empty">${t('dashboard.empty')}</p>` : ''}
+
+        <dl class="dashboard-cards">
+          <div class="card completed-total">
+            <dt>${t('dashboard.completed')}</dt>
+            <dd>${t('common.todos', { count: completed })}</dd>
+          </div>
+          <div class="card average-time">
+            <dt>${t('dashboard.average')}</dt>
+            <dd>${this.averageTime()}</dd>
+          </div>
+          <div class="card current-streak">
+            <dt>${t('dashboard.currentStreak')}</dt>
+            <dd>${t('dashboard.days', { count: streaks.current })}</dd>
+          </div>
+          <div class="card best-streak">
+            <dt>${t('dashboard.bestStreak')}</dt>
+            <dd>${t('dashboard.days', { count: streaks.best })}</dd>
+          </div>
+          <div class="card busiest-weekday">
+            <dt>${t('dashboard.busiest')}</dt>
+            <dd>${busiestWeekday ? weekdayName(busiestWeekday.day, 'long') : t('dashboard.none')}</dd>
+          </div>
+        </dl>
+
+        <figure>
+          <div class="chart-header">
+            <figcaption>${caption}</figcaption>
+            <div class="chart-range" role="group" aria-label=${t('dashboard.range')}>
+              <button
+                class="range-day"
+                aria-pressed=${this.range === 'day' ? 'true' : 'false'}
+                @click=${() => this.range = 'day'}>
+                ${t('dashboard.perDay')}
+              </button>
+              <button
+                class="range-week"
+                aria-pressed=${this.range === 'week' ? 'true' : 'false'}
+                @click=${() => this.range = 'week'}>
+                ${t('dashboard.perWeek')}
+              </button>
+            </div>
+          </div>
+          ${this.renderChart(periods)}
+          <table class="visually-hidden">
+            <caption>${caption}</caption>
+            <thead>
+              <tr>
+                <th scope="col">${t('dashboard.period')}</th>
+                <th scope="col">${t('dashboard.completed')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${periods.map(period => html`
+                <tr>
+                  <th scope="row">${this.periodName(period.start)}</th>
+                  <td>${period.count}</td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+        </figure>
+      </section>
+    `;
+  }
+}
+
+customElements.define('todo-stats-dashboard', TodoStatsDashboard);
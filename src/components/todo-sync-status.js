@@ -0,0 +1,114 @@
+import { LitElement, html, css } from 'lit';
+import { t, formatDate } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * Message key of the text shown for each sync status.
+ *
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  synced: 'sync.synced',
+  pending: 'sync.pending',
+  error: 'sync.error'
+};
+
+/**
+ * TodoSyncStatus - Shows whether local changes have reached the sync
+ * server, with a button to sync straight away.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires sync-now - Dispatched when the Sync now button is clicked
+ *
+ * @property {string} status - 'synced', 'pending' or 'error'
+ * @property {string} error - Reason for the last failure, shown on hover
+ * @property {string|null} lastSyncedAt - Time of the last successful sync
+ */
+export class TodoSyncStatus extends LitElement {
+  static properties = {
+    status: { type: String, reflect: true },
+    error: { type: String },
+    lastSyncedAt: { type: String }
+  };
+
+  static styles = css`
+    :host {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 16px;
+      font-size: 13px;
+      color: var(--color-text-muted, #666);
+    }
+
+    .dot {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: var(--color-primary, #667eea);
+    }
+
+    :host([status='synced']) .dot {
+      background: var(--color-btn-edit, #4CAF50);
+    }
+
+    :host([status='error']) .dot {
+      background: var(--color-btn-delete, #f44336);
+    }
+
+    button {
+      padding: 2px 10px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: none;
+      color: inherit;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    button:hover {
+      background: var(--color-background, #f5f5f5);
+    }
+  `;
+
+  /**
+   * Creates a TodoSyncStatus instance.
+   */
+  constructor() {
+    super();
+    this.status = 'pending';
+    this.error = '';
+    this.lastSyncedAt = null;
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches sync-now event.
+   */
+  handleSyncNow() {
+    this.dispatchEvent(new CustomEvent('sync-now', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  render() {
+    const title = this.status === 'error'
+      ? this.error
+      : this.lastSyncedAt
+        ? t('sync.lastSynced', { time: formatDate(this.lastSyncedAt, { dateStyle: 'medium', timeStyle: 'short' }) })
+        : t('sync.never');
+
+    return html`
+      <span class="dot" aria-hidden="true"></span>
+      <span class="sync-label" role="status" title=${title}>${STATUS_LABELS[this.status] ? t(STATUS_LABELS[this.status]) : this.status}</span>
+      <button class="sync-now" @click=${this.handleSyncNow}>
+        ${t('sync.now')}
+      </button>
+    `;
+  }
+}
+
+customElements.define('todo-sync-status', TodoSyncStatus);
@@ -0,0 +1,224 @@
+import { LitElement, html, css } from 'lit';
+import { t } from '../models/i18n.js';
+import { THEME_MODES, PALETTES, DEFAULT_THEME, themeModeLabel, paletteLabel, isValidAccent } from '../models/theme.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * Accent shown in the colour input while the palette's own is used.
+ *
+ * @type {string}
+ */
+const FALLBACK_ACCENT = '#667eea';
+
+/**
+ * TodoThemePicker - Disclosure panel for choosing the colour mode
+ * (light, dark or following the system), the palette and an accent colour.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires theme-change - Dispatched with detail.theme, the whole new theme, whenever one part changes
+ *
+ * @property {{mode: string, palette: string, accent: string|null}} theme - Theme being shown
+ */
+export class TodoThemePicker extends LitElement {
+  static properties = {
+    theme: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      position: relative;
+      display: block;
+    }
+
+    summary {
+      list-style: none;
+      padding: 8px 12px;
+      background: var(--color-background, #f5f5f5);
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 8px;
+      cursor: pointer;
+      font-size: 20px;
+      line-height: 1.2;
+    }
+
+    summary::-webkit-details-marker {
+      display: none;
+    }
+
+    .theme-panel {
+      position: absolute;
+      inset-inline-end: 0;
+      top: calc(100% + 6px);
+      z-index: 10;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      min-width: 220px;
+      padding: 14px;
+      background: var(--color-surface, white);
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 10px;
+      box-shadow: 0 6px 20px var(--color-shadow, rgba(0, 0, 0, 0.2));
+      color: var(--color-text, #333);
+      font-size: 14px;
+    }
+
+    fieldset {
+      display: flex;
+      gap: 10px;
+      border: none;
+    }
+
+    legend,
+    .field-label {
+      margin-bottom: 6px;
+      font-weight: 600;
+      color: var(--color-text-muted, #666);
+    }
+
+    label {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      cursor: pointer;
+    }
+
+    .field {
+      display: flex;
+      flex-direction: column;
+    }
+
+    select {
+      padding: 6px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: var(--color-background, #f5f5f5);
+      color: inherit;
+      font-size: 14px;
+    }
+
+    .accent-row {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .theme-accent {
+      width: 44px;
+      height: 32px;
+      padding: 0;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: none;
+      cursor: pointer;
+    }
+
+    .theme-accent-reset {
+      padding: 6px 10px;
+      border: 1px solid var(--color-border, #e0e0e0);
+      border-radius: 6px;
+      background: none;
+      color: inherit;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .theme-accent-reset:disabled {
+      cursor: default;
+      opacity: 0.5;
+    }
+  `;
+
+  /**
+   * Creates a TodoThemePicker instance.
+   */
+  constructor() {
+    super();
+    this.theme = DEFAULT_THEME;
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches theme-change with one part of the theme replaced.
+   *
+   * @param {Object} change - Fields to change, e.g. { palette: 'sepia' }
+   * @private
+   */
+  changeTheme(change) {
+    this.dispatchEvent(new CustomEvent('theme-change', {
+      detail: { theme: { ...this.theme, ...change } },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Gets the colour to show in the accent input: the custom accent, or
+   * the palette's primary colour while there is none.
+   *
+   * @returns {string} Six-digit hex colour
+   * @private
+   */
+  accentValue() {
+    if (this.theme.accent) {
+      return this.theme.accent;
+    }
+    const primary = getComputedStyle(document.body).getPropertyValue('--color-primary').trim();
+    return isValidAccent(primary) ? primary : FALLBACK_ACCENT;
+  }
+
+  render() {
+    return html`
+      <details>
+        <summary class="theme-picker-toggle" aria-label=${t('theme.title')} title=${t('theme.title')}>🎨</summary>
+        <div class="theme-panel">
+          <fieldset class="theme-modes">
+            <legend class="field-label">${t('theme.mode')}</legend>
+            ${THEME_MODES.map(mode => html`
+              <label>
+                <input
+                  type="radio"
+                  name="theme-mode"
+                  class="theme-mode"
+                  value=${mode}
+                  .checked=${this.theme.mode === mode}
+                  @change=${() => this.changeTheme({ mode })}>
+                ${themeModeLabel(mode)}
+              </label>
+            `)}
+          </fieldset>
+
+          <label class="field">
+            <span class="field-label">${t('theme.palette')}</span>
+            <select class="theme-palette" @change=${e => this.changeTheme({ palette: e.target.value })}>
+              ${PALETTES.map(palette => html`
+                <option value=${palette} ?selected=${this.theme.palette === palette}>${paletteLabel(palette)}</option>
+              `)}
+            </select>
+          </label>
+
+          <div class="field">
+            <span class="field-label" id="accent-label">${t('theme.accent')}</span>
+            <div class="accent-row">
+              <input
+                type="color"
+                class="theme-accent"
+                aria-labelledby="accent-label"
+                .value=${this.accentValue()}
+                @change=${e => this.changeTheme({ accent: e.target.value })}>
+              <button
+                class="theme-accent-reset"
+                ?disabled=${!this.theme.accent}
+                @click=${() => this.changeTheme({ accent: null })}>
+                ${t('theme.accentReset')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </details>
+    `;
+  }
+}
+
+customElements.define('todo-theme-picker', TodoThemePicker);
@@ -0,0 +1,143 @@
+import { LitElement, html, css } from 'lit';
+import { reducedMotionStyles } from './shared-styles.js';
+
+/**
+ * TodoToast - Transient notification with an optional action button.
+ * Hides itself after `duration` milliseconds unless a new message arrives.
+ * It is not a live region itself: the app announces its messages, since
+ * screen readers miss live regions that appear along with their text.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires toast-action - Dispatched when the action button is clicked
+ * @fires toast-dismiss - Dispatched when the toast hides itself
+ *
+ * @property {string} message - Text to display; an empty string hides the toast
+ * @property {string} actionLabel - Label of the action button, e.g. "Undo"
+ * @property {number} duration - Milliseconds before the toast hides itself
+ */
+export class TodoToast extends LitElement {
+  static properties = {
+    message: { type: String },
+    actionLabel: { type: String },
+    duration: { type: Number }
+  };
+
+  static styles = [reducedMotionStyles, css`
+    :host {
+      position: fixed;
+      left: 50%;
+      bottom: 24px;
+      transform: translateX(-50%);
+      z-index: 10;
+    }
+
+    .toast {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      padding: 12px 16px;
+      background: var(--color-text, #333);
+      color: var(--color-surface, white);
+      border-radius: 8px;
+      box-shadow: 0 4px 16px var(--color-shadow, rgba(0, 0, 0, 0.2));
+      font-size: 14px;
+      transition: background 0.3s ease, color 0.3s ease;
+    }
+
+    button {
+      padding: 6px 12px;
+      border: none;
+      border-radius: 4px;
+      background: var(--color-primary, #667eea);
+      color: white;
+      font-size: 14px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover {
+      background: var(--color-primary-hover, #5568d3);
+    }
+  `];
+
+  /**
+   * Creates a TodoToast instance.
+   */
+  constructor() {
+    super();
+    this.message = '';
+    this.actionLabel = '';
+    this.duration = 5000;
+
+    /**
+     * @type {number|null}
+     * @private
+     */
+    this.timer = null;
+  }
+
+  /**
+   * Restarts the hide timer whenever a new message is shown.
+   *
+   * @param {Map<string, *>} changed - Changed properties
+   */
+  updated(changed) {
+    if (changed.has('message')) {
+      clearTimeout(this.timer);
+      if (this.message) {
+        this.timer = setTimeout(() => this.dismiss(), this.duration);
+      }
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Handles the action button click.
+   * Dispatches toast-action event.
+   */
+  handleAction() {
+    clearTimeout(this.timer);
+    this.dispatchEvent(new CustomEvent('toast-action', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Hides the toast.
+   * Dispatches toast-dismiss event.
+   *
+   * @private
+   */
+  dismiss() {
+    this.dispatchEvent(new CustomEvent('toast-dismiss', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  render() {
+    if (!this.message) {
+      return html``;
+    }
+
+    return html`
+      <div class="toast">
+        <span class="toast-message">${this.message}</span>
+        ${this.actionLabel ? html`
+          <button class="toast-action" @click=${this.handleAction}>
+            ${this.actionLabel}
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+}
+
+customElements.define('todo-toast', TodoToast);
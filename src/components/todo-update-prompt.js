@@ -0,0 +1,95 @@
+import { LitElement, html, css } from 'lit';
+import { t } from '../models/i18n.js';
+import { LocaleController } from './locale-controller.js';
+
+/**
+ * TodoUpdatePrompt - Banner offering to reload into a newly deployed
+ * version of the app. Unlike a toast it stays until the user answers.
+ *
+ * @class
+ * @extends {LitElement}
+ * @fires update-accept - Dispatched when the Reload button is clicked
+ * @fires update-dismiss - Dispatched when the Not now button is clicked
+ */
+export class TodoUpdatePrompt extends LitElement {
+  static styles = css`
+    :host {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      margin-bottom: 16px;
+      padding: 10px 16px;
+      border-radius: 8px;
+      background: var(--color-background, #f5f5f5);
+      border: 1px solid var(--color-primary, #667eea);
+      color: var(--color-text, #333);
+      font-size: 14px;
+    }
+
+    .buttons {
+      display: flex;
+      gap: 8px;
+    }
+
+    button {
+      padding: 6px 12px;
+      border: 1px solid var(--color-primary, #667eea);
+      border-radius: 4px;
+      background: none;
+      color: inherit;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .update-reload {
+      background: var(--color-primary, #667eea);
+      color: white;
+      font-weight: 600;
+    }
+
+    .update-reload:hover {
+      background: var(--color-primary-hover, #5568d3);
+    }
+  `;
+
+  /**
+   * Creates a TodoUpdatePrompt instance.
+   */
+  constructor() {
+    super();
+    this.localeController = new LocaleController(this);
+  }
+
+  /**
+   * Dispatches update-accept event.
+   */
+  handleReload() {
+    this.dispatchEvent(new CustomEvent('update-accept', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Dispatches update-dismiss event.
+   */
+  handleLater() {
+    this.dispatchEvent(new CustomEvent('update-dismiss', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  render() {
+    return html`
+      <span class="update-message" role="status">${t('update.available')}</span>
+      <div class="buttons">
+        <button class="update-later" @click=${this.handleLater}>${t('update.later')}</button>
+        <button class="update-reload" @click=${this.handleReload}>${t('update.reload')}</button>
+      </div>
+    `;
+  }
+}
+
+customElements.define('todo-update-prompt', TodoUpdatePrompt);
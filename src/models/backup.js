@@ -0,0 +1,177 @@
+import { MAX_LIST_NAME_LENGTH } from './todo-model.js';
+import { MAX_TODO_LENGTH, normalizeTodo } from './schema.js';
+import { t } from './i18n.js';
+
+/**
+ * JSON backup format: building export documents and validating
+ * imported ones against the todo schema.
+ *
+ * A backup looks like:
+ * {
+ *   format: 'lab9-todos', version: 1, exportedAt: '2024-01-01T00:00:00.000Z',
+ *   settings: { theme: { mode: 'system', palette: 'default', accent: null }, locale: 'en', keybindings: { undo: ['ctrl+z'], ... } },
+ *   currentListId: 1,
+ *   lists: [{ id: 1, name: 'Inbox', nextId: 3, todos: [...] }]
+ * }
+ */
+
+/**
+ * Value of the `format` field identifying a todo backup.
+ *
+ * @type {string}
+ */
+export const BACKUP_FORMAT = 'lab9-todos';
+
+/**
+ * Current backup document version. Documents with a newer version are rejected.
+ *
+ * @type {number}
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * BackupError - Thrown when a file cannot be read as a backup at all,
+ * as opposed to individual invalid records, which are reported and skipped.
+ *
+ * @class
+ * @extends {Error}
+ */
+export class BackupError extends Error {
+  /**
+   * @param {string} message - Human-readable reason, in the current language
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+/**
+ * Builds a backup document.
+ *
+ * @param {{currentListId: number, lists: Array<{id: number, name: string, nextId: number, todos: Array<Object>}>}} data - Every list, from TodoModel#exportData
+ * @param {Object} [settings={}] - App settings to include, e.g. { theme, locale }
+ * @param {Date} [now=new Date()] - Export time
+ * @returns {Object} Backup document, ready for JSON.stringify
+ */
+export function createBackup(data, settings = {}, now = new Date()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    settings: { ...settings },
+    currentListId: data.currentListId,
+    lists: data.lists
+  };
+}
+
+/**
+ * Checks a todo record against the required todo schema.
+ *
+ * @param {*} record - Raw record from a backup
+ * @returns {Array<string>} Problems found, in the current language; empty if the record is valid
+ */
+export function validateTodoRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [t('backup.error.notObject')];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(record.id) || record.id < 1) {
+    errors.push(t('backup.error.id'));
+  }
+  if (typeof record.text !== 'string' || record.text.trim() === '') {
+    errors.push(t('backup.error.text'));
+  } else if (record.text.trim().length > MAX_TODO_LENGTH) {
+    errors.push(t('backup.error.textLength', { max: MAX_TODO_LENGTH }));
+  }
+  if (typeof record.completed !== 'boolean') {
+    errors.push(t('backup.error.completed'));
+  }
+  if (typeof record.createdAt !== 'string' || Number.isNaN(Date.parse(record.createdAt))) {
+    errors.push(t('backup.error.createdAt'));
+  }
+  return errors;
+}
+
+/**
+ * Parses and validates a backup file.
+ * Invalid todos are skipped and reported with their position, so one bad
+ * record does not block the rest of the import.
+ *
+ * @param {string} text - File contents
+ * @returns {{currentListId: number|null, lists: Array<{id: number, name: string, nextId: number, todos: Array<Object>}>, settings: Object, errors: Array<{list: string, index: number|null, messages: Array<string>}>, todoCount: number}} Valid data and per-record errors
+ * @throws {BackupError} If the file is not a backup this version can read
+ */
+export function parseBackup(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new BackupError(t('backup.error.notJson'));
+  }
+
+  if (!doc || doc.format !== BACKUP_FORMAT || !Array.isArray(doc.lists)) {
+    throw new BackupError(t('backup.error.notBackup'));
+  }
+  if (!Number.isInteger(doc.version) || doc.version > BACKUP_VERSION) {
+    throw new BackupError(t('backup.error.version', { version: String(doc.version) }));
+  }
+
+  const { lists, errors } = validateLists(doc.lists);
+  if (lists.length === 0) {
+    throw new BackupError(t('backup.error.noLists'));
+  }
+
+  const settings = doc.settings && typeof doc.settings === 'object' ? doc.settings : {};
+  return {
+    currentListId: lists.some(l => l.id === doc.currentListId) ? doc.currentListId : null,
+    lists,
+    settings,
+    errors,
+    todoCount: lists.reduce((sum, list) => sum + list.todos.length, 0)
+  };
+}
+
+/**
+ * Validates raw lists with their todos, e.g. from a backup or the sync server.
+ * Invalid lists and todos are skipped and reported with their position,
+ * with messages in the current language.
+ *
+ * @param {Array<*>} rawLists - Untrusted list records
+ * @returns {{lists: Array<{id: number, name: string, nextId: number, todos: Array<Object>}>, errors: Array<{list: string, index: number|null, messages: Array<string>}>}} Valid lists and per-record errors
+ */
+export function validateLists(rawLists) {
+  const errors = [];
+  const lists = [];
+  rawLists.forEach((rawList, listIndex) => {
+    const name = rawList && typeof rawList.name === 'string' ? rawList.name.trim() : '';
+    const label = name || t('backup.listNumber', { number: listIndex + 1 });
+    if (!rawList || !Number.isInteger(rawList.id) || rawList.id < 1 || lists.some(l => l.id === rawList.id)) {
+      errors.push({ list: label, index: null, messages: [t('backup.error.listId')] });
+      return;
+    }
+    if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+      errors.push({ list: label, index: null, messages: [t('backup.error.listName', { max: MAX_LIST_NAME_LENGTH })] });
+      return;
+    }
+
+    const todos = [];
+    (Array.isArray(rawList.todos) ? rawList.todos : []).forEach((record, index) => {
+      const messages = validateTodoRecord(record);
+      if (messages.length === 0 && todos.some(t => t.id === record.id)) {
+        messages.push(t('backup.error.duplicateId', { id: String(record.id) }));
+      }
+      if (messages.length > 0) {
+        errors.push({ list: label, index, messages });
+      } else {
+        todos.push(normalizeTodo(record));
+      }
+    });
+
+    const maxId = todos.reduce((max, t) => Math.max(max, t.id), 0);
+    const nextId = Number.isInteger(rawList.nextId) ? Math.max(rawList.nextId, maxId + 1) : maxId + 1;
+    lists.push({ id: rawList.id, name, nextId, todos });
+  });
+  return { lists, errors };
+}
@@ -0,0 +1,64 @@
+import { t } from './i18n.js';
+
+/**
+ * Confirmations asked before destructive actions, and the user's
+ * "Don't ask again" choices. Each kind can be skipped on its own; the
+ * skipped kinds are stored as an array, e.g. ["clear-completed"].
+ */
+
+/**
+ * Every kind of confirmation.
+ *
+ * @type {Array<string>}
+ */
+export const CONFIRMATION_KINDS = ['delete-todo', 'clear-completed', 'clear-all'];
+
+/**
+ * Builds the text of a confirmation in the current language.
+ *
+ * @param {string} kind - One of {@link CONFIRMATION_KINDS}
+ * @param {{count?: number, text?: string}} [subject={}] - Number of todos affected, and the text of a single todo
+ * @returns {{heading: string, message: string, confirmLabel: string}} Dialog text
+ */
+export function describeConfirmation(kind, { count = 1, text = '' } = {}) {
+  const undoNote = t('confirm.undoNote');
+
+  if (kind === 'clear-completed') {
+    return {
+      heading: t('confirm.clearCompleted.heading'),
+      message: `${t('confirm.clearCompleted.message', { count })} ${undoNote}`,
+      confirmLabel: t('confirm.clearCompleted.confirm')
+    };
+  }
+  if (kind === 'clear-all') {
+    return {
+      heading: t('confirm.clearAll.heading'),
+      message: `${t('confirm.clearAll.message', { count })} ${undoNote}`,
+      confirmLabel: t('confirm.clearAll.confirm')
+    };
+  }
+  if (count !== 1) {
+    return {
+      heading: t('confirm.deleteTodos.heading', { count }),
+      message: `${t('confirm.deleteTodos.message')} ${undoNote}`,
+      confirmLabel: t('confirm.delete')
+    };
+  }
+  return {
+    heading: t('confirm.deleteTodo.heading'),
+    message: `${text ? t('confirm.deleteTodo.message', { text }) : t('confirm.deleteTodo.untitled')} ${undoNote}`,
+    confirmLabel: t('confirm.delete')
+  };
+}
+
+/**
+ * Validates stored "Don't ask again" choices, dropping unknown kinds.
+ *
+ * @param {*} stored - Skipped kinds as loaded from storage
+ * @returns {Array<string>} Skipped kinds
+ */
+export function normalizeSkippedConfirmations(stored) {
+  return Array.isArray(stored)
+    ? CONFIRMATION_KINDS.filter(kind => stored.includes(kind))
+    : [];
+}
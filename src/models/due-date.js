@@ -0,0 +1,98 @@
+/**
+ * Due date helpers shared by the model and the components.
+ * Due dates are stored as local calendar dates ("YYYY-MM-DD") with an
+ * optional local time ("HH:MM"), so a todo due "today" stays due today
+ * regardless of the time zone offset at the moment it was saved.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Formats a Date as a local calendar date key.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date in "YYYY-MM-DD" form
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Formats a Date as a local time key.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Time in "HH:MM" form
+ */
+export function toTimeKey(date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Checks that a value is a real calendar date in "YYYY-MM-DD" form.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid date key
+ */
+export function isValidDateKey(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Checks that a value is a time in 24-hour "HH:MM" form.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid time key
+ */
+export function isValidTimeKey(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+/**
+ * Normalizes user-supplied due date fields.
+ * Invalid or empty values become null, and a time without a date is dropped.
+ *
+ * @param {{dueDate?: *, dueTime?: *}} fields - Raw due date fields
+ * @returns {{dueDate: string|null, dueTime: string|null}} Normalized fields
+ */
+export function normalizeDue({ dueDate, dueTime } = {}) {
+  const date = isValidDateKey(dueDate) ? dueDate : null;
+  const time = date && isValidTimeKey(dueTime) ? dueTime : null;
+  return { dueDate: date, dueTime: time };
+}
+
+/**
+ * Classifies an incomplete todo relative to the current moment.
+ * Completed todos and todos without a due date have no status.
+ *
+ * @param {{completed: boolean, dueDate?: string|null, dueTime?: string|null}} todo - Todo to classify
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {'overdue'|'today'|'upcoming'|null} Due status
+ */
+export function getDueStatus(todo, now = new Date()) {
+  if (todo.completed || !todo.dueDate) {
+    return null;
+  }
+
+  const today = toDateKey(now);
+  if (todo.dueDate < today) {
+    return 'overdue';
+  }
+  if (todo.dueDate > today) {
+    return 'upcoming';
+  }
+  if (todo.dueTime && todo.dueTime <= toTimeKey(now)) {
+    return 'overdue';
+  }
+  return 'today';
+}
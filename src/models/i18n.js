@@ -0,0 +1,200 @@
+import en from './locales/en.js';
+import de from './locales/de.js';
+import ar from './locales/ar.js';
+
+/**
+ * Translations of the UI text. Every message has a dotted key such as
+ * 'stats.total'. A message is either a string or, when it contains a
+ * count, an object of plural forms picked with Intl.PluralRules:
+ *
+ *   'import.done': { one: 'Imported {count} todo', other: 'Imported {count} todos' }
+ *
+ * `{name}` placeholders are filled from the params passed to {@link t};
+ * numbers are formatted for the locale. Messages missing from a locale
+ * fall back to English, then to the key itself.
+ */
+
+/**
+ * Supported locales, with their name in their own language and their
+ * writing direction.
+ *
+ * @type {Object<string, {name: string, dir: string, messages: Object<string, string|Object<string, string>>}>}
+ */
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  de: { name: 'Deutsch', dir: 'ltr', messages: de },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar }
+};
+
+/**
+ * Locale used when none of the user's preferred languages is supported.
+ *
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * @type {string}
+ * @private
+ */
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * @type {Set<function(string): void>}
+ * @private
+ */
+const listeners = new Set();
+
+/**
+ * Picks the supported locale closest to the user's preferred languages,
+ * e.g. "de" for ["de-AT", "en"].
+ *
+ * @param {Array<string>} [preferred=[]] - Language tags, most preferred first, as in navigator.languages
+ * @returns {string} Supported locale
+ */
+export function matchLocale(preferred = []) {
+  for (const tag of preferred) {
+    const language = String(tag).toLowerCase().split('-')[0];
+    if (Object.hasOwn(LOCALES, language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Checks that a value is a supported locale.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a key of {@link LOCALES}
+ */
+export function isValidLocale(value) {
+  return typeof value === 'string' && Object.hasOwn(LOCALES, value);
+}
+
+/**
+ * @returns {string} Locale messages are currently translated into
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switches the locale and tells every subscriber. Unknown locales are ignored.
+ *
+ * @param {string} locale - Key of {@link LOCALES}
+ */
+export function setLocale(locale) {
+  if (!isValidLocale(locale) || locale === currentLocale) {
+    return;
+  }
+  currentLocale = locale;
+  listeners.forEach(listener => listener(locale));
+}
+
+/**
+ * Subscribes to locale changes.
+ *
+ * @param {function(string): void} listener - Called with the new locale
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @param {string} [locale] - Locale to ask about, the current one by default
+ * @returns {string} Writing direction, 'ltr' or 'rtl'
+ */
+export function direction(locale = currentLocale) {
+  return LOCALES[locale]?.dir ?? 'ltr';
+}
+
+/**
+ * Translates a message into the current locale.
+ *
+ * @param {string} key - Message key, e.g. 'stats.total'
+ * @param {Object<string, *>} [params={}] - Placeholder values; `count` picks the plural form
+ * @returns {string} Translated message
+ */
+export function t(key, params = {}) {
+  const message = LOCALES[currentLocale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+  if (message === undefined) {
+    return key;
+  }
+  const template = typeof message === 'string'
+    ? message
+    : message[pluralCategory(params.count ?? 0, message)];
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) ? formatValue(params[name]) : placeholder);
+}
+
+/**
+ * Picks the plural form of a message for a count, falling back to
+ * 'other' when the locale's category has no form of its own.
+ *
+ * @param {number} count - Number the message is about
+ * @param {Object<string, string>} forms - Plural forms of the message
+ * @returns {string} Key of the form to use
+ * @private
+ */
+function pluralCategory(count, forms) {
+  // An explicit zero form wins even in languages without a zero category
+  if (count === 0 && forms.zero !== undefined) {
+    return 'zero';
+  }
+  const category = new Intl.PluralRules(currentLocale).select(count);
+  return forms[category] !== undefined ? category : 'other';
+}
+
+/**
+ * Formats a placeholder value for the current locale.
+ *
+ * @param {*} value - Placeholder value
+ * @returns {string} Text to insert
+ * @private
+ */
+function formatValue(value) {
+  return typeof value === 'number'
+    ? new Intl.NumberFormat(currentLocale).format(value)
+    : String(value);
+}
+
+/**
+ * Formats a date for the current locale.
+ *
+ * @param {Date|number|string} date - Date, timestamp or ISO string
+ * @param {Intl.DateTimeFormatOptions} [options={dateStyle: 'medium'}] - Fields to show
+ * @returns {string} Formatted date, or '' for an invalid date
+ */
+export function formatDate(date, options = { dateStyle: 'medium' }) {
+  const value = new Date(date);
+  return Number.isNaN(value.getTime())
+    ? ''
+    : new Intl.DateTimeFormat(currentLocale, options).format(value);
+}
+
+/**
+ * Names a weekday in the current locale.
+ *
+ * @param {number} day - 0 = Sunday … 6 = Saturday, as in Date#getDay
+ * @param {string} [width='short'] - 'narrow', 'short' or 'long'
+ * @returns {string} Weekday name, e.g. "Mon"
+ */
+export function weekdayName(day, width = 'short') {
+  // 4 January 1970 was a Sunday
+  return new Intl.DateTimeFormat(currentLocale, { weekday: width, timeZone: 'UTC' })
+    .format(Date.UTC(1970, 0, 4 + day));
+}
+
+/**
+ * Joins items into a list for the current locale, e.g. "Mon, Wed".
+ *
+ * @param {Array<string>} items - Items to join
+ * @param {Intl.ListFormatOptions} [options={type: 'unit', style: 'short'}] - List style
+ * @returns {string} Joined list
+ */
+export function formatList(items, options = { type: 'unit', style: 'short' }) {
+  return new Intl.ListFormat(currentLocale, options).format(items);
+}
@@ -0,0 +1,225 @@
+import { t } from './i18n.js';
+
+/**
+ * App-wide keyboard commands and their (remappable) key bindings.
+ *
+ * A key is written in lower case with its modifiers first, in the order
+ * ctrl, alt, shift: "j", "enter", "ctrl+shift+z". Cmd on macOS counts as
+ * ctrl. Shift is left out for symbols it is needed to type, so "?" is
+ * "?" rather than "shift+/". Bindings map each command ID to its keys.
+ */
+
+/**
+ * Every command, in the order the shortcuts overlay lists them.
+ * Commands without default keys are still offered in the command palette.
+ * Labels come from the message catalog; see {@link commandLabel}.
+ *
+ * @type {Array<{id: string, keys: Array<string>}>}
+ */
+export const COMMANDS = [
+  { id: 'next-todo', keys: ['j'] },
+  { id: 'previous-todo', keys: ['k'] },
+  { id: 'toggle-todo', keys: ['x'] },
+  { id: 'edit-todo', keys: ['e', 'enter'] },
+  { id: 'delete-todo', keys: ['delete'] },
+  { id: 'new-todo', keys: ['n'] },
+  { id: 'focus-search', keys: ['/'] },
+  { id: 'filter-all', keys: ['1'] },
+  { id: 'filter-active', keys: ['2'] },
+  { id: 'filter-completed', keys: ['3'] },
+  { id: 'filter-today', keys: ['4'] },
+  { id: 'filter-overdue', keys: ['5'] },
+  { id: 'filter-upcoming', keys: ['6'] },
+  { id: 'toggle-stats', keys: ['s'] },
+  { id: 'select-all', keys: ['ctrl+a'] },
+  { id: 'undo', keys: ['ctrl+z'] },
+  { id: 'redo', keys: ['ctrl+shift+z', 'ctrl+y'] },
+  { id: 'toggle-theme', keys: [] },
+  { id: 'reset-confirmations', keys: [] },
+  { id: 'command-palette', keys: ['ctrl+k'] },
+  { id: 'show-shortcuts', keys: ['?'] }
+];
+
+/**
+ * Names a command in the current language.
+ *
+ * @param {string} id - Command ID, one of {@link COMMANDS}
+ * @returns {string} Display label, e.g. "Focus next todo"
+ */
+export function commandLabel(id) {
+  return t(`command.${id}`);
+}
+
+/**
+ * Key names that are not a single character, as KeyboardEvent#key
+ * reports them, mapped to their binding names.
+ *
+ * @type {Object<string, string>}
+ * @private
+ */
+const NAMED_KEYS = {
+  ' ': 'space',
+  Enter: 'enter',
+  Delete: 'delete',
+  Backspace: 'backspace',
+  Escape: 'escape',
+  Tab: 'tab',
+  ArrowUp: 'arrowup',
+  ArrowDown: 'arrowdown',
+  ArrowLeft: 'arrowleft',
+  ArrowRight: 'arrowright',
+  Home: 'home',
+  End: 'end',
+  PageUp: 'pageup',
+  PageDown: 'pagedown'
+};
+
+/**
+ * Named keys whose display name is translated, as the `key.*` messages.
+ *
+ * @type {Array<string>}
+ * @private
+ */
+const TRANSLATED_KEYS = [
+  'ctrl', 'alt', 'shift', 'space', 'enter', 'delete', 'backspace',
+  'escape', 'tab', 'home', 'end', 'pageup', 'pagedown'
+];
+
+/**
+ * Symbols shown for the arrow keys, the same in every language.
+ *
+ * @type {Object<string, string>}
+ * @private
+ */
+const KEY_SYMBOLS = {
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→'
+};
+
+/**
+ * Matches a valid key: optional modifiers, then a single character or a named key.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const KEY_PATTERN = /^(ctrl\+)?(alt\+)?(shift\+)?(\S|[a-z]{3,10})$/;
+
+/**
+ * Checks that a key string is well formed and names a key this module knows.
+ *
+ * @param {*} key - Key to check
+ * @returns {boolean} True if the key can be bound
+ */
+export function isValidKey(key) {
+  const match = typeof key === 'string' ? KEY_PATTERN.exec(key) : null;
+  return Boolean(match) && (match[4].length === 1 || Object.values(NAMED_KEYS).includes(match[4]));
+}
+
+/**
+ * Turns a keyboard event into a key string.
+ *
+ * @param {{key: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean}} e - Keyboard event
+ * @returns {string|null} Key string, or null for a lone modifier or an unknown named key
+ */
+export function keyFromEvent(e) {
+  let name = NAMED_KEYS[e.key];
+  if (!name) {
+    if ([...e.key].length !== 1) {
+      return null;
+    }
+    name = e.key.toLowerCase();
+  }
+
+  // Shift is part of symbols like "?" but not of letters or named keys
+  const shift = e.shiftKey && (name.length > 1 || name !== name.toUpperCase());
+  return [
+    (e.ctrlKey || e.metaKey) && 'ctrl',
+    e.altKey && 'alt',
+    shift && 'shift',
+    name
+  ].filter(Boolean).join('+');
+}
+
+/**
+ * Formats a key string for display in the current language, e.g.
+ * "ctrl+shift+z" as "Ctrl+Shift+Z", or "Strg+Umschalt+Z" in German.
+ *
+ * @param {string} key - Key string
+ * @returns {string} Readable key
+ */
+export function formatKey(key) {
+  return key.split(/\+(?!$)/).map(part => {
+    if (TRANSLATED_KEYS.includes(part)) {
+      return t(`key.${part}`);
+    }
+    return KEY_SYMBOLS[part] || part.toUpperCase();
+  }).join('+');
+}
+
+/**
+ * Builds the default bindings.
+ *
+ * @returns {Object<string, Array<string>>} Keys for every command
+ */
+export function defaultKeybindings() {
+  return Object.fromEntries(COMMANDS.map(command => [command.id, [...command.keys]]));
+}
+
+/**
+ * Validates stored bindings. Commands missing from them keep their
+ * defaults; unknown commands and invalid keys are dropped.
+ *
+ * @param {*} stored - Bindings as loaded from storage
+ * @returns {Object<string, Array<string>>} Keys for every command
+ */
+export function normalizeKeybindings(stored) {
+  const bindings = defaultKeybindings();
+  if (!stored || typeof stored !== 'object') {
+    return bindings;
+  }
+
+  for (const id of Object.keys(bindings)) {
+    if (Array.isArray(stored[id])) {
+      bindings[id] = [...new Set(stored[id].filter(isValidKey))];
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Binds a command to a single key. The key is taken from any command
+ * that used it before, so one key never runs two commands.
+ *
+ * @param {Object<string, Array<string>>} bindings - Current bindings
+ * @param {string} id - Command ID
+ * @param {string} key - New key
+ * @returns {Object<string, Array<string>>} New bindings, or the same object if the change is invalid
+ */
+export function setKeybinding(bindings, id, key) {
+  if (!(id in bindings) || !isValidKey(key)) {
+    return bindings;
+  }
+
+  const next = {};
+  for (const [commandId, keys] of Object.entries(bindings)) {
+    next[commandId] = commandId === id ? [key] : keys.filter(k => k !== key);
+  }
+  return next;
+}
+
+/**
+ * Finds the command bound to a key.
+ *
+ * @param {Object<string, Array<string>>} bindings - Current bindings
+ * @param {string|null} key - Key string, e.g. from keyFromEvent
+ * @returns {string|null} Command ID, or null if the key is not bound
+ */
+export function findCommand(bindings, key) {
+  if (!key) {
+    return null;
+  }
+  const entry = Object.entries(bindings).find(([, keys]) => keys.includes(key));
+  return entry ? entry[0] : null;
+}
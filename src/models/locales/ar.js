@@ -0,0 +1,467 @@
+/**
+ * Arabic messages. Arabic is written right to left and has six plural
+ * forms: zero, one, two, few (3–10), many (11–99) and other.
+ */
+export default {
+  // App
+  'app.title': 'مهامي',
+  'app.subtitle': 'ابقَ منظّمًا ومنتجًا',
+  'app.loading': 'جارٍ تحميل مهامك…',
+  'app.footer': 'المختبر 9: المعركة الأخيرة!',
+  'app.toggleTheme': 'تبديل الوضع الداكن',
+  'app.language': 'اللغة',
+  'app.storageFallback': 'التخزين غير متاح، يجري الحفظ في localStorage بدلًا منه',
+  'app.quarantined': {
+    one: 'نُحّيت مهمة تالفة واحدة جانبًا في التخزين',
+    two: 'نُحّيت مهمتان تالفتان جانبًا في التخزين',
+    few: 'نُحّيت {count} مهام تالفة جانبًا في التخزين',
+    many: 'نُحّيت {count} مهمة تالفة جانبًا في التخزين',
+    other: 'نُحّيت {count} مهمة تالفة جانبًا في التخزين'
+  },
+  'app.confirmationsReset': 'سيُطلب التأكيد مجددًا قبل الحذف والمسح',
+  'app.todoNotFound': 'هذه المهمة ليست في هذه القائمة',
+  'app.announceChange': '{label}، {count} نشطة',
+
+  // المظهر
+  'theme.title': 'المظهر',
+  'theme.mode': 'الألوان',
+  'theme.mode.light': 'فاتح',
+  'theme.mode.dark': 'داكن',
+  'theme.mode.system': 'حسب النظام',
+  'theme.palette': 'لوحة الألوان',
+  'theme.palette.default': 'الافتراضية',
+  'theme.palette.high-contrast': 'تباين عالٍ',
+  'theme.palette.sepia': 'سيبيا',
+  'theme.palette.solarized': 'Solarized',
+  'theme.accent': 'لون التمييز',
+  'theme.accentReset': 'لون اللوحة',
+
+  // Stats and list-wide actions
+  'stats.label': 'أعداد المهام',
+  'stats.total': 'الكل',
+  'stats.active': 'نشطة',
+  'stats.completed': 'مكتملة',
+  'stats.matches': { one: 'نتيجة', two: 'نتيجتان', few: 'نتائج', other: 'نتيجة' },
+  'actions.clearCompleted': 'مسح المكتملة',
+  'actions.clearAll': 'مسح الكل',
+
+  // Shared
+  'common.save': 'حفظ',
+  'common.cancel': 'إلغاء',
+  'common.close': 'إغلاق',
+  'common.undo': 'تراجع',
+  'common.redo': 'إعادة',
+  'common.todos': {
+    zero: 'لا مهام',
+    one: 'مهمة واحدة',
+    two: 'مهمتان',
+    few: '{count} مهام',
+    many: '{count} مهمة',
+    other: '{count} مهمة'
+  },
+  'common.lists': {
+    zero: 'لا قوائم',
+    one: 'قائمة واحدة',
+    two: 'قائمتان',
+    few: '{count} قوائم',
+    many: '{count} قائمة',
+    other: '{count} قائمة'
+  },
+
+  // Priorities
+  'priority.low': 'منخفضة',
+  'priority.normal': 'عادية',
+  'priority.high': 'عالية',
+  'priority.urgent': 'عاجلة',
+
+  // Due dates
+  'due.upcoming': 'تستحق في {date}',
+  'due.today': 'تستحق اليوم',
+  'due.overdue': 'متأخرة منذ {date}',
+  'due.withTime': '{due}، {time}',
+
+  // Recurrence
+  'recurrence.daily': 'يوميًا',
+  'recurrence.weekly': 'أسبوعيًا',
+  'recurrence.monthly': 'شهريًا',
+  'recurrence.interval': 'كل N يوم',
+  'recurrence.everyDay': 'كل يوم',
+  'recurrence.everyWeekday': 'كل يوم عمل',
+  'recurrence.onWeekdays': 'كل {days}',
+  'recurrence.onMonthDay': 'شهريًا في اليوم {day}',
+  'recurrence.everyDays': {
+    one: 'كل يوم',
+    two: 'كل يومين',
+    few: 'كل {count} أيام',
+    many: 'كل {count} يومًا',
+    other: 'كل {count} يوم'
+  },
+
+  // History, shown in undo toasts and announced
+  'history.added': 'أُضيفت «{text}»',
+  'history.completed': 'اكتملت «{text}»',
+  'history.reopened': 'أُعيد فتح «{text}»',
+  'history.deleted': 'حُذفت «{text}»',
+  'history.edited': 'عُدّلت «{text}»',
+  'history.reordered': 'نُقلت «{text}»',
+  'history.clearedCompleted': {
+    one: 'مُسحت مهمة مكتملة واحدة',
+    two: 'مُسحت مهمتان مكتملتان',
+    few: 'مُسحت {count} مهام مكتملة',
+    many: 'مُسحت {count} مهمة مكتملة',
+    other: 'مُسحت {count} مهمة مكتملة'
+  },
+  'history.clearedAll': {
+    one: 'مُسحت مهمة واحدة',
+    two: 'مُسحت مهمتان',
+    few: 'مُسحت {count} مهام',
+    many: 'مُسحت {count} مهمة',
+    other: 'مُسحت {count} مهمة'
+  },
+  'history.completedMany': {
+    one: 'اكتملت مهمة واحدة',
+    two: 'اكتملت مهمتان',
+    few: 'اكتملت {count} مهام',
+    many: 'اكتملت {count} مهمة',
+    other: 'اكتملت {count} مهمة'
+  },
+  'history.reopenedMany': {
+    one: 'أُعيد فتح مهمة واحدة',
+    two: 'أُعيد فتح مهمتين',
+    few: 'أُعيد فتح {count} مهام',
+    many: 'أُعيد فتح {count} مهمة',
+    other: 'أُعيد فتح {count} مهمة'
+  },
+  'history.deletedMany': {
+    one: 'حُذفت مهمة واحدة',
+    two: 'حُذفت مهمتان',
+    few: 'حُذفت {count} مهام',
+    many: 'حُذفت {count} مهمة',
+    other: 'حُذفت {count} مهمة'
+  },
+  'history.editedMany': {
+    one: 'عُدّلت مهمة واحدة',
+    two: 'عُدّلت مهمتان',
+    few: 'عُدّلت {count} مهام',
+    many: 'عُدّلت {count} مهمة',
+    other: 'عُدّلت {count} مهمة'
+  },
+  'history.addedSubtask': 'أُضيفت المهمة الفرعية «{text}»',
+  'history.completedSubtask': 'اكتملت المهمة الفرعية «{text}»',
+  'history.reopenedSubtask': 'أُعيد فتح المهمة الفرعية «{text}»',
+  'history.editedSubtask': 'عُدّلت المهمة الفرعية «{text}»',
+  'history.deletedSubtask': 'حُذفت المهمة الفرعية «{text}»',
+  'history.renamedTag': 'أُعيدت تسمية الوسم «#{from}» إلى «#{to}»',
+  'history.deletedTag': 'حُذف الوسم «#{tag}»',
+  'history.createdList': 'أُنشئت القائمة «{name}»',
+  'history.renamedList': 'أُعيدت تسمية القائمة «{from}» إلى «{to}»',
+  'history.deletedList': 'حُذفت القائمة «{name}»',
+  'history.reorderedList': 'نُقلت القائمة «{name}»',
+  'history.moved': 'نُقلت «{text}» إلى «{list}»',
+  'history.movedMany': {
+    one: 'نُقلت مهمة واحدة إلى «{list}»',
+    two: 'نُقلت مهمتان إلى «{list}»',
+    few: 'نُقلت {count} مهام إلى «{list}»',
+    many: 'نُقلت {count} مهمة إلى «{list}»',
+    other: 'نُقلت {count} مهمة إلى «{list}»'
+  },
+  'history.imported': {
+    one: 'استُوردت مهمة واحدة',
+    two: 'استُوردت مهمتان',
+    few: 'استُوردت {count} مهام',
+    many: 'استُوردت {count} مهمة',
+    other: 'استُوردت {count} مهمة'
+  },
+  'history.undid': 'تراجعت عن: {label}',
+  'history.redid': 'أعدت: {label}',
+
+  // Confirmations
+  'confirm.keep': 'إبقاء',
+  'confirm.skip': 'لا تسألني مجددًا',
+  'confirm.ok': 'موافق',
+  'confirm.undoNote': 'يمكنك التراجع عن ذلك مباشرةً بعده.',
+  'confirm.delete': 'حذف',
+  'confirm.deleteTodo.heading': 'حذف هذه المهمة؟',
+  'confirm.deleteTodo.message': 'ستُحذف «{text}».',
+  'confirm.deleteTodo.untitled': 'ستُحذف هذه المهمة.',
+  'confirm.deleteTodos.heading': {
+    one: 'حذف مهمة واحدة؟',
+    two: 'حذف مهمتين؟',
+    few: 'حذف {count} مهام؟',
+    many: 'حذف {count} مهمة؟',
+    other: 'حذف {count} مهمة؟'
+  },
+  'confirm.deleteTodos.message': 'ستُحذف المهام المحددة.',
+  'confirm.clearCompleted.heading': 'مسح المهام المكتملة؟',
+  'confirm.clearCompleted.message': {
+    one: 'ستُزال مهمة واحدة من هذه القائمة.',
+    two: 'ستُزال مهمتان من هذه القائمة.',
+    few: 'ستُزال {count} مهام من هذه القائمة.',
+    many: 'ستُزال {count} مهمة من هذه القائمة.',
+    other: 'ستُزال {count} مهمة من هذه القائمة.'
+  },
+  'confirm.clearCompleted.confirm': 'مسح المكتملة',
+  'confirm.clearAll.heading': 'مسح كل المهام؟',
+  'confirm.clearAll.message': {
+    one: 'ستُزال المهمة الوحيدة في هذه القائمة.',
+    two: 'ستُزال المهمتان في هذه القائمة.',
+    few: 'ستُزال المهام الـ{count} كلها من هذه القائمة.',
+    other: 'ستُزال كل المهام ({count}) من هذه القائمة.'
+  },
+  'confirm.clearAll.confirm': 'مسح كل شيء',
+
+  // Import and export
+  'import.failed': 'فشل الاستيراد: {reason}',
+  'import.empty': 'فشل الاستيراد: لم يُعثر على مهام.',
+  'import.nothing': 'لا شيء للاستيراد',
+  'import.skipped': '{message} ({count} موجودة مسبقًا)',
+  'backup.exportJson': 'تصدير JSON',
+  'backup.exportMarkdown': 'تصدير Markdown',
+  'backup.exportTodoTxt': 'تصدير todo.txt',
+  'backup.importFile': 'استيراد ملف',
+  'backup.paste': 'لصق نص',
+  'backup.pastePlaceholder': '- [ ] مهمة Markdown، أو سطر todo.txt، أو نسخة JSON احتياطية',
+  'backup.pasteLabel': 'النص المراد استيراده',
+  'backup.importPasted': 'استيراد النص الملصق',
+  'backup.review': 'مراجعة الاستيراد',
+  'backup.summary': 'عُثر على {todos} في {source}.',
+  'backup.formatText': 'نص {format}',
+  'backup.invalid': {
+    one: 'سيُتخطّى سجل واحد غير صالح:',
+    two: 'سيُتخطّى سجلان غير صالحين:',
+    few: 'ستُتخطّى {count} سجلات غير صالحة:',
+    many: 'سيُتخطّى {count} سجلًا غير صالح:',
+    other: 'سيُتخطّى {count} سجل غير صالح:'
+  },
+  'backup.record': '{list}، السجل {number}',
+  'backup.importInto': 'استيراد إلى «{name}»',
+  'backup.replace': 'استبدال كل شيء',
+  'backup.merge': 'دمج',
+  'backup.listNumber': 'القائمة {number}',
+  'backup.error.notJson': 'الملف ليس JSON صالحًا.',
+  'backup.error.notBackup': 'الملف ليس نسخة احتياطية للمهام.',
+  'backup.error.version': 'إصدار النسخة الاحتياطية {version} غير مدعوم.',
+  'backup.error.noLists': 'لا تحتوي النسخة الاحتياطية على أي قائمة صالحة.',
+  'backup.error.notObject': 'ليس كائنًا',
+  'backup.error.id': 'يجب أن يكون id عددًا صحيحًا موجبًا',
+  'backup.error.text': 'يجب أن يكون text نصًا غير فارغ',
+  'backup.error.textLength': 'يجب ألا يتجاوز text {max} حرف',
+  'backup.error.completed': 'يجب أن تكون قيمة completed ‏true أو false',
+  'backup.error.createdAt': 'يجب أن يكون createdAt تاريخًا',
+  'backup.error.duplicateId': 'المعرّف id {id} مستخدم أكثر من مرة',
+  'backup.error.listId': 'يجب أن يكون معرّف القائمة عددًا صحيحًا موجبًا فريدًا',
+  'backup.error.listName': 'يجب أن يكون اسم القائمة من 1 إلى {max} حرف',
+  'format.markdown': 'Markdown',
+  'format.todotxt': 'todo.txt',
+
+  // Form
+  'form.placeholder': 'ما الذي يجب إنجازه؟',
+  'form.label': 'مهمة جديدة',
+  'form.add': 'إضافة',
+  'form.dueDate': 'تاريخ الاستحقاق',
+  'form.dueTime': 'وقت الاستحقاق',
+  'form.priority': 'الأولوية',
+  'form.preview': 'ستُضاف على أنها',
+  'form.previewPriority': 'أولوية {priority}',
+
+  // Search
+  'search.placeholder': 'ابحث في المهام (اضغط / للتركيز)',
+  'search.label': 'البحث في المهام',
+
+  // Filters
+  'filter.tabs': 'عرض المهام',
+  'filter.all': 'الكل',
+  'filter.active': 'النشطة',
+  'filter.completed': 'المكتملة',
+  'filter.today': 'اليوم',
+  'filter.overdue': 'المتأخرة',
+  'filter.upcoming': 'القادمة',
+  'filter.priority': 'الأولوية',
+  'filter.any': 'أي',
+  'filter.sort': 'الترتيب',
+  'filter.sortDefault': 'ترتيب القائمة',
+  'filter.sortPriority': 'الأولوية',
+  'filter.tag': 'الوسم',
+  'filter.renameTag': 'إعادة تسمية الوسم',
+  'filter.deleteTag': 'حذف الوسم',
+  'filter.clearTag': 'إلغاء تصفية الوسم',
+  'filter.newTagName': 'الاسم الجديد للوسم',
+
+  // Lists
+  'lists.current': 'القائمة الحالية',
+  'lists.moveLeft': 'نقل القائمة إلى اليسار',
+  'lists.moveRight': 'نقل القائمة إلى اليمين',
+  'lists.new': 'قائمة جديدة',
+  'lists.rename': 'إعادة تسمية',
+  'lists.remove': 'إزالة',
+  'lists.name': 'اسم القائمة',
+  'lists.create': 'إنشاء',
+  'lists.defaultName': 'الوارد',
+  'list.label': 'المهام في {name}',
+  'list.labelUntitled': 'المهام',
+  'list.empty': 'لا مهام بعد. أضف واحدة في الأعلى!',
+  'list.noMatches': 'لا مهام تطابق «{query}».',
+  'list.select': 'تحديد',
+  'list.selectHint': 'اختر مهامًا لتغييرها معًا (Shift+نقر أو Ctrl+A)',
+
+  // Todo items
+  'item.toggle': 'تبديل حالة المهمة',
+  'item.select': 'تحديد المهمة',
+  'item.reorder': 'إعادة ترتيب المهمة',
+  'item.reorderHint': 'اسحب لإعادة الترتيب، أو اضغط السهم لأعلى/لأسفل',
+  'item.link': 'رابط إلى هذه المهمة',
+  'item.edit': 'تعديل',
+  'item.editLabel': 'تعديل المهمة',
+  'item.delete': 'حذف',
+  'item.deleteLabel': 'حذف المهمة',
+  'item.tagged': 'عرض المهام الموسومة بـ{tag}',
+  'item.created': 'أُضيفت في {date}',
+  'item.text': 'نص المهمة',
+  'item.list': 'القائمة',
+  'item.checklist': 'قائمة التحقق',
+  'item.checklistProgress': 'قائمة التحقق، اكتمل {done} من {total}',
+  'item.showChecklist': 'عرض قائمة التحقق',
+  'item.toggleSubtask': 'تبديل حالة المهمة الفرعية',
+  'item.editSubtask': 'تعديل المهمة الفرعية',
+  'item.deleteSubtask': 'حذف المهمة الفرعية',
+  'item.newSubtask': 'مهمة فرعية جديدة',
+  'item.newSubtaskPlaceholder': 'عنصر جديد في قائمة التحقق',
+  'item.addSubtask': 'إضافة مهمة فرعية',
+  'item.repeat': 'التكرار',
+  'item.noRepeat': 'لا تتكرر',
+  'item.repeatOn': 'التكرار في',
+  'item.onDay': 'في اليوم',
+  'item.every': 'كل',
+  'item.days': 'أيام',
+
+  // Batch editing
+  'batch.count': { other: 'حُدّد {count}' },
+  'batch.selectAll': 'تحديد الكل',
+  'batch.complete': 'إكمال',
+  'batch.reopen': 'إعادة فتح',
+  'batch.delete': 'حذف',
+  'batch.tagPlaceholder': 'وسم',
+  'batch.tagLabel': 'الوسم المراد إضافته',
+  'batch.tag': 'وسم',
+  'batch.priority': 'تعيين الأولوية',
+  'batch.priorityPrompt': 'الأولوية…',
+  'batch.due': 'تعيين تاريخ الاستحقاق',
+  'batch.move': 'نقل إلى قائمة',
+  'batch.movePrompt': 'نقل إلى…',
+  'batch.done': 'تم',
+
+  // Keyboard commands
+  'command.next-todo': 'التركيز على المهمة التالية',
+  'command.previous-todo': 'التركيز على المهمة السابقة',
+  'command.toggle-todo': 'إكمال المهمة المحددة أو إعادة فتحها',
+  'command.edit-todo': 'تعديل المهمة المحددة',
+  'command.delete-todo': 'حذف المهمة المحددة',
+  'command.new-todo': 'مهمة جديدة',
+  'command.focus-search': 'البحث في المهام',
+  'command.filter-all': 'عرض كل المهام',
+  'command.filter-active': 'عرض المهام النشطة',
+  'command.filter-completed': 'عرض المهام المكتملة',
+  'command.filter-today': 'عرض المهام المستحقة اليوم',
+  'command.filter-overdue': 'عرض المهام المتأخرة',
+  'command.filter-upcoming': 'عرض المهام القادمة',
+  'command.select-all': 'تحديد كل المهام الظاهرة',
+  'command.undo': 'تراجع',
+  'command.redo': 'إعادة',
+  'command.toggle-theme': 'تبديل الوضع الداكن',
+  'command.reset-confirmations': 'طلب التأكيد قبل الحذف مجددًا',
+  'command.command-palette': 'فتح لوحة الأوامر',
+  'command.show-shortcuts': 'عرض اختصارات لوحة المفاتيح',
+  'command.toggle-stats': 'إظهار الإحصاءات أو إخفاؤها',
+  'palette.label': 'لوحة الأوامر',
+  'palette.placeholder': 'اكتب أمرًا أو ابحث في المهام…',
+  'palette.input': 'أمر أو مهمة',
+  'palette.results': 'النتائج',
+  'palette.empty': 'لا أوامر أو مهام مطابقة',
+  'palette.todo': 'مهمة',
+  'shortcuts.title': 'اختصارات لوحة المفاتيح',
+  'shortcuts.capturing': 'اضغط مفتاحًا…',
+  'shortcuts.none': 'غير معيّن',
+  'shortcuts.change': 'تغيير',
+  'shortcuts.changeFor': 'تغيير اختصار {command}',
+  'shortcuts.reset': 'استعادة الافتراضي',
+  'key.ctrl': 'Ctrl',
+  'key.alt': 'Alt',
+  'key.shift': 'Shift',
+  'key.space': 'مسافة',
+  'key.enter': 'Enter',
+  'key.delete': 'Delete',
+  'key.backspace': 'Backspace',
+  'key.escape': 'Esc',
+  'key.tab': 'Tab',
+  'key.home': 'Home',
+  'key.end': 'End',
+  'key.pageup': 'الصفحة السابقة',
+  'key.pagedown': 'الصفحة التالية',
+
+  // لوحة الإحصاءات
+  'dashboard.open': 'الإحصاءات',
+  'dashboard.title': 'الإحصاءات',
+  'dashboard.back': 'العودة إلى المهام',
+  'dashboard.empty': 'أنجز مهمة لتبدأ إحصاءاتك.',
+  'dashboard.completed': 'المنجزة',
+  'dashboard.average': 'متوسط وقت الإنجاز',
+  'dashboard.currentStreak': 'السلسلة الحالية',
+  'dashboard.bestStreak': 'أطول سلسلة',
+  'dashboard.busiest': 'أكثر أيام الأسبوع إنجازًا',
+  'dashboard.none': 'لا شيء بعد',
+  'dashboard.minutes': {
+    one: 'دقيقة واحدة',
+    two: 'دقيقتان',
+    few: '{count} دقائق',
+    many: '{count} دقيقة',
+    other: '{count} دقيقة'
+  },
+  'dashboard.hours': {
+    one: 'ساعة واحدة',
+    two: 'ساعتان',
+    few: '{count} ساعات',
+    many: '{count} ساعة',
+    other: '{count} ساعة'
+  },
+  'dashboard.days': {
+    one: 'يوم واحد',
+    two: 'يومان',
+    few: '{count} أيام',
+    many: '{count} يومًا',
+    other: '{count} يوم'
+  },
+  'dashboard.range': 'مدى الرسم البياني',
+  'dashboard.perDay': 'أيام',
+  'dashboard.perWeek': 'أسابيع',
+  'dashboard.chartDays': {
+    one: 'المهام المنجزة اليوم',
+    many: 'المهام المنجزة في آخر {count} يومًا',
+    other: 'المهام المنجزة في آخر {count} يوم'
+  },
+  'dashboard.chartWeeks': { one: 'المهام المنجزة هذا الأسبوع', other: 'المهام المنجزة في آخر {count} أسبوع' },
+  'dashboard.weekOf': 'أسبوع {date}',
+  'dashboard.period': 'الفترة',
+  'dashboard.bar': '{period}: {todos}',
+
+  // Sync and updates
+  'sync.synced': 'متزامن',
+  'sync.pending': 'المزامنة معلّقة',
+  'sync.error': 'خطأ في المزامنة',
+  'sync.lastSynced': 'آخر مزامنة {time}',
+  'sync.never': 'لم تتم المزامنة بعد',
+  'sync.now': 'زامن الآن',
+  'sync.error.unreachable': 'تعذّر الوصول إلى خادم المزامنة: {reason}',
+  'sync.error.status': 'أجاب خادم المزامنة بالرمز {status}.',
+  'sync.error.format': 'أرسل خادم المزامنة بيانات بتنسيق غير معروف.',
+  'sync.error.invalid': {
+    one: 'على خادم المزامنة سجل واحد غير صالح؛ لم تتم مزامنة أي شيء.',
+    two: 'على خادم المزامنة سجلان غير صالحين؛ لم تتم مزامنة أي شيء.',
+    few: 'على خادم المزامنة {count} سجلات غير صالحة؛ لم تتم مزامنة أي شيء.',
+    many: 'على خادم المزامنة {count} سجلًا غير صالح؛ لم تتم مزامنة أي شيء.',
+    other: 'على خادم المزامنة {count} سجل غير صالح؛ لم تتم مزامنة أي شيء.'
+  },
+  'sync.error.busy': 'ظلّت البيانات على الخادم تتغيّر أثناء المزامنة؛ ستُعاد المحاولة.',
+  'update.available': 'يتوفر إصدار جديد من التطبيق.',
+  'update.later': 'ليس الآن',
+  'update.reload': 'إعادة التحميل'
+};
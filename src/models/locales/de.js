@@ -0,0 +1,356 @@
+/**
+ * German messages.
+ */
+export default {
+  // App
+  'app.title': 'Meine Aufgaben',
+  'app.subtitle': 'Organisiert und produktiv bleiben',
+  'app.loading': 'Deine Aufgaben werden geladen…',
+  'app.footer': 'Lab 9: Der letzte Kampf!',
+  'app.toggleTheme': 'Dunkelmodus umschalten',
+  'app.language': 'Sprache',
+  'app.storageFallback': 'Speicher nicht verfügbar, es wird stattdessen in localStorage gespeichert',
+  'app.quarantined': {
+    one: '{count} beschädigte Aufgabe wurde im Speicher beiseitegelegt',
+    other: '{count} beschädigte Aufgaben wurden im Speicher beiseitegelegt'
+  },
+  'app.confirmationsReset': 'Vor dem Löschen und Leeren wird wieder nachgefragt',
+  'app.todoNotFound': 'Diese Aufgabe ist nicht in dieser Liste',
+  'app.announceChange': '{label}, {count} offen',
+
+  // Erscheinungsbild
+  'theme.title': 'Erscheinungsbild',
+  'theme.mode': 'Farben',
+  'theme.mode.light': 'Hell',
+  'theme.mode.dark': 'Dunkel',
+  'theme.mode.system': 'System',
+  'theme.palette': 'Farbschema',
+  'theme.palette.default': 'Standard',
+  'theme.palette.high-contrast': 'Hoher Kontrast',
+  'theme.palette.sepia': 'Sepia',
+  'theme.palette.solarized': 'Solarized',
+  'theme.accent': 'Akzentfarbe',
+  'theme.accentReset': 'Farbe des Schemas',
+
+  // Stats and list-wide actions
+  'stats.label': 'Anzahl der Aufgaben',
+  'stats.total': 'Gesamt',
+  'stats.active': 'Offen',
+  'stats.completed': 'Erledigt',
+  'stats.matches': { one: 'Treffer', other: 'Treffer' },
+  'actions.clearCompleted': 'Erledigte entfernen',
+  'actions.clearAll': 'Alle entfernen',
+
+  // Shared
+  'common.save': 'Speichern',
+  'common.cancel': 'Abbrechen',
+  'common.close': 'Schließen',
+  'common.undo': 'Rückgängig',
+  'common.redo': 'Wiederholen',
+  'common.todos': { one: '{count} Aufgabe', other: '{count} Aufgaben' },
+  'common.lists': { one: '{count} Liste', other: '{count} Listen' },
+
+  // Priorities
+  'priority.low': 'Niedrig',
+  'priority.normal': 'Normal',
+  'priority.high': 'Hoch',
+  'priority.urgent': 'Dringend',
+
+  // Due dates
+  'due.upcoming': 'Fällig {date}',
+  'due.today': 'Heute fällig',
+  'due.overdue': 'Überfällig seit {date}',
+  'due.withTime': '{due}, {time}',
+
+  // Recurrence
+  'recurrence.daily': 'Täglich',
+  'recurrence.weekly': 'Wöchentlich',
+  'recurrence.monthly': 'Monatlich',
+  'recurrence.interval': 'Alle N Tage',
+  'recurrence.everyDay': 'Jeden Tag',
+  'recurrence.everyWeekday': 'Jeden Werktag',
+  'recurrence.onWeekdays': 'Jeden {days}',
+  'recurrence.onMonthDay': 'Monatlich am {day}.',
+  'recurrence.everyDays': { one: 'Jeden Tag', other: 'Alle {count} Tage' },
+
+  // History, shown in undo toasts and announced
+  'history.added': '„{text}“ hinzugefügt',
+  'history.completed': '„{text}“ erledigt',
+  'history.reopened': '„{text}“ wieder geöffnet',
+  'history.deleted': '„{text}“ gelöscht',
+  'history.edited': '„{text}“ bearbeitet',
+  'history.reordered': '„{text}“ verschoben',
+  'history.clearedCompleted': { one: '{count} erledigte Aufgabe entfernt', other: '{count} erledigte Aufgaben entfernt' },
+  'history.clearedAll': { one: '{count} Aufgabe entfernt', other: '{count} Aufgaben entfernt' },
+  'history.completedMany': { one: '{count} Aufgabe erledigt', other: '{count} Aufgaben erledigt' },
+  'history.reopenedMany': { one: '{count} Aufgabe wieder geöffnet', other: '{count} Aufgaben wieder geöffnet' },
+  'history.deletedMany': { one: '{count} Aufgabe gelöscht', other: '{count} Aufgaben gelöscht' },
+  'history.editedMany': { one: '{count} Aufgabe bearbeitet', other: '{count} Aufgaben bearbeitet' },
+  'history.addedSubtask': 'Teilaufgabe „{text}“ hinzugefügt',
+  'history.completedSubtask': 'Teilaufgabe „{text}“ erledigt',
+  'history.reopenedSubtask': 'Teilaufgabe „{text}“ wieder geöffnet',
+  'history.editedSubtask': 'Teilaufgabe „{text}“ bearbeitet',
+  'history.deletedSubtask': 'Teilaufgabe „{text}“ gelöscht',
+  'history.renamedTag': 'Schlagwort „#{from}“ in „#{to}“ umbenannt',
+  'history.deletedTag': 'Schlagwort „#{tag}“ gelöscht',
+  'history.createdList': 'Liste „{name}“ angelegt',
+  'history.renamedList': 'Liste „{from}“ in „{to}“ umbenannt',
+  'history.deletedList': 'Liste „{name}“ gelöscht',
+  'history.reorderedList': 'Liste „{name}“ verschoben',
+  'history.moved': '„{text}“ nach „{list}“ verschoben',
+  'history.movedMany': { one: '{count} Aufgabe nach „{list}“ verschoben', other: '{count} Aufgaben nach „{list}“ verschoben' },
+  'history.imported': { one: '{count} Aufgabe importiert', other: '{count} Aufgaben importiert' },
+  'history.undid': 'Rückgängig gemacht: {label}',
+  'history.redid': 'Wiederholt: {label}',
+
+  // Confirmations
+  'confirm.keep': 'Behalten',
+  'confirm.skip': 'Nicht mehr fragen',
+  'confirm.ok': 'OK',
+  'confirm.undoNote': 'Du kannst das direkt danach rückgängig machen.',
+  'confirm.delete': 'Löschen',
+  'confirm.deleteTodo.heading': 'Diese Aufgabe löschen?',
+  'confirm.deleteTodo.message': '„{text}“ wird gelöscht.',
+  'confirm.deleteTodo.untitled': 'Diese Aufgabe wird gelöscht.',
+  'confirm.deleteTodos.heading': { one: '{count} Aufgabe löschen?', other: '{count} Aufgaben löschen?' },
+  'confirm.deleteTodos.message': 'Die ausgewählten Aufgaben werden gelöscht.',
+  'confirm.clearCompleted.heading': 'Erledigte Aufgaben entfernen?',
+  'confirm.clearCompleted.message': {
+    one: '{count} Aufgabe wird aus dieser Liste entfernt.',
+    other: '{count} Aufgaben werden aus dieser Liste entfernt.'
+  },
+  'confirm.clearCompleted.confirm': 'Erledigte entfernen',
+  'confirm.clearAll.heading': 'Alle Aufgaben entfernen?',
+  'confirm.clearAll.message': {
+    one: 'Die einzige Aufgabe in dieser Liste wird entfernt.',
+    other: 'Alle {count} Aufgaben in dieser Liste werden entfernt.'
+  },
+  'confirm.clearAll.confirm': 'Alles entfernen',
+
+  // Import and export
+  'import.failed': 'Import fehlgeschlagen: {reason}',
+  'import.empty': 'Import fehlgeschlagen: keine Aufgaben gefunden.',
+  'import.nothing': 'Nichts zu importieren',
+  'import.skipped': '{message} ({count} bereits vorhanden)',
+  'backup.exportJson': 'Als JSON exportieren',
+  'backup.exportMarkdown': 'Als Markdown exportieren',
+  'backup.exportTodoTxt': 'Als todo.txt exportieren',
+  'backup.importFile': 'Datei importieren',
+  'backup.paste': 'Text einfügen',
+  'backup.pastePlaceholder': '- [ ] Markdown-Aufgabe, eine todo.txt-Zeile oder ein JSON-Backup',
+  'backup.pasteLabel': 'Zu importierender Text',
+  'backup.importPasted': 'Eingefügten Text importieren',
+  'backup.review': 'Import prüfen',
+  'backup.summary': '{todos} in {source} gefunden.',
+  'backup.formatText': '{format}-Text',
+  'backup.invalid': {
+    one: '{count} ungültiger Eintrag wird übersprungen:',
+    other: '{count} ungültige Einträge werden übersprungen:'
+  },
+  'backup.record': '{list}, Eintrag {number}',
+  'backup.importInto': 'In „{name}“ importieren',
+  'backup.replace': 'Alles ersetzen',
+  'backup.merge': 'Zusammenführen',
+  'backup.listNumber': 'Liste {number}',
+  'backup.error.notJson': 'Die Datei ist kein gültiges JSON.',
+  'backup.error.notBackup': 'Die Datei ist keine Aufgaben-Sicherung.',
+  'backup.error.version': 'Sicherungsversion {version} wird nicht unterstützt.',
+  'backup.error.noLists': 'Die Sicherung enthält keine gültigen Listen.',
+  'backup.error.notObject': 'kein Objekt',
+  'backup.error.id': 'id muss eine positive ganze Zahl sein',
+  'backup.error.text': 'text muss eine nicht leere Zeichenkette sein',
+  'backup.error.textLength': 'text darf höchstens {max} Zeichen lang sein',
+  'backup.error.completed': 'completed muss true oder false sein',
+  'backup.error.createdAt': 'createdAt muss ein Datum sein',
+  'backup.error.duplicateId': 'id {id} kommt mehrfach vor',
+  'backup.error.listId': 'Listen-id muss eine eindeutige positive ganze Zahl sein',
+  'backup.error.listName': 'Listenname muss 1–{max} Zeichen lang sein',
+  'format.markdown': 'Markdown',
+  'format.todotxt': 'todo.txt',
+
+  // Form
+  'form.placeholder': 'Was ist zu tun?',
+  'form.label': 'Neue Aufgabe',
+  'form.add': 'Hinzufügen',
+  'form.dueDate': 'Fälligkeitsdatum',
+  'form.dueTime': 'Fälligkeitszeit',
+  'form.priority': 'Priorität',
+  'form.preview': 'Wird hinzugefügt als',
+  'form.previewPriority': 'Priorität {priority}',
+
+  // Search
+  'search.placeholder': 'Aufgaben suchen (/ drücken)',
+  'search.label': 'Aufgaben suchen',
+
+  // Filters
+  'filter.tabs': 'Aufgaben anzeigen',
+  'filter.all': 'Alle',
+  'filter.active': 'Offen',
+  'filter.completed': 'Erledigt',
+  'filter.today': 'Heute',
+  'filter.overdue': 'Überfällig',
+  'filter.upcoming': 'Demnächst',
+  'filter.priority': 'Priorität',
+  'filter.any': 'Beliebig',
+  'filter.sort': 'Sortierung',
+  'filter.sortDefault': 'Listenreihenfolge',
+  'filter.sortPriority': 'Priorität',
+  'filter.tag': 'Schlagwort',
+  'filter.renameTag': 'Schlagwort umbenennen',
+  'filter.deleteTag': 'Schlagwort löschen',
+  'filter.clearTag': 'Schlagwortfilter aufheben',
+  'filter.newTagName': 'Neuer Name des Schlagworts',
+
+  // Lists
+  'lists.current': 'Aktuelle Liste',
+  'lists.moveLeft': 'Liste nach links verschieben',
+  'lists.moveRight': 'Liste nach rechts verschieben',
+  'lists.new': 'Neue Liste',
+  'lists.rename': 'Umbenennen',
+  'lists.remove': 'Entfernen',
+  'lists.name': 'Name der Liste',
+  'lists.create': 'Anlegen',
+  'lists.defaultName': 'Eingang',
+  'list.label': 'Aufgaben in {name}',
+  'list.labelUntitled': 'Aufgaben',
+  'list.empty': 'Noch keine Aufgaben. Leg oben eine an!',
+  'list.noMatches': 'Keine Aufgaben passen zu „{query}“.',
+  'list.select': 'Auswählen',
+  'list.selectHint': 'Aufgaben auswählen, um sie gemeinsam zu ändern (Umschalt+Klick oder Strg+A)',
+
+  // Todo items
+  'item.toggle': 'Aufgabe abhaken',
+  'item.select': 'Aufgabe auswählen',
+  'item.reorder': 'Aufgabe verschieben',
+  'item.reorderHint': 'Zum Verschieben ziehen oder Pfeil hoch/runter drücken',
+  'item.link': 'Link zu dieser Aufgabe',
+  'item.edit': 'Bearbeiten',
+  'item.editLabel': 'Aufgabe bearbeiten',
+  'item.delete': 'Löschen',
+  'item.deleteLabel': 'Aufgabe löschen',
+  'item.tagged': 'Aufgaben mit Schlagwort {tag} anzeigen',
+  'item.created': 'Angelegt am {date}',
+  'item.text': 'Text der Aufgabe',
+  'item.list': 'Liste',
+  'item.checklist': 'Checkliste',
+  'item.checklistProgress': 'Checkliste, {done} von {total} erledigt',
+  'item.showChecklist': 'Checkliste anzeigen',
+  'item.toggleSubtask': 'Teilaufgabe abhaken',
+  'item.editSubtask': 'Teilaufgabe bearbeiten',
+  'item.deleteSubtask': 'Teilaufgabe löschen',
+  'item.newSubtask': 'Neue Teilaufgabe',
+  'item.newSubtaskPlaceholder': 'Neuer Checklisteneintrag',
+  'item.addSubtask': 'Teilaufgabe hinzufügen',
+  'item.repeat': 'Wiederholen',
+  'item.noRepeat': 'Keine Wiederholung',
+  'item.repeatOn': 'Wiederholen am',
+  'item.onDay': 'am Tag',
+  'item.every': 'alle',
+  'item.days': 'Tage',
+
+  // Batch editing
+  'batch.count': { other: '{count} ausgewählt' },
+  'batch.selectAll': 'Alle auswählen',
+  'batch.complete': 'Erledigen',
+  'batch.reopen': 'Wieder öffnen',
+  'batch.delete': 'Löschen',
+  'batch.tagPlaceholder': 'Schlagwort',
+  'batch.tagLabel': 'Hinzuzufügendes Schlagwort',
+  'batch.tag': 'Verschlagworten',
+  'batch.priority': 'Priorität setzen',
+  'batch.priorityPrompt': 'Priorität…',
+  'batch.due': 'Fälligkeitsdatum setzen',
+  'batch.move': 'In Liste verschieben',
+  'batch.movePrompt': 'Verschieben nach…',
+  'batch.done': 'Fertig',
+
+  // Keyboard commands
+  'command.next-todo': 'Nächste Aufgabe fokussieren',
+  'command.previous-todo': 'Vorige Aufgabe fokussieren',
+  'command.toggle-todo': 'Fokussierte Aufgabe erledigen oder wieder öffnen',
+  'command.edit-todo': 'Fokussierte Aufgabe bearbeiten',
+  'command.delete-todo': 'Fokussierte Aufgabe löschen',
+  'command.new-todo': 'Neue Aufgabe',
+  'command.focus-search': 'Aufgaben suchen',
+  'command.filter-all': 'Alle Aufgaben anzeigen',
+  'command.filter-active': 'Offene Aufgaben anzeigen',
+  'command.filter-completed': 'Erledigte Aufgaben anzeigen',
+  'command.filter-today': 'Heute fällige Aufgaben anzeigen',
+  'command.filter-overdue': 'Überfällige Aufgaben anzeigen',
+  'command.filter-upcoming': 'Demnächst fällige Aufgaben anzeigen',
+  'command.select-all': 'Alle sichtbaren Aufgaben auswählen',
+  'command.undo': 'Rückgängig',
+  'command.redo': 'Wiederholen',
+  'command.toggle-theme': 'Dunkelmodus umschalten',
+  'command.reset-confirmations': 'Vor dem Löschen wieder nachfragen',
+  'command.command-palette': 'Befehlspalette öffnen',
+  'command.show-shortcuts': 'Tastenkürzel anzeigen',
+  'command.toggle-stats': 'Statistik ein- oder ausblenden',
+  'palette.label': 'Befehlspalette',
+  'palette.placeholder': 'Befehl eingeben oder Aufgaben suchen…',
+  'palette.input': 'Befehl oder Aufgabe',
+  'palette.results': 'Ergebnisse',
+  'palette.empty': 'Keine passenden Befehle oder Aufgaben',
+  'palette.todo': 'Aufgabe',
+  'shortcuts.title': 'Tastenkürzel',
+  'shortcuts.capturing': 'Taste drücken…',
+  'shortcuts.none': 'Nicht belegt',
+  'shortcuts.change': 'Ändern',
+  'shortcuts.changeFor': 'Tastenkürzel für {command} ändern',
+  'shortcuts.reset': 'Standard wiederherstellen',
+  'key.ctrl': 'Strg',
+  'key.alt': 'Alt',
+  'key.shift': 'Umschalt',
+  'key.space': 'Leertaste',
+  'key.enter': 'Eingabe',
+  'key.delete': 'Entf',
+  'key.backspace': 'Rücktaste',
+  'key.escape': 'Esc',
+  'key.tab': 'Tab',
+  'key.home': 'Pos1',
+  'key.end': 'Ende',
+  'key.pageup': 'Bild ↑',
+  'key.pagedown': 'Bild ↓',
+
+  // Statistik
+  'dashboard.open': 'Statistik',
+  'dashboard.title': 'Statistik',
+  'dashboard.back': 'Zurück zu den Aufgaben',
+  'dashboard.empty': 'Erledige eine Aufgabe, um deine Statistik zu beginnen.',
+  'dashboard.completed': 'Erledigt',
+  'dashboard.average': 'Durchschnittliche Bearbeitungszeit',
+  'dashboard.currentStreak': 'Aktuelle Serie',
+  'dashboard.bestStreak': 'Längste Serie',
+  'dashboard.busiest': 'Produktivster Wochentag',
+  'dashboard.none': 'Noch keine',
+  'dashboard.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+  'dashboard.hours': { one: '{count} Stunde', other: '{count} Stunden' },
+  'dashboard.days': { one: '{count} Tag', other: '{count} Tage' },
+  'dashboard.range': 'Zeitraum des Diagramms',
+  'dashboard.perDay': 'Tage',
+  'dashboard.perWeek': 'Wochen',
+  'dashboard.chartDays': { one: 'Heute erledigte Aufgaben', other: 'Erledigte Aufgaben der letzten {count} Tage' },
+  'dashboard.chartWeeks': { one: 'Diese Woche erledigte Aufgaben', other: 'Erledigte Aufgaben der letzten {count} Wochen' },
+  'dashboard.weekOf': 'Woche ab {date}',
+  'dashboard.period': 'Zeitraum',
+  'dashboard.bar': '{period}: {todos}',
+
+  // Sync and updates
+  'sync.synced': 'Synchronisiert',
+  'sync.pending': 'Synchronisierung ausstehend',
+  'sync.error': 'Synchronisierungsfehler',
+  'sync.lastSynced': 'Zuletzt synchronisiert: {time}',
+  'sync.never': 'Noch nicht synchronisiert',
+  'sync.now': 'Jetzt synchronisieren',
+  'sync.error.unreachable': 'Der Sync-Server ist nicht erreichbar: {reason}',
+  'sync.error.status': 'Der Sync-Server antwortete mit {status}.',
+  'sync.error.format': 'Der Sync-Server hat Daten in einem unbekannten Format gesendet.',
+  'sync.error.invalid': {
+    one: 'Der Sync-Server enthält {count} ungültigen Eintrag; es wurde nichts synchronisiert.',
+    other: 'Der Sync-Server enthält {count} ungültige Einträge; es wurde nichts synchronisiert.'
+  },
+  'sync.error.busy': 'Die Daten auf dem Server haben sich während der Synchronisierung ständig geändert; neuer Versuch folgt.',
+  'update.available': 'Eine neue Version der App ist verfügbar.',
+  'update.later': 'Nicht jetzt',
+  'update.reload': 'Neu laden'
+};
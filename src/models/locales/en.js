@@ -0,0 +1,357 @@
+/**
+ * English messages. Every other locale translates these keys; see
+ * ../i18n.js for the message format.
+ */
+export default {
+  // App
+  'app.title': 'My Tasks',
+  'app.subtitle': 'Stay organized and productive',
+  'app.loading': 'Loading your todos…',
+  'app.footer': 'Lab 9: The final battle!',
+  'app.toggleTheme': 'Toggle dark mode',
+  'app.language': 'Language',
+  'app.storageFallback': 'Storage unavailable, saving to localStorage instead',
+  'app.quarantined': {
+    one: '{count} damaged todo was set aside in storage',
+    other: '{count} damaged todos were set aside in storage'
+  },
+  'app.confirmationsReset': 'Deleting and clearing will ask first again',
+  'app.todoNotFound': 'That todo is not in this list',
+  'app.announceChange': '{label}, {count} active',
+
+  // Theme
+  'theme.title': 'Theme',
+  'theme.mode': 'Colours',
+  'theme.mode.light': 'Light',
+  'theme.mode.dark': 'Dark',
+  'theme.mode.system': 'System',
+  'theme.palette': 'Palette',
+  'theme.palette.default': 'Default',
+  'theme.palette.high-contrast': 'High contrast',
+  'theme.palette.sepia': 'Sepia',
+  'theme.palette.solarized': 'Solarized',
+  'theme.accent': 'Accent colour',
+  'theme.accentReset': 'Use palette colour',
+
+  // Stats and list-wide actions
+  'stats.label': 'Todo counts',
+  'stats.total': 'Total',
+  'stats.active': 'Active',
+  'stats.completed': 'Completed',
+  'stats.matches': { one: 'Match', other: 'Matches' },
+  'actions.clearCompleted': 'Clear Completed',
+  'actions.clearAll': 'Clear All',
+
+  // Shared
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.undo': 'Undo',
+  'common.redo': 'Redo',
+  'common.todos': { one: '{count} todo', other: '{count} todos' },
+  'common.lists': { one: '{count} list', other: '{count} lists' },
+
+  // Priorities
+  'priority.low': 'Low',
+  'priority.normal': 'Normal',
+  'priority.high': 'High',
+  'priority.urgent': 'Urgent',
+
+  // Due dates
+  'due.upcoming': 'Due {date}',
+  'due.today': 'Due today',
+  'due.overdue': 'Overdue {date}',
+  'due.withTime': '{due}, {time}',
+
+  // Recurrence
+  'recurrence.daily': 'Daily',
+  'recurrence.weekly': 'Weekly',
+  'recurrence.monthly': 'Monthly',
+  'recurrence.interval': 'Every N days',
+  'recurrence.everyDay': 'Every day',
+  'recurrence.everyWeekday': 'Every weekday',
+  'recurrence.onWeekdays': 'Every {days}',
+  'recurrence.onMonthDay': 'Monthly on day {day}',
+  'recurrence.everyDays': { one: 'Every day', other: 'Every {count} days' },
+
+  // History, shown in undo toasts and announced
+  'history.added': 'Added \'{text}\'',
+  'history.completed': 'Completed \'{text}\'',
+  'history.reopened': 'Reopened \'{text}\'',
+  'history.deleted': 'Deleted \'{text}\'',
+  'history.edited': 'Edited \'{text}\'',
+  'history.reordered': 'Reordered \'{text}\'',
+  'history.clearedCompleted': { one: 'Cleared {count} completed todo', other: 'Cleared {count} completed todos' },
+  'history.clearedAll': { one: 'Cleared {count} todo', other: 'Cleared {count} todos' },
+  'history.completedMany': { one: 'Completed {count} todo', other: 'Completed {count} todos' },
+  'history.reopenedMany': { one: 'Reopened {count} todo', other: 'Reopened {count} todos' },
+  'history.deletedMany': { one: 'Deleted {count} todo', other: 'Deleted {count} todos' },
+  'history.editedMany': { one: 'Edited {count} todo', other: 'Edited {count} todos' },
+  'history.addedSubtask': 'Added subtask \'{text}\'',
+  'history.completedSubtask': 'Completed subtask \'{text}\'',
+  'history.reopenedSubtask': 'Reopened subtask \'{text}\'',
+  'history.editedSubtask': 'Edited subtask \'{text}\'',
+  'history.deletedSubtask': 'Deleted subtask \'{text}\'',
+  'history.renamedTag': 'Renamed tag \'#{from}\' to \'#{to}\'',
+  'history.deletedTag': 'Deleted tag \'#{tag}\'',
+  'history.createdList': 'Created list \'{name}\'',
+  'history.renamedList': 'Renamed list \'{from}\' to \'{to}\'',
+  'history.deletedList': 'Deleted list \'{name}\'',
+  'history.reorderedList': 'Reordered list \'{name}\'',
+  'history.moved': 'Moved \'{text}\' to \'{list}\'',
+  'history.movedMany': { one: 'Moved {count} todo to \'{list}\'', other: 'Moved {count} todos to \'{list}\'' },
+  'history.imported': { one: 'Imported {count} todo', other: 'Imported {count} todos' },
+  'history.undid': 'Undid: {label}',
+  'history.redid': 'Redid: {label}',
+
+  // Confirmations
+  'confirm.keep': 'Keep',
+  'confirm.skip': 'Don\'t ask again',
+  'confirm.ok': 'OK',
+  'confirm.undoNote': 'You can undo this straight afterwards.',
+  'confirm.delete': 'Delete',
+  'confirm.deleteTodo.heading': 'Delete this todo?',
+  'confirm.deleteTodo.message': '\'{text}\' will be deleted.',
+  'confirm.deleteTodo.untitled': 'This todo will be deleted.',
+  'confirm.deleteTodos.heading': { one: 'Delete {count} todo?', other: 'Delete {count} todos?' },
+  'confirm.deleteTodos.message': 'The selected todos will be deleted.',
+  'confirm.clearCompleted.heading': 'Clear completed todos?',
+  'confirm.clearCompleted.message': {
+    one: '{count} todo will be removed from this list.',
+    other: '{count} todos will be removed from this list.'
+  },
+  'confirm.clearCompleted.confirm': 'Clear completed',
+  'confirm.clearAll.heading': 'Clear every todo?',
+  'confirm.clearAll.message': {
+    one: 'The only todo in this list will be removed.',
+    other: 'All {count} todos in this list will be removed.'
+  },
+  'confirm.clearAll.confirm': 'Clear everything',
+
+  // Import and export
+  'import.failed': 'Import failed: {reason}',
+  'import.empty': 'Import failed: no todos found.',
+  'import.nothing': 'Nothing to import',
+  'import.skipped': '{message} ({count} already present)',
+  'backup.exportJson': 'Export JSON',
+  'backup.exportMarkdown': 'Export Markdown',
+  'backup.exportTodoTxt': 'Export todo.txt',
+  'backup.importFile': 'Import file',
+  'backup.paste': 'Paste text',
+  'backup.pastePlaceholder': '- [ ] Markdown task, a todo.txt line, or a JSON backup',
+  'backup.pasteLabel': 'Text to import',
+  'backup.importPasted': 'Import pasted text',
+  'backup.review': 'Import review',
+  'backup.summary': 'Found {todos} in {source}.',
+  'backup.formatText': '{format} text',
+  'backup.invalid': {
+    one: '{count} invalid record will be skipped:',
+    other: '{count} invalid records will be skipped:'
+  },
+  'backup.record': '{list}, record {number}',
+  'backup.importInto': 'Import into \'{name}\'',
+  'backup.replace': 'Replace everything',
+  'backup.merge': 'Merge',
+  'backup.listNumber': 'List {number}',
+  'backup.error.notJson': 'The file is not valid JSON.',
+  'backup.error.notBackup': 'The file is not a todo backup.',
+  'backup.error.version': 'Backup version {version} is not supported.',
+  'backup.error.noLists': 'The backup does not contain any valid lists.',
+  'backup.error.notObject': 'not an object',
+  'backup.error.id': 'id must be a positive integer',
+  'backup.error.text': 'text must be a non-empty string',
+  'backup.error.textLength': 'text must be at most {max} characters',
+  'backup.error.completed': 'completed must be true or false',
+  'backup.error.createdAt': 'createdAt must be a date string',
+  'backup.error.duplicateId': 'id {id} is used more than once',
+  'backup.error.listId': 'list id must be a unique positive integer',
+  'backup.error.listName': 'list name must be 1-{max} characters',
+  'format.markdown': 'Markdown',
+  'format.todotxt': 'todo.txt',
+
+  // Form
+  'form.placeholder': 'What needs to be done?',
+  'form.label': 'New todo',
+  'form.add': 'Add',
+  'form.dueDate': 'Due date',
+  'form.dueTime': 'Due time',
+  'form.priority': 'Priority',
+  'form.preview': 'Will be added as',
+  'form.previewPriority': '{priority} priority',
+
+  // Search
+  'search.placeholder': 'Search todos (press / to focus)',
+  'search.label': 'Search todos',
+
+  // Filters
+  'filter.tabs': 'Show todos',
+  'filter.all': 'All',
+  'filter.active': 'Active',
+  'filter.completed': 'Completed',
+  'filter.today': 'Today',
+  'filter.overdue': 'Overdue',
+  'filter.upcoming': 'Upcoming',
+  'filter.priority': 'Priority',
+  'filter.any': 'Any',
+  'filter.sort': 'Sort',
+  'filter.sortDefault': 'List order',
+  'filter.sortPriority': 'Priority',
+  'filter.tag': 'Tag',
+  'filter.renameTag': 'Rename tag',
+  'filter.deleteTag': 'Delete tag',
+  'filter.clearTag': 'Clear tag filter',
+  'filter.newTagName': 'New tag name',
+
+  // Lists
+  'lists.current': 'Current list',
+  'lists.moveLeft': 'Move list left',
+  'lists.moveRight': 'Move list right',
+  'lists.new': 'New list',
+  'lists.rename': 'Rename',
+  'lists.remove': 'Remove',
+  'lists.name': 'List name',
+  'lists.create': 'Create',
+  'lists.defaultName': 'Inbox',
+  'list.label': 'Todos in {name}',
+  'list.labelUntitled': 'Todos',
+  'list.empty': 'No todos yet. Add one above!',
+  'list.noMatches': 'No todos match "{query}".',
+  'list.select': 'Select',
+  'list.selectHint': 'Pick todos to change together (Shift+click or Ctrl+A)',
+
+  // Todo items
+  'item.toggle': 'Toggle todo',
+  'item.select': 'Select todo',
+  'item.reorder': 'Reorder todo',
+  'item.reorderHint': 'Drag to reorder, or press Up/Down',
+  'item.link': 'Link to this todo',
+  'item.edit': 'Edit',
+  'item.editLabel': 'Edit todo',
+  'item.delete': 'Delete',
+  'item.deleteLabel': 'Delete todo',
+  'item.tagged': 'Show todos tagged {tag}',
+  'item.created': 'Added {date}',
+  'item.text': 'Todo text',
+  'item.list': 'List',
+  'item.checklist': 'Checklist',
+  'item.checklistProgress': 'Checklist, {done} of {total} done',
+  'item.showChecklist': 'Show checklist',
+  'item.toggleSubtask': 'Toggle subtask',
+  'item.editSubtask': 'Edit subtask',
+  'item.deleteSubtask': 'Delete subtask',
+  'item.newSubtask': 'New subtask',
+  'item.newSubtaskPlaceholder': 'New checklist item',
+  'item.addSubtask': 'Add subtask',
+  'item.repeat': 'Repeat',
+  'item.noRepeat': 'Does not repeat',
+  'item.repeatOn': 'Repeat on',
+  'item.onDay': 'on day',
+  'item.every': 'every',
+  'item.days': 'days',
+
+  // Batch editing
+  'batch.count': { other: '{count} selected' },
+  'batch.selectAll': 'Select all',
+  'batch.complete': 'Complete',
+  'batch.reopen': 'Reopen',
+  'batch.delete': 'Delete',
+  'batch.tagPlaceholder': 'tag',
+  'batch.tagLabel': 'Tag to add',
+  'batch.tag': 'Tag',
+  'batch.priority': 'Set priority',
+  'batch.priorityPrompt': 'Priority…',
+  'batch.due': 'Set due date',
+  'batch.move': 'Move to list',
+  'batch.movePrompt': 'Move to…',
+  'batch.done': 'Done',
+
+  // Keyboard commands
+  'command.next-todo': 'Focus next todo',
+  'command.previous-todo': 'Focus previous todo',
+  'command.toggle-todo': 'Complete or reopen focused todo',
+  'command.edit-todo': 'Edit focused todo',
+  'command.delete-todo': 'Delete focused todo',
+  'command.new-todo': 'New todo',
+  'command.focus-search': 'Search todos',
+  'command.filter-all': 'Show all todos',
+  'command.filter-active': 'Show active todos',
+  'command.filter-completed': 'Show completed todos',
+  'command.filter-today': 'Show todos due today',
+  'command.filter-overdue': 'Show overdue todos',
+  'command.filter-upcoming': 'Show upcoming todos',
+  'command.select-all': 'Select all visible todos',
+  'command.undo': 'Undo',
+  'command.redo': 'Redo',
+  'command.toggle-theme': 'Toggle dark mode',
+  'command.reset-confirmations': 'Ask before deleting again',
+  'command.command-palette': 'Open command palette',
+  'command.show-shortcuts': 'Show keyboard shortcuts',
+  'command.toggle-stats': 'Show or hide statistics',
+  'palette.label': 'Command palette',
+  'palette.placeholder': 'Type a command or search todos…',
+  'palette.input': 'Command or todo',
+  'palette.results': 'Results',
+  'palette.empty': 'No matching commands or todos',
+  'palette.todo': 'Todo',
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.capturing': 'Press a key…',
+  'shortcuts.none': 'Not set',
+  'shortcuts.change': 'Change',
+  'shortcuts.changeFor': 'Change shortcut for {command}',
+  'shortcuts.reset': 'Reset to defaults',
+  'key.ctrl': 'Ctrl',
+  'key.alt': 'Alt',
+  'key.shift': 'Shift',
+  'key.space': 'Space',
+  'key.enter': 'Enter',
+  'key.delete': 'Delete',
+  'key.backspace': 'Backspace',
+  'key.escape': 'Esc',
+  'key.tab': 'Tab',
+  'key.home': 'Home',
+  'key.end': 'End',
+  'key.pageup': 'Page Up',
+  'key.pagedown': 'Page Down',
+
+  // Statistics dashboard
+  'dashboard.open': 'Statistics',
+  'dashboard.title': 'Statistics',
+  'dashboard.back': 'Back to todos',
+  'dashboard.empty': 'Complete a todo to start your statistics.',
+  'dashboard.completed': 'Completed',
+  'dashboard.average': 'Average time to complete',
+  'dashboard.currentStreak': 'Current streak',
+  'dashboard.bestStreak': 'Best streak',
+  'dashboard.busiest': 'Busiest weekday',
+  'dashboard.none': 'None yet',
+  'dashboard.minutes': { one: '{count} minute', other: '{count} minutes' },
+  'dashboard.hours': { one: '{count} hour', other: '{count} hours' },
+  'dashboard.days': { one: '{count} day', other: '{count} days' },
+  'dashboard.range': 'Chart range',
+  'dashboard.perDay': 'Days',
+  'dashboard.perWeek': 'Weeks',
+  'dashboard.chartDays': { one: 'Todos completed today', other: 'Todos completed in the last {count} days' },
+  'dashboard.chartWeeks': { one: 'Todos completed this week', other: 'Todos completed in the last {count} weeks' },
+  'dashboard.weekOf': 'Week of {date}',
+  'dashboard.period': 'Period',
+  'dashboard.bar': '{period}: {todos}',
+
+  // Sync and updates
+  'sync.synced': 'Synced',
+  'sync.pending': 'Sync pending',
+  'sync.error': 'Sync error',
+  'sync.lastSynced': 'Last synced {time}',
+  'sync.never': 'Not synced yet',
+  'sync.now': 'Sync now',
+  'sync.error.unreachable': 'Could not reach the sync server: {reason}',
+  'sync.error.status': 'The sync server answered {status}.',
+  'sync.error.format': 'The sync server sent data in an unknown format.',
+  'sync.error.invalid': {
+    one: 'The sync server holds {count} invalid record; nothing was synced.',
+    other: 'The sync server holds {count} invalid records; nothing was synced.'
+  },
+  'sync.error.busy': 'The server kept changing during sync; will try again.',
+  'update.available': 'A new version of the app is available.',
+  'update.later': 'Not now',
+  'update.reload': 'Reload'
+};
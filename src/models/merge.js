@@ -0,0 +1,213 @@
+/**
+ * Three-way merge of todos and lists changed concurrently in two places:
+ * another tab, or another device through the sync server.
+ *
+ * `base` is the data as both sides last agreed on it, `local` is this
+ * side's version and `remote` is the other side's. The rules are:
+ *
+ * - Records changed on one side only take that side's version.
+ * - A record changed on both sides is merged field by field. A field changed
+ *   on both sides is resolved by `preferLocal`: between tabs the local edit
+ *   is always the most recent and wins; between devices the todo with the
+ *   later `updatedAt` wins.
+ * - A record deleted on either side stays deleted, even if the other side edited it.
+ * - Records added on both sides are all kept. A local addition whose id the
+ *   remote side already used for a different record gets a fresh id.
+ * - Order follows the remote side unless the local side reordered.
+ *   Additions from the other side are appended at the end.
+ */
+
+/**
+ * Compares two JSON-compatible values by content.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize identically
+ */
+export function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Conflict resolver that always keeps the local value.
+ *
+ * @returns {boolean} Always true
+ */
+export function preferLocalEdit() {
+  return true;
+}
+
+/**
+ * Conflict resolver that keeps the value from the more recently modified todo.
+ * Ties go to the local side.
+ *
+ * @param {{updatedAt?: string}} local - Local todo
+ * @param {{updatedAt?: string}} remote - Remote todo
+ * @returns {boolean} True if the local value should win
+ */
+export function preferLatestEdit(local, remote) {
+  return (local.updatedAt || '') >= (remote.updatedAt || '');
+}
+
+/**
+ * Marks todos that differ from their base version as modified now.
+ *
+ * @param {Array<Object>} base - Todos before the change
+ * @param {Array<Object>} todos - Todos after the change
+ * @param {string} [now=new Date().toISOString()] - Modification time
+ * @returns {Array<Object>} Todos, with `updatedAt` set on new and changed ones
+ */
+export function touchChanged(base, todos, now = new Date().toISOString()) {
+  const baseById = byId(base);
+  return todos.map(todo => {
+    const before = baseById.get(todo.id);
+    return sameValue(before, todo) ? todo : { ...todo, updatedAt: now };
+  });
+}
+
+/**
+ * Indexes records by id.
+ *
+ * @param {Array<{id: number}>} records - Records
+ * @returns {Map<number, Object>} Records keyed by id
+ * @private
+ */
+function byId(records) {
+  return new Map(records.map(record => [record.id, record]));
+}
+
+/**
+ * Merges one record changed on both sides, field by field.
+ *
+ * @param {Object} base - Record as last agreed
+ * @param {Object} local - Local version
+ * @param {Object} remote - Remote version
+ * @param {Function} preferLocal - Resolver for fields changed on both sides
+ * @returns {Object} Merged record
+ * @private
+ */
+function mergeFields(base, local, remote, preferLocal) {
+  if (sameValue(local, base)) {
+    return remote;
+  }
+  if (sameValue(remote, base)) {
+    return local;
+  }
+
+  const localWins = preferLocal(local, remote);
+  const merged = { ...remote };
+  Object.keys(local).forEach(field => {
+    const changedLocally = !sameValue(local[field], base[field]);
+    const changedRemotely = !sameValue(remote[field], base[field]);
+    if (changedLocally && (!changedRemotely || localWins)) {
+      merged[field] = local[field];
+    }
+  });
+  if (local.updatedAt && remote.updatedAt) {
+    merged.updatedAt = local.updatedAt > remote.updatedAt ? local.updatedAt : remote.updatedAt;
+  }
+  return merged;
+}
+
+/**
+ * Three-way merge of records keyed by id.
+ *
+ * @param {Array<Object>} base - Records as last agreed
+ * @param {Array<Object>} local - Local records
+ * @param {Array<Object>} remote - Remote records
+ * @param {Object} options - Merge callbacks
+ * @param {Function} options.merge - `(base, local, remote)` merge of a record present on all sides
+ * @param {Function} options.combine - `(local, remote)` merge of two additions with the
+ *   same id, returning null if they are different records
+ * @returns {Array<Object>} Merged records, in order
+ * @private
+ */
+function mergeRecords(base, local, remote, { merge, combine }) {
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  let nextId = [...base, ...local, ...remote].reduce((max, record) => Math.max(max, record.id), 0) + 1;
+  const renumbered = new Map();
+  const mergedById = new Map();
+
+  remote.forEach(record => {
+    if (!baseById.has(record.id)) {
+      mergedById.set(record.id, record);
+    } else if (localById.has(record.id)) {
+      mergedById.set(record.id, merge(baseById.get(record.id), localById.get(record.id), record));
+    }
+  });
+  local.forEach(record => {
+    if (baseById.has(record.id)) {
+      return;
+    }
+    const clash = remoteById.get(record.id);
+    const combined = clash ? combine(record, clash) : record;
+    if (combined) {
+      mergedById.set(record.id, combined);
+    } else {
+      const id = nextId++;
+      renumbered.set(record.id, id);
+      mergedById.set(id, { ...record, id });
+    }
+  });
+
+  const localIdOf = record => renumbered.get(record.id) ?? record.id;
+  const sharedOrder = records => records.filter(r => baseById.has(r.id)).map(r => r.id);
+  const reorderedLocally = !sameValue(
+    sharedOrder(local).filter(id => remoteById.has(id)),
+    sharedOrder(base).filter(id => localById.has(id) && remoteById.has(id))
+  );
+
+  const [first, second] = reorderedLocally
+    ? [local.map(localIdOf), remote.map(r => r.id)]
+    : [remote.map(r => r.id), local.map(localIdOf)];
+  const order = [...new Set([...first, ...second])];
+
+  return order.filter(id => mergedById.has(id)).map(id => mergedById.get(id));
+}
+
+/**
+ * Merges a list's todos changed concurrently in two places.
+ * The inputs are not modified.
+ *
+ * @param {Array<Object>} base - Todos as last agreed
+ * @param {Array<Object>} local - This side's todos
+ * @param {Array<Object>} remote - The other side's todos
+ * @param {Function} [preferLocal=preferLocalEdit] - Resolver for fields changed on both sides
+ * @returns {Array<Object>} Merged todos, in display order
+ */
+export function mergeTodos(base, local, remote, preferLocal = preferLocalEdit) {
+  return mergeRecords(base, local, remote, {
+    merge: (b, l, r) => mergeFields(b, l, r, preferLocal),
+    combine: (l, r) => sameValue(l, r) ? r : null
+  });
+}
+
+/**
+ * Merges every list, with its todos, changed concurrently in two places.
+ * Lists added on both sides with the same id and name are treated as one list.
+ * The inputs are not modified.
+ *
+ * @param {Array<{id: number, name: string, nextId: number, todos: Array<Object>}>} base - Lists as last agreed
+ * @param {Array<{id: number, name: string, nextId: number, todos: Array<Object>}>} local - This side's lists
+ * @param {Array<{id: number, name: string, nextId: number, todos: Array<Object>}>} remote - The other side's lists
+ * @param {Function} [preferLocal=preferLatestEdit] - Resolver for todo fields changed on both sides
+ * @returns {Array<{id: number, name: string, nextId: number, todos: Array<Object>}>} Merged lists, in order
+ */
+export function mergeLists(base, local, remote, preferLocal = preferLatestEdit) {
+  const mergeList = (b, l, r) => {
+    const { name } = mergeFields({ name: b.name }, { name: l.name }, { name: r.name }, preferLocalEdit);
+    const todos = mergeTodos(b.todos, l.todos, r.todos, preferLocal);
+    const nextId = Math.max(l.nextId, r.nextId, ...todos.map(t => t.id + 1));
+    return { id: r.id, name, nextId, todos };
+  };
+
+  return mergeRecords(base, local, remote, {
+    merge: mergeList,
+    combine: (l, r) => l.name.toLowerCase() === r.name.toLowerCase()
+      ? mergeList({ name: r.name, todos: [] }, l, r)
+      : null
+  });
+}
@@ -0,0 +1,58 @@
+import { t } from './i18n.js';
+
+/**
+ * Priority levels from lowest to highest.
+ *
+ * @type {Array<string>}
+ */
+export const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+/**
+ * Names a priority level in the current language.
+ *
+ * @param {string} level - One of {@link PRIORITIES}
+ * @returns {string} Display label, e.g. "High"
+ */
+export function priorityLabel(level) {
+  return t(`priority.${level}`);
+}
+
+/**
+ * Priority given to todos that don't specify one, including
+ * todos stored before priorities existed.
+ *
+ * @type {string}
+ */
+export const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Checks that a value is one of the known priority levels.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a priority level
+ */
+export function isValidPriority(value) {
+  return PRIORITIES.includes(value);
+}
+
+/**
+ * Gets the effective priority of a todo.
+ *
+ * @param {{priority?: string}} todo - Todo to inspect
+ * @returns {string} The todo's priority, or DEFAULT_PRIORITY if missing or unknown
+ */
+export function getPriority(todo) {
+  return isValidPriority(todo.priority) ? todo.priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * Comparator ordering todos from most to least urgent.
+ * Equal priorities compare as 0 so a stable sort keeps their relative order.
+ *
+ * @param {{priority?: string}} a - First todo
+ * @param {{priority?: string}} b - Second todo
+ * @returns {number} Negative if a is more urgent than b
+ */
+export function compareByPriority(a, b) {
+  return PRIORITIES.indexOf(getPriority(b)) - PRIORITIES.indexOf(getPriority(a));
+}
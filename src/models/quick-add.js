@@ -0,0 +1,433 @@
+import { toDateKey, isValidDateKey } from './due-date.js';
+import { PRIORITIES, DEFAULT_PRIORITY } from './priority.js';
+import { parseTags } from './tags.js';
+import { normalizeRecurrence, firstOccurrence } from './recurrence.js';
+
+/**
+ * Natural-language quick-add parser. Turns a line such as
+ * "Call mom tomorrow 6pm !high #family every sunday" into todo text plus
+ * the fields {@link TodoModel#addTodo} accepts:
+ *
+ * - Due date: "today", "tomorrow", a weekday ("friday", "next fri"),
+ *   "next week", "next month", "in 3 days", "in 2 weeks", "2025-03-20",
+ *   "Mar 20" or "20 March", optionally after "on", "due" or "by"
+ * - Due time: "6pm", "6:30 pm", "18:00" or "noon", optionally after "at"
+ * - Priority: "!low", "!normal", "!high" or "!urgent"
+ * - Tags: "#hashtags" (see tags.js)
+ * - Recurrence: "daily", "weekly", "monthly", "every day", "every other
+ *   day", "every 3 days", "every 2 weeks", "every weekday", "every
+ *   weekend", "every mon, wed and fri", "every month", "every 15th"
+ *
+ * Recognised words are removed from the text. Each field is taken from
+ * its first mention; later ones stay in the text. A repeating todo
+ * without a date is due on its first occurrence, and a time without a
+ * date means today. Bare weekday names must be spelled out ("sunday",
+ * not "sun") so ordinary words are not mistaken for dates.
+ *
+ * A word starting with a backslash is always text: "Review \monday"
+ * keeps "monday" and sets no date. {@link escapeQuickAdd} adds those
+ * backslashes and {@link formatQuickAdd} writes a todo's fields back as
+ * tokens, so todos survive a trip through quick-add text unchanged.
+ */
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const PRIORITY_TOKEN = /^!([a-z]+)$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_12H = /^(\d{1,2})(?::([0-5]\d))?(am|pm)?$/;
+const TIME_24H = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DAY_OF_MONTH = /^(\d{1,2})(st|nd|rd|th)?$/;
+const COUNT = /^\d{1,3}$/;
+const DATE_PREFIXES = ['on', 'due', 'by'];
+
+/**
+ * Looks up a weekday name.
+ *
+ * @param {string} word - Lower-case word
+ * @param {boolean} [allowShort=false] - Also accept abbreviations such as "mon" or "thurs"
+ * @returns {number} Weekday (0 = Sunday), or -1
+ * @private
+ */
+function weekdayOf(word = '', allowShort = false) {
+  if (allowShort && word.length >= 3) {
+    return WEEKDAY_NAMES.findIndex(name => name.startsWith(word));
+  }
+  return WEEKDAY_NAMES.indexOf(word);
+}
+
+/**
+ * Looks up a month name or its abbreviation ("mar", "sept").
+ *
+ * @param {string} word - Lower-case word
+ * @returns {number} Month (0 = January), or -1
+ * @private
+ */
+function monthOf(word = '') {
+  return word.length >= 3 ? MONTH_NAMES.findIndex(name => name.startsWith(word)) : -1;
+}
+
+/**
+ * Parses a day of the month such as "20" or "20th".
+ *
+ * @param {string} word - Lower-case word
+ * @param {boolean} [requireSuffix=false] - Only accept "1st", "2nd", ... forms
+ * @returns {number|null} Day from 1 to 31, or null
+ * @private
+ */
+function dayOfMonth(word = '', requireSuffix = false) {
+  const match = DAY_OF_MONTH.exec(word);
+  if (!match || (requireSuffix && !match[2])) {
+    return null;
+  }
+  const day = Number(match[1]);
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+/**
+ * Gets the date key a number of days from a date.
+ *
+ * @param {Date} now - Reference date
+ * @param {number} days - Days to add
+ * @returns {string} Date in "YYYY-MM-DD" form
+ * @private
+ */
+function daysFrom(now, days) {
+  return toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + days));
+}
+
+/**
+ * Gets the date key of a month and day, in the current year unless that
+ * date has passed.
+ *
+ * @param {number} month - Month (0 = January)
+ * @param {number} day - Day of the month
+ * @param {Date} now - Reference date
+ * @returns {string|null} Date in "YYYY-MM-DD" form, or null for a date like Feb 30
+ * @private
+ */
+function upcomingDate(month, day, now) {
+  const pad = value => String(value).padStart(2, '0');
+  let key = `${now.getFullYear()}-${pad(month + 1)}-${pad(day)}`;
+  if (key < toDateKey(now)) {
+    key = `${now.getFullYear() + 1}-${pad(month + 1)}-${pad(day)}`;
+  }
+  return isValidDateKey(key) ? key : null;
+}
+
+/**
+ * Matches a due date starting at `words[i]`.
+ *
+ * @param {Array<string>} words - Lower-case words
+ * @param {number} i - Position to match at
+ * @param {Date} now - Reference date
+ * @returns {{length: number, fields: Object}|null} Words consumed and the due date
+ * @private
+ */
+function matchDate(words, i, now) {
+  const [word, next, third] = words.slice(i, i + 3);
+  const result = (length, dueDate) => dueDate ? { length, fields: { dueDate } } : null;
+
+  if (word === 'today') {
+    return result(1, daysFrom(now, 0));
+  }
+  if (word === 'tomorrow') {
+    return result(1, daysFrom(now, 1));
+  }
+  if (ISO_DATE.test(word) && isValidDateKey(word)) {
+    return result(1, word);
+  }
+  if (weekdayOf(word) !== -1) {
+    return result(1, daysFrom(now, (weekdayOf(word) - now.getDay() + 7) % 7));
+  }
+  if (word === 'next') {
+    if (next === 'week') {
+      return result(2, daysFrom(now, (1 - now.getDay() + 7) % 7 || 7));
+    }
+    if (next === 'month') {
+      return result(2, toDateKey(new Date(now.getFullYear(), now.getMonth() + 1, 1)));
+    }
+    if (weekdayOf(next, true) !== -1) {
+      return result(2, daysFrom(now, (weekdayOf(next, true) - now.getDay() + 7) % 7 || 7));
+    }
+  }
+  if (word === 'in' && COUNT.test(next)) {
+    const count = Number(next);
+    if (third === 'day' || third === 'days') {
+      return result(3, daysFrom(now, count));
+    }
+    if (third === 'week' || third === 'weeks') {
+      return result(3, daysFrom(now, count * 7));
+    }
+  }
+  if (monthOf(word) !== -1 && dayOfMonth(next) !== null) {
+    return result(2, upcomingDate(monthOf(word), dayOfMonth(next), now));
+  }
+  if (dayOfMonth(word) !== null && monthOf(next) !== -1) {
+    return result(2, upcomingDate(monthOf(next), dayOfMonth(word), now));
+  }
+  return null;
+}
+
+/**
+ * Matches a due time starting at `words[i]`.
+ *
+ * @param {Array<string>} words - Lower-case words
+ * @param {number} i - Position to match at
+ * @returns {{length: number, fields: Object}|null} Words consumed and the due time
+ * @private
+ */
+function matchTime(words, i) {
+  const [word, next] = words.slice(i, i + 2);
+  const result = (length, hours, minutes = '00') => ({
+    length,
+    fields: { dueTime: `${String(hours).padStart(2, '0')}:${minutes}` }
+  });
+
+  if (word === 'noon') {
+    return result(1, 12);
+  }
+
+  const match12 = TIME_12H.exec(word);
+  const meridiem = match12 && (match12[3] || (next === 'am' || next === 'pm' ? next : null));
+  if (meridiem) {
+    const hours = Number(match12[1]);
+    return hours >= 1 && hours <= 12
+      ? result(match12[3] ? 1 : 2, (hours % 12) + (meridiem === 'pm' ? 12 : 0), match12[2])
+      : null;
+  }
+
+  const match24 = TIME_24H.exec(word);
+  return match24 ? result(1, Number(match24[1]), match24[2]) : null;
+}
+
+/**
+ * Matches a priority token such as "!high".
+ *
+ * @param {Array<string>} words - Lower-case words
+ * @param {number} i - Position to match at
+ * @returns {{length: number, fields: Object}|null} Words consumed and the priority
+ * @private
+ */
+function matchPriority(words, i) {
+  const match = PRIORITY_TOKEN.exec(words[i]);
+  return match && PRIORITIES.includes(match[1]) ? { length: 1, fields: { priority: match[1] } } : null;
+}
+
+/**
+ * Matches a recurrence phrase starting at `words[i]`. Weekly and monthly
+ * rules without a weekday or day are completed later from the due date.
+ * The bare words "daily", "weekly" and "monthly" only count as the last
+ * word, so titles such as "Write weekly report" keep them.
+ *
+ * @param {Array<string>} words - Lower-case words
+ * @param {number} i - Position to match at
+ * @returns {{length: number, fields: Object}|null} Words consumed and the rule
+ * @private
+ */
+function matchRecurrence(words, i) {
+  const [word, next, third] = words.slice(i, i + 3);
+  const result = (length, recurrence) => ({ length, fields: { recurrence } });
+
+  if (['daily', 'weekly', 'monthly'].includes(word)) {
+    return i === words.length - 1 ? result(1, { frequency: word }) : null;
+  }
+  if (word !== 'every') {
+    return null;
+  }
+
+  if (next === 'day') {
+    return result(2, { frequency: 'daily' });
+  }
+  if (next === 'other' && (third === 'day' || third === 'week')) {
+    return result(3, { frequency: 'interval', days: third === 'day' ? 2 : 14 });
+  }
+  if (COUNT.test(next) && ['day', 'days', 'week', 'weeks'].includes(third)) {
+    return result(3, { frequency: 'interval', days: Number(next) * (third.startsWith('week') ? 7 : 1) });
+  }
+  if (next === 'weekday') {
+    return result(2, { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] });
+  }
+  if (next === 'weekend') {
+    return result(2, { frequency: 'weekly', weekdays: [0, 6] });
+  }
+  if (next === 'week') {
+    return result(2, { frequency: 'weekly' });
+  }
+  if (next === 'month') {
+    const [on, the, day] = words.slice(i + 2, i + 5);
+    return on === 'on' && the === 'the' && dayOfMonth(day) !== null
+      ? result(5, { frequency: 'monthly', day: dayOfMonth(day) })
+      : result(2, { frequency: 'monthly' });
+  }
+  if (dayOfMonth(next, true) !== null) {
+    return result(2, { frequency: 'monthly', day: dayOfMonth(next, true) });
+  }
+
+  // "every mon, wed and fri"
+  const weekdays = [];
+  let end = i + 1;
+  while (weekdayOf(words[end], true) !== -1) {
+    weekdays.push(weekdayOf(words[end], true));
+    end += words[end + 1] === 'and' && weekdayOf(words[end + 2], true) !== -1 ? 2 : 1;
+  }
+  return weekdays.length > 0 ? result(end - i, { frequency: 'weekly', weekdays }) : null;
+}
+
+/**
+ * Checks whether a word is escaped with a leading backslash.
+ *
+ * @param {string} word - Word as typed
+ * @returns {boolean} True for words such as "\monday"; a lone backslash is text
+ * @private
+ */
+function isEscaped(word) {
+  return /^\\./.test(word);
+}
+
+/**
+ * Splits input into words, and their lower-case forms without trailing
+ * punctuation for matching.
+ *
+ * @param {string} input - Quick-add text
+ * @returns {{original: Array<string>, words: Array<string>}} Words as typed and for matching
+ * @private
+ */
+function splitWords(input) {
+  const original = input.trim().split(/\s+/).filter(Boolean);
+  const words = original.map(word => word.toLowerCase().replace(/[,;.]+$/, ''));
+  return { original, words };
+}
+
+/**
+ * Finds the next token at `words[i]`, including an optional "on", "due",
+ * "by" before a date or "at" before a time.
+ *
+ * @param {Array<string>} words - Lower-case words
+ * @param {number} i - Position to match at
+ * @param {Date} now - Reference date
+ * @returns {{length: number, fields: Object}|null} Words consumed and the fields they set
+ * @private
+ */
+function matchToken(words, i, now) {
+  const prefixed = (match) => match && { ...match, length: match.length + 1 };
+
+  return matchPriority(words, i) ||
+    matchRecurrence(words, i) ||
+    matchDate(words, i, now) ||
+    (DATE_PREFIXES.includes(words[i]) ? prefixed(matchDate(words, i + 1, now)) : null) ||
+    matchTime(words, i) ||
+    (words[i] === 'at' ? prefixed(matchTime(words, i + 1)) : null);
+}
+
+/**
+ * Parses a quick-add line into todo text and fields.
+ *
+ * @param {string} input - Line typed by the user
+ * @param {Date} [now=new Date()] - Reference moment for relative dates
+ * @returns {{text: string, tags: Array<string>, dueDate: string|null, dueTime: string|null, priority: string|null, recurrence: Object|null}}
+ *   Remaining text, and the fields found (null when not mentioned)
+ */
+export function parseQuickAdd(input, now = new Date()) {
+  const { original, words } = splitWords(input);
+  const fields = { dueDate: null, dueTime: null, priority: null, recurrence: null };
+  const kept = [];
+
+  for (let i = 0; i < words.length;) {
+    const match = isEscaped(original[i]) ? null : matchToken(words, i, now);
+    if (match && Object.keys(match.fields).every(key => fields[key] === null)) {
+      Object.assign(fields, match.fields);
+      i += match.length;
+    } else {
+      kept.push(isEscaped(original[i]) ? original[i].slice(1) : original[i]);
+      i++;
+    }
+  }
+
+  if (fields.recurrence) {
+    const [year, month, day] = (fields.dueDate || toDateKey(now)).split('-').map(Number);
+    const anchor = new Date(year, month - 1, day);
+    fields.recurrence = normalizeRecurrence({
+      weekdays: [anchor.getDay()],
+      day: anchor.getDate(),
+      ...fields.recurrence
+    });
+    fields.dueDate = fields.dueDate || firstOccurrence(fields.recurrence, now);
+  }
+  if (fields.dueTime && !fields.dueDate) {
+    fields.dueDate = toDateKey(now);
+  }
+
+  const { text, tags } = parseTags(kept.join(' '));
+  return { text: text || input.trim(), tags, ...fields };
+}
+
+/**
+ * Escapes plain text so {@link parseQuickAdd} reads all of it as text:
+ * every word that could start a token, and every word that already
+ * starts with a backslash, gets a backslash in front.
+ *
+ * @param {string} text - Todo text, possibly with hashtags
+ * @param {Date} [now=new Date()] - Reference moment for relative dates
+ * @returns {string} Text safe to parse, e.g. "Review report for \monday"
+ */
+export function escapeQuickAdd(text, now = new Date()) {
+  const { original, words } = splitWords(text);
+  return original
+    .map((word, i) => isEscaped(word) || matchToken(words, i, now) ? `\\${word}` : word)
+    .join(' ');
+}
+
+/**
+ * Writes an ordinal day of the month, e.g. "1st", "22nd" or "13th".
+ *
+ * @param {number} day - Day from 1 to 31
+ * @returns {string} Day with its English suffix
+ * @private
+ */
+function ordinal(day) {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10];
+  return `${day}${suffix && Math.floor(day / 10) !== 1 ? suffix : 'th'}`;
+}
+
+/**
+ * Writes a recurrence rule as a phrase {@link parseQuickAdd} reads back
+ * as the same rule.
+ *
+ * @param {Object} rule - Valid recurrence rule (see recurrence.js)
+ * @returns {string} e.g. "every day", "every monday and friday", "every 15th" or "every 3 days"
+ * @private
+ */
+function formatRecurrence(rule) {
+  if (rule.frequency === 'daily') {
+    return 'every day';
+  }
+  if (rule.frequency === 'weekly') {
+    const names = rule.weekdays.map(day => WEEKDAY_NAMES[day]);
+    return `every ${names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]}`;
+  }
+  if (rule.frequency === 'monthly') {
+    return `every ${ordinal(rule.day)}`;
+  }
+  return `every ${rule.days} days`;
+}
+
+/**
+ * Writes a todo's due date and time, priority and recurrence as quick-add
+ * tokens. Fields with their default value are left out.
+ *
+ * @param {{dueDate?: string|null, dueTime?: string|null, priority?: string, recurrence?: Object|null}} todo - Todo fields
+ * @returns {string} Tokens, e.g. "2025-03-20 18:00 !high every friday", or '' if there are none
+ */
+export function formatQuickAdd({ dueDate = null, dueTime = null, priority = DEFAULT_PRIORITY, recurrence = null }) {
+  const rule = normalizeRecurrence(recurrence);
+  return [
+    dueDate,
+    dueDate && dueTime,
+    priority && priority !== DEFAULT_PRIORITY ? `!${priority}` : null,
+    rule ? formatRecurrence(rule) : null
+  ].filter(Boolean).join(' ');
+}
@@ -0,0 +1,199 @@
+import { isValidDateKey, toDateKey } from './due-date.js';
+import { t, weekdayName, formatList } from './i18n.js';
+
+/**
+ * Recurrence rules for repeating todos, shared by the model and the
+ * components. A rule is stored on the todo as one of:
+ *
+ *   {frequency: 'daily'}
+ *   {frequency: 'weekly', weekdays: [1, 3]}   (0 = Sunday … 6 = Saturday)
+ *   {frequency: 'monthly', day: 15}           (clamped to short months)
+ *   {frequency: 'interval', days: 3}          (every N days)
+ *
+ * or null for a todo that does not repeat.
+ */
+
+/**
+ * Recurrence frequencies in the order they are offered.
+ *
+ * @type {Array<string>}
+ */
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval'];
+
+/**
+ * Names a frequency in the current language.
+ *
+ * @param {string} frequency - One of {@link FREQUENCIES}
+ * @returns {string} Display label, e.g. "Weekly"
+ */
+export function frequencyLabel(frequency) {
+  return t(`recurrence.${frequency}`);
+}
+
+/**
+ * Longest gap accepted for an 'interval' rule.
+ *
+ * @type {number}
+ */
+export const MAX_INTERVAL_DAYS = 365;
+
+/**
+ * Checks that a value is an integer within a range.
+ *
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest accepted value
+ * @param {number} max - Highest accepted value
+ * @returns {boolean} True if the value is in range
+ * @private
+ */
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validates a recurrence rule and returns it in canonical form: numbers
+ * parsed, weekdays sorted without duplicates, unknown fields dropped.
+ *
+ * @param {*} rule - Rule to check
+ * @returns {Object|null} The rule, or null if it is missing or invalid
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+
+  if (rule.frequency === 'daily') {
+    return { frequency: 'daily' };
+  }
+  if (rule.frequency === 'weekly') {
+    const weekdays = Array.isArray(rule.weekdays)
+      ? [...new Set(rule.weekdays.map(Number).filter(day => isIntegerBetween(day, 0, 6)))].sort((a, b) => a - b)
+      : [];
+    return weekdays.length > 0 ? { frequency: 'weekly', weekdays } : null;
+  }
+  if (rule.frequency === 'monthly') {
+    const day = Number(rule.day);
+    return isIntegerBetween(day, 1, 31) ? { frequency: 'monthly', day } : null;
+  }
+  if (rule.frequency === 'interval') {
+    const days = Number(rule.days);
+    return isIntegerBetween(days, 1, MAX_INTERVAL_DAYS) ? { frequency: 'interval', days } : null;
+  }
+  return null;
+}
+
+/**
+ * Parses a date key into a local Date at midnight.
+ *
+ * @param {string} dateKey - Date in "YYYY-MM-DD" form
+ * @returns {Date} Local date
+ * @private
+ */
+function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Finds the first date after `dateKey` that matches a rule.
+ *
+ * @param {Object} rule - Valid recurrence rule
+ * @param {string} dateKey - Date in "YYYY-MM-DD" form
+ * @returns {string} Next matching date
+ * @private
+ */
+function stepAfter(rule, dateKey) {
+  const date = fromDateKey(dateKey);
+
+  if (rule.frequency === 'monthly') {
+    // Try this month first, then the next; day 31 falls on the last day of shorter months
+    for (let offset = 0; offset <= 1; offset++) {
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + offset + 1, 0).getDate();
+      const candidate = new Date(date.getFullYear(), date.getMonth() + offset, Math.min(rule.day, lastDay));
+      if (candidate > date) {
+        return toDateKey(candidate);
+      }
+    }
+  }
+
+  if (rule.frequency === 'weekly') {
+    do {
+      date.setDate(date.getDate() + 1);
+    } while (!rule.weekdays.includes(date.getDay()));
+    return toDateKey(date);
+  }
+
+  date.setDate(date.getDate() + (rule.frequency === 'interval' ? rule.days : 1));
+  return toDateKey(date);
+}
+
+/**
+ * Works out the due date of the next occurrence of a repeating todo.
+ * The series continues from the current due date (or today for a todo
+ * without one), skipping any occurrences that are already in the past.
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {string|null} dueDate - Due date of the occurrence being completed
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {string|null} Next due date in "YYYY-MM-DD" form, or null for an invalid rule
+ */
+export function nextOccurrence(rule, dueDate, now = new Date()) {
+  const valid = normalizeRecurrence(rule);
+  if (!valid) {
+    return null;
+  }
+
+  const today = toDateKey(now);
+  let next = stepAfter(valid, isValidDateKey(dueDate) ? dueDate : today);
+  while (next <= today) {
+    next = stepAfter(valid, next);
+  }
+  return next;
+}
+
+/**
+ * Works out the first due date of a new repeating todo: today if the
+ * rule matches today, otherwise the next date it matches.
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {string|null} Due date in "YYYY-MM-DD" form, or null for an invalid rule
+ */
+export function firstOccurrence(rule, now = new Date()) {
+  const valid = normalizeRecurrence(rule);
+  if (!valid) {
+    return null;
+  }
+  if (valid.frequency === 'daily' || valid.frequency === 'interval') {
+    return toDateKey(now);
+  }
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  return stepAfter(valid, toDateKey(yesterday));
+}
+
+/**
+ * Describes a rule for display in the current language, e.g.
+ * "Every Mon, Wed" or "Every 3 days".
+ *
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {string} Description, or an empty string for no rule
+ */
+export function describeRecurrence(rule) {
+  const valid = normalizeRecurrence(rule);
+  if (!valid) {
+    return '';
+  }
+
+  if (valid.frequency === 'weekly') {
+    return valid.weekdays.join() === '1,2,3,4,5'
+      ? t('recurrence.everyWeekday')
+      : t('recurrence.onWeekdays', { days: formatList(valid.weekdays.map(day => weekdayName(day))) });
+  }
+  if (valid.frequency === 'monthly') {
+    return t('recurrence.onMonthDay', { day: valid.day });
+  }
+  if (valid.frequency === 'interval' && valid.days > 1) {
+    return t('recurrence.everyDays', { count: valid.days });
+  }
+  return t('recurrence.everyDay');
+}
@@ -0,0 +1,189 @@
+import { normalizeDue } from './due-date.js';
+import { DEFAULT_PRIORITY, isValidPriority } from './priority.js';
+import { normalizeTags } from './tags.js';
+import { normalizeRecurrence } from './recurrence.js';
+
+/**
+ * Stored todo schema: version number, ordered migrations, and the
+ * validation/repair applied to every record read from storage.
+ *
+ * Data saved before versioning existed counts as version 1, the original
+ * `{id, text, completed, createdAt}` shape.
+ */
+
+/**
+ * Maximum length of a todo's text.
+ *
+ * @type {number}
+ */
+export const MAX_TODO_LENGTH = 500;
+
+/**
+ * Ordered registry of record migrations. Each entry upgrades a todo
+ * stored at `version - 1` to `version`. Append new entries; never edit
+ * or reorder released ones.
+ *
+ * @type {Array<{version: number, description: string, up: (todo: Object) => Object}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add due date, priority, tags and checklist fields',
+    up: todo => ({
+      dueDate: null,
+      dueTime: null,
+      priority: DEFAULT_PRIORITY,
+      tags: [],
+      subtasks: [],
+      ...todo
+    })
+  },
+  {
+    version: 3,
+    description: 'Add modification time, used to resolve sync conflicts',
+    up: todo => ({ updatedAt: todo.createdAt, ...todo })
+  },
+  {
+    version: 4,
+    description: 'Add recurrence rule for repeating todos',
+    up: todo => ({ recurrence: null, ...todo })
+  },
+  {
+    version: 5,
+    description: 'Add completion time, used by the statistics dashboard; earlier completions are unknown',
+    up: todo => ({ completedAt: null, ...todo })
+  }
+];
+
+/**
+ * Schema version written by this build.
+ *
+ * @type {number}
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrades raw records from an older schema version.
+ * Records that are not objects are passed through for repairTodos to quarantine.
+ *
+ * @param {Array<*>} records - Records stored at `fromVersion`
+ * @param {number} fromVersion - Version the records were stored with
+ * @returns {Array<*>} Records in the current schema version
+ */
+export function migrateTodos(records, fromVersion) {
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+  return records.map(record => isObject(record)
+    ? pending.reduce((todo, migration) => migration.up(todo), record)
+    : record);
+}
+
+/**
+ * Checks that a value is a plain object.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ * @private
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a value is a parseable date string.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings Date.parse accepts
+ * @private
+ */
+function isDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Builds a todo in the current shape from a record whose required fields
+ * are valid, normalizing the optional fields and dropping unknown ones.
+ *
+ * @param {Object} record - Record with valid id, text, completed and createdAt
+ * @returns {Object} Todo
+ */
+export function normalizeTodo(record) {
+  const subtasks = Array.isArray(record.subtasks)
+    ? record.subtasks.filter(s => s && Number.isInteger(s.id) && typeof s.text === 'string' && s.text.trim())
+      .map(s => ({ id: s.id, text: s.text.trim(), completed: s.completed === true }))
+    : [];
+
+  return {
+    id: record.id,
+    text: record.text.trim(),
+    completed: record.completed,
+    createdAt: record.createdAt,
+    updatedAt: isDateString(record.updatedAt) ? record.updatedAt : record.createdAt,
+    completedAt: record.completed && isDateString(record.completedAt) ? record.completedAt : null,
+    ...normalizeDue(record),
+    priority: isValidPriority(record.priority) ? record.priority : DEFAULT_PRIORITY,
+    tags: Array.isArray(record.tags) ? normalizeTags(record.tags) : [],
+    subtasks,
+    recurrence: normalizeRecurrence(record.recurrence)
+  };
+}
+
+/**
+ * Validates stored records and repairs what can be repaired:
+ * missing, invalid or duplicate ids get fresh ids after the highest one,
+ * numeric text becomes a string, and a bad `completed` or `createdAt` gets
+ * a default. Records with no usable text, or with text longer than
+ * {@link MAX_TODO_LENGTH}, cannot be repaired without losing what the user
+ * wrote and are returned separately for quarantine, as the backup importer
+ * rejects them too.
+ *
+ * @param {Array<*>} records - Records in the current schema version
+ * @param {string} [now=new Date().toISOString()] - Creation time for records without one
+ * @returns {{todos: Array<Object>, quarantined: Array<{index: number, record: *, reason: string}>, repaired: number}}
+ *   Valid todos in order, unrecoverable records with their position, and how many records were changed
+ */
+export function repairTodos(records, now = new Date().toISOString()) {
+  const quarantined = [];
+  const usable = [];
+
+  records.forEach((record, index) => {
+    if (!isObject(record)) {
+      quarantined.push({ index, record, reason: 'not an object' });
+    } else if (typeof record.text !== 'number' && !(typeof record.text === 'string' && record.text.trim())) {
+      quarantined.push({ index, record, reason: 'text is missing or empty' });
+    } else if (String(record.text).trim().length > MAX_TODO_LENGTH) {
+      quarantined.push({ index, record, reason: 'text is too long' });
+    } else {
+      usable.push(record);
+    }
+  });
+
+  let nextId = usable.reduce((max, r) => Number.isInteger(r.id) && r.id > 0 ? Math.max(max, r.id) : max, 0) + 1;
+  const seenIds = new Set();
+  let repaired = 0;
+
+  const todos = usable.map(record => {
+    let id = record.id;
+    if (!Number.isInteger(id) || id < 1 || seenIds.has(id)) {
+      id = nextId++;
+    }
+    seenIds.add(id);
+
+    const text = String(record.text).trim();
+    const todo = normalizeTodo({
+      ...record,
+      id,
+      text,
+      completed: record.completed === true,
+      createdAt: isDateString(record.createdAt) ? record.createdAt : now
+    });
+
+    const changed = id !== record.id || text !== record.text || todo.completed !== record.completed ||
+      todo.createdAt !== record.createdAt;
+    if (changed) {
+      repaired++;
+    }
+    return todo;
+  });
+
+  return { todos, quarantined, repaired };
+}
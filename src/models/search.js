@@ -0,0 +1,145 @@
+/**
+ * Search helpers shared by the model and the components.
+ * Matching ignores case and accents, so "cafe" finds "Café" and
+ * "ÉTÉ" finds "été". Match positions always refer to the original text
+ * so the components can highlight exactly what the user sees.
+ */
+
+const COMBINING_MARKS = /\p{M}/gu;
+
+/**
+ * Folds a single character to its case- and accent-insensitive form.
+ *
+ * @param {string} char - One code point
+ * @returns {string} Folded text, possibly empty or several characters long
+ * @private
+ */
+function foldChar(char) {
+  return char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+/**
+ * Folds text and records where each folded character came from.
+ *
+ * @param {string} text - Original text
+ * @returns {{folded: string, sourceIndex: Array<number>}} Folded text and, for each
+ *   of its UTF-16 units, the index of the original character that produced it
+ * @private
+ */
+function foldWithMap(text) {
+  let folded = '';
+  const sourceIndex = [];
+  let index = 0;
+  for (const char of text) {
+    const part = foldChar(char);
+    folded += part;
+    for (let i = 0; i < part.length; i++) {
+      sourceIndex.push(index);
+    }
+    index += char.length;
+  }
+  return { folded, sourceIndex };
+}
+
+/**
+ * Folds text for case- and accent-insensitive comparison.
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function normalizeSearchText(text) {
+  return foldWithMap(String(text ?? '')).folded;
+}
+
+/**
+ * Normalizes a raw search query: surrounding whitespace is ignored.
+ *
+ * @param {*} query - Raw query, e.g. from the search input or the URL
+ * @returns {string} Trimmed query, or an empty string
+ */
+export function normalizeQuery(query) {
+  return typeof query === 'string' ? query.trim() : '';
+}
+
+/**
+ * Finds every non-overlapping occurrence of a query in a text.
+ *
+ * @param {string} text - Text to search
+ * @param {string} query - Search query
+ * @returns {Array<{start: number, end: number}>} Match ranges in the original text
+ */
+export function findMatches(text, query) {
+  const needle = normalizeSearchText(normalizeQuery(query));
+  if (!needle || !text) {
+    return [];
+  }
+
+  const { folded, sourceIndex } = foldWithMap(text);
+  const ranges = [];
+  let from = folded.indexOf(needle);
+  while (from !== -1) {
+    const last = sourceIndex[from + needle.length - 1];
+    let end = last + (text.codePointAt(last) > 0xffff ? 2 : 1);
+    // Keep trailing combining accents (as in decomposed "e\u0301") inside the match
+    while (end < text.length && foldChar(text[end]) === '') {
+      end++;
+    }
+    ranges.push({ start: sourceIndex[from], end });
+    from = folded.indexOf(needle, from + needle.length);
+  }
+  return ranges;
+}
+
+/**
+ * Checks whether a todo matches a search query.
+ * The todo text, its tags and its checklist items are searched.
+ *
+ * @param {{text: string, tags?: Array<string>, subtasks?: Array<{text: string}>}} todo - Todo to check
+ * @param {string} query - Search query; an empty query matches everything
+ * @returns {boolean} True if the todo matches
+ */
+export function matchesSearch(todo, query) {
+  const needle = normalizeSearchText(normalizeQuery(query));
+  if (!needle) {
+    return true;
+  }
+
+  const fields = [todo.text, ...(todo.tags || []), ...(todo.subtasks || []).map(s => s.text)];
+  return fields.some(field => normalizeSearchText(field).includes(needle));
+}
+
+/**
+ * Scores how well a text matches a query whose characters appear in
+ * order but not necessarily next to each other, e.g. "shac" in "Show
+ * active todos". Runs of adjacent characters and characters that start
+ * a word score higher, and shorter texts win ties.
+ *
+ * @param {string} text - Text to match
+ * @param {string} query - Query; whitespace in it is ignored
+ * @returns {number|null} Score (higher is better), or null if the text does not match
+ */
+export function fuzzyScore(text, query) {
+  const needle = normalizeSearchText(normalizeQuery(query)).replace(/\s+/g, '');
+  const haystack = normalizeSearchText(text);
+  if (!needle) {
+    return 0;
+  }
+
+  let score = 0;
+  let previous = -2;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, previous + 1);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (index === previous + 1) {
+      score += 2;
+    }
+    if (index === 0 || /[\s\-_#/]/.test(haystack[index - 1])) {
+      score += 3;
+    }
+    previous = index;
+  }
+  return score - haystack.length / 1000;
+}
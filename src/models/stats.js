@@ -0,0 +1,234 @@
+import { toDateKey } from './due-date.js';
+
+/**
+ * Productivity statistics worked out from the completion log kept by
+ * TodoModel: when each completed todo was created and completed. Everything
+ * is computed locally, in the user's time zone; entries without a valid
+ * completion time are left out.
+ */
+
+/**
+ * Number of days the per-day chart covers, ending today.
+ *
+ * @type {number}
+ */
+export const DAYS_SHOWN = 14;
+
+/**
+ * Number of weeks the per-week chart covers, ending this week.
+ *
+ * @type {number}
+ */
+export const WEEKS_SHOWN = 12;
+
+/**
+ * Milliseconds in an hour.
+ *
+ * @type {number}
+ * @private
+ */
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Milliseconds in a day of 24 hours.
+ *
+ * @type {number}
+ * @private
+ */
+const DAY = 24 * HOUR;
+
+/**
+ * Gets the valid completion times from the log.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @returns {Array<Date>} Completion times
+ * @private
+ */
+function completionDates(completions) {
+  return completions
+    .filter(entry => entry.completedAt)
+    .map(entry => new Date(entry.completedAt))
+    .filter(date => !Number.isNaN(date.getTime()));
+}
+
+/**
+ * Moves a date by whole calendar days, at local midnight.
+ * Unlike adding multiples of 24 hours, this is safe across daylight saving changes.
+ *
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add; negative to go back
+ * @returns {Date} Local midnight of the resulting day
+ * @private
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Gets the Monday that starts the (ISO 8601) week of a date.
+ *
+ * @param {Date} date - Any time in the week
+ * @returns {Date} Local midnight of that Monday
+ * @private
+ */
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * Counts completions in consecutive periods, oldest first.
+ *
+ * @param {Array<Date>} dates - Completion times
+ * @param {Array<Date>} starts - Start of each period, ascending
+ * @param {function(Date): Date} periodStart - Maps a time to the start of its period
+ * @returns {Array<{start: string, count: number}>} Period start as "YYYY-MM-DD" and completions in it
+ * @private
+ */
+function countByPeriod(dates, starts, periodStart) {
+  const counts = new Map(starts.map(start => [toDateKey(start), 0]));
+  dates.forEach(date => {
+    const key = toDateKey(periodStart(date));
+    if (counts.has(key)) {
+      counts.set(key, counts.get(key) + 1);
+    }
+  });
+  return [...counts].map(([start, count]) => ({ start, count }));
+}
+
+/**
+ * Counts the completions on each of the last few days.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @param {number} [days=DAYS_SHOWN] - Number of days, ending today
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<{start: string, count: number}>} One entry per day, oldest first
+ */
+export function completionsPerDay(completions, days = DAYS_SHOWN, now = new Date()) {
+  const starts = Array.from({ length: days }, (_, i) => addDays(now, i - days + 1));
+  return countByPeriod(completionDates(completions), starts, date => addDays(date, 0));
+}
+
+/**
+ * Counts the completions in each of the last few weeks, which start on Monday.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @param {number} [weeks=WEEKS_SHOWN] - Number of weeks, ending with the current one
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<{start: string, count: number}>} One entry per week, keyed by its Monday, oldest first
+ */
+export function completionsPerWeek(completions, weeks = WEEKS_SHOWN, now = new Date()) {
+  const thisWeek = startOfWeek(now);
+  const starts = Array.from({ length: weeks }, (_, i) => addDays(thisWeek, (i - weeks + 1) * 7));
+  return countByPeriod(completionDates(completions), starts, startOfWeek);
+}
+
+/**
+ * Works out the average time from adding a todo to completing it.
+ * Completions whose clock ran backwards (completed before the todo was
+ * created, e.g. after an import) are skipped.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @returns {number|null} Average in milliseconds, or null with no completions
+ */
+export function averageCompletionTime(completions) {
+  const durations = completions
+    .filter(entry => entry.completedAt)
+    .map(entry => Date.parse(entry.completedAt) - Date.parse(entry.createdAt))
+    .filter(duration => duration >= 0);
+  if (durations.length === 0) {
+    return null;
+  }
+  return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+}
+
+/**
+ * Finds the current and longest runs of consecutive days with at least
+ * one completion. A streak still counts as current until a whole day
+ * passes without a completion, so it is not lost first thing in the morning.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{current: number, best: number}} Streak lengths in days
+ */
+export function completionStreaks(completions, now = new Date()) {
+  const days = new Set(completionDates(completions).map(toDateKey));
+
+  let best = 0;
+  days.forEach(key => {
+    const [year, month, day] = key.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (days.has(toDateKey(addDays(date, -1)))) {
+      return;
+    }
+    let length = 1;
+    while (days.has(toDateKey(addDays(date, length)))) {
+      length++;
+    }
+    best = Math.max(best, length);
+  });
+
+  let current = 0;
+  let day = days.has(toDateKey(now)) ? now : addDays(now, -1);
+  while (days.has(toDateKey(day))) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  return { current, best };
+}
+
+/**
+ * Finds the weekday with the most completions. Ties go to the day that
+ * comes first from Monday.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @returns {{day: number, count: number}|null} Weekday (0 is Sunday, as in Date#getDay) and its completions, or null with none
+ */
+export function busiestWeekday(completions) {
+  const counts = Array(7).fill(0);
+  completionDates(completions).forEach(date => counts[date.getDay()]++);
+
+  let busiest = null;
+  [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+    if (counts[day] > 0 && (!busiest || counts[day] > busiest.count)) {
+      busiest = { day, count: counts[day] };
+    }
+  });
+  return busiest;
+}
+
+/**
+ * Splits a duration into the largest unit that keeps it readable:
+ * minutes under an hour, hours under a day, days beyond. Hours and
+ * days keep one decimal place.
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {{unit: 'minutes'|'hours'|'days', count: number}} Rounded amount and its unit
+ */
+export function durationParts(ms) {
+  if (ms < HOUR) {
+    return { unit: 'minutes', count: Math.max(1, Math.round(ms / 60000)) };
+  }
+  if (ms < DAY) {
+    return { unit: 'hours', count: Math.round(ms / HOUR * 10) / 10 };
+  }
+  return { unit: 'days', count: Math.round(ms / DAY * 10) / 10 };
+}
+
+/**
+ * Gathers every statistic the dashboard shows.
+ *
+ * @param {Array<{createdAt: string, completedAt: string}>} completions - Completion log
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{completed: number, perDay: Array<{start: string, count: number}>, perWeek: Array<{start: string, count: number}>, averageTime: number|null, streaks: {current: number, best: number}, busiestWeekday: {day: number, count: number}|null}} Statistics
+ */
+export function productivityStats(completions, now = new Date()) {
+  return {
+    completed: completionDates(completions).length,
+    perDay: completionsPerDay(completions, DAYS_SHOWN, now),
+    perWeek: completionsPerWeek(completions, WEEKS_SHOWN, now),
+    averageTime: averageCompletionTime(completions),
+    streaks: completionStreaks(completions, now),
+    busiestWeekday: busiestWeekday(completions)
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Checklist (subtask) helpers shared by the model and the components.
+ * Subtasks live in an ordered `subtasks` array on their parent todo;
+ * their ids are only unique within that parent.
+ */
+
+/**
+ * Gets the subtasks of a todo, treating todos stored before
+ * checklists existed as having none.
+ *
+ * @param {{subtasks?: Array<Object>}} todo - Parent todo
+ * @returns {Array<{id: number, text: string, completed: boolean}>} Subtasks in order
+ */
+export function getSubtasks(todo) {
+  return Array.isArray(todo.subtasks) ? todo.subtasks : [];
+}
+
+/**
+ * Gets the next free subtask id for a todo.
+ *
+ * @param {{subtasks?: Array<Object>}} todo - Parent todo
+ * @returns {number} An id greater than any existing subtask id
+ */
+export function nextSubtaskId(todo) {
+  return getSubtasks(todo).reduce((max, subtask) => Math.max(max, subtask.id), 0) + 1;
+}
+
+/**
+ * Counts completed subtasks, e.g. for a "3/5" progress indicator.
+ *
+ * @param {{subtasks?: Array<Object>}} todo - Parent todo
+ * @returns {{done: number, total: number}} Completed and total subtask counts
+ */
+export function getSubtaskProgress(todo) {
+  const subtasks = getSubtasks(todo);
+  return {
+    done: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Tag helpers shared by the model and the components.
+ * Tags are stored lower-case without the leading "#", and must contain
+ * at least one letter so references like "#42" stay part of the text.
+ */
+
+const TAG_BODY = '[\\p{L}\\p{N}_-]*\\p{L}[\\p{L}\\p{N}_-]*';
+const HASHTAG_PATTERN = new RegExp(`(^|\\s)#(${TAG_BODY})(?=\\s|$)`, 'gu');
+const TAG_PATTERN = new RegExp(`^${TAG_BODY}$`, 'u');
+
+/**
+ * Normalizes a tag name, accepting an optional leading "#".
+ *
+ * @param {*} tag - Raw tag name
+ * @returns {string|null} Lower-case tag name, or null if it isn't a valid tag
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const name = tag.trim().replace(/^#/, '').toLowerCase();
+  return TAG_PATTERN.test(name) ? name : null;
+}
+
+/**
+ * Normalizes and de-duplicates a list of tags, keeping first-seen order.
+ *
+ * @param {*} tags - Raw tag list
+ * @returns {Array<string>} Valid, unique tag names
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Splits hashtags out of todo text.
+ * "Pay invoice #finance #urgent" becomes text "Pay invoice" with tags
+ * ["finance", "urgent"]. Text made only of hashtags is kept as typed.
+ *
+ * @param {string} text - Raw todo text
+ * @returns {{text: string, tags: Array<string>}} Remaining text and parsed tags
+ */
+export function parseTags(text) {
+  const tags = [];
+  const stripped = text.replace(HASHTAG_PATTERN, (match, leading, name) => {
+    tags.push(name);
+    return leading;
+  }).replace(/\s+/g, ' ').trim();
+
+  return {
+    text: stripped || text.trim(),
+    tags: normalizeTags(tags)
+  };
+}
+
+/**
+ * Joins todo text and tags back into editable "text #tag" form.
+ *
+ * @param {string} text - Todo text
+ * @param {Array<string>} [tags=[]] - Tag names
+ * @returns {string} Text followed by its hashtags
+ */
+export function formatWithTags(text, tags = []) {
+  return [text, ...tags.map(tag => `#${tag}`)].join(' ');
+}
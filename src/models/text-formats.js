@@ -0,0 +1,295 @@
+import { toDateKey, isValidDateKey } from './due-date.js';
+import { DEFAULT_PRIORITY, getPriority } from './priority.js';
+import { parseTags, normalizeTag, normalizeTags, formatWithTags } from './tags.js';
+import { getSubtasks } from './subtasks.js';
+import { validateTodoRecord } from './backup.js';
+import { parseQuickAdd, escapeQuickAdd, formatQuickAdd } from './quick-add.js';
+import { t } from './i18n.js';
+
+/**
+ * Converters between the todo shape and two plain-text formats:
+ *
+ * - GitHub-flavoured Markdown task lists ("- [ ] item" / "- [x] item"),
+ *   with checklist items as indented tasks and tags as hashtags.
+ *   Markdown has no place for dates or priorities, so items are written
+ *   and read as quick-add text ("Pay rent 2025-04-01 !high every 1st", see
+ *   quick-add.js). Words in the todo's own text that quick-add would
+ *   take for a field are escaped with a backslash.
+ * - todo.txt (https://github.com/todotxt/todo.txt), with priorities as
+ *   "(A)"-"(D)", tags as "+project", the due date as "due:YYYY-MM-DD" and
+ *   the creation and completion dates in their usual slots. todo.txt only
+ *   allows a creation date after a completion date, so completed todos
+ *   from before completion times were recorded carry it as a
+ *   "created:YYYY-MM-DD" key instead. Checklists are flattened away
+ *   because the format has no nesting.
+ *
+ * Parsers return todos numbered from 1, ready for TodoModel#importData.
+ */
+
+/**
+ * Plain-text formats understood by {@link detectTextFormat}.
+ *
+ * @type {Array<string>}
+ */
+export const TEXT_FORMATS = ['markdown', 'todotxt'];
+
+/**
+ * Names a text format in the current language.
+ *
+ * @param {string} format - One of {@link TEXT_FORMATS}
+ * @returns {string} Display name, e.g. "Markdown"
+ */
+export function textFormatLabel(format) {
+  return t(`format.${format}`);
+}
+
+const MARKDOWN_ITEM = /^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.*\S)\s*$/;
+const TODOTXT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * todo.txt priority letters for each priority level. Normal todos have none.
+ *
+ * @type {Object<string, string>}
+ */
+const TODOTXT_PRIORITIES = { urgent: 'A', high: 'B', low: 'D' };
+
+/**
+ * Guesses which format a pasted or uploaded text is in.
+ * Any Markdown list item makes it Markdown; otherwise it is todo.txt.
+ *
+ * @param {string} text - Text to inspect
+ * @returns {'markdown'|'todotxt'} Detected format
+ */
+export function detectTextFormat(text) {
+  return text.split(/\r?\n/).some(line => MARKDOWN_ITEM.test(line)) ? 'markdown' : 'todotxt';
+}
+
+/**
+ * Builds a todo from parsed fields.
+ *
+ * @param {number} id - Todo id
+ * @param {string} rawText - Text, possibly with hashtags
+ * @param {Object} fields - Other todo fields
+ * @returns {Object} Todo
+ * @private
+ */
+function makeTodo(id, rawText, fields) {
+  const { text, tags } = parseTags(rawText);
+  return {
+    id,
+    text,
+    completed: false,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    dueDate: null,
+    dueTime: null,
+    priority: DEFAULT_PRIORITY,
+    subtasks: [],
+    ...fields,
+    tags: normalizeTags([...tags, ...(fields.tags || [])])
+  };
+}
+
+/**
+ * Converts a local "YYYY-MM-DD" date to an ISO timestamp at local midnight.
+ *
+ * @param {string} dateKey - Date key
+ * @returns {string} ISO timestamp
+ * @private
+ */
+function dateKeyToIso(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toISOString();
+}
+
+/**
+ * Writes todos as a Markdown task list under a heading. The due date,
+ * priority and recurrence follow each item's text as quick-add tokens.
+ *
+ * @param {string} title - Heading, e.g. the list name
+ * @param {Array<Object>} todos - Todos in list order
+ * @returns {string} Markdown text
+ */
+export function toMarkdown(title, todos) {
+  const lines = [`# ${title}`, ''];
+  todos.forEach(todo => {
+    const item = [escapeQuickAdd(formatWithTags(todo.text, todo.tags)), formatQuickAdd(todo)].filter(Boolean).join(' ');
+    lines.push(`- [${todo.completed ? 'x' : ' '}] ${item}`);
+    getSubtasks(todo).forEach(subtask => {
+      lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Reads todos from Markdown list items.
+ * Top-level items become todos and indented items become checklist items
+ * of the todo above them; plain "- item" bullets count as open tasks.
+ * Due dates, priorities and recurrence written quick-add style in a
+ * top-level item are picked up. Headings and other lines are ignored.
+ *
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} Todos
+ */
+export function fromMarkdown(text) {
+  const todos = [];
+  let topIndent = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = MARKDOWN_ITEM.exec(line);
+    if (!match) {
+      return;
+    }
+    const [, indent, mark, itemText] = match;
+    const completed = mark === 'x' || mark === 'X';
+    const parent = todos[todos.length - 1];
+
+    if (parent && topIndent !== null && indent.length > topIndent) {
+      parent.subtasks.push({ id: parent.subtasks.length + 1, text: itemText.trim(), completed });
+      return;
+    }
+    topIndent = indent.length;
+    const { text: title, priority, ...fields } = parseQuickAdd(itemText);
+    todos.push(makeTodo(todos.length + 1, title, { completed, ...fields, ...(priority ? { priority } : {}) }));
+  });
+
+  return todos;
+}
+
+/**
+ * Writes todos in todo.txt format, one per line.
+ *
+ * @param {Array<Object>} todos - Todos in list order
+ * @returns {string} todo.txt text
+ */
+export function toTodoTxt(todos) {
+  const lines = todos.map(todo => {
+    const parts = [];
+    const letter = TODOTXT_PRIORITIES[getPriority(todo)];
+    const created = toDateKey(new Date(todo.createdAt));
+    const datedCompletion = todo.completed && todo.completedAt;
+
+    if (todo.completed) {
+      parts.push('x');
+    } else if (letter) {
+      parts.push(`(${letter})`);
+    }
+    if (datedCompletion) {
+      parts.push(toDateKey(new Date(todo.completedAt)));
+    }
+    if (!todo.completed || datedCompletion) {
+      parts.push(created);
+    }
+    parts.push(todo.text);
+    (todo.tags || []).forEach(tag => parts.push(`+${tag}`));
+    if (todo.dueDate) {
+      parts.push(`due:${todo.dueDate}`);
+    }
+    if (todo.completed) {
+      if (letter) {
+        parts.push(`pri:${letter}`);
+      }
+      if (!datedCompletion) {
+        parts.push(`created:${created}`);
+      }
+    }
+    return parts.join(' ');
+  });
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Reads todos from todo.txt lines. "+project" and "@context" words become
+ * tags, "due:" and "pri:" keys are understood, and other "key:value"
+ * words stay in the text.
+ *
+ * @param {string} text - todo.txt text
+ * @returns {Array<Object>} Todos
+ */
+export function fromTodoTxt(text) {
+  const todos = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const words = line.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return;
+    }
+
+    const completed = words[0] === 'x';
+    if (completed) {
+      words.shift();
+    }
+    let letter = null;
+    if (/^\([A-Z]\)$/.test(words[0])) {
+      letter = words.shift()[1];
+    }
+    const dates = [];
+    while (dates.length < 2 && TODOTXT_DATE.test(words[0])) {
+      dates.push(words.shift());
+    }
+    // A completed task's first date is its completion date
+    let created = completed ? dates[1] : dates[0];
+    const finished = completed ? dates[0] : null;
+
+    const tags = [];
+    let dueDate = null;
+    const textWords = words.filter(word => {
+      const key = /^([a-z]+):(\S+)$/i.exec(word);
+      if (/^[+@]\S+$/.test(word) && normalizeTag(word.slice(1))) {
+        tags.push(word.slice(1));
+      } else if (key && key[1] === 'due' && isValidDateKey(key[2])) {
+        dueDate = key[2];
+      } else if (key && key[1] === 'pri' && /^[A-Z]$/.test(key[2])) {
+        letter = key[2];
+      } else if (key && key[1] === 'created' && isValidDateKey(key[2])) {
+        created = key[2];
+      } else {
+        return true;
+      }
+      return false;
+    });
+
+    const rawText = textWords.join(' ') || tags.map(tag => `+${tag}`).join(' ');
+    if (!rawText) {
+      return;
+    }
+    const priority = Object.keys(TODOTXT_PRIORITIES).find(level => TODOTXT_PRIORITIES[level] === letter)
+      || (letter && letter > 'C' ? 'low' : DEFAULT_PRIORITY);
+
+    todos.push(makeTodo(todos.length + 1, rawText, {
+      completed,
+      createdAt: created && isValidDateKey(created) ? dateKeyToIso(created) : new Date().toISOString(),
+      completedAt: finished && isValidDateKey(finished) ? dateKeyToIso(finished) : null,
+      dueDate,
+      priority,
+      tags
+    }));
+  });
+
+  return todos;
+}
+
+/**
+ * Reads todos from text in either format and checks them against the
+ * todo schema, reporting items that fail (e.g. text over 500 characters)
+ * the same way JSON backups do.
+ *
+ * @param {string} text - Markdown or todo.txt text
+ * @param {string} [format] - One of {@link TEXT_FORMATS}; detected when omitted
+ * @returns {{format: string, todos: Array<Object>, errors: Array<{list: string, index: number, messages: Array<string>}>}} Valid todos and per-item errors
+ */
+export function parseTextTodos(text, format = detectTextFormat(text)) {
+  const parsed = format === 'markdown' ? fromMarkdown(text) : fromTodoTxt(text);
+  const todos = [];
+  const errors = [];
+  parsed.forEach((todo, index) => {
+    const messages = validateTodoRecord(todo);
+    if (messages.length > 0) {
+      errors.push({ list: textFormatLabel(format), index, messages });
+    } else {
+      todos.push(todo);
+    }
+  });
+  return { format, todos, errors };
+}
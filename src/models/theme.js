@@ -0,0 +1,133 @@
+import { t } from './i18n.js';
+
+/**
+ * Colour modes. "system" follows the operating system's light or dark
+ * setting (`prefers-color-scheme`) and changes along with it.
+ *
+ * @type {Array<string>}
+ */
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+/**
+ * Named palettes. Each has a light and a dark variant, defined in
+ * styles.css as `body.palette-<name>` and `body.palette-<name>.dark-mode`.
+ *
+ * @type {Array<string>}
+ */
+export const PALETTES = ['default', 'high-contrast', 'sepia', 'solarized'];
+
+/**
+ * Theme used before the user picks one.
+ *
+ * @type {{mode: string, palette: string, accent: string|null}}
+ */
+export const DEFAULT_THEME = Object.freeze({ mode: 'system', palette: 'default', accent: null });
+
+/**
+ * Key the applied theme is copied to in localStorage, whatever the storage
+ * backend, so the script at the top of index.html can apply it before the
+ * first paint. That script reads the same fields as {@link themeClasses}
+ * and {@link accentProperties}; keep the two in step. The key is outside
+ * the storage service's "todos" namespace, so clearing the app's data or
+ * moving it to IndexedDB leaves it where the script can read it.
+ *
+ * @type {string}
+ */
+export const FIRST_PAINT_KEY = 'todo-app-theme';
+
+/**
+ * Names a colour mode in the current language.
+ *
+ * @param {string} mode - One of {@link THEME_MODES}
+ * @returns {string} Display label, e.g. "System"
+ */
+export function themeModeLabel(mode) {
+  return t(`theme.mode.${mode}`);
+}
+
+/**
+ * Names a palette in the current language.
+ *
+ * @param {string} palette - One of {@link PALETTES}
+ * @returns {string} Display label, e.g. "Sepia"
+ */
+export function paletteLabel(palette) {
+  return t(`theme.palette.${palette}`);
+}
+
+/**
+ * Checks that a value is an accent colour: a six-digit hex colour,
+ * the format `<input type="color">` produces.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is an accent colour
+ */
+export function isValidAccent(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Repairs a stored theme, filling in the default for any missing or
+ * unknown field. Without a stored theme, the dark mode flag saved by
+ * earlier versions picks the mode.
+ *
+ * @param {*} saved - Stored theme, or null
+ * @param {*} [legacyDarkMode=null] - Stored dark mode flag, or null
+ * @returns {{mode: string, palette: string, accent: string|null}} Valid theme
+ */
+export function normalizeTheme(saved, legacyDarkMode = null) {
+  if (!saved || typeof saved !== 'object') {
+    return typeof legacyDarkMode === 'boolean'
+      ? { ...DEFAULT_THEME, mode: legacyDarkMode ? 'dark' : 'light' }
+      : { ...DEFAULT_THEME };
+  }
+  return {
+    mode: THEME_MODES.includes(saved.mode) ? saved.mode : DEFAULT_THEME.mode,
+    palette: PALETTES.includes(saved.palette) ? saved.palette : DEFAULT_THEME.palette,
+    accent: isValidAccent(saved.accent) ? saved.accent.toLowerCase() : null
+  };
+}
+
+/**
+ * Works out whether a theme shows its dark variant.
+ *
+ * @param {{mode: string}} theme - Theme to resolve
+ * @param {boolean} prefersDark - Whether the system asks for a dark scheme
+ * @returns {boolean} True for dark colours
+ */
+export function isDark(theme, prefersDark) {
+  return theme.mode === 'system' ? prefersDark : theme.mode === 'dark';
+}
+
+/**
+ * Lists the classes that select a theme's colours on `<body>`.
+ *
+ * @param {{mode: string, palette: string}} theme - Theme to apply
+ * @param {boolean} prefersDark - Whether the system asks for a dark scheme
+ * @returns {Array<string>} Class names, e.g. ['dark-mode', 'palette-sepia']
+ */
+export function themeClasses(theme, prefersDark) {
+  const classes = isDark(theme, prefersDark) ? ['dark-mode'] : [];
+  if (theme.palette !== DEFAULT_THEME.palette) {
+    classes.push(`palette-${theme.palette}`);
+  }
+  return classes;
+}
+
+/**
+ * Lists the CSS variables a custom accent colour overrides. The hover
+ * shade mixes in the text colour, so it darkens the accent on light
+ * themes and lightens it on dark ones.
+ *
+ * @param {string|null} accent - Accent colour, or null for the palette's own
+ * @returns {Object<string, string>} Variable values, empty without an accent
+ */
+export function accentProperties(accent) {
+  if (!isValidAccent(accent)) {
+    return {};
+  }
+  return {
+    '--color-primary': accent,
+    '--color-primary-hover': `color-mix(in srgb, ${accent} 80%, var(--color-text))`
+  };
+}
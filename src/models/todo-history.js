@@ -0,0 +1,212 @@
+/**
+ * Default maximum number of undo steps kept in history.
+ *
+ * @type {number}
+ */
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Maximum number of undo and of redo steps written to storage. Every step
+ * holds whole lists, so only the most recent ones survive a reload.
+ *
+ * @type {number}
+ */
+export const PERSISTED_HISTORY_LIMIT = 10;
+
+/**
+ * TodoHistory - Bounded undo/redo stack of model snapshots.
+ * Each entry pairs a human-readable label with the model state
+ * captured before (undo) or after (redo) the labelled action.
+ *
+ * @class
+ */
+export class TodoHistory {
+  /**
+   * Creates a TodoHistory instance.
+   *
+   * @param {number} [limit=DEFAULT_HISTORY_LIMIT] - Maximum number of entries per stack
+   * @param {{past?: Array<Object>, future?: Array<Object>}} [state={}] - Previously persisted stacks
+   */
+  constructor(limit = DEFAULT_HISTORY_LIMIT, state = {}) {
+    /**
+     * @type {number}
+     * @private
+     */
+    this.limit = limit;
+
+    /**
+     * @type {Array<{label: string, snapshot: Object}>}
+     * @private
+     */
+    this.past = TodoHistory.sanitize(state && state.past, limit);
+
+    /**
+     * @type {Array<{label: string, snapshot: Object}>}
+     * @private
+     */
+    this.future = TodoHistory.sanitize(state && state.future, limit);
+  }
+
+  /**
+   * Keeps only well-formed entries from a persisted stack, newest last.
+   *
+   * @param {*} entries - Raw stack loaded from storage
+   * @param {number} limit - Maximum number of entries to keep
+   * @returns {Array<{label: string, snapshot: Object}>} Valid entries
+   * @private
+   */
+  static sanitize(entries, limit) {
+    if (!Array.isArray(entries)) {
+      return [];
+    }
+    return entries
+      .filter(entry => entry && typeof entry.label === 'string' && entry.snapshot)
+      .slice(-limit);
+  }
+
+  /**
+   * Whether there is an action that can be undone.
+   *
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  /**
+   * Whether there is an undone action that can be redone.
+   *
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * Label of the action that the next undo would revert.
+   *
+   * @returns {string|null}
+   */
+  get undoLabel() {
+    return this.canUndo ? this.past[this.past.length - 1].label : null;
+  }
+
+  /**
+   * Label of the action that the next redo would re-apply.
+   *
+   * @returns {string|null}
+   */
+  get redoLabel() {
+    return this.canRedo ? this.future[this.future.length - 1].label : null;
+  }
+
+  /**
+   * Gets the entry the next undo would return, without removing it.
+   *
+   * @returns {{label: string, snapshot: Object}|null}
+   */
+  peekUndo() {
+    return this.canUndo ? this.past[this.past.length - 1] : null;
+  }
+
+  /**
+   * Gets the entry the next redo would return, without removing it.
+   *
+   * @returns {{label: string, snapshot: Object}|null}
+   */
+  peekRedo() {
+    return this.canRedo ? this.future[this.future.length - 1] : null;
+  }
+
+  /**
+   * Records the state before a new action.
+   * Starting a new action discards anything that could be redone.
+   *
+   * @param {string} label - Description of the action, e.g. "Deleted 'Buy milk'"
+   * @param {Object} snapshot - Model state before the action
+   */
+  record(label, snapshot) {
+    this.past.push({ label, snapshot });
+    if (this.past.length > this.limit) {
+      this.past.shift();
+    }
+    this.future = [];
+  }
+
+  /**
+   * Steps back one action.
+   *
+   * @param {Object} currentSnapshot - Model state to restore on redo
+   * @returns {{label: string, snapshot: Object}|null} Entry to restore, or null if nothing to undo
+   */
+  undo(currentSnapshot) {
+    const entry = this.past.pop();
+    if (!entry) {
+      return null;
+    }
+    this.future.push({ label: entry.label, snapshot: currentSnapshot });
+    return entry;
+  }
+
+  /**
+   * Steps forward one previously undone action.
+   *
+   * @param {Object} currentSnapshot - Model state to restore on the next undo
+   * @returns {{label: string, snapshot: Object}|null} Entry to restore, or null if nothing to redo
+   */
+  redo(currentSnapshot) {
+    const entry = this.future.pop();
+    if (!entry) {
+      return null;
+    }
+    this.past.push({ label: entry.label, snapshot: currentSnapshot });
+    return entry;
+  }
+
+  /**
+   * Discards both stacks.
+   */
+  clear() {
+    this.past = [];
+    this.future = [];
+  }
+
+  /**
+   * Serializable form of the history for persistence.
+   *
+   * @returns {{past: Array<Object>, future: Array<Object>}}
+   */
+  toJSON() {
+    return { past: this.past, future: this.future };
+  }
+
+  /**
+   * Serializable form of the most recent entries only, newest last.
+   *
+   * @param {number} [limit=PERSISTED_HISTORY_LIMIT] - Maximum number of entries per stack
+   * @returns {{past: Array<Object>, future: Array<Object>}}
+   */
+  recent(limit = PERSISTED_HISTORY_LIMIT) {
+    return { past: this.past.slice(-limit), future: this.future.slice(-limit) };
+  }
+
+  /**
+   * Creates a history from persisted stacks, passing each entry's snapshot
+   * through a function first, e.g. to bring stored todos up to date.
+   * Entries whose snapshot the function rejects (returns null for) are dropped.
+   *
+   * @param {{past?: Array<Object>, future?: Array<Object>}} state - Persisted stacks
+   * @param {function(Object): Object|null} upgrade - Maps a stored snapshot to a usable one
+   * @param {number} [limit=DEFAULT_HISTORY_LIMIT] - Maximum number of entries per stack
+   * @returns {TodoHistory} Restored history
+   */
+  static fromStorage(state, upgrade, limit = DEFAULT_HISTORY_LIMIT) {
+    const history = new TodoHistory(limit, state);
+    const upgradeAll = entries => entries
+      .map(entry => ({ label: entry.label, snapshot: upgrade(entry.snapshot) }))
+      .filter(entry => entry.snapshot);
+    history.past = upgradeAll(history.past);
+    history.future = upgradeAll(history.future);
+    return history;
+  }
+}
@@ -1,5 +1,91 @@
+import { TodoHistory } from './todo-history.js';
+import { normalizeDue, getDueStatus, toDateKey } from './due-date.js';
+import { DEFAULT_PRIORITY, isValidPriority, getPriority, compareByPriority } from './priority.js';
+import { parseTags, normalizeTag, normalizeTags } from './tags.js';
+import { getSubtasks, nextSubtaskId } from './subtasks.js';
+import { normalizeRecurrence, nextOccurrence } from './recurrence.js';
+import { matchesSearch } from './search.js';
+import { MAX_TODO_LENGTH, SCHEMA_VERSION, migrateTodos, repairTodos } from './schema.js';
+import { mergeTodos, sameValue, touchChanged } from './merge.js';
+import { t } from './i18n.js';
+
+export { MAX_TODO_LENGTH };
+
+/**
+ * Filters accepted by {@link TodoModel#setFilter}.
+ * 
+ * @type {Array<string>}
+ */
+export const FILTERS = ['all', 'active', 'completed', 'today', 'overdue', 'upcoming'];
+
+/**
+ * Sort orders accepted by {@link TodoModel#setSortOrder}.
+ * 'default' keeps the list order; 'priority' puts the most urgent todos first.
+ * 
+ * @type {Array<string>}
+ */
+export const SORT_ORDERS = ['default', 'priority'];
+
+/**
+ * ID of the list created on first run. Its todos keep the original
+ * unprefixed storage keys so data saved before named lists existed
+ * still loads.
+ * 
+ * @type {number}
+ */
+export const DEFAULT_LIST_ID = 1;
+
+/**
+ * Ways {@link TodoModel#importData} can combine a backup with existing data.
+ * 'replace' discards every current list; 'merge' adds the backup's todos
+ * to lists of the same name.
+ * 
+ * @type {Array<string>}
+ */
+export const IMPORT_MODES = ['replace', 'merge'];
+
+/**
+ * Maximum length of a list name.
+ * 
+ * @type {number}
+ */
+export const MAX_LIST_NAME_LENGTH = 100;
+
+/**
+ * Number of completions the completion log keeps; older ones are dropped first.
+ * 
+ * @type {number}
+ */
+export const MAX_COMPLETIONS = 2000;
+
+/**
+ * Identifies a completion by when its todo was created and completed.
+ * 
+ * @param {{createdAt: string, completedAt: string}} entry - Todo or completion log entry
+ * @returns {string} Key
+ * @private
+ */
+function completionKey(entry) {
+  return `${entry.createdAt}\n${entry.completedAt}`;
+}
+
+/**
+ * Gets a todo's completion as a completion log entry.
+ * 
+ * @param {Object} todo - Todo
+ * @returns {{createdAt: string, completedAt: string}|null} Entry, or null if the todo has no valid completion time
+ * @private
+ */
+function completionEntry(todo) {
+  if (!todo || typeof todo.completedAt !== 'string' || Number.isNaN(Date.parse(todo.completedAt))) {
+    return null;
+  }
+  return { createdAt: todo.createdAt, completedAt: todo.completedAt };
+}
+
 /**
  * TodoModel - Manages the todo list data and business logic.
+ * Todos are grouped into named lists; `todos` always holds the current list.
  * Implements the Observer pattern for reactive updates.
  * 
  * @class
@@ -16,11 +102,57 @@ export class TodoModel {
      * @private
      */
     this.storage = storageService;
+
+    /**
+     * Named lists in display order.
+     * 
+     * @type {Array<{id: number, name: string}>}
+     */
+    this.lists = this.loadListIndex();
+
+    /**
+     * What happened when stored data was brought up to the current schema:
+     * the version it was stored with, how many records were repaired, and
+     * how many could not be repaired and were moved to the quarantine key.
+     * 
+     * @type {{fromVersion: number, toVersion: number, repaired: number, quarantined: number}}
+     */
+    this.upgradeReport = this.upgradeStorage();
+
+    const maxListId = Math.max(...this.lists.map(l => l.id));
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.nextListId = Math.max(maxListId + 1, this.storage.load('nextListId', 1));
+
+    const storedListId = this.storage.load('currentList', DEFAULT_LIST_ID);
+
+    /**
+     * ID of the list whose todos are loaded into `todos`.
+     * 
+     * @type {number}
+     */
+    this.currentListId = this.hasList(storedListId) ? storedListId : this.lists[0].id;
+
+    const current = this.loadList(this.currentListId);
     
     /**
-     * @type {Array<{id: number, text: string, completed: boolean, createdAt: string}>}
+     * Todos of the current list, in the current schema (see schema.js).
+     * 
+     * @type {Array<{id: number, text: string, completed: boolean, createdAt: string, updatedAt: string, completedAt: string|null, dueDate: string|null, dueTime: string|null, priority: string, tags: Array<string>, subtasks: Array<{id: number, text: string, completed: boolean}>}>}
+     */
+    this.todos = current.todos;
+
+    /**
+     * The current list's todos as last read from or written to storage.
+     * Another tab's save since then is merged against this base (see merge.js).
+     * 
+     * @type {Array<Object>}
+     * @private
      */
-    this.todos = this.storage.load('items', []);
+    this.syncedTodos = [...current.todos];
     
     /**
      * @type {Array<Function>}
@@ -28,21 +160,131 @@ export class TodoModel {
      */
     this.listeners = [];
     
-    // Calculate nextId from existing todos to prevent ID conflicts
-    const maxId = this.todos.length > 0 
-      ? Math.max(...this.todos.map(t => t.id))
-      : 0;
-    
     /**
+     * Next todo ID for the current list.
+     * 
      * @type {number}
      * @private
      */
-    this.nextId = Math.max(maxId + 1, this.storage.load('nextId', 1));
+    this.nextId = current.nextId;
+
+    /**
+     * Every completion across all lists, oldest first, for the statistics
+     * dashboard. Entries outlive their todos, so clearing or deleting
+     * completed todos keeps them; reopening a todo removes its entry.
+     * 
+     * @type {Array<{createdAt: string, completedAt: string}>}
+     * @private
+     */
+    this.completionLog = this.loadCompletionLog();
     
     /**
      * @type {string}
      */
-    this.filter = 'all'; // 'all' | 'active' | 'completed'
+    this.filter = 'all'; // 'all' | 'active' | 'completed' | 'today' | 'overdue' | 'upcoming'
+
+    /**
+     * Priority to restrict the view to, or null for every priority.
+     * 
+     * @type {string|null}
+     */
+    this.priorityFilter = null;
+
+    /**
+     * Tag to restrict the view to, or null for every todo.
+     * 
+     * @type {string|null}
+     */
+    this.tagFilter = null;
+
+    /**
+     * Case- and accent-insensitive search text, or '' for every todo.
+     * 
+     * @type {string}
+     */
+    this.searchQuery = '';
+
+    /**
+     * @type {string}
+     */
+    this.sortOrder = 'default'; // 'default' | 'priority'
+
+    /**
+     * @type {TodoHistory}
+     * @private
+     */
+    this.history = this.loadHistory();
+
+    /**
+     * The latest change made through this model, e.g. "Added 'Buy milk'"
+     * or "Undid: Added 'Buy milk'", for announcing to screen readers.
+     * A new object is set for every change, so repeated changes with the
+     * same label can be told apart. Changes from other tabs are not included.
+     * 
+     * @type {{label: string}|null}
+     */
+    this.lastChange = null;
+  }
+
+  /**
+   * Creates a TodoModel once its storage has loaded. Storage backends with
+   * asynchronous reads (such as IndexedDB) preload their data in `init()`;
+   * synchronous ones are ready straight away.
+   * 
+   * @param {StorageService} storageService - Service for persisting todos
+   * @returns {Promise<TodoModel>} Model with the stored lists loaded
+   */
+  static async load(storageService) {
+    if (typeof storageService.init === 'function') {
+      await storageService.init();
+    }
+    return new TodoModel(storageService);
+  }
+
+  /**
+   * Waits until every change so far has been written by the storage backend.
+   * 
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (typeof this.storage.flush === 'function') {
+      await this.storage.flush();
+    }
+  }
+
+  /**
+   * Picks up a change another tab saved to storage and notifies listeners.
+   * Each tab keeps its own current list and filters; the list index, the
+   * current list's todos, the undo history and the completion log follow
+   * the other tab.
+   * 
+   * @param {string} key - Storage key that changed, without the namespace prefix
+   */
+  syncFromStorage(key) {
+    if (key === 'lists' || key === 'nextListId') {
+      this.lists = this.loadListIndex();
+      this.nextListId = Math.max(this.nextListId, this.storage.load('nextListId', 1));
+      if (!this.hasList(this.currentListId)) {
+        this.loadCurrentList(this.lists[0].id);
+      }
+    } else if (key === 'history') {
+      this.history = this.loadHistory();
+    } else if (key === 'completions') {
+      this.completionLog = this.loadCompletionLog();
+    } else if (key === this.listKey(this.currentListId, 'items') || key === this.listKey(this.currentListId, 'nextId')) {
+      const stored = this.loadList(this.currentListId);
+      this.nextId = Math.max(this.nextId, stored.nextId);
+      if (sameValue(stored.todos, this.syncedTodos)) {
+        return;
+      }
+      // Every local change is saved immediately, so there is nothing
+      // unsaved to merge here: the other tab's version is simply adopted
+      this.todos = stored.todos;
+      this.syncedTodos = [...stored.todos];
+    } else if (!/(^|_)(items|nextId)$/.test(key)) {
+      return;
+    }
+    this.notify();
   }
 
   /**
@@ -66,15 +308,23 @@ export class TodoModel {
   /**
    * Adds a new todo to the list.
    * Validates that text is non-empty and under 500 characters.
+   * Hashtags in the text ("Pay invoice #finance") are moved into the tags array.
    * 
    * @param {string} text - The todo text content
+   * @param {Object} [options={}] - Optional todo fields
+   * @param {string|null} [options.dueDate] - Due date in "YYYY-MM-DD" form
+   * @param {string|null} [options.dueTime] - Due time in "HH:MM" form (ignored without a date)
+   * @param {string} [options.priority='normal'] - Priority level: 'low', 'normal', 'high' or 'urgent'
+   * @param {Array<string>} [options.tags] - Extra tags, merged with hashtags found in the text
+   * @param {Object|null} [options.recurrence] - Recurrence rule (see recurrence.js)
    */
-  addTodo(text) {
+  addTodo(text, options = {}) {
     if (!text || text.trim() === '') {
       return;
     }
 
-    const trimmedText = text.trim();
+    const parsed = parseTags(text);
+    const trimmedText = parsed.text;
     
     // Validate max length
     if (trimmedText.length > 500) {
@@ -82,20 +332,31 @@ export class TodoModel {
       return;
     }
 
+    this.recordHistory(t('history.added', { text: trimmedText }));
+
     const todo = {
       id: this.nextId++,
       text: trimmedText,
       completed: false,
-      createdAt: new Date().toISOString()
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      ...normalizeDue(options),
+      priority: isValidPriority(options.priority) ? options.priority : DEFAULT_PRIORITY,
+      tags: normalizeTags([...parsed.tags, ...(options.tags || [])]),
+      subtasks: [],
+      recurrence: normalizeRecurrence(options.recurrence)
     };
 
-    this.todos.push(todo);
+    this.todos = [...this.todos, todo];
     this.save();
     this.notify();
   }
 
   /**
-   * Toggles the completion status of a todo.
+   * Toggles the completion status of a todo, recording when it was
+   * completed (see replaceTodos).
+   * Completing a todo also completes all of its subtasks, and completing
+   * a repeating todo adds its next occurrence.
    * Creates a new todo object to trigger Lit reactivity.
    * 
    * @param {number} id - The ID of the todo to toggle
@@ -103,11 +364,11 @@ export class TodoModel {
   toggleComplete(id) {
     const index = this.todos.findIndex(t => t.id === id);
     if (index !== -1) {
+      const todo = this.todos[index];
+      this.recordHistory(t(todo.completed ? 'history.reopened' : 'history.completed', { text: todo.text }));
+
       // Create a new todo object to trigger Lit re-rendering
-      this.todos[index] = {
-        ...this.todos[index],
-        completed: !this.todos[index].completed
-      };
+      this.todos = this.replaceTodos(new Map([[todo, this.withCompletion(todo, !todo.completed)]]));
       this.save();
       this.notify();
     }
@@ -119,26 +380,42 @@ export class TodoModel {
    * @param {number} id - The ID of the todo to delete
    */
   deleteTodo(id) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo) {
+      return;
+    }
+
+    this.recordHistory(t('history.deleted', { text: todo.text }));
     this.todos = this.todos.filter(t => t.id !== id);
     this.save();
     this.notify();
   }
 
   /**
-   * Updates the text content of a todo.
+   * Updates the text content and optional fields of a todo.
    * Validates that new text is non-empty and under 500 characters.
+   * Only the fields present in `changes` are modified. Hashtags in the new
+   * text are added to the todo's tags, or combined with `changes.tags` to
+   * replace them when that is given.
    * Creates a new todo object to trigger Lit reactivity.
    * 
    * @param {number} id - The ID of the todo to update
    * @param {string} newText - The new text content
+   * @param {Object} [changes={}] - Optional fields to change
+   * @param {string|null} [changes.dueDate] - New due date, or null to clear it
+   * @param {string|null} [changes.dueTime] - New due time, or null to clear it
+   * @param {string} [changes.priority] - New priority level; unknown levels are ignored
+   * @param {Array<string>} [changes.tags] - Replacement tags
+   * @param {Object|null} [changes.recurrence] - New recurrence rule, or null to stop repeating
    */
-  updateTodo(id, newText) {
+  updateTodo(id, newText, changes = {}) {
     const index = this.todos.findIndex(t => t.id === id);
     if (index === -1 || !newText || newText.trim() === '') {
       return;
     }
     
-    const trimmedText = newText.trim();
+    const parsed = parseTags(newText);
+    const trimmedText = parsed.text;
     
     // Validate max length
     if (trimmedText.length > 500) {
@@ -146,11 +423,21 @@ export class TodoModel {
       return;
     }
     
+    const todo = this.todos[index];
+    this.recordHistory(t('history.edited', { text: todo.text }));
+
+    const due = 'dueDate' in changes || 'dueTime' in changes
+      ? normalizeDue({ dueDate: todo.dueDate, dueTime: todo.dueTime, ...changes })
+      : {};
+
+    const priority = isValidPriority(changes.priority) ? { priority: changes.priority } : {};
+    const recurrence = 'recurrence' in changes ? { recurrence: normalizeRecurrence(changes.recurrence) } : {};
+    const tags = Array.isArray(changes.tags)
+      ? normalizeTags([...parsed.tags, ...changes.tags])
+      : normalizeTags([...(todo.tags || []), ...parsed.tags]);
+
     // Create a new todo object to trigger Lit re-rendering
-    this.todos[index] = {
-      ...this.todos[index],
-      text: trimmedText
-    };
+    this.todos = this.todos.map(t => t === todo ? { ...todo, text: trimmedText, ...due, ...priority, tags, ...recurrence } : t);
     this.save();
     this.notify();
   }
@@ -159,6 +446,12 @@ export class TodoModel {
    * Removes all completed todos from the list.
    */
   clearCompleted() {
+    const count = this.completedCount;
+    if (count === 0) {
+      return;
+    }
+
+    this.recordHistory(t('history.clearedCompleted', { count }));
     this.todos = this.todos.filter(t => !t.completed);
     this.save();
     this.notify();
@@ -168,64 +461,1419 @@ export class TodoModel {
    * Removes all todos from the list.
    */
   clearAll() {
+    const count = this.todos.length;
+    if (count === 0) {
+      return;
+    }
+
+    this.recordHistory(t('history.clearedAll', { count }));
     this.todos = [];
     this.save();
     this.notify();
   }
 
   /**
-   * Gets the count of active (incomplete) todos.
+   * Completes or reopens several todos as one undoable change, with the
+   * same rules as toggleComplete. Todos already in that state are skipped.
    * 
-   * @returns {number} Number of active todos
+   * @param {Array<number>} ids - IDs of the todos to change
+   * @param {boolean} [completed=true] - Whether to complete or reopen them
+   * @returns {boolean} True if any todo changed
    */
-  get activeCount() {
-    return this.todos.filter(t => !t.completed).length;
+  completeTodos(ids, completed = true) {
+    const todos = this.findTodos(ids).filter(t => t.completed !== completed);
+    if (todos.length === 0) {
+      return false;
+    }
+
+    const count = todos.length;
+    this.recordHistory(t(completed ? 'history.completedMany' : 'history.reopenedMany', { count }));
+    this.todos = this.replaceTodos(new Map(todos.map(todo => [todo, this.withCompletion(todo, completed)])));
+    this.save();
+    this.notify();
+    return true;
   }
 
   /**
-   * Gets the count of completed todos.
+   * Deletes several todos as one undoable change.
    * 
-   * @returns {number} Number of completed todos
+   * @param {Array<number>} ids - IDs of the todos to delete
+   * @returns {boolean} True if any todo was deleted
    */
-  get completedCount() {
-    return this.todos.filter(t => t.completed).length;
+  deleteTodos(ids) {
+    const todos = new Set(this.findTodos(ids));
+    if (todos.size === 0) {
+      return false;
+    }
+
+    this.recordHistory(t('history.deletedMany', { count: todos.size }));
+    this.todos = this.todos.filter(t => !todos.has(t));
+    this.save();
+    this.notify();
+    return true;
   }
 
   /**
-   * Gets filtered todos based on current filter.
+   * Applies the same change to several todos as one undoable change.
+   * Only the fields present in `changes` are modified; tags are added to
+   * each todo's existing tags rather than replacing them. Todos that
+   * already have those values are left out, and when none is left no
+   * history is recorded.
    * 
-   * @returns {Array<Object>} Filtered todo array
+   * @param {Array<number>} ids - IDs of the todos to change
+   * @param {Object} changes - Fields to change
+   * @param {string|null} [changes.dueDate] - New due date, or null to clear it
+   * @param {string|null} [changes.dueTime] - New due time, or null to clear it
+   * @param {string} [changes.priority] - New priority level; unknown levels are ignored
+   * @param {Array<string>} [changes.addTags] - Tags to add
+   * @returns {boolean} True if any todo changed
    */
-  get filteredTodos() {
-    switch (this.filter) {
-    case 'active':
-      return this.todos.filter(t => !t.completed);
-    case 'completed':
-      return this.todos.filter(t => t.completed);
-    default:
-      return this.todos;
+  updateTodos(ids, changes) {
+    const hasDue = 'dueDate' in changes || 'dueTime' in changes;
+    const priority = isValidPriority(changes.priority) ? { priority: changes.priority } : {};
+    const addTags = Array.isArray(changes.addTags) ? changes.addTags : [];
+    const updates = new Map(this.findTodos(ids)
+      .map(todo => [todo, {
+        ...todo,
+        ...(hasDue ? normalizeDue({ dueDate: todo.dueDate, dueTime: todo.dueTime, ...changes }) : {}),
+        ...priority,
+        tags: normalizeTags([...(todo.tags || []), ...addTags])
+      }])
+      .filter(([todo, updated]) => !sameValue(todo, updated)));
+    if (updates.size === 0) {
+      return false;
     }
+
+    this.recordHistory(t('history.editedMany', { count: updates.size }));
+    // Create new todo objects to trigger Lit re-rendering
+    this.todos = this.todos.map(t => updates.get(t) || t);
+    this.save();
+    this.notify();
+    return true;
   }
 
   /**
-   * Sets the current filter and notifies listeners.
+   * Moves a todo directly before or after another todo in the list order.
+   * Only todos between the two positions shift, so items hidden by the
+   * current filters keep their relative order. Manual ordering only applies
+   * while the sort order is 'default'.
    * 
-   * @param {string} filter - Filter type: 'all', 'active', or 'completed'
+   * @param {number} id - The ID of the todo to move
+   * @param {number} targetId - The ID of the todo to place it next to
+   * @param {boolean} [after=false] - Place after the target instead of before it
    */
-  setFilter(filter) {
-    if (filter === 'all' || filter === 'active' || filter === 'completed') {
-      this.filter = filter;
-      this.notify();
+  reorderTodo(id, targetId, after = false) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo || id === targetId || !this.todos.some(t => t.id === targetId) || this.sortOrder !== 'default') {
+      return;
+    }
+
+    const remaining = this.todos.filter(t => t.id !== id);
+    const targetIndex = remaining.findIndex(t => t.id === targetId) + (after ? 1 : 0);
+    const reordered = [...remaining.slice(0, targetIndex), todo, ...remaining.slice(targetIndex)];
+    if (reordered.every((t, i) => t === this.todos[i])) {
+      return;
+    }
+
+    this.recordHistory(t('history.reordered', { text: todo.text }));
+    this.todos = reordered;
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Moves a todo past its neighbour in the current filtered view,
+   * e.g. for Alt+Up / Alt+Down. Hidden todos are stepped over.
+   * 
+   * @param {number} id - The ID of the todo to move
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  moveTodoBy(id, offset) {
+    const visible = this.filteredTodos;
+    const index = visible.findIndex(t => t.id === id);
+    const neighbour = visible[index + offset];
+    if (index === -1 || !neighbour) {
+      return;
     }
+    this.reorderTodo(id, neighbour.id, offset > 0);
   }
 
   /**
-   * Persists current todos and nextId to storage.
+   * Whether todos can currently be reordered by hand.
    * 
-   * @private
+   * @returns {boolean} True when the list is shown in its stored order
    */
-  save() {
-    this.storage.save('items', this.todos);
-    this.storage.save('nextId', this.nextId);
+  get canReorder() {
+    return this.sortOrder === 'default';
+  }
+
+  /**
+   * Appends a checklist item to a todo.
+   * Adding an open item to a completed todo reopens it.
+   * 
+   * @param {number} todoId - The ID of the parent todo
+   * @param {string} text - The subtask text content
+   */
+  addSubtask(todoId, text) {
+    const todo = this.todos.find(t => t.id === todoId);
+    const trimmedText = this.validateText(text);
+    if (!todo || trimmedText === null) {
+      return;
+    }
+
+    this.replaceSubtasks(todoId, t('history.addedSubtask', { text: trimmedText }), subtasks => [
+      ...subtasks,
+      { id: nextSubtaskId(todo), text: trimmedText, completed: false }
+    ]);
+  }
+
+  /**
+   * Toggles the completion status of a checklist item.
+   * Completing the last open item completes the parent todo;
+   * reopening an item reopens it.
+   * 
+   * @param {number} todoId - The ID of the parent todo
+   * @param {number} subtaskId - The ID of the subtask to toggle
+   */
+  toggleSubtask(todoId, subtaskId) {
+    const subtask = this.findSubtask(todoId, subtaskId);
+    if (!subtask) {
+      return;
+    }
+
+    const label = t(subtask.completed ? 'history.reopenedSubtask' : 'history.completedSubtask', { text: subtask.text });
+    this.replaceSubtasks(todoId, label, subtasks =>
+      subtasks.map(s => s.id === subtaskId ? { ...s, completed: !s.completed } : s)
+    );
+  }
+
+  /**
+   * Updates the text of a checklist item.
+   * Validates that new text is non-empty and under 500 characters.
+   * 
+   * @param {number} todoId - The ID of the parent todo
+   * @param {number} subtaskId - The ID of the subtask to update
+   * @param {string} newText - The new text content
+   */
+  updateSubtask(todoId, subtaskId, newText) {
+    const subtask = this.findSubtask(todoId, subtaskId);
+    const trimmedText = this.validateText(newText);
+    if (!subtask || trimmedText === null || trimmedText === subtask.text) {
+      return;
+    }
+
+    this.replaceSubtasks(todoId, t('history.editedSubtask', { text: subtask.text }), subtasks =>
+      subtasks.map(s => s.id === subtaskId ? { ...s, text: trimmedText } : s)
+    );
+  }
+
+  /**
+   * Removes a checklist item from a todo.
+   * 
+   * @param {number} todoId - The ID of the parent todo
+   * @param {number} subtaskId - The ID of the subtask to delete
+   */
+  deleteSubtask(todoId, subtaskId) {
+    const subtask = this.findSubtask(todoId, subtaskId);
+    if (!subtask) {
+      return;
+    }
+
+    this.replaceSubtasks(todoId, t('history.deletedSubtask', { text: subtask.text }), subtasks =>
+      subtasks.filter(s => s.id !== subtaskId)
+    );
+  }
+
+  /**
+   * Renames a tag on every todo that carries it.
+   * If a todo already has the new tag the two are merged.
+   * 
+   * @param {string} from - Existing tag name
+   * @param {string} to - New tag name
+   */
+  renameTag(from, to) {
+    const oldTag = normalizeTag(from);
+    const newTag = normalizeTag(to);
+    if (!oldTag || !newTag || oldTag === newTag || !this.allTags.includes(oldTag)) {
+      return;
+    }
+
+    this.recordHistory(t('history.renamedTag', { from: oldTag, to: newTag }));
+    this.todos = this.todos.map(t => (t.tags || []).includes(oldTag)
+      ? { ...t, tags: normalizeTags(t.tags.map(tag => tag === oldTag ? newTag : tag)) }
+      : t
+    );
+    if (this.tagFilter === oldTag) {
+      this.tagFilter = newTag;
+    }
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Removes a tag from every todo that carries it.
+   * The todos themselves are kept.
+   * 
+   * @param {string} tag - Tag name to remove
+   */
+  deleteTag(tag) {
+    const name = normalizeTag(tag);
+    if (!name || !this.allTags.includes(name)) {
+      return;
+    }
+
+    this.recordHistory(t('history.deletedTag', { tag: name }));
+    this.todos = this.todos.map(t => (t.tags || []).includes(name)
+      ? { ...t, tags: t.tags.filter(existing => existing !== name) }
+      : t
+    );
+    if (this.tagFilter === name) {
+      this.tagFilter = null;
+    }
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Gets every tag used by at least one todo, sorted alphabetically.
+   * 
+   * @returns {Array<string>} Tag names
+   */
+  get allTags() {
+    const tags = new Set(this.todos.flatMap(t => t.tags || []));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Gets the list whose todos are currently loaded.
+   * 
+   * @returns {{id: number, name: string}} The current list
+   */
+  get currentList() {
+    return this.lists.find(l => l.id === this.currentListId);
+  }
+
+  /**
+   * Gets every list with its number of active todos, in display order.
+   * 
+   * @returns {Array<{id: number, name: string, activeCount: number}>} List summaries
+   */
+  get listSummaries() {
+    return this.lists.map(list => {
+      const todos = list.id === this.currentListId ? this.todos : this.loadList(list.id).todos;
+      return { ...list, activeCount: todos.filter(t => !t.completed).length };
+    });
+  }
+
+  /**
+   * Gets every recorded completion, for the statistics dashboard.
+   * 
+   * @returns {Array<{createdAt: string, completedAt: string}>} Completions, oldest first
+   */
+  get completions() {
+    return [...this.completionLog];
+  }
+
+  /**
+   * Creates a new, empty list at the end of the list order.
+   * 
+   * @param {string} name - Display name, non-empty and at most 100 characters
+   * @returns {number|null} ID of the new list, or null if the name is invalid
+   */
+  createList(name) {
+    const trimmedName = this.validateListName(name);
+    if (trimmedName === null) {
+      return null;
+    }
+
+    const id = this.nextListId;
+    this.recordHistory(t('history.createdList', { name: trimmedName }), [id]);
+    this.nextListId++;
+    this.lists = [...this.lists, { id, name: trimmedName }];
+    this.saveList(id, { todos: [], nextId: 1 });
+    this.saveLists();
+    this.save();
+    this.notify();
+    return id;
+  }
+
+  /**
+   * Renames a list.
+   * 
+   * @param {number} id - The ID of the list to rename
+   * @param {string} name - New display name, non-empty and at most 100 characters
+   */
+  renameList(id, name) {
+    const list = this.lists.find(l => l.id === id);
+    const trimmedName = this.validateListName(name);
+    if (!list || trimmedName === null || trimmedName === list.name) {
+      return;
+    }
+
+    this.recordHistory(t('history.renamedList', { from: list.name, to: trimmedName }));
+    this.lists = this.lists.map(l => l.id === id ? { ...l, name: trimmedName } : l);
+    this.saveLists();
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Deletes a list and all of its todos.
+   * The last remaining list cannot be deleted. Deleting the current list
+   * switches to its neighbour.
+   * 
+   * @param {number} id - The ID of the list to delete
+   */
+  deleteList(id) {
+    const index = this.lists.findIndex(l => l.id === id);
+    if (index === -1 || this.lists.length === 1) {
+      return;
+    }
+
+    this.recordHistory(t('history.deletedList', { name: this.lists[index].name }), [id]);
+    this.lists = this.lists.filter(l => l.id !== id);
+    this.removeListData(id);
+    if (this.currentListId === id) {
+      this.loadCurrentList(this.lists[Math.max(index - 1, 0)].id);
+    }
+    this.saveLists();
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Moves a list to a new position in the list order.
+   * 
+   * @param {number} id - The ID of the list to move
+   * @param {number} toIndex - Target position, clamped to the list bounds
+   */
+  moveList(id, toIndex) {
+    const fromIndex = this.lists.findIndex(l => l.id === id);
+    const targetIndex = Math.min(Math.max(toIndex, 0), this.lists.length - 1);
+    if (fromIndex === -1 || fromIndex === targetIndex) {
+      return;
+    }
+
+    this.recordHistory(t('history.reorderedList', { name: this.lists[fromIndex].name }));
+    const lists = [...this.lists];
+    const [list] = lists.splice(fromIndex, 1);
+    lists.splice(targetIndex, 0, list);
+    this.lists = lists;
+    this.saveLists();
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Loads another list's todos into the model and remembers the choice.
+   * The tag filter is cleared because tags differ between lists.
+   * 
+   * @param {number} id - The ID of the list to switch to
+   */
+  switchList(id) {
+    if (!this.hasList(id) || id === this.currentListId) {
+      return;
+    }
+
+    this.loadCurrentList(id);
+    this.tagFilter = null;
+    this.saveLists();
+    this.notify();
+  }
+
+  /**
+   * Moves a todo from the current list to the end of another list.
+   * The todo gets a new ID in the target list; everything else is kept.
+   * 
+   * @param {number} todoId - The ID of the todo to move
+   * @param {number} listId - The ID of the target list
+   */
+  moveTodoToList(todoId, listId) {
+    const todo = this.todos.find(t => t.id === todoId);
+    const list = this.lists.find(l => l.id === listId);
+    if (!todo || !list || listId === this.currentListId) {
+      return;
+    }
+
+    this.recordHistory(t('history.moved', { text: todo.text, list: list.name }), [listId]);
+    const target = this.loadList(listId);
+    this.saveList(listId, {
+      todos: [...target.todos, { ...todo, id: target.nextId }],
+      nextId: target.nextId + 1
+    });
+    this.todos = this.todos.filter(t => t.id !== todoId);
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Moves several todos from the current list to the end of another list
+   * as one undoable change, keeping their relative order.
+   * Each todo gets a new ID in the target list; everything else is kept.
+   * 
+   * @param {Array<number>} ids - IDs of the todos to move
+   * @param {number} listId - The ID of the target list
+   * @returns {boolean} False if nothing was moved, e.g. the target is the current list
+   */
+  moveTodosToList(ids, listId) {
+    const todos = this.findTodos(ids);
+    const list = this.lists.find(l => l.id === listId);
+    if (todos.length === 0 || !list || listId === this.currentListId) {
+      return false;
+    }
+
+    const count = todos.length;
+    this.recordHistory(t('history.movedMany', { count, list: list.name }), [listId]);
+    const target = this.loadList(listId);
+    this.saveList(listId, {
+      todos: [...target.todos, ...todos.map((todo, i) => ({ ...todo, id: target.nextId + i }))],
+      nextId: target.nextId + count
+    });
+    const moved = new Set(todos);
+    this.todos = this.todos.filter(t => !moved.has(t));
+    this.save();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Collects every list with its todos, e.g. for a backup.
+   * 
+   * @returns {{currentListId: number, lists: Array<{id: number, name: string, nextId: number, todos: Array<Object>}>}} All list data
+   */
+  exportData() {
+    return {
+      currentListId: this.currentListId,
+      lists: this.lists.map(list => {
+        const { todos, nextId } = list.id === this.currentListId
+          ? { todos: this.todos, nextId: this.nextId }
+          : this.loadList(list.id);
+        return { id: list.id, name: list.name, nextId, todos: [...todos] };
+      })
+    };
+  }
+
+  /**
+   * Imports lists from a validated backup as a single undoable change.
+   * 
+   * In 'replace' mode the backup's lists, ids included, become the only lists.
+   * In 'merge' mode each backup list is merged into the existing list with the
+   * same name (ignoring case), or added as a new list; with `targetListId`
+   * set, every backup list is merged into that list instead, as names need
+   * not be unique. Todos already present (same text and createdAt) are
+   * skipped, and incoming ids that collide with existing ones get fresh ids
+   * so each list's nextId stays ahead of every id.
+   * 
+   * @param {{currentListId?: number|null, targetListId?: number, lists: Array<{id: number, name: string, nextId: number, todos: Array<Object>}>}} data - Valid lists, e.g. from parseBackup
+   * @param {string} [mode='replace'] - One of {@link IMPORT_MODES}
+   * @returns {{added: number, skipped: number}} Number of todos imported and of duplicates skipped
+   */
+  importData(data, mode = 'replace') {
+    if (!IMPORT_MODES.includes(mode) || !data || !Array.isArray(data.lists) || data.lists.length === 0) {
+      return { added: 0, skipped: 0 };
+    }
+    const result = mode === 'merge' ? this.mergeLists(data.lists, data.targetListId) : this.replaceLists(data);
+    if (result.added > 0) {
+      this.logNewCompletions(data.lists.flatMap(list => list.todos));
+    }
+    return result;
+  }
+
+  /**
+   * Replaces every list with the lists from a backup.
+   * 
+   * @param {{currentListId?: number|null, lists: Array<Object>}} data - Valid lists
+   * @returns {{added: number, skipped: number}} Import counts
+   * @private
+   */
+  replaceLists({ currentListId, lists }) {
+    const added = lists.reduce((sum, list) => sum + list.todos.length, 0);
+    const touched = new Set([...this.lists, ...lists].map(l => l.id));
+    touched.delete(this.currentListId);
+    this.recordHistory(t('history.imported', { count: added }), [...touched]);
+
+    this.lists.forEach(list => this.removeListData(list.id));
+    lists.forEach(list => this.saveList(list.id, { todos: list.todos, nextId: list.nextId }));
+    this.lists = lists.map(({ id, name }) => ({ id, name }));
+    this.nextListId = Math.max(this.nextListId, ...lists.map(l => l.id + 1));
+    this.loadCurrentList(this.hasList(currentListId) ? currentListId : this.lists[0].id);
+    this.tagFilter = null;
+    this.saveLists();
+    this.save();
+    this.notify();
+    return { added, skipped: 0 };
+  }
+
+  /**
+   * Merges lists from a backup into the existing lists.
+   * 
+   * @param {Array<{name: string, todos: Array<Object>}>} lists - Valid lists
+   * @param {number} [targetListId] - List to merge every backup list into, if it exists
+   * @returns {{added: number, skipped: number}} Import counts
+   * @private
+   */
+  mergeLists(lists, targetListId) {
+    const writes = new Map();
+    const newLists = [];
+    const targetList = this.lists.find(l => l.id === targetListId);
+    let added = 0;
+    let skipped = 0;
+
+    lists.forEach(incoming => {
+      const key = incoming.name.toLowerCase();
+      const existing = targetList || [...this.lists, ...newLists].find(l => l.name.toLowerCase() === key);
+      const list = existing || { id: this.nextListId + newLists.length, name: incoming.name };
+      if (!existing) {
+        newLists.push(list);
+      }
+
+      const target = writes.get(list.id) || (list.id === this.currentListId
+        ? { todos: this.todos, nextId: this.nextId }
+        : this.loadList(list.id));
+      const usedIds = new Set(target.todos.map(t => t.id));
+      const seen = new Set(target.todos.map(t => `${t.createdAt}\n${t.text}`));
+      const todos = [...target.todos];
+      let nextId = target.nextId;
+
+      incoming.todos.forEach(todo => {
+        if (seen.has(`${todo.createdAt}\n${todo.text}`)) {
+          skipped++;
+          return;
+        }
+        let id = todo.id;
+        if (usedIds.has(id)) {
+          while (usedIds.has(nextId)) {
+            nextId++;
+          }
+          id = nextId;
+        }
+        usedIds.add(id);
+        nextId = Math.max(nextId, id + 1);
+        todos.push({ ...todo, id });
+        added++;
+      });
+
+      writes.set(list.id, { todos, nextId });
+    });
+
+    if (added === 0) {
+      return { added, skipped };
+    }
+
+    this.recordHistory(
+      t('history.imported', { count: added }),
+      [...writes.keys()].filter(id => id !== this.currentListId)
+    );
+    this.lists = [...this.lists, ...newLists];
+    this.nextListId += newLists.length;
+    writes.forEach((data, id) => {
+      if (id === this.currentListId) {
+        this.todos = data.todos;
+        this.nextId = data.nextId;
+      } else {
+        this.saveList(id, data);
+      }
+    });
+    this.saveLists();
+    this.save();
+    this.notify();
+    return { added, skipped };
+  }
+
+  /**
+   * Replaces every list with data merged by the sync service.
+   * Unlike an import this is not an undoable change, and the current list,
+   * filters and search stay as they are when the list still exists.
+   *
+   * @param {Array<{id: number, name: string, nextId: number, todos: Array<Object>}>} lists - Valid, non-empty lists
+   */
+  applySyncedLists(lists) {
+    if (!Array.isArray(lists) || lists.length === 0) {
+      return;
+    }
+
+    this.lists
+      .filter(list => !lists.some(l => l.id === list.id))
+      .forEach(list => this.removeListData(list.id));
+    lists.forEach(list => this.saveList(list.id, { todos: list.todos, nextId: list.nextId }));
+    this.lists = lists.map(({ id, name }) => ({ id, name }));
+    this.nextListId = Math.max(this.nextListId, ...lists.map(l => l.id + 1));
+    this.loadCurrentList(this.hasList(this.currentListId) ? this.currentListId : this.lists[0].id);
+    this.logNewCompletions(lists.flatMap(list => list.todos));
+    this.saveLists();
+    this.notify();
+  }
+
+  /**
+   * Reverts the most recent change.
+   * 
+   * @returns {string|null} Label of the undone action, or null if there was nothing to undo
+   */
+  undo() {
+    const pending = this.history.peekUndo();
+    if (!pending) {
+      return null;
+    }
+    const entry = this.history.undo(this.snapshotFor(pending.snapshot));
+    this.lastChange = { label: t('history.undid', { label: entry.label }) };
+    this.restore(entry.snapshot);
+    this.save();
+    this.notify();
+    return entry.label;
+  }
+
+  /**
+   * Re-applies the most recently undone change.
+   * 
+   * @returns {string|null} Label of the redone action, or null if there was nothing to redo
+   */
+  redo() {
+    const pending = this.history.peekRedo();
+    if (!pending) {
+      return null;
+    }
+    const entry = this.history.redo(this.snapshotFor(pending.snapshot));
+    this.lastChange = { label: t('history.redid', { label: entry.label }) };
+    this.restore(entry.snapshot);
+    this.save();
+    this.notify();
+    return entry.label;
+  }
+
+  /**
+   * Whether there is a change that can be undone.
+   * 
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.history.canUndo;
+  }
+
+  /**
+   * Whether there is an undone change that can be redone.
+   * 
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.history.canRedo;
+  }
+
+  /**
+   * Label of the change the next undo would revert, e.g. "Deleted 'Buy milk'".
+   * 
+   * @returns {string|null}
+   */
+  get undoLabel() {
+    return this.history.undoLabel;
+  }
+
+  /**
+   * Gets the count of active (incomplete) todos.
+   * 
+   * @returns {number} Number of active todos
+   */
+  get activeCount() {
+    return this.todos.filter(t => !t.completed).length;
+  }
+
+  /**
+   * Gets the count of completed todos.
+   * 
+   * @returns {number} Number of completed todos
+   */
+  get completedCount() {
+    return this.todos.filter(t => t.completed).length;
+  }
+
+  /**
+   * Gets filtered todos based on the current filter, priority filter,
+   * tag filter and search query, ordered by the current sort order.
+   * 
+   * @returns {Array<Object>} Filtered todo array
+   */
+  get filteredTodos() {
+    const now = new Date();
+    const visible = this.todos.filter(t =>
+      this.matchesFilter(t, now) &&
+      (!this.priorityFilter || getPriority(t) === this.priorityFilter) &&
+      (!this.tagFilter || (t.tags || []).includes(this.tagFilter)) &&
+      matchesSearch(t, this.searchQuery)
+    );
+    // Array#sort is stable, so todos of equal priority keep their list order
+    return this.sortOrder === 'priority' ? visible.sort(compareByPriority) : visible;
+  }
+
+  /**
+   * Checks whether a todo passes the current status/due-date filter.
+   * 
+   * @param {Object} todo - Todo to check
+   * @param {Date} now - Reference moment for due-date filters
+   * @returns {boolean} True if the todo should be shown
+   * @private
+   */
+  matchesFilter(todo, now) {
+    switch (this.filter) {
+    case 'active':
+      return !todo.completed;
+    case 'completed':
+      return todo.completed;
+    case 'today':
+      return !todo.completed && todo.dueDate === toDateKey(now);
+    case 'overdue':
+      return getDueStatus(todo, now) === 'overdue';
+    case 'upcoming':
+      return getDueStatus(todo, now) === 'upcoming';
+    default:
+      return true;
+    }
+  }
+
+  /**
+   * Gets the count of incomplete todos that are past their due date.
+   * 
+   * @returns {number} Number of overdue todos
+   */
+  get overdueCount() {
+    const now = new Date();
+    return this.todos.filter(t => getDueStatus(t, now) === 'overdue').length;
+  }
+
+  /**
+   * Sets the current filter and notifies listeners.
+   * The due-date filters ('today', 'overdue', 'upcoming') only show incomplete todos.
+   * 
+   * @param {string} filter - One of {@link FILTERS}
+   */
+  setFilter(filter) {
+    if (FILTERS.includes(filter)) {
+      this.filter = filter;
+      this.notify();
+    }
+  }
+
+  /**
+   * Restricts the view to a single priority level and notifies listeners.
+   * 
+   * @param {string|null} priority - Priority level, or null to show every priority
+   */
+  setPriorityFilter(priority) {
+    if (priority === null || isValidPriority(priority)) {
+      this.priorityFilter = priority;
+      this.notify();
+    }
+  }
+
+  /**
+   * Restricts the view to todos carrying a tag and notifies listeners.
+   * 
+   * @param {string|null} tag - Tag name (with or without "#"), or null to show every todo
+   */
+  setTagFilter(tag) {
+    const name = tag === null ? null : normalizeTag(tag);
+    if (tag === null || name) {
+      this.tagFilter = name;
+      this.notify();
+    }
+  }
+
+  /**
+   * Narrows the view to todos matching a search query and notifies listeners.
+   * The query combines with the other filters rather than replacing them.
+   * It is kept as typed; surrounding whitespace is ignored when matching.
+   * 
+   * @param {string} query - Search text; an empty string clears the search
+   */
+  setSearchQuery(query) {
+    const next = typeof query === 'string' ? query : '';
+    if (next !== this.searchQuery) {
+      this.searchQuery = next;
+      this.notify();
+    }
+  }
+
+  /**
+   * Makes sure a todo of the current list is shown, e.g. for a link to it.
+   * If the current filters hide it, every filter and the search are
+   * cleared and listeners are notified.
+   * 
+   * @param {number} id - The ID of the todo to show
+   * @returns {boolean} False if the current list has no todo with that ID
+   */
+  revealTodo(id) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo) {
+      return false;
+    }
+
+    if (!this.filteredTodos.includes(todo)) {
+      this.filter = 'all';
+      this.priorityFilter = null;
+      this.tagFilter = null;
+      this.searchQuery = '';
+      this.notify();
+    }
+    return true;
+  }
+
+  /**
+   * Sets the order in which filtered todos are listed and notifies listeners.
+   * 
+   * @param {string} sortOrder - One of {@link SORT_ORDERS}
+   */
+  setSortOrder(sortOrder) {
+    if (SORT_ORDERS.includes(sortOrder)) {
+      this.sortOrder = sortOrder;
+      this.notify();
+    }
+  }
+
+  /**
+   * Trims todo or subtask text and checks it is non-empty and under 500 characters.
+   * 
+   * @param {string} text - Raw text
+   * @returns {string|null} Trimmed text, or null if it is invalid
+   * @private
+   */
+  validateText(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return null;
+    }
+    const trimmedText = text.trim();
+    if (trimmedText.length > 500) {
+      console.warn('Todo text exceeds maximum length of 500 characters');
+      return null;
+    }
+    return trimmedText;
+  }
+
+  /**
+   * Looks up a checklist item.
+   * 
+   * @param {number} todoId - The ID of the parent todo
+   * @param {number} subtaskId - The ID of the subtask
+   * @returns {Object|undefined} The subtask, if both todo and subtask exist
+   * @private
+   */
+  findSubtask(todoId, subtaskId) {
+    const todo = this.todos.find(t => t.id === todoId);
+    return todo ? getSubtasks(todo).find(s => s.id === subtaskId) : undefined;
+  }
+
+  /**
+   * Applies a change to a todo's checklist, then keeps the parent's
+   * completion in step: a checklist that is entirely done completes the
+   * parent, and any open item reopens it.
+   * 
+   * @param {number} todoId - The ID of the parent todo
+   * @param {string} label - History label for the change
+   * @param {function(Array<Object>): Array<Object>} update - Returns the new subtask array
+   * @private
+   */
+  replaceSubtasks(todoId, label, update) {
+    const index = this.todos.findIndex(t => t.id === todoId);
+    const todo = this.todos[index];
+    this.recordHistory(label);
+
+    const subtasks = update(getSubtasks(todo));
+    const completed = subtasks.length > 0
+      ? subtasks.every(s => s.completed)
+      : todo.completed;
+
+    // Create a new todo object to trigger Lit re-rendering
+    this.todos = this.replaceTodos(new Map([[todo, { ...todo, subtasks, completed }]]));
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Finds the todos in the current list with the given IDs.
+   * 
+   * @param {Array<number>} ids - Todo IDs
+   * @returns {Array<Object>} Matching todos in list order
+   * @private
+   */
+  findTodos(ids) {
+    const wanted = new Set(ids);
+    return this.todos.filter(t => wanted.has(t.id));
+  }
+
+  /**
+   * Copies a todo with a new completion state. Completing a todo also
+   * completes all of its subtasks.
+   * 
+   * @param {Object} todo - Todo to copy
+   * @param {boolean} completed - New completion state
+   * @returns {Object} Updated todo
+   * @private
+   */
+  withCompletion(todo, completed) {
+    const subtasks = completed && todo.subtasks
+      ? { subtasks: todo.subtasks.map(subtask => ({ ...subtask, completed: true })) }
+      : {};
+    return { ...todo, completed, ...subtasks };
+  }
+
+  /**
+   * Swaps todos for their updated versions. Every change of completion
+   * state passes through here, so this stamps `completedAt` when an update
+   * completes a todo and clears it when one is reopened. When an update
+   * completes a repeating todo, the completed occurrence stays in the
+   * list as a record of it and the next occurrence is inserted after it:
+   * same text and rule, due date advanced, checklist unticked.
+   * 
+   * @param {Map<Object, Object>} updates - Replacement for each changed todo in the current list
+   * @returns {Array<Object>} New todos array
+   * @private
+   */
+  replaceTodos(updates) {
+    const now = new Date().toISOString();
+    return this.todos.flatMap(todo => {
+      let updated = updates.get(todo);
+      if (!updated) {
+        return [todo];
+      }
+      if (updated.completed !== todo.completed) {
+        updated = { ...updated, completedAt: updated.completed ? now : null };
+      }
+
+      const dueDate = !todo.completed && updated.completed && todo.recurrence
+        ? nextOccurrence(todo.recurrence, todo.dueDate)
+        : null;
+      if (!dueDate) {
+        return [updated];
+      }
+
+      const next = {
+        ...updated,
+        id: this.nextId++,
+        completed: false,
+        createdAt: now,
+        completedAt: null,
+        dueDate,
+        subtasks: getSubtasks(updated).map(subtask => ({ ...subtask, completed: false }))
+      };
+      // The rule moves to the new occurrence, so reopening the old one cannot repeat it twice
+      return [{ ...updated, recurrence: null }, next];
+    });
+  }
+
+  /**
+   * Captures the state needed to undo a change: the list index plus the
+   * todos of every list the change touches.
+   * Todo objects are replaced rather than mutated, so a shallow copy suffices.
+   * 
+   * @param {Array<number>} [listIds] - Lists whose todos to capture (defaults to the current list)
+   * @returns {{currentListId: number, lists: Array<Object>, nextListId: number, data: Object<number, {todos: Array<Object>, nextId: number}>}} Model state
+   * @private
+   */
+  snapshot(listIds = [this.currentListId]) {
+    const data = {};
+    listIds.forEach(id => {
+      data[id] = id === this.currentListId
+        ? { todos: [...this.todos], nextId: this.nextId }
+        : this.loadList(id);
+    });
+    return {
+      currentListId: this.currentListId,
+      lists: this.lists.map(l => ({ ...l })),
+      nextListId: this.nextListId,
+      data
+    };
+  }
+
+  /**
+   * Captures the current state of the same lists as an earlier snapshot,
+   * so undo and redo swap exactly what the original change touched.
+   * 
+   * @param {Object} other - Snapshot about to be restored
+   * @returns {Object} Current model state
+   * @private
+   */
+  snapshotFor(other) {
+    const listIds = Object.keys(other.data || {}).map(Number);
+    return { ...this.snapshot(listIds), currentListId: other.currentListId };
+  }
+
+  /**
+   * Replaces the model state with a previously captured snapshot and
+   * switches to the list the change was made in.
+   * 
+   * @param {Object} snapshot - State to restore
+   * @private
+   */
+  restore(snapshot) {
+    const { lists, nextListId, currentListId, data = {} } = snapshot;
+    if (Array.isArray(lists) && lists.length > 0) {
+      this.lists = lists.map(l => ({ ...l }));
+      // Never hand out a list ID again, even if undo removes its list
+      this.nextListId = Math.max(this.nextListId, nextListId || 1);
+    }
+
+    Object.keys(data).map(Number).forEach(id => {
+      if (this.hasList(id)) {
+        this.saveList(id, data[id]);
+      } else {
+        this.removeListData(id);
+      }
+    });
+
+    const listId = [currentListId, this.currentListId].find(id => this.hasList(id)) || this.lists[0].id;
+    this.loadCurrentList(listId);
+    this.saveLists();
+  }
+
+  /**
+   * Pushes the current state onto the undo stack before a mutation,
+   * and makes it the last change. Labels are stored as written, in the
+   * language in use when the change was made.
+   * 
+   * @param {string} label - Description of the upcoming change
+   * @param {Array<number>} [otherListIds=[]] - Other lists the change touches
+   * @private
+   */
+  recordHistory(label, otherListIds = []) {
+    this.history.record(label, this.snapshot([this.currentListId, ...otherListIds]));
+    this.lastChange = { label };
+  }
+
+  /**
+   * Checks whether a list exists.
+   * 
+   * @param {number} id - List ID
+   * @returns {boolean} True if the list exists
+   * @private
+   */
+  hasList(id) {
+    return this.lists.some(l => l.id === id);
+  }
+
+  /**
+   * Trims a list name and checks it is non-empty and within the length limit.
+   * 
+   * @param {string} name - Raw list name
+   * @returns {string|null} Trimmed name, or null if it is invalid
+   * @private
+   */
+  validateListName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return null;
+    }
+    const trimmedName = name.trim();
+    return trimmedName.length <= MAX_LIST_NAME_LENGTH ? trimmedName : null;
+  }
+
+  /**
+   * Loads the list index, creating the default list on first run. The
+   * default list is named in the language in use at the time.
+   * 
+   * @returns {Array<{id: number, name: string}>} Lists in display order
+   * @private
+   */
+  loadListIndex() {
+    const lists = this.storage.load('lists', null);
+    const valid = Array.isArray(lists)
+      ? lists.filter(l => l && Number.isInteger(l.id) && typeof l.name === 'string')
+      : [];
+    return valid.length > 0 ? valid : [{ id: DEFAULT_LIST_ID, name: t('lists.defaultName') }];
+  }
+
+  /**
+   * Migrates every list's stored todos to the current schema version and
+   * repairs invalid records. Lists are only rewritten when something changed.
+   * Records that cannot be repaired are appended to the 'quarantine' key with
+   * their list and the reason, so they can still be recovered by hand.
+   * 
+   * @returns {{fromVersion: number, toVersion: number, repaired: number, quarantined: number}} Upgrade report
+   * @private
+   */
+  upgradeStorage() {
+    const storedVersion = this.storage.load('schemaVersion', 1);
+    const fromVersion = Number.isInteger(storedVersion) ? storedVersion : 1;
+    const quarantinedAt = new Date().toISOString();
+    const quarantine = [];
+    let repaired = 0;
+
+    this.lists.forEach(({ id }) => {
+      const key = this.listKey(id, 'items');
+      const stored = this.storage.load(key, []);
+      if (!Array.isArray(stored)) {
+        quarantine.push({ listId: id, record: stored, reason: 'items is not a list', quarantinedAt });
+      }
+
+      const records = Array.isArray(stored) ? stored : [];
+      const result = repairTodos(migrateTodos(records, fromVersion), quarantinedAt);
+      // Quarantine the record as it was stored, before any migration touched it
+      result.quarantined.forEach(({ index, reason }) => {
+        quarantine.push({ listId: id, record: records[index], reason, quarantinedAt });
+      });
+      repaired += result.repaired;
+
+      if (JSON.stringify(result.todos) !== JSON.stringify(stored)) {
+        this.storage.save(key, result.todos);
+      }
+    });
+
+    if (quarantine.length > 0) {
+      const existing = this.storage.load('quarantine', []);
+      this.storage.save('quarantine', [...(Array.isArray(existing) ? existing : []), ...quarantine]);
+    }
+    if (fromVersion < SCHEMA_VERSION) {
+      this.storage.save('schemaVersion', SCHEMA_VERSION);
+    }
+
+    return {
+      fromVersion,
+      toVersion: Math.max(fromVersion, SCHEMA_VERSION),
+      repaired,
+      quarantined: quarantine.length
+    };
+  }
+
+  /**
+   * Reads the persisted undo history. Its snapshots hold todos as they
+   * were stored, possibly by an older build, so they go through the same
+   * migration and repair as the lists themselves; records that cannot be
+   * repaired are left out of the snapshot. History saved before it
+   * recorded a schema version is migrated from version 1, which only
+   * fills in missing fields.
+   * 
+   * @returns {TodoHistory} Undo history
+   * @private
+   */
+  loadHistory() {
+    const stored = this.storage.load('history', {});
+    const state = stored && typeof stored === 'object' ? stored : {};
+    const fromVersion = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 1;
+
+    return TodoHistory.fromStorage(state, snapshot => {
+      if (!snapshot.data || typeof snapshot.data !== 'object') {
+        return null;
+      }
+      const data = {};
+      Object.entries(snapshot.data).forEach(([id, list]) => {
+        const records = list && Array.isArray(list.todos) ? list.todos : [];
+        const { todos } = repairTodos(migrateTodos(records, fromVersion));
+        const maxId = Math.max(0, ...todos.map(todo => todo.id));
+        data[id] = { todos, nextId: Math.max(maxId + 1, Number.isInteger(list && list.nextId) ? list.nextId : 1) };
+      });
+      return { ...snapshot, data };
+    });
+  }
+
+  /**
+   * Persists the most recent undo and redo steps with the schema version
+   * their todos are in. Older steps stay in memory until the page is closed.
+   * 
+   * @private
+   */
+  saveHistory() {
+    this.storage.save('history', { schemaVersion: SCHEMA_VERSION, ...this.history.recent() });
+  }
+
+  /**
+   * Reads the completion log. Before the log existed, completions were
+   * only known from the completed todos still in the lists, so a missing
+   * log is started from those.
+   * 
+   * @returns {Array<{createdAt: string, completedAt: string}>} Completions, oldest first
+   * @private
+   */
+  loadCompletionLog() {
+    const stored = this.storage.load('completions', null);
+    if (Array.isArray(stored)) {
+      return stored.map(completionEntry).filter(Boolean);
+    }
+
+    this.completionLog = this.lists
+      .flatMap(list => list.id === this.currentListId ? this.todos : this.loadList(list.id).todos)
+      .map(completionEntry)
+      .filter(Boolean);
+    this.saveCompletionLog();
+    return this.completionLog;
+  }
+
+  /**
+   * Updates the completion log for a list about to be saved: a todo whose
+   * `completedAt` changed has its old completion removed and the new one
+   * added. Todos that were added, removed or moved to another list leave
+   * the log alone, so deleting a completed todo keeps its completion.
+   * 
+   * @param {Array<Object>} before - The list's todos as stored
+   * @param {Array<Object>} after - The list's todos about to be stored
+   * @private
+   */
+  logCompletions(before, after) {
+    const previous = new Map((Array.isArray(before) ? before : []).map(todo => [todo.id, todo]));
+    let changed = false;
+
+    after.forEach(todo => {
+      const old = previous.get(todo.id);
+      if (!old || old.createdAt !== todo.createdAt || old.completedAt === todo.completedAt) {
+        return;
+      }
+      if (old.completedAt) {
+        const key = completionKey(old);
+        const index = this.completionLog.findLastIndex(entry => completionKey(entry) === key);
+        if (index !== -1) {
+          this.completionLog.splice(index, 1);
+        }
+      }
+      const entry = completionEntry(todo);
+      if (entry) {
+        this.completionLog.push(entry);
+      }
+      changed = true;
+    });
+
+    if (changed) {
+      this.saveCompletionLog();
+    }
+  }
+
+  /**
+   * Adds completed todos that arrived from elsewhere, e.g. an import or
+   * another device, to the completion log unless it already has them.
+   * 
+   * @param {Array<Object>} todos - Todos that may be new
+   * @private
+   */
+  logNewCompletions(todos) {
+    const known = new Map();
+    this.completionLog.forEach(entry => {
+      const key = completionKey(entry);
+      known.set(key, (known.get(key) || 0) + 1);
+    });
+
+    const added = todos.map(completionEntry).filter(entry => {
+      if (!entry) {
+        return false;
+      }
+      const key = completionKey(entry);
+      if (known.get(key) > 0) {
+        known.set(key, known.get(key) - 1);
+        return false;
+      }
+      return true;
+    });
+
+    if (added.length > 0) {
+      this.completionLog.push(...added);
+      this.saveCompletionLog();
+    }
+  }
+
+  /**
+   * Persists the completion log in completion order, keeping the newest
+   * {@link MAX_COMPLETIONS} entries.
+   * 
+   * @private
+   */
+  saveCompletionLog() {
+    this.completionLog.sort((a, b) => Date.parse(a.completedAt) - Date.parse(b.completedAt));
+    this.completionLog.splice(0, this.completionLog.length - MAX_COMPLETIONS);
+    this.storage.save('completions', this.completionLog);
+  }
+
+  /**
+   * Gets the storage key for one of a list's values.
+   * 
+   * @param {number} listId - List ID
+   * @param {string} key - Value name, e.g. 'items' or 'nextId'
+   * @returns {string} Storage key
+   * @private
+   */
+  listKey(listId, key) {
+    return listId === DEFAULT_LIST_ID ? key : `list${listId}_${key}`;
+  }
+
+  /**
+   * Reads a list's todos and next todo ID from storage.
+   * 
+   * @param {number} listId - List ID
+   * @returns {{todos: Array<Object>, nextId: number}} The list's data
+   * @private
+   */
+  loadList(listId) {
+    const todos = this.storage.load(this.listKey(listId, 'items'), []);
+
+    // Calculate nextId from existing todos to prevent ID conflicts
+    const maxId = todos.length > 0 
+      ? Math.max(...todos.map(t => t.id))
+      : 0;
+
+    return {
+      todos,
+      nextId: Math.max(maxId + 1, this.storage.load(this.listKey(listId, 'nextId'), 1))
+    };
+  }
+
+  /**
+   * Makes a list current by loading its todos into the model.
+   * 
+   * @param {number} listId - List ID
+   * @private
+   */
+  loadCurrentList(listId) {
+    const { todos, nextId } = this.loadList(listId);
+    this.currentListId = listId;
+    this.todos = todos;
+    this.syncedTodos = [...todos];
+    this.nextId = nextId;
+  }
+
+  /**
+   * Writes a list's todos and next todo ID to storage, recording any
+   * change of completion in the completion log.
+   * 
+   * @param {number} listId - List ID
+   * @param {{todos: Array<Object>, nextId: number}} data - The list's data
+   * @private
+   */
+  saveList(listId, { todos, nextId }) {
+    this.logCompletions(this.storage.load(this.listKey(listId, 'items'), []), todos);
+    this.storage.save(this.listKey(listId, 'items'), todos);
+    this.storage.save(this.listKey(listId, 'nextId'), nextId);
+  }
+
+  /**
+   * Removes a list's todos and next todo ID from storage.
+   * 
+   * @param {number} listId - List ID
+   * @private
+   */
+  removeListData(listId) {
+    this.storage.remove(this.listKey(listId, 'items'));
+    this.storage.remove(this.listKey(listId, 'nextId'));
+  }
+
+  /**
+   * Persists the list index and the current list selection.
+   * 
+   * @private
+   */
+  saveLists() {
+    this.storage.save('lists', this.lists);
+    this.storage.save('nextListId', this.nextListId);
+    this.storage.save('currentList', this.currentListId);
+  }
+
+  /**
+   * Persists the current list's todos and nextId, and the recent undo history, to storage.
+   * Todos added or changed since the last save get a new `updatedAt`.
+   * If another tab saved the list since this model last read it, the two
+   * versions are merged first so neither change is lost.
+   * 
+   * @private
+   */
+  save() {
+    this.todos = touchChanged(this.syncedTodos, this.todos);
+    const stored = this.loadList(this.currentListId);
+    if (!sameValue(stored.todos, this.syncedTodos)) {
+      this.todos = mergeTodos(this.syncedTodos, this.todos, stored.todos);
+      this.nextId = Math.max(this.nextId, stored.nextId, ...this.todos.map(t => t.id + 1));
+    }
+    this.syncedTodos = [...this.todos];
+    this.saveList(this.currentListId, { todos: this.todos, nextId: this.nextId });
+    this.saveHistory();
   }
 }
@@ -0,0 +1,149 @@
+/**
+ * IndexedDBAdapter - Asynchronous storage backend using IndexedDB.
+ * It has no practical size cap and writes are transactional, so it suits
+ * large lists. Values are kept in a single key-value object store.
+ *
+ * @class
+ */
+export class IndexedDBAdapter {
+  /**
+   * Creates an IndexedDBAdapter instance. The database opens on first use.
+   *
+   * @param {string} [databaseName='todo-app'] - IndexedDB database name
+   * @param {string} [storeName='keyval'] - Object store holding the values
+   */
+  constructor(databaseName = 'todo-app', storeName = 'keyval') {
+    /**
+     * @type {string}
+     * @private
+     */
+    this.databaseName = databaseName;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this.storeName = storeName;
+
+    /**
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this.db = null;
+  }
+
+  /**
+   * Reads are asynchronous, so StorageService must preload them with init().
+   *
+   * @type {boolean}
+   */
+  get isAsync() {
+    return true;
+  }
+
+  /**
+   * Opens (and on first run creates) the database.
+   *
+   * @returns {Promise<IDBDatabase>} Open database
+   * @private
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call retry if opening failed
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Closes the database connection, if one was opened. Transactions
+   * already running still complete; a later call opens it again.
+   */
+  close() {
+    this.db?.then(db => db.close(), () => {});
+    this.db = null;
+  }
+
+  /**
+   * Runs write requests in one transaction and waits for it to commit,
+   * so a resolved write is on disk.
+   *
+   * @param {(store: IDBObjectStore) => void} issueRequests - Issues the requests
+   * @returns {Promise<void>}
+   * @private
+   */
+  async write(issueRequests) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      issueRequests(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Reads every entry whose key starts with a prefix, in one transaction.
+   *
+   * @param {string} prefix - Key prefix, e.g. 'todos'
+   * @returns {Promise<Array<[string, string]>>} Key-value pairs
+   */
+  async entries(prefix) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const transaction = db.transaction(this.storeName, 'readonly');
+      const request = transaction.objectStore(this.storeName)
+        .openCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          entries.push([cursor.key, cursor.value]);
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve(entries);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Writes a raw value.
+   *
+   * @param {string} key - Full storage key
+   * @param {string} value - String to store
+   * @returns {Promise<void>}
+   */
+  setItem(key, value) {
+    return this.write(store => store.put(value, key));
+  }
+
+  /**
+   * Writes several values in one transaction.
+   *
+   * @param {Array<[string, string]>} entries - Key-value pairs
+   * @returns {Promise<void>}
+   */
+  setItems(entries) {
+    return this.write(store => entries.forEach(([key, value]) => store.put(value, key)));
+  }
+
+  /**
+   * Deletes a value.
+   *
+   * @param {string} key - Full storage key
+   * @returns {Promise<void>}
+   */
+  removeItem(key) {
+    return this.write(store => store.delete(key));
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * LocalStorageAdapter - Synchronous storage backend using window.localStorage.
+ * The default backend; data written before adapters existed lives here.
+ *
+ * @class
+ */
+export class LocalStorageAdapter {
+  /**
+   * Reads go straight to localStorage, so no preloading is needed.
+   *
+   * @type {boolean}
+   */
+  get isAsync() {
+    return false;
+  }
+
+  /**
+   * Reads a raw value.
+   *
+   * @param {string} key - Full storage key
+   * @returns {string|null} Stored string, or null if missing
+   */
+  getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  /**
+   * Writes a raw value.
+   *
+   * @param {string} key - Full storage key
+   * @param {string} value - String to store
+   */
+  setItem(key, value) {
+    localStorage.setItem(key, value);
+  }
+
+  /**
+   * Deletes a value.
+   *
+   * @param {string} key - Full storage key
+   */
+  removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * Lists stored keys that start with a prefix.
+   *
+   * @param {string} prefix - Key prefix, e.g. 'todos'
+   * @returns {Array<string>} Matching keys
+   */
+  keys(prefix) {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * MemoryAdapter - Synchronous storage backend that keeps data in a Map.
+ * Nothing survives a reload, which suits tests and embedding the app
+ * somewhere that should not touch the page's storage.
+ *
+ * @class
+ */
+export class MemoryAdapter {
+  /**
+   * Creates a MemoryAdapter instance.
+   *
+   * @param {Object<string, string>} [initial={}] - Entries to start with
+   */
+  constructor(initial = {}) {
+    /**
+     * @type {Map<string, string>}
+     * @private
+     */
+    this.store = new Map(Object.entries(initial));
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get isAsync() {
+    return false;
+  }
+
+  /**
+   * Reads a raw value.
+   *
+   * @param {string} key - Full storage key
+   * @returns {string|null} Stored string, or null if missing
+   */
+  getItem(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  /**
+   * Writes a raw value.
+   *
+   * @param {string} key - Full storage key
+   * @param {string} value - String to store
+   */
+  setItem(key, value) {
+    this.store.set(key, String(value));
+  }
+
+  /**
+   * Deletes a value.
+   *
+   * @param {string} key - Full storage key
+   */
+  removeItem(key) {
+    this.store.delete(key);
+  }
+
+  /**
+   * Lists stored keys that start with a prefix.
+   *
+   * @param {string} prefix - Key prefix, e.g. 'todos'
+   * @returns {Array<string>} Matching keys
+   */
+  keys(prefix) {
+    return [...this.store.keys()].filter(key => key.startsWith(prefix));
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * FileService - Saves generated text as a file the user downloads.
+ *
+ * @class
+ */
+export class FileService {
+  /**
+   * Offers text content as a file download.
+   *
+   * @param {string} filename - Suggested file name, e.g. 'todos.json'
+   * @param {string} content - File contents
+   * @param {string} [type='application/json'] - MIME type
+   */
+  download(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke on the next tick so the browser has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
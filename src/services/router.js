@@ -0,0 +1,53 @@
+import { FILTERS } from '../models/todo-model.js';
+
+/**
+ * Hash routes for the app's views. The hash (rather than the path) keeps
+ * routing working on any static host and leaves the `?q=` search
+ * parameter alone:
+ *
+ *   #/              every todo
+ *   #/active        one of the status or due-date filters
+ *   #/todo/42       todo 42 of the current list, scrolled to and highlighted
+ *   #/stats         the statistics dashboard
+ *
+ * A route is `{filter: string}`, `{todoId: number}` or `{view: 'stats'}`.
+ */
+
+/**
+ * Parses a location hash into a route. An empty or unknown hash is the
+ * "All" view, so old bookmarks and stray anchors still open the app.
+ *
+ * @param {string} hash - Location hash, e.g. "#/active"
+ * @returns {{filter: string}|{todoId: number}|{view: string}} Route
+ */
+export function parseRoute(hash) {
+  const path = String(hash || '').replace(/^#\/?/, '').replace(/\/$/, '');
+
+  const todo = /^todo\/(\d+)$/.exec(path);
+  if (todo) {
+    return { todoId: Number(todo[1]) };
+  }
+  if (path === 'stats') {
+    return { view: 'stats' };
+  }
+  if (FILTERS.includes(path)) {
+    return { filter: path };
+  }
+  return { filter: 'all' };
+}
+
+/**
+ * Builds the hash for a route.
+ *
+ * @param {{filter?: string, todoId?: number, view?: string}} route - Route
+ * @returns {string} Hash, e.g. "#/todo/42"
+ */
+export function formatRoute(route) {
+  if (Number.isInteger(route.todoId)) {
+    return `#/todo/${route.todoId}`;
+  }
+  if (route.view === 'stats') {
+    return '#/stats';
+  }
+  return route.filter && route.filter !== 'all' ? `#/${route.filter}` : '#/';
+}
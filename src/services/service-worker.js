@@ -0,0 +1,69 @@
+/**
+ * Registers the service worker built from src/sw.js and reports when a
+ * newer build has been downloaded and is waiting to take over.
+ *
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.url='/sw.js'] - Service worker script
+ * @param {ServiceWorkerContainer} [options.container] - Defaults to navigator.serviceWorker
+ * @param {function(ServiceWorkerRegistration): void} [options.onUpdateReady] - Called when an update is waiting
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if service workers are unavailable
+ */
+export async function registerServiceWorker({
+  url = '/sw.js',
+  container = globalThis.navigator?.serviceWorker,
+  onUpdateReady = () => {}
+} = {}) {
+  if (!container) {
+    return null;
+  }
+
+  let registration;
+  try {
+    registration = await container.register(url);
+  } catch (error) {
+    console.error('Failed to register the service worker:', error);
+    return null;
+  }
+
+  // Without a controller this is the first install, not an update
+  const reportWaiting = () => {
+    if (registration.waiting && container.controller) {
+      onUpdateReady(registration);
+    }
+  };
+
+  reportWaiting();
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed') {
+        reportWaiting();
+      }
+    });
+  });
+  return registration;
+}
+
+/**
+ * Activates the waiting service worker and reloads the page once it
+ * controls it, so the page and its cached files come from the same build.
+ *
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker
+ * @param {Object} [options] - Update options
+ * @param {ServiceWorkerContainer} [options.container] - Defaults to navigator.serviceWorker
+ * @param {function(): void} [options.reload] - Defaults to reloading the window
+ * @returns {boolean} False if there was no waiting worker
+ */
+export function applyUpdate(registration, {
+  container = globalThis.navigator?.serviceWorker,
+  reload = () => window.location.reload()
+} = {}) {
+  const worker = registration.waiting;
+  if (!worker) {
+    return false;
+  }
+
+  container.addEventListener('controllerchange', () => reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+  return true;
+}
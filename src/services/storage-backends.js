@@ -0,0 +1,53 @@
+import { StorageService } from './storage-service.js';
+import { LocalStorageAdapter } from './adapters/local-storage-adapter.js';
+import { MemoryAdapter } from './adapters/memory-adapter.js';
+import { IndexedDBAdapter } from './adapters/indexeddb-adapter.js';
+
+/**
+ * Storage backends that can be chosen at startup.
+ *
+ * @type {Array<string>}
+ */
+export const STORAGE_BACKENDS = ['localstorage', 'indexeddb', 'memory'];
+
+/**
+ * Backend used when none (or an unknown one) is chosen.
+ *
+ * @type {string}
+ */
+export const DEFAULT_STORAGE_BACKEND = 'localstorage';
+
+/**
+ * Opens the channel tabs sharing a storage namespace use to announce writes.
+ *
+ * @param {string} storageKey - Namespace prefix for storage keys
+ * @returns {BroadcastChannel|undefined} Channel, or undefined where unsupported
+ * @private
+ */
+function openSyncChannel(storageKey) {
+  return typeof BroadcastChannel === 'function' ? new BroadcastChannel(`${storageKey}-sync`) : undefined;
+}
+
+/**
+ * Creates a StorageService for a backend.
+ * The IndexedDB backend takes over any data previously kept in
+ * localStorage the first time it starts with an empty database.
+ * Persistent backends keep open tabs in sync; the memory backend is per tab.
+ *
+ * @param {string} [backend=DEFAULT_STORAGE_BACKEND] - One of {@link STORAGE_BACKENDS}
+ * @param {string} [storageKey='todos'] - Namespace prefix for storage keys
+ * @returns {StorageService} Service to pass to TodoModel once `init()` resolves
+ */
+export function createStorageService(backend = DEFAULT_STORAGE_BACKEND, storageKey = 'todos') {
+  switch (backend) {
+  case 'indexeddb':
+    return new StorageService(storageKey, new IndexedDBAdapter(), {
+      migrateFrom: new LocalStorageAdapter(),
+      channel: openSyncChannel(storageKey)
+    });
+  case 'memory':
+    return new StorageService(storageKey, new MemoryAdapter());
+  default:
+    return new StorageService(storageKey, new LocalStorageAdapter(), { channel: openSyncChannel(storageKey) });
+  }
+}
@@ -1,41 +1,210 @@
+import { LocalStorageAdapter } from './adapters/local-storage-adapter.js';
+
 /**
- * StorageService - Handles localStorage operations for the TODO app.
- * Provides a simple CRUD interface with automatic error handling.
- * 
+ * StorageService - Handles persistence for the TODO app.
+ * Provides a simple CRUD interface with automatic error handling on top of
+ * an interchangeable storage adapter (localStorage by default).
+ *
+ * Synchronous adapters are read and written directly. Adapters whose
+ * reads are asynchronous (IndexedDB) are preloaded into an in-memory cache
+ * by `init()`; their writes update the cache immediately and are sent to
+ * the adapter in order in the background, so callers keep the same
+ * synchronous API. `flush()` waits for those writes.
+ *
+ * When given a channel (a BroadcastChannel shared by every tab of the app),
+ * each write is announced on it, and writes announced by other tabs update
+ * the cache and are passed to `subscribe()` listeners.
+ *
  * @class
  */
 export class StorageService {
   /**
    * Creates a StorageService instance.
-   * 
-   * @param {string} [storageKey='todos'] - Namespace prefix for localStorage keys
+   *
+   * @param {string} [storageKey='todos'] - Namespace prefix for storage keys
+   * @param {Object} [adapter=new LocalStorageAdapter()] - Storage backend
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.migrateFrom] - Synchronous adapter whose data is
+   *   moved into an empty asynchronous adapter the first time `init()` runs
+   * @param {BroadcastChannel} [options.channel] - Channel for announcing writes to other tabs
    */
-  constructor(storageKey = 'todos') {
+  constructor(storageKey = 'todos', adapter = new LocalStorageAdapter(), options = {}) {
     /**
      * @type {string}
      * @private
      */
     this.storageKey = storageKey;
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.adapter = adapter;
+
+    /**
+     * @type {Object|null}
+     * @private
+     */
+    this.migrateFrom = options.migrateFrom || null;
+
+    /**
+     * Preloaded values of an asynchronous adapter, keyed by full key.
+     *
+     * @type {Map<string, string>|null}
+     * @private
+     */
+    this.cache = null;
+
+    /**
+     * Tail of the queue of background writes.
+     *
+     * @type {Promise<void>}
+     * @private
+     */
+    this.pending = Promise.resolve();
+
+    /**
+     * @type {BroadcastChannel|null}
+     * @private
+     */
+    this.channel = options.channel || null;
+
+    /**
+     * Callbacks for writes made by other tabs.
+     *
+     * @type {Array<Function>}
+     * @private
+     */
+    this.listeners = [];
+
+    if (this.channel) {
+      this.channel.onmessage = event => this.receive(event.data);
+    }
+  }
+
+  /**
+   * Subscribes to writes made by other tabs.
+   *
+   * @param {Function} listener - Called with the unprefixed key that changed
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Stops listening for other tabs' writes and closes the adapter, if it
+   * holds a connection (IndexedDB). The service is not used afterwards.
+   */
+  close() {
+    this.channel?.close();
+    this.channel = null;
+    this.listeners = [];
+    if (typeof this.adapter.close === 'function') {
+      this.adapter.close();
+    }
   }
 
   /**
-   * Saves data to localStorage with JSON serialization.
-   * 
+   * Applies a write announced by another tab and notifies listeners.
+   *
+   * @param {{key: string, value: string|null}} message - Full key and raw value (null when removed)
+   * @private
+   */
+  receive(message) {
+    const prefix = `${this.storageKey}_`;
+    if (!message || typeof message.key !== 'string' || !message.key.startsWith(prefix)) {
+      return;
+    }
+
+    if (this.cache) {
+      if (message.value === null) {
+        this.cache.delete(message.key);
+      } else {
+        this.cache.set(message.key, message.value);
+      }
+    }
+    const key = message.key.slice(prefix.length);
+    this.listeners.forEach(listener => listener(key));
+  }
+
+  /**
+   * Loads everything an asynchronous adapter holds for this namespace,
+   * migrating data from `options.migrateFrom` the first time.
+   * Resolves immediately for synchronous adapters.
+   *
+   * @returns {Promise<StorageService>} This service, ready to use
+   */
+  async init() {
+    if (!this.adapter.isAsync || this.cache) {
+      return this;
+    }
+
+    this.cache = new Map(await this.adapter.entries(this.storageKey));
+    if (this.cache.size === 0 && this.migrateFrom) {
+      await this.migrate();
+    }
+    return this;
+  }
+
+  /**
+   * Moves this namespace's data from the migration source into the adapter.
+   * The source is only cleared once the adapter has committed the copy, so
+   * an interrupted migration simply runs again on the next start.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async migrate() {
+    const source = this.migrateFrom;
+    const entries = source.keys(this.storageKey)
+      .map(key => [key, source.getItem(key)])
+      .filter(([, value]) => value !== null);
+    if (entries.length === 0) {
+      return;
+    }
+
+    if (this.adapter.setItems) {
+      await this.adapter.setItems(entries);
+    } else {
+      await Promise.all(entries.map(([key, value]) => this.adapter.setItem(key, value)));
+    }
+    entries.forEach(([key, value]) => {
+      this.cache.set(key, value);
+      source.removeItem(key);
+    });
+  }
+
+  /**
+   * Waits until every write so far has reached the adapter.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pending;
+  }
+
+  /**
+   * Saves data with JSON serialization.
+   *
    * @param {string} key - The key to save under (will be prefixed with storageKey)
    * @param {*} data - The data to save (will be JSON stringified)
    */
   save(key, data) {
     try {
       const fullKey = `${this.storageKey}_${key}`;
-      localStorage.setItem(fullKey, JSON.stringify(data));
+      this.write(fullKey, JSON.stringify(data));
     } catch (error) {
-      console.error('Failed to save to localStorage:', error);
+      console.error('Failed to save to storage:', error);
     }
   }
 
   /**
-   * Loads data from localStorage with JSON parsing.
-   * 
+   * Loads data with JSON parsing.
+   *
    * @param {string} key - The key to load (will be prefixed with storageKey)
    * @param {*} [defaultValue=null] - Value to return if key doesn't exist or parsing fails
    * @returns {*} The parsed data or defaultValue
@@ -43,50 +212,93 @@ export class StorageService {
   load(key, defaultValue = null) {
     try {
       const fullKey = `${this.storageKey}_${key}`;
-      const item = localStorage.getItem(fullKey);
+      const item = this.read(fullKey);
       if (!item) {
         return defaultValue;
       }
-      
+
       const parsed = JSON.parse(item);
       return parsed;
     } catch (error) {
-      console.error('Failed to load from localStorage:', error);
+      console.error('Failed to load from storage:', error);
       // Return default value on parse error
       return defaultValue;
     }
   }
 
   /**
-   * Removes a specific key from localStorage.
-   * 
+   * Removes a specific key.
+   *
    * @param {string} key - The key to remove (will be prefixed with storageKey)
    */
   remove(key) {
     try {
       const fullKey = `${this.storageKey}_${key}`;
-      localStorage.removeItem(fullKey);
+      this.write(fullKey, null);
     } catch (error) {
-      console.error('Failed to remove from localStorage:', error);
+      console.error('Failed to remove from storage:', error);
     }
   }
 
   /**
-   * Clears all data for this app from localStorage.
+   * Clears all data for this app.
    * Only removes keys that start with the storageKey prefix.
    */
   clear() {
     try {
-      const keysToRemove = [];
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(this.storageKey)) {
-          keysToRemove.push(key);
-        }
-      }
-      keysToRemove.forEach(key => localStorage.removeItem(key));
+      const keysToRemove = this.adapter.isAsync
+        ? [...(this.cache || new Map()).keys()].filter(key => key.startsWith(this.storageKey))
+        : this.adapter.keys(this.storageKey);
+      keysToRemove.forEach(key => this.write(key, null));
     } catch (error) {
-      console.error('Failed to clear localStorage:', error);
+      console.error('Failed to clear storage:', error);
+    }
+  }
+
+  /**
+   * Reads a raw value from the adapter or, for asynchronous adapters, the cache.
+   *
+   * @param {string} fullKey - Prefixed key
+   * @returns {string|null} Stored string, or null if missing
+   * @private
+   */
+  read(fullKey) {
+    if (!this.adapter.isAsync) {
+      return this.adapter.getItem(fullKey);
+    }
+    if (!this.cache) {
+      throw new Error('StorageService.init() must finish before reading');
+    }
+    return this.cache.has(fullKey) ? this.cache.get(fullKey) : null;
+  }
+
+  /**
+   * Writes or deletes a raw value and announces it to other tabs.
+   * Asynchronous adapters are updated in the background, in call order.
+   *
+   * @param {string} fullKey - Prefixed key
+   * @param {string|null} value - String to store, or null to delete
+   * @private
+   */
+  write(fullKey, value) {
+    this.channel?.postMessage({ key: fullKey, value });
+
+    if (!this.adapter.isAsync) {
+      if (value === null) {
+        this.adapter.removeItem(fullKey);
+      } else {
+        this.adapter.setItem(fullKey, value);
+      }
+      return;
+    }
+
+    if (value === null) {
+      this.cache?.delete(fullKey);
+    } else {
+      this.cache?.set(fullKey, value);
     }
+    this.pending = this.pending
+      .then(() => value === null ? this.adapter.removeItem(fullKey) : this.adapter.setItem(fullKey, value))
+      .catch(error => console.error('Failed to write to storage:', error));
   }
 }
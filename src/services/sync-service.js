@@ -0,0 +1,433 @@
+import { mergeLists, preferLatestEdit, preferLocalEdit, sameValue } from '../models/merge.js';
+import { validateLists } from '../models/backup.js';
+import { t } from '../models/i18n.js';
+
+/**
+ * States reported by {@link SyncService#status}:
+ * 'synced' - the server has every local change;
+ * 'pending' - local changes are waiting to be sent (e.g. while offline) or a sync is running;
+ * 'error' - the last attempt failed; changes stay queued and are retried.
+ *
+ * @type {Array<string>}
+ */
+export const SYNC_STATUSES = ['synced', 'pending', 'error'];
+
+/**
+ * How often a sync retries after another device pushed between its read and write.
+ *
+ * @type {number}
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * SyncError - Thrown when the sync server cannot be reached or answers unexpectedly.
+ *
+ * @class
+ * @extends {Error}
+ */
+export class SyncError extends Error {
+  /**
+   * @param {string} message - Human-readable reason, in the current language
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SyncError';
+  }
+}
+
+/**
+ * SyncService - Optional offline-first sync of every list with a REST endpoint.
+ * Works beside StorageService: local saves never wait for the network.
+ *
+ * The service remembers the data the server held after the last successful
+ * sync (the "sync base", stored under the 'syncBase' key). Anything the
+ * model holds that differs from it is a local change still to be sent, so
+ * edits made offline stay queued across reloads. Each sync reads the server
+ * copy, merges it three-way with the local data (see merge.js; a field changed
+ * on both devices keeps the value from the todo with the later `updatedAt`),
+ * writes the result back and applies it locally.
+ *
+ * The endpoint speaks a small JSON protocol (see server/sync-server.js):
+ * GET returns `{revision, lists}`; PUT sends `{baseRevision, lists}` and
+ * answers `{revision}`, or 409 if another device pushed since `baseRevision`.
+ *
+ * @class
+ */
+export class SyncService {
+  /**
+   * Creates a SyncService instance.
+   *
+   * @param {TodoModel} model - Model whose lists are synced
+   * @param {StorageService} storage - Storage for the sync base
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - URL of the sync endpoint
+   * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation
+   * @param {number} [options.delay=1000] - Milliseconds to wait after a change before sending it
+   * @param {number} [options.pollInterval=30000] - Milliseconds between checks for remote changes
+   */
+  constructor(model, storage, { endpoint, fetch = (...args) => globalThis.fetch(...args), delay = 1000, pollInterval = 30000 }) {
+    /**
+     * @type {TodoModel}
+     * @private
+     */
+    this.model = model;
+
+    /**
+     * @type {StorageService}
+     * @private
+     */
+    this.storage = storage;
+
+    /**
+     * @type {string}
+     */
+    this.endpoint = endpoint;
+
+    /**
+     * @type {Function}
+     * @private
+     */
+    this.fetch = fetch;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.delay = delay;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.pollInterval = pollInterval;
+
+    /**
+     * One of {@link SYNC_STATUSES}.
+     *
+     * @type {string}
+     */
+    this.status = 'pending';
+
+    /**
+     * Why the last sync failed, or null.
+     *
+     * @type {Error|null}
+     */
+    this.error = null;
+
+    /**
+     * Time of the last successful sync, or null if there has been none.
+     *
+     * @type {string|null}
+     */
+    this.lastSyncedAt = this.loadBase().syncedAt;
+
+    /**
+     * @type {Array<Function>}
+     * @private
+     */
+    this.listeners = [];
+
+    /**
+     * Sync in progress, or null.
+     *
+     * @type {Promise<void>|null}
+     * @private
+     */
+    this.running = null;
+
+    /**
+     * Whether another sync was requested while one was running.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.again = false;
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this.started = false;
+
+    /**
+     * @type {number|null}
+     * @private
+     */
+    this.timer = null;
+
+    /**
+     * @type {number|null}
+     * @private
+     */
+    this.poller = null;
+
+    this.handleOnline = () => this.sync();
+    this.model.subscribe(() => this.handleModelChange());
+  }
+
+  /**
+   * Starts syncing: right away, shortly after each local change, whenever
+   * the browser comes back online, and periodically to pick up remote changes.
+   *
+   * @returns {Promise<void>} Resolves when the first sync finishes
+   */
+  start() {
+    if (this.started) {
+      return this.running || Promise.resolve();
+    }
+    this.started = true;
+    this.poller = setInterval(() => this.sync(), this.pollInterval);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+    }
+    return this.sync();
+  }
+
+  /**
+   * Stops all background syncing until `start()` is called again.
+   * A sync already running still finishes.
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    clearInterval(this.poller);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+    }
+  }
+
+  /**
+   * Subscribes to status changes.
+   *
+   * @param {Function} listener - Called whenever status, error or lastSyncedAt may have changed
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Whether the model holds changes the server has not seen yet.
+   *
+   * @returns {boolean} True if there are unsent changes
+   */
+  hasLocalChanges() {
+    return !sameValue(this.model.exportData().lists, this.loadBase().lists);
+  }
+
+  /**
+   * Sends local changes and fetches remote ones. Calls made while a sync is
+   * running are folded into one follow-up sync. Never rejects; failures are
+   * reported through `status` and `error`.
+   *
+   * @returns {Promise<void>} Resolves when this sync finishes
+   */
+  sync() {
+    if (this.running) {
+      this.again = true;
+      return this.running;
+    }
+    if (!this.isOnline()) {
+      this.updateStatus();
+      return Promise.resolve();
+    }
+
+    this.running = this.pushAndPull()
+      .then(() => {
+        this.error = null;
+      }, error => {
+        this.error = error;
+      })
+      .finally(() => {
+        this.running = null;
+        this.updateStatus();
+        if (this.again && this.started) {
+          this.again = false;
+          this.sync();
+        }
+      });
+    this.updateStatus();
+    return this.running;
+  }
+
+  /**
+   * Schedules a sync shortly after the model changes, batching quick edits.
+   *
+   * @private
+   */
+  handleModelChange() {
+    if (!this.started) {
+      return;
+    }
+    const changed = this.hasLocalChanges();
+    this.updateStatus(changed);
+    if (changed) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.sync(), this.delay);
+    }
+  }
+
+  /**
+   * Reads the server state, merges, writes the result back and applies it
+   * locally, retrying if another device pushed in between.
+   *
+   * @returns {Promise<void>}
+   * @throws {SyncError} If the server cannot be used
+   * @private
+   */
+  async pushAndPull() {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const remote = await this.fetchRemote();
+      const stored = this.loadBase();
+      // A server that went back in revision was reset: share nothing with it
+      const base = remote.revision >= stored.revision ? stored.lists : [];
+      const local = this.model.exportData().lists;
+      const merged = remote.revision === stored.revision
+        ? local
+        : mergeLists(base, local, remote.lists, preferLatestEdit);
+
+      let revision = remote.revision;
+      if (!sameValue(merged, remote.lists)) {
+        revision = await this.push(remote.revision, merged);
+        if (revision === null) {
+          continue;
+        }
+      }
+
+      this.lastSyncedAt = new Date().toISOString();
+      this.storage.save('syncBase', { revision, lists: merged, syncedAt: this.lastSyncedAt });
+      this.applyMerged(local, merged);
+      return;
+    }
+    throw new SyncError(t('sync.error.busy'));
+  }
+
+  /**
+   * Applies merged lists to the model, keeping edits made while the
+   * request was in flight.
+   *
+   * @param {Array<Object>} sent - Local lists the merge started from
+   * @param {Array<Object>} merged - Lists now on the server
+   * @private
+   */
+  applyMerged(sent, merged) {
+    const current = this.model.exportData().lists;
+    const lists = sameValue(current, sent) ? merged : mergeLists(sent, current, merged, preferLocalEdit);
+    if (!sameValue(lists, current)) {
+      this.model.applySyncedLists(lists);
+    }
+  }
+
+  /**
+   * Fetches the server copy. A copy with invalid lists or todos is refused
+   * as a whole: the merged result is written back, so skipping the bad
+   * records would delete them from the server for every device.
+   *
+   * @returns {Promise<{revision: number, lists: Array<Object>}>} Server revision and its lists
+   * @throws {SyncError} If the request fails, the answer is malformed or holds invalid records
+   * @private
+   */
+  async fetchRemote() {
+    const data = await this.send('GET');
+    if (!data || !Number.isInteger(data.revision) || !Array.isArray(data.lists)) {
+      throw new SyncError(t('sync.error.format'));
+    }
+    const { lists, errors } = validateLists(data.lists);
+    if (errors.length > 0) {
+      throw new SyncError(t('sync.error.invalid', { count: errors.length }));
+    }
+    return { revision: data.revision, lists };
+  }
+
+  /**
+   * Sends merged lists to the server.
+   *
+   * @param {number} baseRevision - Revision the merge was based on
+   * @param {Array<Object>} lists - Merged lists
+   * @returns {Promise<number|null>} New revision, or null if another device pushed first
+   * @throws {SyncError} If the request fails
+   * @private
+   */
+  async push(baseRevision, lists) {
+    const data = await this.send('PUT', { baseRevision, lists });
+    return data === null ? null : data.revision;
+  }
+
+  /**
+   * Makes a JSON request to the endpoint.
+   *
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - Request body
+   * @returns {Promise<Object|null>} Parsed response, or null for 409 Conflict
+   * @throws {SyncError} If the server is unreachable or answers with an error
+   * @private
+   */
+  async send(method, body) {
+    let response;
+    try {
+      response = await this.fetch(this.endpoint, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new SyncError(t('sync.error.unreachable', { reason: error.message }));
+    }
+
+    if (response.status === 409) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new SyncError(t('sync.error.status', { status: String(response.status) }));
+    }
+    try {
+      return await response.json();
+    } catch {
+      throw new SyncError(t('sync.error.format'));
+    }
+  }
+
+  /**
+   * Loads the data the server held after the last successful sync.
+   *
+   * @returns {{revision: number, lists: Array<Object>, syncedAt: string|null}} Sync base
+   * @private
+   */
+  loadBase() {
+    const base = this.storage.load('syncBase', null);
+    return base && Number.isInteger(base.revision) && Array.isArray(base.lists)
+      ? { revision: base.revision, lists: base.lists, syncedAt: base.syncedAt || null }
+      : { revision: -1, lists: [], syncedAt: null };
+  }
+
+  /**
+   * Checks whether the browser reports a network connection.
+   *
+   * @returns {boolean} False only when known to be offline
+   * @private
+   */
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Recomputes the status and notifies listeners.
+   *
+   * @param {boolean} [changed] - Result of hasLocalChanges(), if already known
+   * @private
+   */
+  updateStatus(changed) {
+    if (this.running) {
+      this.status = 'pending';
+    } else if (this.error) {
+      this.status = 'error';
+    } else {
+      this.status = (changed ?? this.hasLocalChanges()) ? 'pending' : 'synced';
+    }
+    this.listeners.forEach(listener => listener());
+  }
+}
@@ -0,0 +1,57 @@
+/* eslint-env serviceworker */
+
+/**
+ * Service worker that lets the app start without a network.
+ *
+ * The build (see the serviceWorker plugin in vite.config.js) fills in
+ * PRECACHE below with the build version and every file it wrote.
+ * Those files are cached on install and served cache-first; page loads
+ * get the cached index.html, whatever the path. A new build installs
+ * next to the running one and waits until the page sends SKIP_WAITING
+ * (see services/service-worker.js).
+ */
+
+/**
+ * @type {{version: string, urls: Array<string>}}
+ */
+const PRECACHE = self.__PRECACHE__;
+
+const CACHE_PREFIX = 'todo-app-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE.version}`;
+const SHELL_URL = new URL('index.html', self.registration.scope).href;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE.urls))
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    // Take over the page that registered us, so it works offline straight away
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request.mode === 'navigate' ? SHELL_URL : request);
+    return cached || fetch(request);
+  })());
+});
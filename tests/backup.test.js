@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BackupError,
+  createBackup,
+  validateTodoRecord,
+  parseBackup
+} from '../src/models/backup.js';
+
+const createdAt = '2024-01-01T00:00:00.000Z';
+
+/**
+ * Builds backup file contents with a single list.
+ *
+ * @param {Array<Object>} todos - Raw todo records
+ * @param {Object} [extra] - Extra top-level fields
+ * @returns {string} JSON text
+ */
+function backupText(todos, extra = {}) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    settings: { darkMode: true },
+    currentListId: 1,
+    lists: [{ id: 1, name: 'Inbox', nextId: 1, todos }],
+    ...extra
+  });
+}
+
+test('backup - createBackup should wrap list data in a versioned document', () => {
+  const data = { currentListId: 1, lists: [{ id: 1, name: 'Inbox', nextId: 2, todos: [] }] };
+  const backup = createBackup(data, { darkMode: false }, new Date(createdAt));
+
+  assert.strictEqual(backup.format, BACKUP_FORMAT);
+  assert.strictEqual(backup.version, BACKUP_VERSION);
+  assert.strictEqual(backup.exportedAt, createdAt);
+  assert.deepStrictEqual(backup.settings, { darkMode: false });
+  assert.deepStrictEqual(backup.lists, data.lists);
+});
+
+test('backup - validateTodoRecord should accept a well-formed todo', () => {
+  assert.deepStrictEqual(validateTodoRecord({ id: 1, text: 'Buy milk', completed: false, createdAt }), []);
+});
+
+test('backup - validateTodoRecord should report every schema problem', () => {
+  assert.deepStrictEqual(validateTodoRecord({ id: 0, text: 'x'.repeat(501), completed: 'no', createdAt: 'later' }), [
+    'id must be a positive integer',
+    'text must be at most 500 characters',
+    'completed must be true or false',
+    'createdAt must be a date string'
+  ]);
+  assert.deepStrictEqual(validateTodoRecord(null), ['not an object']);
+});
+
+test('backup - parseBackup should skip invalid records and report their position', () => {
+  const result = parseBackup(backupText([
+    { id: 1, text: 'Valid', completed: false, createdAt },
+    { id: 2, text: '', completed: false, createdAt },
+    { id: 1, text: 'Same id', completed: false, createdAt }
+  ]));
+
+  assert.strictEqual(result.todoCount, 1);
+  assert.deepStrictEqual(result.errors, [
+    { list: 'Inbox', index: 1, messages: ['text must be a non-empty string'] },
+    { list: 'Inbox', index: 2, messages: ['id 1 is used more than once'] }
+  ]);
+  assert.strictEqual(result.lists[0].nextId, 2);
+  assert.deepStrictEqual(result.settings, { darkMode: true });
+});
+
+test('backup - parseBackup should normalize optional fields', () => {
+  const [todo] = parseBackup(backupText([{
+    id: 1,
+    text: ' Pay rent ',
+    completed: false,
+    createdAt,
+    dueDate: 'tomorrow',
+    priority: 'huge',
+    tags: ['#Home', 'home'],
+    extra: 'dropped'
+  }])).lists[0].todos;
+
+  assert.deepStrictEqual(todo, {
+    id: 1,
+    text: 'Pay rent',
+    completed: false,
+    createdAt,
+    updatedAt: createdAt,
+    completedAt: null,
+    dueDate: null,
+    dueTime: null,
+    priority: 'normal',
+    tags: ['home'],
+    subtasks: [],
+    recurrence: null
+  });
+});
+
+test('backup - parseBackup should reject files that are not backups', () => {
+  assert.throws(() => parseBackup('not json'), BackupError);
+  assert.throws(() => parseBackup('{"todos": []}'), /not a todo backup/);
+  assert.throws(() => parseBackup(backupText([], { version: BACKUP_VERSION + 1 })), /not supported/);
+  assert.throws(() => parseBackup(backupText([], { lists: [{ id: 'x', name: 'Bad' }] })), /any valid lists/);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  CONFIRMATION_KINDS,
+  describeConfirmation,
+  normalizeSkippedConfirmations
+} from '../src/models/confirmations.js';
+
+test('confirmations - describeConfirmation should name a single todo and count several', () => {
+  const single = describeConfirmation('delete-todo', { text: 'Buy milk' });
+  assert.strictEqual(single.heading, 'Delete this todo?');
+  assert.match(single.message, /^'Buy milk' will be deleted\./);
+  assert.strictEqual(single.confirmLabel, 'Delete');
+
+  assert.strictEqual(describeConfirmation('delete-todo', { count: 3 }).heading, 'Delete 3 todos?');
+  assert.match(describeConfirmation('clear-completed', { count: 1 }).message, /^1 todo will be removed/);
+  assert.match(describeConfirmation('clear-all', { count: 2 }).message, /^All 2 todos in this list/);
+});
+
+test('confirmations - every kind should have a heading and a confirm label', () => {
+  for (const kind of CONFIRMATION_KINDS) {
+    const { heading, confirmLabel } = describeConfirmation(kind);
+    assert.ok(heading.endsWith('?'), kind);
+    assert.ok(confirmLabel, kind);
+  }
+});
+
+test('confirmations - normalizeSkippedConfirmations should keep only known kinds', () => {
+  assert.deepStrictEqual(normalizeSkippedConfirmations(['clear-all', 'format-disk', 'delete-todo']), ['delete-todo', 'clear-all']);
+  assert.deepStrictEqual(normalizeSkippedConfirmations(null), []);
+  assert.deepStrictEqual(normalizeSkippedConfirmations({ 'clear-all': true }), []);
+});
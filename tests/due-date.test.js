@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  toDateKey,
+  toTimeKey,
+  isValidDateKey,
+  isValidTimeKey,
+  normalizeDue,
+  getDueStatus
+} from '../src/models/due-date.js';
+
+const NOW = new Date(2025, 2, 15, 12, 30); // 15 March 2025, 12:30 local time
+
+test('due-date - toDateKey and toTimeKey should use local time', () => {
+  assert.strictEqual(toDateKey(NOW), '2025-03-15');
+  assert.strictEqual(toTimeKey(NOW), '12:30');
+});
+
+test('due-date - isValidDateKey should reject impossible dates', () => {
+  assert.strictEqual(isValidDateKey('2025-03-15'), true);
+  assert.strictEqual(isValidDateKey('2025-02-30'), false);
+  assert.strictEqual(isValidDateKey('15/03/2025'), false);
+  assert.strictEqual(isValidDateKey(''), false);
+  assert.strictEqual(isValidDateKey(null), false);
+});
+
+test('due-date - isValidTimeKey should accept 24-hour times only', () => {
+  assert.strictEqual(isValidTimeKey('00:00'), true);
+  assert.strictEqual(isValidTimeKey('23:59'), true);
+  assert.strictEqual(isValidTimeKey('24:00'), false);
+  assert.strictEqual(isValidTimeKey('6pm'), false);
+});
+
+test('due-date - normalizeDue should drop invalid values and times without dates', () => {
+  assert.deepStrictEqual(normalizeDue({ dueDate: '2025-03-15', dueTime: '09:00' }), {
+    dueDate: '2025-03-15',
+    dueTime: '09:00'
+  });
+  assert.deepStrictEqual(normalizeDue({ dueDate: '', dueTime: '09:00' }), { dueDate: null, dueTime: null });
+  assert.deepStrictEqual(normalizeDue({ dueDate: '2025-03-15', dueTime: 'noon' }), {
+    dueDate: '2025-03-15',
+    dueTime: null
+  });
+  assert.deepStrictEqual(normalizeDue(), { dueDate: null, dueTime: null });
+});
+
+test('due-date - getDueStatus should classify by date', () => {
+  assert.strictEqual(getDueStatus({ completed: false, dueDate: '2025-03-14' }, NOW), 'overdue');
+  assert.strictEqual(getDueStatus({ completed: false, dueDate: '2025-03-15' }, NOW), 'today');
+  assert.strictEqual(getDueStatus({ completed: false, dueDate: '2025-03-16' }, NOW), 'upcoming');
+});
+
+test('due-date - getDueStatus should treat a passed time today as overdue', () => {
+  assert.strictEqual(getDueStatus({ completed: false, dueDate: '2025-03-15', dueTime: '12:00' }, NOW), 'overdue');
+  assert.strictEqual(getDueStatus({ completed: false, dueDate: '2025-03-15', dueTime: '18:00' }, NOW), 'today');
+});
+
+test('due-date - getDueStatus should ignore completed and undated todos', () => {
+  assert.strictEqual(getDueStatus({ completed: true, dueDate: '2025-03-14' }, NOW), null);
+  assert.strictEqual(getDueStatus({ completed: false }, NOW), null);
+});
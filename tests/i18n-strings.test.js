@@ -0,0 +1,271 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readdir, readFile } from 'node:fs/promises';
+
+const COMPONENTS_DIR = new URL('../src/components/', import.meta.url);
+
+/**
+ * Models and services whose messages and labels end up on screen, e.g.
+ * import errors in the review panel or sync errors in the status tooltip.
+ */
+const RENDERED_MODULES = [
+  'models/backup.js',
+  'models/confirmations.js',
+  'models/due-date.js',
+  'models/keybindings.js',
+  'models/priority.js',
+  'models/recurrence.js',
+  'models/text-formats.js',
+  'models/todo-model.js',
+  'services/sync-service.js'
+];
+
+/**
+ * Stand-in for a `${…}` expression in a template's static text.
+ */
+const HOLE = '\u0000';
+
+/**
+ * Finds the end of a template literal starting after its opening backtick.
+ * Returns the static parts of the template and the source of each expression.
+ *
+ * @param {string} source - File source
+ * @param {number} start - Index just after the opening backtick
+ * @returns {{end: number, statics: string, expressions: Array<string>}} Template parts
+ */
+function readTemplate(source, start) {
+  let statics = '';
+  const expressions = [];
+  let i = start;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      statics += source.slice(i, i + 2);
+      i += 2;
+    } else if (char === '`') {
+      return { end: i + 1, statics, expressions };
+    } else if (char === '$' && source[i + 1] === '{') {
+      const end = readExpression(source, i + 2);
+      expressions.push(source.slice(i + 2, end - 1));
+      statics += HOLE;
+      i = end;
+    } else {
+      statics += char;
+      i++;
+    }
+  }
+  throw new Error('Unterminated template literal');
+}
+
+/**
+ * Finds the end of a `${…}` expression, skipping strings and nested templates.
+ *
+ * @param {string} source - File source
+ * @param {number} start - Index just after the opening `${`
+ * @returns {number} Index just after the closing brace
+ */
+function readExpression(source, start) {
+  let depth = 1;
+  let i = start;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '`') {
+      i = readTemplate(source, i + 1).end;
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      i = skipString(source, i);
+      continue;
+    }
+    if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i + 1;
+    }
+    i++;
+  }
+  throw new Error('Unterminated expression');
+}
+
+/**
+ * Skips a quoted string literal.
+ *
+ * @param {string} source - File source
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index just after the closing quote
+ */
+function skipString(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote) {
+    i += source[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Splits a source file into its template literals and the code around them.
+ *
+ * @param {string} source - File source
+ * @returns {{code: string, templates: Array<{tag: string, statics: string, expressions: Array<string>}>}} Code with every template emptied, and every template found, nested ones included
+ */
+function scan(source) {
+  const templates = [];
+  let code = '';
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\'' || char === '"') {
+      const end = skipString(source, i);
+      code += source.slice(i, end);
+      i = end;
+    } else if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i);
+      i = end === -1 ? source.length : end + 2;
+    } else if (char === '/' && source[i + 1] === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (char === '`') {
+      const tag = /(\w*)$/.exec(code)[1];
+      const template = readTemplate(source, i + 1);
+      templates.push({ tag, statics: template.statics, expressions: template.expressions });
+      for (const expression of template.expressions) {
+        const nested = scan(expression);
+        templates.push(...nested.templates);
+        code += `(${nested.code})`;
+      }
+      code += '``';
+      i = template.end;
+    } else {
+      code += char;
+      i++;
+    }
+  }
+  return { code, templates };
+}
+
+/**
+ * Lists the user-visible text an `html` template hard-codes: text
+ * between tags, and the values of attributes that are read out or shown.
+ *
+ * @param {string} statics - Static text of a template
+ * @returns {Array<string>} Hard-coded strings
+ */
+function markupStrings(statics) {
+  const found = [];
+  const withoutComments = statics.replace(/<!--[\s\S]*?-->/g, '');
+  const attributes = /\s(aria-label|placeholder|title|alt|label)=("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributes.exec(withoutComments))) {
+    const value = match[3] ?? match[4];
+    if (/\p{L}/u.test(value.split(HOLE).join(''))) {
+      found.push(`${match[1]}="${value}"`);
+    }
+  }
+
+  const text = withoutComments.replace(/<[^>]*>/g, HOLE);
+  for (const chunk of text.split(HOLE)) {
+    if (/\p{L}/u.test(chunk)) {
+      found.push(chunk.trim());
+    }
+  }
+  return found;
+}
+
+/**
+ * Lists string literals that read like UI text: a capitalised word, as
+ * in 'Match', or several words, as in 'set aside in storage'. Key names
+ * such as 'Enter' are allowed.
+ *
+ * @param {string} code - Code with template literals emptied
+ * @returns {Array<string>} Literals that look like UI text
+ */
+function textLiterals(code) {
+  const found = [];
+  const pattern = /'((?:[^'\\\n]|\\.)*)'/g;
+  let match;
+  while ((match = pattern.exec(code))) {
+    const value = match[1];
+    if ((/^[A-Z][a-z]/.test(value) && !KEY_NAMES.has(value)) || /\p{L}{2,}\s+\p{L}{2,}/u.test(value)) {
+      found.push(value);
+    }
+  }
+  return found;
+}
+
+/**
+ * KeyboardEvent#key values and element names components compare against.
+ */
+const KEY_NAMES = new Set([
+  'Enter', 'Escape', 'Tab', 'Backspace', 'Delete', 'Home', 'End',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Shift', 'Control', 'Alt', 'Meta'
+]);
+
+/**
+ * Strings in models and services that are never shown: error class
+ * names, HTTP headers and quarantine reasons kept for manual recovery.
+ */
+const NON_UI_STRINGS = new Set(['BackupError', 'SyncError', 'Content-Type', 'items is not a list']);
+
+/**
+ * Lists the hard-coded UI text in a component's source.
+ *
+ * @param {string} source - File source
+ * @returns {Array<string>} Hard-coded strings
+ */
+function hardCodedStrings(source) {
+  // Console output is for developers, not users
+  const { code, templates } = scan(source.replace(/console\.\w+\([^;]*\);/g, ''));
+  return [
+    ...templates.filter(t => t.tag === 'html').flatMap(t => markupStrings(t.statics)),
+    ...templates
+      .filter(t => t.tag === '')
+      .map(t => t.statics.split(HOLE).join(' ').trim())
+      .filter(text => /\p{L}{2,}\s+\p{L}{2,}/u.test(text)),
+    ...textLiterals(code)
+  ].filter(string => !NON_UI_STRINGS.has(string));
+}
+
+test('i18n - components should not hard-code user-visible strings', async () => {
+  const files = (await readdir(COMPONENTS_DIR)).filter(file => file.endsWith('.js'));
+  assert.ok(files.length > 0);
+
+  const offenders = [];
+  for (const file of files) {
+    const source = await readFile(new URL(file, COMPONENTS_DIR), 'utf8');
+    offenders.push(...hardCodedStrings(source).map(string => `${file}: ${JSON.stringify(string)}`));
+  }
+
+  assert.deepStrictEqual(offenders, []);
+});
+
+test('i18n - models and services should not hard-code strings they hand to the UI', async () => {
+  const offenders = [];
+  for (const file of RENDERED_MODULES) {
+    const source = await readFile(new URL(`../src/${file}`, import.meta.url), 'utf8');
+    offenders.push(...hardCodedStrings(source).map(string => `${file}: ${JSON.stringify(string)}`));
+  }
+
+  assert.deepStrictEqual(offenders, []);
+});
+
+test('i18n - the string check should catch text, attributes and messages', () => {
+  const source = [
+    'html`<p title="Hint">Hello ${name}</p><span aria-label=${label}>🔗</span>`;',
+    'html`${items.map(item => html`<li>Item ${item}</li>`)}`;',
+    'html`<b class="count ${cls}">${n === 1 ? \'Match\' : t(\'stats.matches\')}</b>`;',
+    'this.showToast(\'Import failed: no todos found.\');',
+    'this.showToast(`${count} todos were set aside`);',
+    'this.dispatchEvent(new CustomEvent(\'toggle-todo\'));',
+    'if (e.key === \'Enter\') { go(`palette-option-${index}`); } // Not a string'
+  ].join('\n');
+
+  assert.deepStrictEqual(hardCodedStrings(source), [
+    'title="Hint"',
+    'Hello',
+    'Item',
+    'todos were set aside',
+    'Match',
+    'Import failed: no todos found.'
+  ]);
+});
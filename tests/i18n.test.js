@@ -0,0 +1,137 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  t,
+  getLocale,
+  setLocale,
+  subscribe,
+  matchLocale,
+  isValidLocale,
+  direction,
+  formatDate,
+  weekdayName,
+  formatList
+} from '../src/models/i18n.js';
+import { describeRecurrence } from '../src/models/recurrence.js';
+import { describeConfirmation } from '../src/models/confirmations.js';
+import { parseBackup, validateLists } from '../src/models/backup.js';
+import { formatKey } from '../src/models/keybindings.js';
+
+afterEach(() => setLocale(DEFAULT_LOCALE));
+
+/**
+ * Lists the placeholders a message uses, across all its plural forms.
+ *
+ * @param {string|Object<string, string>} message - Catalog message
+ * @returns {Array<string>} Sorted placeholder names
+ */
+function placeholders(message) {
+  const forms = typeof message === 'string' ? [message] : Object.values(message);
+  const names = new Set(forms.flatMap(form => [...form.matchAll(/\{(\w+)\}/g)].map(match => match[1])));
+  return [...names].sort();
+}
+
+test('i18n - t should fill placeholders and pick English plural forms', () => {
+  assert.strictEqual(t('history.added', { text: 'Buy milk' }), 'Added \'Buy milk\'');
+  assert.strictEqual(t('history.imported', { count: 1 }), 'Imported 1 todo');
+  assert.strictEqual(t('history.imported', { count: 0 }), 'Imported 0 todos');
+  assert.strictEqual(t('history.imported', { count: 1500 }), 'Imported 1,500 todos');
+  assert.strictEqual(t('stats.matches', { count: 1 }), 'Match');
+});
+
+test('i18n - t should use the plural rules and number format of the locale', () => {
+  setLocale('de');
+  assert.strictEqual(t('common.todos', { count: 1 }), '1 Aufgabe');
+  assert.strictEqual(t('common.todos', { count: 1500 }), '1.500 Aufgaben');
+
+  setLocale('ar');
+  const number = new Intl.NumberFormat('ar').format;
+  const forms = [0, 1, 2, 3, 11, 100].map(count => t('common.todos', { count }));
+  assert.deepStrictEqual(forms, [
+    'لا مهام', 'مهمة واحدة', 'مهمتان', `${number(3)} مهام`, `${number(11)} مهمة`, `${number(100)} مهمة`
+  ]);
+});
+
+test('i18n - t should fall back to English, then to the key', () => {
+  setLocale('de');
+  const { 'app.title': title } = LOCALES.de.messages;
+  delete LOCALES.de.messages['app.title'];
+  try {
+    assert.strictEqual(t('app.title'), 'My Tasks');
+  } finally {
+    LOCALES.de.messages['app.title'] = title;
+  }
+  assert.strictEqual(t('no.such.message'), 'no.such.message');
+  // A placeholder without a value is left in place
+  assert.strictEqual(t('history.added'), '„{text}“ hinzugefügt');
+});
+
+test('i18n - setLocale should tell subscribers and ignore unknown locales', () => {
+  const seen = [];
+  const unsubscribe = subscribe(locale => seen.push(locale));
+  setLocale('ar');
+  setLocale('ar');
+  setLocale('klingon');
+  unsubscribe();
+  setLocale('de');
+
+  assert.deepStrictEqual(seen, ['ar']);
+  assert.strictEqual(getLocale(), 'de');
+  assert.strictEqual(isValidLocale('klingon'), false);
+  assert.strictEqual(isValidLocale('toString'), false);
+});
+
+test('i18n - matchLocale should pick the first supported language', () => {
+  assert.strictEqual(matchLocale(['fr-FR', 'de-AT', 'en']), 'de');
+  assert.strictEqual(matchLocale(['AR-eg']), 'ar');
+  assert.strictEqual(matchLocale(['fr', 'ja']), DEFAULT_LOCALE);
+  assert.strictEqual(matchLocale(), DEFAULT_LOCALE);
+});
+
+test('i18n - dates, weekdays and lists should follow the locale', () => {
+  const date = new Date(2025, 2, 15);
+  assert.strictEqual(formatDate(date), 'Mar 15, 2025');
+  assert.strictEqual(formatDate('not a date'), '');
+  assert.strictEqual(weekdayName(1), 'Mon');
+  assert.strictEqual(formatList(['Mon', 'Wed']), 'Mon, Wed');
+  assert.strictEqual(direction(), 'ltr');
+
+  setLocale('de');
+  assert.strictEqual(formatDate(date), '15.03.2025');
+  assert.strictEqual(weekdayName(0, 'long'), 'Sonntag');
+  assert.strictEqual(describeRecurrence({ frequency: 'interval', days: 3 }), 'Alle 3 Tage');
+  assert.strictEqual(describeConfirmation('delete-todo', { count: 2 }).heading, '2 Aufgaben löschen?');
+
+  setLocale('ar');
+  assert.strictEqual(direction(), 'rtl');
+});
+
+test('i18n - import errors and key names should follow the locale', () => {
+  setLocale('de');
+
+  assert.throws(() => parseBackup('{'), { message: 'Die Datei ist kein gültiges JSON.' });
+  assert.deepStrictEqual(validateLists([{ id: 1, name: '', todos: [] }]).errors, [
+    { list: 'Liste 1', index: null, messages: ['Listenname muss 1–100 Zeichen lang sein'] }
+  ]);
+  assert.strictEqual(formatKey('ctrl+shift+pageup'), 'Strg+Umschalt+Bild ↑');
+  assert.strictEqual(formatKey('arrowup'), '↑');
+});
+
+test('i18n - every locale should translate every English message with the same placeholders', () => {
+  const english = LOCALES.en.messages;
+  for (const [locale, { messages }] of Object.entries(LOCALES)) {
+    assert.deepStrictEqual(Object.keys(messages).sort(), Object.keys(english).sort(), locale);
+    for (const [key, message] of Object.entries(messages)) {
+      assert.strictEqual(typeof message, typeof english[key], `${locale} ${key}`);
+      if (typeof message === 'object') {
+        assert.ok(typeof message.other === 'string', `${locale} ${key} needs an 'other' form`);
+      }
+      // Plural forms may leave the count out, as in "Match" or "مهمتان"
+      const expected = placeholders(english[key]).filter(name => name !== 'count');
+      const actual = placeholders(message).filter(name => name !== 'count');
+      assert.deepStrictEqual(actual, expected, `${locale} ${key}`);
+    }
+  }
+});
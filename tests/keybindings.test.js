@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  COMMANDS,
+  isValidKey,
+  keyFromEvent,
+  formatKey,
+  defaultKeybindings,
+  normalizeKeybindings,
+  setKeybinding,
+  findCommand
+} from '../src/models/keybindings.js';
+
+test('keybindings - keyFromEvent should write modifiers in a fixed order', () => {
+  assert.strictEqual(keyFromEvent({ key: 'j' }), 'j');
+  assert.strictEqual(keyFromEvent({ key: 'K', ctrlKey: true }), 'ctrl+k');
+  assert.strictEqual(keyFromEvent({ key: 'k', metaKey: true }), 'ctrl+k');
+  assert.strictEqual(keyFromEvent({ key: 'Z', ctrlKey: true, shiftKey: true }), 'ctrl+shift+z');
+  assert.strictEqual(keyFromEvent({ key: 'ArrowDown', altKey: true, shiftKey: true }), 'alt+shift+arrowdown');
+});
+
+test('keybindings - keyFromEvent should leave Shift out of symbols it is needed to type', () => {
+  assert.strictEqual(keyFromEvent({ key: '?', shiftKey: true }), '?');
+  assert.strictEqual(keyFromEvent({ key: 'Delete' }), 'delete');
+  assert.strictEqual(keyFromEvent({ key: ' ' }), 'space');
+  assert.strictEqual(keyFromEvent({ key: 'Shift', shiftKey: true }), null);
+  assert.strictEqual(keyFromEvent({ key: 'F13' }), null);
+});
+
+test('keybindings - isValidKey and formatKey should handle named keys and modifiers', () => {
+  assert.ok(isValidKey('ctrl+shift+z'));
+  assert.ok(isValidKey('enter'));
+  assert.ok(isValidKey('ctrl++'));
+  assert.ok(!isValidKey('shift+ctrl+z'));
+  assert.ok(!isValidKey('ctrl'));
+  assert.ok(!isValidKey('banana'));
+  assert.ok(!isValidKey(7));
+
+  assert.strictEqual(formatKey('ctrl+shift+z'), 'Ctrl+Shift+Z');
+  assert.strictEqual(formatKey('delete'), 'Delete');
+  assert.strictEqual(formatKey('ctrl++'), 'Ctrl++');
+  assert.strictEqual(formatKey('?'), '?');
+});
+
+test('keybindings - the defaults should bind every key at most once', () => {
+  const bindings = defaultKeybindings();
+  const keys = Object.values(bindings).flat();
+
+  assert.deepStrictEqual(Object.keys(bindings), COMMANDS.map(c => c.id));
+  assert.strictEqual(new Set(keys).size, keys.length);
+  assert.ok(keys.every(isValidKey));
+  assert.strictEqual(findCommand(bindings, 'j'), 'next-todo');
+  assert.strictEqual(findCommand(bindings, 'ctrl+y'), 'redo');
+  assert.strictEqual(findCommand(bindings, 'q'), null);
+  assert.strictEqual(findCommand(bindings, null), null);
+});
+
+test('keybindings - normalizeKeybindings should keep valid stored keys and default the rest', () => {
+  const bindings = normalizeKeybindings({ 'next-todo': ['arrowdown', 'bogus', 'arrowdown'], 'toggle-todo': [], unknown: ['q'] });
+
+  assert.deepStrictEqual(bindings['next-todo'], ['arrowdown']);
+  assert.deepStrictEqual(bindings['toggle-todo'], []);
+  assert.deepStrictEqual(bindings['previous-todo'], ['k']);
+  assert.ok(!('unknown' in bindings));
+  assert.deepStrictEqual(normalizeKeybindings('nonsense'), defaultKeybindings());
+});
+
+test('keybindings - setKeybinding should move a key that another command used', () => {
+  const defaults = defaultKeybindings();
+  const bindings = setKeybinding(defaults, 'toggle-todo', 'j');
+
+  assert.deepStrictEqual(bindings['toggle-todo'], ['j']);
+  assert.deepStrictEqual(bindings['next-todo'], []);
+  assert.deepStrictEqual(defaults['next-todo'], ['j']);
+  assert.strictEqual(setKeybinding(defaults, 'toggle-todo', 'nonsense'), defaults);
+  assert.strictEqual(setKeybinding(defaults, 'unknown', 'j'), defaults);
+});
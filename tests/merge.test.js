@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mergeLists, mergeTodos, preferLatestEdit, sameValue, touchChanged } from '../src/models/merge.js';
+
+/**
+ * Builds a minimal todo.
+ *
+ * @param {number} id - Todo id
+ * @param {string} text - Todo text
+ * @param {Object} [extra] - Other fields
+ * @returns {Object} Todo
+ */
+function todo(id, text, extra = {}) {
+  return { id, text, completed: false, createdAt: '2024-01-01T00:00:00.000Z', ...extra };
+}
+
+test('merge - sameValue should compare by content', () => {
+  assert.strictEqual(sameValue([todo(1, 'A')], [todo(1, 'A')]), true);
+  assert.strictEqual(sameValue(todo(1, 'A'), todo(1, 'B')), false);
+});
+
+test('merge - should take changes made on one side only', () => {
+  const base = [todo(1, 'A'), todo(2, 'B')];
+  const local = [todo(1, 'A', { completed: true }), todo(2, 'B')];
+  const remote = [todo(1, 'A'), todo(2, 'B edited')];
+
+  assert.deepStrictEqual(mergeTodos(base, local, remote), [
+    todo(1, 'A', { completed: true }),
+    todo(2, 'B edited')
+  ]);
+});
+
+test('merge - should merge a todo edited on both sides field by field, preferring local', () => {
+  const base = [todo(1, 'A', { priority: 'normal' })];
+  const local = [todo(1, 'A local', { priority: 'normal', completed: true })];
+  const remote = [todo(1, 'A remote', { priority: 'high' })];
+
+  assert.deepStrictEqual(mergeTodos(base, local, remote), [
+    todo(1, 'A local', { priority: 'high', completed: true })
+  ]);
+});
+
+test('merge - should keep deletions from either side', () => {
+  const base = [todo(1, 'A'), todo(2, 'B'), todo(3, 'C')];
+  const local = [todo(1, 'A', { completed: true }), todo(3, 'C')];
+  const remote = [todo(2, 'B'), todo(3, 'C')];
+
+  assert.deepStrictEqual(mergeTodos(base, local, remote), [todo(3, 'C')]);
+});
+
+test('merge - should keep additions from both sides and renumber clashing local ids', () => {
+  const base = [todo(1, 'A')];
+  const local = [todo(1, 'A'), todo(2, 'Local')];
+  const remote = [todo(1, 'A'), todo(2, 'Remote'), todo(3, 'Remote too')];
+
+  assert.deepStrictEqual(mergeTodos(base, local, remote).map(t => [t.id, t.text]), [
+    [1, 'A'],
+    [2, 'Remote'],
+    [3, 'Remote too'],
+    [4, 'Local']
+  ]);
+});
+
+test('merge - should not duplicate a todo added identically on both sides', () => {
+  const base = [];
+  const added = todo(1, 'Same');
+
+  assert.deepStrictEqual(mergeTodos(base, [added], [{ ...added }]), [added]);
+});
+
+test('merge - should follow the remote order unless the local change reordered', () => {
+  const base = [todo(1, 'A'), todo(2, 'B'), todo(3, 'C')];
+
+  const remoteReordered = mergeTodos(base, [...base, todo(4, 'D')], [todo(3, 'C'), todo(1, 'A'), todo(2, 'B')]);
+  assert.deepStrictEqual(remoteReordered.map(t => t.id), [3, 1, 2, 4]);
+
+  const localReordered = mergeTodos(base, [todo(2, 'B'), todo(1, 'A'), todo(3, 'C')], [...base, todo(4, 'D')]);
+  assert.deepStrictEqual(localReordered.map(t => t.id), [2, 1, 3, 4]);
+});
+
+test('merge - should not modify its inputs', () => {
+  const base = [todo(1, 'A')];
+  const local = [todo(1, 'A', { completed: true }), todo(2, 'New')];
+  const remote = [todo(1, 'A edited'), todo(2, 'Other')];
+  const copies = JSON.stringify([base, local, remote]);
+
+  mergeTodos(base, local, remote);
+
+  assert.strictEqual(JSON.stringify([base, local, remote]), copies);
+});
+
+test('merge - a conflicting field should go to the later edit with preferLatestEdit', () => {
+  const base = [todo(1, 'A', { updatedAt: '2024-01-01T00:00:00.000Z' })];
+  const local = [todo(1, 'Laptop', { updatedAt: '2024-01-02T00:00:00.000Z' })];
+  const remote = [todo(1, 'Phone', { completed: true, updatedAt: '2024-01-03T00:00:00.000Z' })];
+
+  assert.deepStrictEqual(mergeTodos(base, local, remote, preferLatestEdit), [
+    todo(1, 'Phone', { completed: true, updatedAt: '2024-01-03T00:00:00.000Z' })
+  ]);
+  assert.deepStrictEqual(mergeTodos(base, remote, local, preferLatestEdit), [
+    todo(1, 'Phone', { completed: true, updatedAt: '2024-01-03T00:00:00.000Z' })
+  ]);
+});
+
+test('merge - touchChanged should only stamp new and changed todos', () => {
+  const unchanged = todo(1, 'Same', { updatedAt: 'old' });
+  const result = touchChanged(
+    [unchanged, todo(2, 'Before', { updatedAt: 'old' })],
+    [unchanged, todo(2, 'After', { updatedAt: 'old' }), todo(3, 'New')],
+    'now'
+  );
+
+  assert.strictEqual(result[0], unchanged);
+  assert.deepStrictEqual(result.slice(1).map(t => t.updatedAt), ['now', 'now']);
+});
+
+test('merge - mergeLists should merge todos, names and additions per list', () => {
+  const base = [{ id: 1, name: 'Inbox', nextId: 2, todos: [todo(1, 'A')] }];
+  const local = [
+    { id: 1, name: 'Inbox', nextId: 3, todos: [todo(1, 'A'), todo(2, 'Laptop')] },
+    { id: 2, name: 'Work', nextId: 1, todos: [] }
+  ];
+  const remote = [
+    { id: 1, name: 'Home', nextId: 3, todos: [todo(1, 'A', { completed: true }), todo(2, 'Phone')] },
+    { id: 2, name: 'work', nextId: 2, todos: [todo(1, 'Report')] },
+    { id: 3, name: 'Errands', nextId: 1, todos: [] }
+  ];
+
+  const merged = mergeLists(base, local, remote);
+
+  assert.deepStrictEqual(merged.map(l => [l.id, l.name, l.nextId]), [[1, 'Home', 4], [2, 'Work', 2], [3, 'Errands', 1]]);
+  assert.deepStrictEqual(merged[0].todos.map(t => [t.id, t.text, t.completed]), [
+    [1, 'A', true],
+    [2, 'Phone', false],
+    [3, 'Laptop', false]
+  ]);
+  assert.deepStrictEqual(merged[1].todos.map(t => t.text), ['Report']);
+});
+
+test('merge - mergeLists should renumber a local list whose id was taken by a different list', () => {
+  const local = [{ id: 2, name: 'Work', nextId: 1, todos: [] }];
+  const remote = [{ id: 2, name: 'Home', nextId: 1, todos: [] }];
+
+  assert.deepStrictEqual(mergeLists([], local, remote).map(l => [l.id, l.name]), [[2, 'Home'], [3, 'Work']]);
+});
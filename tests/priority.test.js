@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { isValidPriority, getPriority, compareByPriority } from '../src/models/priority.js';
+
+test('priority - isValidPriority should accept the four levels only', () => {
+  assert.strictEqual(isValidPriority('low'), true);
+  assert.strictEqual(isValidPriority('normal'), true);
+  assert.strictEqual(isValidPriority('high'), true);
+  assert.strictEqual(isValidPriority('urgent'), true);
+  assert.strictEqual(isValidPriority('critical'), false);
+  assert.strictEqual(isValidPriority(undefined), false);
+});
+
+test('priority - getPriority should default to normal', () => {
+  assert.strictEqual(getPriority({}), 'normal');
+  assert.strictEqual(getPriority({ priority: 'bogus' }), 'normal');
+  assert.strictEqual(getPriority({ priority: 'urgent' }), 'urgent');
+});
+
+test('priority - compareByPriority should order most urgent first and keep ties stable', () => {
+  const todos = [
+    { id: 1, priority: 'low' },
+    { id: 2 },
+    { id: 3, priority: 'urgent' },
+    { id: 4, priority: 'high' },
+    { id: 5, priority: 'normal' },
+    { id: 6, priority: 'urgent' }
+  ];
+
+  const sorted = [...todos].sort(compareByPriority).map(t => t.id);
+
+  assert.deepStrictEqual(sorted, [3, 6, 4, 2, 5, 1]);
+});
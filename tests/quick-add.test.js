@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseQuickAdd, escapeQuickAdd, formatQuickAdd } from '../src/models/quick-add.js';
+
+const NOW = new Date(2025, 2, 12, 9, 0); // Wednesday 12 March 2025, 09:00 local time
+
+test('quick-add - should parse date, time, priority, tags and recurrence together', () => {
+  assert.deepStrictEqual(parseQuickAdd('Call mom tomorrow 6pm !high #family every sunday', NOW), {
+    text: 'Call mom',
+    tags: ['family'],
+    dueDate: '2025-03-13',
+    dueTime: '18:00',
+    priority: 'high',
+    recurrence: { frequency: 'weekly', weekdays: [0] }
+  });
+});
+
+test('quick-add - should leave plain text alone', () => {
+  assert.deepStrictEqual(parseQuickAdd('  Buy 2 apples at the market ', NOW), {
+    text: 'Buy 2 apples at the market',
+    tags: [],
+    dueDate: null,
+    dueTime: null,
+    priority: null,
+    recurrence: null
+  });
+  assert.strictEqual(parseQuickAdd('Buy sun cream', NOW).dueDate, null);
+  assert.strictEqual(parseQuickAdd('Fix the !important bug', NOW).text, 'Fix the !important bug');
+});
+
+test('quick-add - should understand relative and absolute dates', () => {
+  const due = input => parseQuickAdd(`Task ${input}`, NOW).dueDate;
+
+  assert.strictEqual(due('today'), '2025-03-12');
+  assert.strictEqual(due('friday'), '2025-03-14');
+  assert.strictEqual(due('on wednesday'), '2025-03-12');
+  assert.strictEqual(due('next wed'), '2025-03-19');
+  assert.strictEqual(due('next week'), '2025-03-17');
+  assert.strictEqual(due('next month'), '2025-04-01');
+  assert.strictEqual(due('in 3 days'), '2025-03-15');
+  assert.strictEqual(due('in 2 weeks'), '2025-03-26');
+  assert.strictEqual(due('due 2025-04-01'), '2025-04-01');
+  assert.strictEqual(due('by Mar 20th'), '2025-03-20');
+  assert.strictEqual(due('1 March'), '2026-03-01');
+  assert.strictEqual(due('Feb 30'), null);
+});
+
+test('quick-add - should understand 12- and 24-hour times', () => {
+  const time = input => parseQuickAdd(`Task ${input}`, NOW);
+
+  assert.deepStrictEqual([time('at 6:30 pm').dueDate, time('at 6:30 pm').dueTime], ['2025-03-12', '18:30']);
+  assert.strictEqual(time('12am').dueTime, '00:00');
+  assert.strictEqual(time('noon').dueTime, '12:00');
+  assert.strictEqual(time('tomorrow 07:15').dueTime, '07:15');
+  assert.strictEqual(time('at 13pm').dueTime, null);
+});
+
+test('quick-add - should understand recurrence phrases', () => {
+  const rule = input => parseQuickAdd(`Task ${input}`, NOW).recurrence;
+
+  assert.deepStrictEqual(rule('daily'), { frequency: 'daily' });
+  assert.strictEqual(parseQuickAdd('Write weekly report', NOW).recurrence, null);
+  assert.strictEqual(parseQuickAdd('Write weekly report', NOW).text, 'Write weekly report');
+  assert.strictEqual(parseQuickAdd('Review monthly budget tomorrow', NOW).text, 'Review monthly budget');
+  assert.strictEqual(parseQuickAdd('Daily standup notes', NOW).recurrence, null);
+  assert.deepStrictEqual(rule('every other day'), { frequency: 'interval', days: 2 });
+  assert.deepStrictEqual(rule('every 3 days'), { frequency: 'interval', days: 3 });
+  assert.deepStrictEqual(rule('every 2 weeks'), { frequency: 'interval', days: 14 });
+  assert.deepStrictEqual(rule('every weekday'), { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] });
+  assert.deepStrictEqual(rule('every mon, wed and fri'), { frequency: 'weekly', weekdays: [1, 3, 5] });
+  assert.deepStrictEqual(rule('friday weekly'), { frequency: 'weekly', weekdays: [5] });
+  assert.deepStrictEqual(rule('every 15th'), { frequency: 'monthly', day: 15 });
+  assert.deepStrictEqual(rule('every month on the 1st'), { frequency: 'monthly', day: 1 });
+  assert.deepStrictEqual(rule('monthly'), { frequency: 'monthly', day: 12 });
+});
+
+test('quick-add - a repeating todo without a date should be due on its first occurrence', () => {
+  assert.strictEqual(parseQuickAdd('Standup every weekday', NOW).dueDate, '2025-03-12');
+  assert.strictEqual(parseQuickAdd('Water plants every 3 days', NOW).dueDate, '2025-03-12');
+  assert.strictEqual(parseQuickAdd('Pay rent every 1st', NOW).dueDate, '2025-04-01');
+});
+
+test('quick-add - should only use the first mention of each field', () => {
+  const parsed = parseQuickAdd('Move meeting from today to tomorrow !low !high', NOW);
+
+  assert.strictEqual(parsed.text, 'Move meeting from to tomorrow !high');
+  assert.strictEqual(parsed.dueDate, '2025-03-12');
+  assert.strictEqual(parsed.priority, 'low');
+});
+
+test('quick-add - should keep the input as text when it only contains fields', () => {
+  assert.deepStrictEqual(parseQuickAdd('Tomorrow', NOW), {
+    text: 'Tomorrow', tags: [], dueDate: '2025-03-13', dueTime: null, priority: null, recurrence: null
+  });
+});
+
+test('quick-add - a word with a leading backslash should stay text', () => {
+  const parsed = parseQuickAdd('Review \\monday notes \\!high \\', NOW);
+
+  assert.strictEqual(parsed.text, 'Review monday notes !high \\');
+  assert.strictEqual(parsed.dueDate, null);
+  assert.strictEqual(parsed.priority, null);
+});
+
+test('quick-add - escapeQuickAdd should protect every word that would be read as a field', () => {
+  const text = 'Meet on friday at 6pm, not \\later, every day';
+
+  assert.strictEqual(escapeQuickAdd(text, NOW), 'Meet \\on \\friday \\at \\6pm, not \\\\later, \\every day');
+  assert.deepStrictEqual(parseQuickAdd(escapeQuickAdd(text, NOW), NOW), {
+    text, tags: [], dueDate: null, dueTime: null, priority: null, recurrence: null
+  });
+});
+
+test('quick-add - formatQuickAdd should write fields that parse back to the same values', () => {
+  const fields = {
+    dueDate: '2025-03-21',
+    dueTime: '07:30',
+    priority: 'high',
+    recurrence: { frequency: 'weekly', weekdays: [1, 3, 5] }
+  };
+
+  assert.strictEqual(formatQuickAdd(fields), '2025-03-21 07:30 !high every monday, wednesday and friday');
+  assert.deepStrictEqual(parseQuickAdd(`Task ${formatQuickAdd(fields)}`, NOW), { text: 'Task', tags: [], ...fields });
+  assert.strictEqual(formatQuickAdd({ priority: 'normal' }), '');
+  assert.strictEqual(formatQuickAdd({ recurrence: { frequency: 'monthly', day: 22 } }), 'every 22nd');
+  assert.strictEqual(formatQuickAdd({ recurrence: { frequency: 'monthly', day: 12 } }), 'every 12th');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeRecurrence,
+  nextOccurrence,
+  describeRecurrence
+} from '../src/models/recurrence.js';
+
+const NOW = new Date(2025, 2, 15, 12, 30); // Saturday 15 March 2025, 12:30 local time
+
+test('recurrence - normalizeRecurrence should accept the four kinds of rule', () => {
+  assert.deepStrictEqual(normalizeRecurrence({ frequency: 'daily', days: 4 }), { frequency: 'daily' });
+  assert.deepStrictEqual(normalizeRecurrence({ frequency: 'weekly', weekdays: [5, '1', 1, 9] }), { frequency: 'weekly', weekdays: [1, 5] });
+  assert.deepStrictEqual(normalizeRecurrence({ frequency: 'monthly', day: '31' }), { frequency: 'monthly', day: 31 });
+  assert.deepStrictEqual(normalizeRecurrence({ frequency: 'interval', days: 3 }), { frequency: 'interval', days: 3 });
+});
+
+test('recurrence - normalizeRecurrence should reject invalid rules', () => {
+  assert.strictEqual(normalizeRecurrence(null), null);
+  assert.strictEqual(normalizeRecurrence('daily'), null);
+  assert.strictEqual(normalizeRecurrence({ frequency: 'yearly' }), null);
+  assert.strictEqual(normalizeRecurrence({ frequency: 'weekly', weekdays: [] }), null);
+  assert.strictEqual(normalizeRecurrence({ frequency: 'monthly', day: 32 }), null);
+  assert.strictEqual(normalizeRecurrence({ frequency: 'interval', days: 0 }), null);
+  assert.strictEqual(normalizeRecurrence({ frequency: 'interval', days: 1.5 }), null);
+});
+
+test('recurrence - nextOccurrence should advance daily and every-N-days rules from the due date', () => {
+  assert.strictEqual(nextOccurrence({ frequency: 'daily' }, '2025-03-15', NOW), '2025-03-16');
+  assert.strictEqual(nextOccurrence({ frequency: 'interval', days: 3 }, '2025-03-16', NOW), '2025-03-19');
+  assert.strictEqual(nextOccurrence({ frequency: 'interval', days: 3 }, '2025-03-30', NOW), '2025-04-02');
+});
+
+test('recurrence - nextOccurrence should find the next chosen weekday', () => {
+  const weekdays = { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] };
+
+  assert.strictEqual(nextOccurrence(weekdays, '2025-03-14', NOW), '2025-03-17'); // Friday to Monday
+  assert.strictEqual(nextOccurrence(weekdays, '2025-03-17', NOW), '2025-03-18');
+  assert.strictEqual(nextOccurrence({ frequency: 'weekly', weekdays: [6] }, '2025-03-15', NOW), '2025-03-22');
+});
+
+test('recurrence - nextOccurrence should clamp monthly rules to short months', () => {
+  const endOfMonth = { frequency: 'monthly', day: 31 };
+
+  assert.strictEqual(nextOccurrence(endOfMonth, '2025-03-31', NOW), '2025-04-30');
+  assert.strictEqual(nextOccurrence(endOfMonth, '2025-04-30', NOW), '2025-05-31');
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', day: 20 }, '2025-03-16', NOW), '2025-03-20');
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', day: 1 }, '2025-12-01', NOW), '2026-01-01');
+});
+
+test('recurrence - nextOccurrence should skip occurrences that are already past', () => {
+  assert.strictEqual(nextOccurrence({ frequency: 'daily' }, '2025-03-01', NOW), '2025-03-16');
+  assert.strictEqual(nextOccurrence({ frequency: 'interval', days: 7 }, '2025-03-01', NOW), '2025-03-22');
+});
+
+test('recurrence - nextOccurrence should start from today without a due date', () => {
+  assert.strictEqual(nextOccurrence({ frequency: 'daily' }, null, NOW), '2025-03-16');
+  assert.strictEqual(nextOccurrence({ frequency: 'bogus' }, '2025-03-15', NOW), null);
+});
+
+test('recurrence - describeRecurrence should summarize rules', () => {
+  assert.strictEqual(describeRecurrence({ frequency: 'daily' }), 'Every day');
+  assert.strictEqual(describeRecurrence({ frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }), 'Every weekday');
+  assert.strictEqual(describeRecurrence({ frequency: 'weekly', weekdays: [3, 1] }), 'Every Mon, Wed');
+  assert.strictEqual(describeRecurrence({ frequency: 'monthly', day: 15 }), 'Monthly on day 15');
+  assert.strictEqual(describeRecurrence({ frequency: 'interval', days: 3 }), 'Every 3 days');
+  assert.strictEqual(describeRecurrence(null), '');
+});
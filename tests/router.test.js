@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseRoute, formatRoute } from '../src/services/router.js';
+
+test('parseRoute - should read filter routes', () => {
+  assert.deepStrictEqual(parseRoute('#/active'), { filter: 'active' });
+  assert.deepStrictEqual(parseRoute('#/completed/'), { filter: 'completed' });
+  assert.deepStrictEqual(parseRoute('#overdue'), { filter: 'overdue' });
+});
+
+test('parseRoute - should read todo routes', () => {
+  assert.deepStrictEqual(parseRoute('#/todo/42'), { todoId: 42 });
+  assert.deepStrictEqual(parseRoute('#/todo/abc'), { filter: 'all' });
+});
+
+test('parseRoute - should read the statistics route', () => {
+  assert.deepStrictEqual(parseRoute('#/stats'), { view: 'stats' });
+  assert.deepStrictEqual(parseRoute('#/stats/'), { view: 'stats' });
+});
+
+test('parseRoute - should treat an empty or unknown hash as every todo', () => {
+  assert.deepStrictEqual(parseRoute(''), { filter: 'all' });
+  assert.deepStrictEqual(parseRoute('#/'), { filter: 'all' });
+  assert.deepStrictEqual(parseRoute('#/archive'), { filter: 'all' });
+  assert.deepStrictEqual(parseRoute(undefined), { filter: 'all' });
+});
+
+test('formatRoute - should build hashes that parse back to the same route', () => {
+  assert.strictEqual(formatRoute({ filter: 'all' }), '#/');
+  assert.strictEqual(formatRoute({ filter: 'today' }), '#/today');
+  assert.strictEqual(formatRoute({ todoId: 7 }), '#/todo/7');
+
+  assert.strictEqual(formatRoute({ view: 'stats' }), '#/stats');
+
+  for (const route of [{ filter: 'all' }, { filter: 'upcoming' }, { todoId: 12 }, { view: 'stats' }]) {
+    assert.deepStrictEqual(parseRoute(formatRoute(route)), route);
+  }
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  migrateTodos,
+  normalizeTodo,
+  repairTodos
+} from '../src/models/schema.js';
+
+const createdAt = '2024-01-01T00:00:00.000Z';
+const now = '2024-06-01T12:00:00.000Z';
+
+test('schema - SCHEMA_VERSION should be the last migration version', () => {
+  assert.strictEqual(SCHEMA_VERSION, MIGRATIONS[MIGRATIONS.length - 1].version);
+  MIGRATIONS.forEach((migration, index) => {
+    assert.strictEqual(migration.version, index + 2);
+  });
+});
+
+test('schema - migrateTodos should add the later fields to version 1 records', () => {
+  const [todo] = migrateTodos([{ id: 1, text: 'Old', completed: false, createdAt }], 1);
+
+  assert.deepStrictEqual(todo, {
+    completedAt: null,
+    recurrence: null,
+    updatedAt: createdAt,
+    dueDate: null, dueTime: null, priority: 'normal', tags: [], subtasks: [],
+    id: 1, text: 'Old', completed: false, createdAt
+  });
+});
+
+test('schema - migrateTodos should only run the migrations after the stored version', () => {
+  const [todo] = migrateTodos([{ id: 1, text: 'Old', completed: false, createdAt, priority: 'high' }], 2);
+
+  assert.deepStrictEqual(todo, { completedAt: null, recurrence: null, updatedAt: createdAt, id: 1, text: 'Old', completed: false, createdAt, priority: 'high' });
+});
+
+test('schema - migrateTodos should keep existing values and skip applied migrations', () => {
+  const record = { id: 1, text: 'Old', completed: false, createdAt, priority: 'high' };
+
+  assert.strictEqual(migrateTodos([record], 1)[0].priority, 'high');
+  assert.strictEqual(migrateTodos([record], SCHEMA_VERSION)[0], record);
+});
+
+test('schema - migrateTodos should pass non-objects through untouched', () => {
+  assert.deepStrictEqual(migrateTodos([null, 'text', [1]], 1), [null, 'text', [1]]);
+});
+
+test('schema - normalizeTodo should drop unknown fields and invalid optional values', () => {
+  const todo = normalizeTodo({
+    id: 3, text: ' Trim me ', completed: true, createdAt,
+    dueDate: 'tomorrow', priority: 'critical', tags: ['Work', 'work'],
+    subtasks: [{ id: 1, text: 'Step', completed: 'yes' }, { text: 'No id' }],
+    recurrence: { frequency: 'weekly', weekdays: [] },
+    extra: 'ignored'
+  });
+
+  assert.deepStrictEqual(todo, {
+    id: 3, text: 'Trim me', completed: true, createdAt, updatedAt: createdAt, completedAt: null,
+    dueDate: null, dueTime: null, priority: 'normal', tags: ['work'],
+    subtasks: [{ id: 1, text: 'Step', completed: false }],
+    recurrence: null
+  });
+});
+
+test('schema - normalizeTodo should keep the completion time of completed todos only', () => {
+  const completedAt = '2024-02-01T09:30:00.000Z';
+  const base = { id: 1, text: 'Done', createdAt };
+
+  assert.strictEqual(normalizeTodo({ ...base, completed: true, completedAt }).completedAt, completedAt);
+  assert.strictEqual(normalizeTodo({ ...base, completed: true, completedAt: 'yesterday' }).completedAt, null);
+  assert.strictEqual(normalizeTodo({ ...base, completed: false, completedAt }).completedAt, null);
+});
+
+test('schema - repairTodos should leave valid records unchanged', () => {
+  const records = migrateTodos([{ id: 1, text: 'Fine', completed: false, createdAt }], 1);
+  const result = repairTodos(records, now);
+
+  assert.deepStrictEqual(result.todos, records);
+  assert.strictEqual(result.repaired, 0);
+  assert.deepStrictEqual(result.quarantined, []);
+});
+
+test('schema - repairTodos should assign ids to missing, invalid and duplicate ids', () => {
+  const result = repairTodos([
+    { id: 2, text: 'A', completed: false, createdAt },
+    { text: 'B', completed: false, createdAt },
+    { id: 2, text: 'C', completed: false, createdAt },
+    { id: -1, text: 'D', completed: false, createdAt },
+    { id: 7, text: 'E', completed: false, createdAt }
+  ], now);
+
+  assert.deepStrictEqual(result.todos.map(t => t.id), [2, 8, 9, 10, 7]);
+  assert.strictEqual(result.repaired, 3);
+});
+
+test('schema - repairTodos should coerce text, completed and createdAt', () => {
+  const result = repairTodos([
+    { id: 1, text: 2024, completed: 'yes', createdAt: 'never' },
+    { id: 2, text: ` ${'x'.repeat(500)} `, completed: true, createdAt }
+  ], now);
+
+  assert.deepStrictEqual(result.todos.map(t => [t.text.length, t.completed, t.createdAt]), [
+    [4, false, now],
+    [500, true, createdAt]
+  ]);
+  assert.strictEqual(result.todos[0].text, '2024');
+  assert.strictEqual(result.repaired, 2);
+});
+
+test('schema - repairTodos should quarantine records it cannot repair', () => {
+  const result = repairTodos([
+    null,
+    'just text',
+    { id: 1, completed: false },
+    { id: 2, text: '  ', completed: false },
+    { id: 3, text: { nested: true }, completed: false },
+    { id: 4, text: 'Kept', completed: false, createdAt },
+    { id: 5, text: 'x'.repeat(501), completed: false, createdAt }
+  ], now);
+
+  assert.deepStrictEqual(result.todos.map(t => t.text), ['Kept']);
+  assert.deepStrictEqual(result.quarantined.map(q => q.reason), [
+    'not an object',
+    'not an object',
+    'text is missing or empty',
+    'text is missing or empty',
+    'text is missing or empty',
+    'text is too long'
+  ]);
+  assert.strictEqual(result.quarantined[1].record, 'just text');
+});
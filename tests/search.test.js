@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { normalizeSearchText, normalizeQuery, findMatches, matchesSearch, fuzzyScore } from '../src/models/search.js';
+
+test('search - normalizeSearchText should ignore case and accents', () => {
+  assert.strictEqual(normalizeSearchText('Crème Brûlée'), 'creme brulee');
+  assert.strictEqual(normalizeSearchText('ÉTÉ'), 'ete');
+  assert.strictEqual(normalizeSearchText(null), '');
+});
+
+test('search - normalizeQuery should trim and reject non-strings', () => {
+  assert.strictEqual(normalizeQuery('  milk '), 'milk');
+  assert.strictEqual(normalizeQuery(undefined), '');
+});
+
+test('search - findMatches should return ranges in the original text', () => {
+  assert.deepStrictEqual(findMatches('Buy milk, more MILK', 'milk'), [
+    { start: 4, end: 8 },
+    { start: 15, end: 19 }
+  ]);
+});
+
+test('search - findMatches should map accent-insensitive matches back to the original text', () => {
+  // The first café is decomposed (e + combining accent), the second precomposed
+  const text = 'Visit the cafe\u0301 and Caf\u00e9';
+  const ranges = findMatches(text, 'CAFE');
+
+  assert.deepStrictEqual(ranges.map(({ start, end }) => text.slice(start, end)), ['café', 'Café']);
+});
+
+test('search - findMatches should return nothing for an empty query', () => {
+  assert.deepStrictEqual(findMatches('Buy milk', '   '), []);
+});
+
+test('search - matchesSearch should look at text, tags and checklist items', () => {
+  const todo = { text: 'Pack', tags: ['travel'], subtasks: [{ id: 1, text: 'Passport', completed: false }] };
+
+  assert.strictEqual(matchesSearch(todo, 'pack'), true);
+  assert.strictEqual(matchesSearch(todo, 'TRAV'), true);
+  assert.strictEqual(matchesSearch(todo, 'passport'), true);
+  assert.strictEqual(matchesSearch(todo, 'tickets'), false);
+  assert.strictEqual(matchesSearch(todo, ''), true);
+});
+
+test('search - fuzzyScore should match characters in order, ignoring case and accents', () => {
+  assert.ok(fuzzyScore('Show active todos', 'shac') !== null);
+  assert.ok(fuzzyScore('Crème brûlée', 'crbr') !== null);
+  assert.strictEqual(fuzzyScore('Show active todos', 'cash'), null);
+  assert.strictEqual(fuzzyScore('Anything', '  '), 0);
+});
+
+test('search - fuzzyScore should rank word starts and runs above scattered matches', () => {
+  const wordStart = fuzzyScore('Toggle dark mode', 'dm');
+  const scattered = fuzzyScore('Redo some', 'dm');
+  assert.ok(wordStart > scattered);
+
+  assert.ok(fuzzyScore('Undo', 'undo') > fuzzyScore('Update the roadmap doc', 'undo'));
+});
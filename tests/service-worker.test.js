@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { registerServiceWorker, applyUpdate } from '../src/services/service-worker.js';
+
+/**
+ * Minimal EventTarget-based stand-in for a ServiceWorker.
+ */
+class FakeWorker extends EventTarget {
+  constructor(state) {
+    super();
+    this.state = state;
+    this.messages = [];
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.dispatchEvent(new Event('statechange'));
+  }
+}
+
+/**
+ * Stand-in for navigator.serviceWorker with one registration.
+ */
+class FakeContainer extends EventTarget {
+  constructor({ controller = null, waiting = null } = {}) {
+    super();
+    this.controller = controller;
+    this.registration = new EventTarget();
+    this.registration.waiting = waiting;
+    this.registration.installing = null;
+    this.registered = [];
+  }
+
+  async register(url) {
+    this.registered.push(url);
+    return this.registration;
+  }
+
+  /**
+   * Simulates the browser finding and installing a new build.
+   */
+  installUpdate() {
+    const worker = new FakeWorker('installing');
+    this.registration.installing = worker;
+    this.registration.dispatchEvent(new Event('updatefound'));
+    this.registration.installing = null;
+    this.registration.waiting = worker;
+    worker.setState('installed');
+    return worker;
+  }
+}
+
+test('registerServiceWorker - should do nothing without service worker support', async () => {
+  assert.strictEqual(await registerServiceWorker({ container: null }), null);
+});
+
+test('registerServiceWorker - should not report the first install as an update', async () => {
+  const container = new FakeContainer();
+  const updates = [];
+
+  const registration = await registerServiceWorker({ container, onUpdateReady: r => updates.push(r) });
+  container.installUpdate();
+
+  assert.strictEqual(registration, container.registration);
+  assert.deepStrictEqual(container.registered, ['/sw.js']);
+  assert.deepStrictEqual(updates, []);
+});
+
+test('registerServiceWorker - should report a new build once it is installed', async () => {
+  const container = new FakeContainer({ controller: new FakeWorker('activated') });
+  const updates = [];
+
+  await registerServiceWorker({ container, onUpdateReady: r => updates.push(r) });
+  assert.deepStrictEqual(updates, []);
+
+  container.installUpdate();
+  assert.deepStrictEqual(updates, [container.registration]);
+});
+
+test('registerServiceWorker - should report an update that was already waiting', async () => {
+  const container = new FakeContainer({ controller: new FakeWorker('activated'), waiting: new FakeWorker('installed') });
+  const updates = [];
+
+  await registerServiceWorker({ container, onUpdateReady: r => updates.push(r) });
+
+  assert.strictEqual(updates.length, 1);
+});
+
+test('registerServiceWorker - should log and give up when registration fails', async () => {
+  const container = new FakeContainer();
+  container.register = async () => {
+    throw new Error('blocked');
+  };
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args);
+
+  const registration = await registerServiceWorker({ container });
+  console.error = originalError;
+
+  assert.strictEqual(registration, null);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('applyUpdate - should activate the waiting worker and reload once it takes over', async () => {
+  const container = new FakeContainer({ controller: new FakeWorker('activated') });
+  const registration = await registerServiceWorker({ container });
+  const worker = container.installUpdate();
+  let reloads = 0;
+
+  assert.strictEqual(applyUpdate(registration, { container, reload: () => reloads++ }), true);
+  assert.deepStrictEqual(worker.messages, [{ type: 'SKIP_WAITING' }]);
+  assert.strictEqual(reloads, 0);
+
+  container.dispatchEvent(new Event('controllerchange'));
+  container.dispatchEvent(new Event('controllerchange'));
+  assert.strictEqual(reloads, 1);
+});
+
+test('applyUpdate - should return false when nothing is waiting', () => {
+  const container = new FakeContainer();
+
+  assert.strictEqual(applyUpdate(container.registration, { container, reload: () => {} }), false);
+});
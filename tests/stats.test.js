@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  completionsPerDay,
+  completionsPerWeek,
+  averageCompletionTime,
+  completionStreaks,
+  busiestWeekday,
+  durationParts,
+  productivityStats
+} from '../src/models/stats.js';
+
+// Wednesday 13 March 2024, mid-afternoon local time
+const now = new Date(2024, 2, 13, 15, 0);
+
+/**
+ * Builds a completion log entry for a local date and hour.
+ *
+ * @param {number} day - Day of March 2024
+ * @param {number} [hour=12] - Hour of completion
+ * @param {Object} [fields={}] - Fields to override
+ * @returns {{createdAt: string, completedAt: string}} Completion
+ */
+function done(day, hour = 12, fields = {}) {
+  return {
+    createdAt: new Date(2024, 2, day, hour - 2).toISOString(),
+    completedAt: new Date(2024, 2, day, hour).toISOString(),
+    ...fields
+  };
+}
+
+test('stats - completionsPerDay should count completions on each of the last days', () => {
+  const completions = [done(13), done(13, 9), done(11), done(1)];
+
+  assert.deepStrictEqual(completionsPerDay(completions, 4, now), [
+    { start: '2024-03-10', count: 0 },
+    { start: '2024-03-11', count: 1 },
+    { start: '2024-03-12', count: 0 },
+    { start: '2024-03-13', count: 2 }
+  ]);
+});
+
+test('stats - completionsPerWeek should count completions in weeks starting on Monday', () => {
+  // 11 March 2024 is a Monday; 10 March is the Sunday before it
+  const completions = [done(11), done(13), done(10), done(4), done(3)];
+
+  assert.deepStrictEqual(completionsPerWeek(completions, 3, now), [
+    { start: '2024-02-26', count: 1 },
+    { start: '2024-03-04', count: 2 },
+    { start: '2024-03-11', count: 2 }
+  ]);
+});
+
+test('stats - completions without a valid completion time should be left out', () => {
+  const completions = [done(13, 12, { completedAt: null }), done(13, 12, { completedAt: 'garbage' }), done(13)];
+
+  assert.strictEqual(productivityStats(completions, now).completed, 1);
+  assert.strictEqual(averageCompletionTime([done(13, 12, { completedAt: null })]), null);
+});
+
+test('stats - averageCompletionTime should average from creation to completion', () => {
+  const completions = [
+    done(12, 12, { createdAt: new Date(2024, 2, 12, 11).toISOString() }),
+    done(12, 12, { createdAt: new Date(2024, 2, 12, 9).toISOString() }),
+    // Completed before it was created, e.g. an imported todo: skipped
+    done(12, 12, { createdAt: new Date(2024, 2, 14).toISOString() })
+  ];
+
+  assert.strictEqual(averageCompletionTime(completions), 2 * 60 * 60 * 1000);
+});
+
+test('stats - completionStreaks should find the current and best runs of days', () => {
+  const completions = [done(1), done(2), done(3), done(4), done(10), done(11), done(12), done(12, 18)];
+
+  // Nothing yet today, but the streak up to yesterday still counts
+  assert.deepStrictEqual(completionStreaks(completions, now), { current: 3, best: 4 });
+  assert.deepStrictEqual(completionStreaks([...completions, done(13)], now), { current: 4, best: 4 });
+  assert.deepStrictEqual(completionStreaks(completions, new Date(2024, 2, 14, 8)), { current: 0, best: 4 });
+  assert.deepStrictEqual(completionStreaks([], now), { current: 0, best: 0 });
+});
+
+test('stats - busiestWeekday should pick the weekday with most completions', () => {
+  // 4 and 11 March are Mondays, 6 March a Wednesday
+  assert.deepStrictEqual(busiestWeekday([done(4), done(11), done(6)]), { day: 1, count: 2 });
+  // Ties go to the earlier day from Monday, so Sunday comes last
+  assert.deepStrictEqual(busiestWeekday([done(10), done(6)]), { day: 3, count: 1 });
+  assert.strictEqual(busiestWeekday([]), null);
+});
+
+test('stats - durationParts should use the largest readable unit', () => {
+  assert.deepStrictEqual(durationParts(20 * 1000), { unit: 'minutes', count: 1 });
+  assert.deepStrictEqual(durationParts(45 * 60 * 1000), { unit: 'minutes', count: 45 });
+  assert.deepStrictEqual(durationParts(5.25 * 60 * 60 * 1000), { unit: 'hours', count: 5.3 });
+  assert.deepStrictEqual(durationParts(36 * 60 * 60 * 1000), { unit: 'days', count: 1.5 });
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { StorageService } from '../src/services/storage-service.js';
+import { MemoryAdapter } from '../src/services/adapters/memory-adapter.js';
+import { createStorageService } from '../src/services/storage-backends.js';
+import { TodoModel } from '../src/models/todo-model.js';
+
+/**
+ * Asynchronous adapter backed by a MemoryAdapter, standing in for IndexedDB.
+ */
+class AsyncMemoryAdapter {
+  constructor(initial = {}) {
+    this.inner = new MemoryAdapter(initial);
+    this.writes = [];
+  }
+
+  get isAsync() {
+    return true;
+  }
+
+  async entries(prefix) {
+    return this.inner.keys(prefix).map(key => [key, this.inner.getItem(key)]);
+  }
+
+  async setItem(key, value) {
+    await Promise.resolve();
+    this.writes.push(key);
+    this.inner.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    await Promise.resolve();
+    this.inner.removeItem(key);
+  }
+}
+
+test('MemoryAdapter - should store strings and list keys by prefix', () => {
+  const adapter = new MemoryAdapter({ todos_a: '1', other_b: '2' });
+
+  adapter.setItem('todos_c', 3);
+  adapter.removeItem('todos_a');
+
+  assert.strictEqual(adapter.getItem('todos_c'), '3');
+  assert.strictEqual(adapter.getItem('todos_a'), null);
+  assert.deepStrictEqual(adapter.keys('todos'), ['todos_c']);
+});
+
+test('StorageService - should work the same on the memory adapter', () => {
+  const adapter = new MemoryAdapter({ other_key: '"kept"' });
+  const service = new StorageService('todos', adapter);
+
+  service.save('items', [{ id: 1 }]);
+  assert.deepStrictEqual(service.load('items'), [{ id: 1 }]);
+  assert.strictEqual(adapter.getItem('todos_items'), '[{"id":1}]');
+
+  service.clear();
+  assert.strictEqual(service.load('items', 'none'), 'none');
+  assert.strictEqual(adapter.getItem('other_key'), '"kept"');
+});
+
+test('StorageService - should preload an asynchronous adapter in init', async () => {
+  const adapter = new AsyncMemoryAdapter({ todos_items: '[{"id":7}]' });
+  const service = new StorageService('todos', adapter);
+
+  assert.strictEqual(service.load('items', 'not ready'), 'not ready');
+
+  await service.init();
+
+  assert.deepStrictEqual(service.load('items'), [{ id: 7 }]);
+});
+
+test('StorageService - should write to an asynchronous adapter in order', async () => {
+  const adapter = new AsyncMemoryAdapter();
+  const service = await new StorageService('todos', adapter).init();
+
+  service.save('a', 1);
+  service.save('b', 2);
+  service.remove('a');
+
+  assert.strictEqual(service.load('b'), 2);
+  assert.strictEqual(service.load('a'), null);
+  assert.strictEqual(adapter.inner.getItem('todos_b'), null);
+
+  await service.flush();
+
+  assert.deepStrictEqual(adapter.writes, ['todos_a', 'todos_b']);
+  assert.strictEqual(adapter.inner.getItem('todos_b'), '2');
+  assert.strictEqual(adapter.inner.getItem('todos_a'), null);
+});
+
+test('StorageService - should migrate into an empty asynchronous adapter once', async () => {
+  const source = new MemoryAdapter({ todos_items: '[{"id":1}]', todos_darkMode: 'true', other: 'x' });
+  const adapter = new AsyncMemoryAdapter();
+
+  const service = await new StorageService('todos', adapter, { migrateFrom: source }).init();
+
+  assert.deepStrictEqual(service.load('items'), [{ id: 1 }]);
+  assert.strictEqual(adapter.inner.getItem('todos_darkMode'), 'true');
+  assert.deepStrictEqual(source.keys(''), ['other']);
+
+  source.setItem('todos_items', '[]');
+  const again = await new StorageService('todos', adapter, { migrateFrom: source }).init();
+  assert.deepStrictEqual(again.load('items'), [{ id: 1 }]);
+});
+
+test('createStorageService - should pick the adapter for a backend', () => {
+  const memory = createStorageService('memory');
+  const indexedDB = createStorageService('indexeddb');
+  const fallback = createStorageService('unknown');
+
+  assert.ok(memory.adapter instanceof MemoryAdapter);
+  assert.strictEqual(indexedDB.adapter.isAsync, true);
+  assert.strictEqual(fallback.adapter.isAsync, false);
+
+  [memory, indexedDB, fallback].forEach(service => service.close());
+});
+
+test('createStorageService - should only share persistent backends between tabs', () => {
+  const memory = createStorageService('memory');
+  const local = createStorageService('localstorage');
+
+  assert.strictEqual(memory.channel, null);
+  assert.ok(local.channel);
+
+  local.close();
+  assert.strictEqual(local.channel, null);
+});
+
+test('StorageService - close should release the channel and the adapter', () => {
+  const adapter = new AsyncMemoryAdapter();
+  let closed = 0;
+  adapter.close = () => closed++;
+  const channel = { close: () => closed++ };
+  const service = new StorageService('todos', adapter, { channel });
+  service.subscribe(() => {});
+
+  service.close();
+
+  assert.strictEqual(closed, 2);
+  assert.strictEqual(service.channel, null);
+  assert.deepStrictEqual(service.listeners, []);
+});
+
+test('TodoModel - load should wait for asynchronous storage and flush should wait for saves', async () => {
+  const adapter = new AsyncMemoryAdapter({
+    todos_items: JSON.stringify([{ id: 1, text: 'Stored', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }])
+  });
+
+  const model = await TodoModel.load(new StorageService('todos', adapter));
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Stored']);
+
+  model.addTodo('New');
+  await model.flush();
+
+  assert.deepStrictEqual(JSON.parse(adapter.inner.getItem('todos_items')).map(t => t.text), ['Stored', 'New']);
+});
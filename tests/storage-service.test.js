@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { StorageService } from '../src/services/storage-service.js';
+import { FIRST_PAINT_KEY } from '../src/models/theme.js';
 
 /**
  * Mock localStorage for testing
@@ -122,6 +123,17 @@ test('StorageService - should clear all data with storageKey prefix', () => {
   assert.strictEqual(localStorage.getItem('other_key'), 'other data');
 });
 
+test('StorageService - clearing the app data should keep the first-paint theme', () => {
+  const service = new StorageService();
+  service.save('items', []);
+  localStorage.setItem(FIRST_PAINT_KEY, '{"mode":"dark"}');
+
+  service.clear();
+
+  assert.strictEqual(localStorage.getItem('todos_items'), null);
+  assert.strictEqual(localStorage.getItem(FIRST_PAINT_KEY), '{"mode":"dark"}');
+});
+
 test('StorageService - should handle save errors gracefully', () => {
   const service = new StorageService('test');
   
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { getSubtasks, nextSubtaskId, getSubtaskProgress } from '../src/models/subtasks.js';
+
+test('subtasks - getSubtasks should treat missing checklists as empty', () => {
+  assert.deepStrictEqual(getSubtasks({}), []);
+  assert.deepStrictEqual(getSubtasks({ subtasks: null }), []);
+});
+
+test('subtasks - nextSubtaskId should follow the highest existing id', () => {
+  assert.strictEqual(nextSubtaskId({}), 1);
+  assert.strictEqual(nextSubtaskId({ subtasks: [{ id: 3 }, { id: 1 }] }), 4);
+});
+
+test('subtasks - getSubtaskProgress should count completed items', () => {
+  const todo = {
+    subtasks: [
+      { id: 1, text: 'a', completed: true },
+      { id: 2, text: 'b', completed: false },
+      { id: 3, text: 'c', completed: true }
+    ]
+  };
+
+  assert.deepStrictEqual(getSubtaskProgress(todo), { done: 2, total: 3 });
+  assert.deepStrictEqual(getSubtaskProgress({}), { done: 0, total: 0 });
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSyncServer, SYNC_PATH } from '../server/sync-server.js';
+
+const createdAt = '2024-01-01T00:00:00.000Z';
+const inbox = {
+  id: 1,
+  name: 'Inbox',
+  nextId: 2,
+  todos: [{ id: 1, text: 'Synced', completed: false, createdAt }]
+};
+
+/**
+ * Starts a sync server on a free port, runs a callback and stops it.
+ *
+ * @param {Object} options - Server options
+ * @param {function(string): Promise<void>} run - Receives the endpoint URL
+ * @returns {Promise<void>}
+ */
+async function withServer(options, run) {
+  const server = await createSyncServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}${SYNC_PATH}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Sends a PUT with a JSON body.
+ *
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Response
+ */
+function put(url, body) {
+  return fetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('sync server - should start empty and accept a push for the current revision', async () => {
+  await withServer({}, async url => {
+    assert.deepStrictEqual(await (await fetch(url)).json(), { revision: 0, lists: [] });
+
+    const response = await put(url, { baseRevision: 0, lists: [inbox] });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { revision: 1 });
+
+    const doc = await (await fetch(url)).json();
+    assert.strictEqual(doc.revision, 1);
+    assert.deepStrictEqual(doc.lists[0].todos.map(t => t.text), ['Synced']);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+  });
+});
+
+test('sync server - should reject a push based on an old revision with the current document', async () => {
+  await withServer({}, async url => {
+    await put(url, { baseRevision: 0, lists: [inbox] });
+
+    const response = await put(url, { baseRevision: 0, lists: [] });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual((await response.json()).revision, 1);
+  });
+});
+
+test('sync server - should reject malformed pushes and unknown paths', async () => {
+  await withServer({}, async url => {
+    assert.strictEqual((await put(url, { lists: [] })).status, 400);
+    assert.strictEqual((await put(url, { baseRevision: 0, lists: [{ id: 1, name: '', todos: [] }] })).status, 400);
+    assert.strictEqual((await fetch(url, { method: 'PUT', body: '{oops' })).status, 400);
+    assert.strictEqual((await fetch(url.replace(SYNC_PATH, '/elsewhere'))).status, 404);
+    assert.strictEqual((await fetch(url, { method: 'OPTIONS' })).status, 204);
+  });
+});
+
+test('sync server - should persist the document to the data file', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'sync-server-'));
+  const dataFile = join(dir, 'todos.json');
+  try {
+    await withServer({ dataFile }, async url => {
+      await put(url, { baseRevision: 0, lists: [inbox] });
+    });
+    assert.strictEqual(JSON.parse(await readFile(dataFile, 'utf8')).revision, 1);
+
+    await withServer({ dataFile }, async url => {
+      assert.strictEqual((await (await fetch(url)).json()).revision, 1);
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('sync server - should write pushes in flight at the same time one after the other', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'sync-server-'));
+  const dataFile = join(dir, 'todos.json');
+  const work = { id: 2, name: 'Work', nextId: 1, todos: [] };
+  try {
+    await withServer({ dataFile }, async url => {
+      const responses = await Promise.all([
+        put(url, { baseRevision: 0, lists: [inbox] }),
+        put(url, { baseRevision: 0, lists: [work] }),
+        put(url, { baseRevision: 1, lists: [inbox, work] })
+      ]);
+      const accepted = await Promise.all(responses.filter(r => r.status === 200).map(r => r.json()));
+
+      // One of the two pushes on revision 0 wins; the other is told to merge
+      assert.deepStrictEqual(responses.slice(0, 2).map(r => r.status).sort(), [200, 409]);
+      assert.deepStrictEqual(accepted.map(a => a.revision).sort(), accepted.map((_, i) => i + 1));
+      const served = await (await fetch(url)).json();
+      assert.strictEqual(served.revision, accepted.length);
+      assert.deepStrictEqual(JSON.parse(await readFile(dataFile, 'utf8')), served);
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('sync server - should answer 500 and keep the revision when the data file cannot be written', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'sync-server-'));
+  const dataFile = join(dir, 'missing', 'todos.json');
+  try {
+    await withServer({ dataFile }, async url => {
+      const response = await put(url, { baseRevision: 0, lists: [inbox] });
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(await (await fetch(url)).json(), { revision: 0, lists: [] });
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { StorageService } from '../src/services/storage-service.js';
+import { MemoryAdapter } from '../src/services/adapters/memory-adapter.js';
+import { SyncService, SyncError } from '../src/services/sync-service.js';
+import { TodoModel } from '../src/models/todo-model.js';
+
+/**
+ * In-memory stand-in for server/sync-server.js, reached through a fake fetch.
+ */
+class FakeServer {
+  constructor() {
+    this.doc = { revision: 0, lists: [] };
+    this.offline = false;
+    this.requests = [];
+  }
+
+  async fetch(url, { method, body }) {
+    this.requests.push(method);
+    if (this.offline) {
+      throw new TypeError('Failed to fetch');
+    }
+    const respond = (status, data) => ({
+      status,
+      ok: status < 400,
+      json: async () => JSON.parse(JSON.stringify(data))
+    });
+
+    if (method === 'GET') {
+      return respond(200, this.doc);
+    }
+    const { baseRevision, lists } = JSON.parse(body);
+    if (baseRevision !== this.doc.revision) {
+      return respond(409, this.doc);
+    }
+    this.doc = { revision: this.doc.revision + 1, lists };
+    return respond(200, { revision: this.doc.revision });
+  }
+}
+
+/**
+ * Opens the app on a device with its own storage.
+ *
+ * @param {FakeServer} server - Server to sync with
+ * @returns {{model: TodoModel, sync: SyncService}} Device
+ */
+function openDevice(server) {
+  const storage = new StorageService('todos', new MemoryAdapter());
+  const model = new TodoModel(storage);
+  const sync = new SyncService(model, storage, { endpoint: '/api/todos', fetch: (...args) => server.fetch(...args) });
+  return { model, sync };
+}
+
+test('SyncService - should push local todos and pull them on another device', async () => {
+  const server = new FakeServer();
+  const laptop = openDevice(server);
+  const phone = openDevice(server);
+
+  laptop.model.addTodo('Buy milk');
+  await laptop.sync.sync();
+  assert.strictEqual(laptop.sync.status, 'synced');
+  assert.strictEqual(server.doc.revision, 1);
+
+  await phone.sync.sync();
+  assert.deepStrictEqual(phone.model.todos.map(t => t.text), ['Buy milk']);
+  assert.strictEqual(phone.sync.status, 'synced');
+});
+
+test('SyncService - should queue changes while offline and send them later', async () => {
+  const server = new FakeServer();
+  const laptop = openDevice(server);
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args);
+
+  server.offline = true;
+  laptop.model.addTodo('Written offline');
+  await laptop.sync.sync();
+  console.error = originalError;
+
+  assert.strictEqual(laptop.sync.status, 'error');
+  assert.match(laptop.sync.error.message, /Could not reach the sync server/);
+  assert.strictEqual(laptop.sync.hasLocalChanges(), true);
+  // Reported through status and error only; retries must not flood the console
+  assert.strictEqual(errors.length, 0);
+
+  server.offline = false;
+  await laptop.sync.sync();
+  assert.strictEqual(laptop.sync.status, 'synced');
+  assert.strictEqual(laptop.sync.error, null);
+  assert.deepStrictEqual(server.doc.lists[0].todos.map(t => t.text), ['Written offline']);
+});
+
+test('SyncService - should merge concurrent edits, keeping the later edit of a field', async () => {
+  const server = new FakeServer();
+  const laptop = openDevice(server);
+  const phone = openDevice(server);
+  laptop.model.addTodo('Shared');
+  await laptop.sync.sync();
+  await phone.sync.sync();
+
+  laptop.model.updateTodo(1, 'Edited on laptop');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  phone.model.updateTodo(1, 'Edited on phone');
+  phone.model.toggleComplete(1);
+  laptop.model.addTodo('Laptop only');
+  phone.model.addTodo('Phone only');
+
+  await laptop.sync.sync();
+  await phone.sync.sync();
+  await laptop.sync.sync();
+
+  const expected = [[1, 'Edited on phone', true], [2, 'Laptop only', false], [3, 'Phone only', false]];
+  assert.deepStrictEqual(laptop.model.todos.map(t => [t.id, t.text, t.completed]), expected);
+  assert.deepStrictEqual(phone.model.todos.map(t => [t.id, t.text, t.completed]), expected);
+  assert.strictEqual(laptop.sync.status, 'synced');
+  assert.strictEqual(phone.sync.status, 'synced');
+});
+
+test('SyncService - should retry when another device pushed between read and write', async () => {
+  const server = new FakeServer();
+  const laptop = openDevice(server);
+  const phone = openDevice(server);
+  phone.model.addTodo('From phone');
+  laptop.model.addTodo('From laptop');
+
+  const fetch = server.fetch.bind(server);
+  let raced = false;
+  server.fetch = async (url, options) => {
+    if (options.method === 'PUT' && !raced) {
+      raced = true;
+      await phone.sync.sync();
+    }
+    return fetch(url, options);
+  };
+  await laptop.sync.sync();
+
+  assert.deepStrictEqual(server.requests, ['GET', 'GET', 'PUT', 'PUT', 'GET', 'PUT']);
+  assert.deepStrictEqual(laptop.model.todos.map(t => t.text), ['From phone', 'From laptop']);
+});
+
+test('SyncService - should report pending changes and notify subscribers', async () => {
+  const server = new FakeServer();
+  const laptop = openDevice(server);
+  const statuses = [];
+  laptop.sync.subscribe(() => statuses.push(laptop.sync.status));
+
+  await laptop.sync.start();
+  assert.strictEqual(laptop.sync.status, 'synced');
+  laptop.model.addTodo('Soon synced');
+  assert.strictEqual(laptop.sync.status, 'pending');
+
+  await laptop.sync.sync();
+  laptop.sync.stop();
+  assert.strictEqual(statuses[statuses.length - 1], 'synced');
+  assert.ok(statuses.includes('pending'));
+});
+
+test('SyncService - should refuse a server copy with invalid records instead of dropping them', async () => {
+  const server = new FakeServer();
+  const badTodo = { id: 2, text: '', completed: false, createdAt: '2024-01-01T00:00:00.000Z' };
+  server.doc = {
+    revision: 1,
+    lists: [{ id: 1, name: 'Inbox', nextId: 3, todos: [{ id: 1, text: 'Fine', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }, badTodo] }]
+  };
+  const laptop = openDevice(server);
+  laptop.model.addTodo('Local');
+
+  await laptop.sync.sync();
+
+  assert.strictEqual(laptop.sync.status, 'error');
+  assert.ok(laptop.sync.error instanceof SyncError);
+  assert.deepStrictEqual(server.requests, ['GET']);
+  assert.deepStrictEqual(server.doc.lists[0].todos[1], badTodo);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { StorageService } from '../src/services/storage-service.js';
+import { MemoryAdapter } from '../src/services/adapters/memory-adapter.js';
+import { TodoModel } from '../src/models/todo-model.js';
+
+/**
+ * In-process stand-in for BroadcastChannel. Like the real one, a message
+ * reaches every other channel with the same name but not the sender;
+ * delivery is held until `deliver()` so tests control the timing.
+ */
+class FakeChannel {
+  constructor(hub) {
+    this.hub = hub;
+    this.onmessage = null;
+    hub.channels.push(this);
+  }
+
+  postMessage(data) {
+    this.hub.queue.push({ from: this, data: JSON.parse(JSON.stringify(data)) });
+  }
+
+  close() {
+    this.hub.channels = this.hub.channels.filter(c => c !== this);
+  }
+}
+
+/**
+ * Two tabs sharing one storage area and a channel hub.
+ *
+ * @returns {{a: TodoModel, b: TodoModel, storageA: StorageService, storageB: StorageService, deliver: Function}} Tabs
+ */
+function openTwoTabs() {
+  const shared = new MemoryAdapter();
+  const hub = { channels: [], queue: [] };
+  const storageA = new StorageService('todos', shared, { channel: new FakeChannel(hub) });
+  const storageB = new StorageService('todos', shared, { channel: new FakeChannel(hub) });
+  const a = new TodoModel(storageA);
+  const b = new TodoModel(storageB);
+  storageA.subscribe(key => a.syncFromStorage(key));
+  storageB.subscribe(key => b.syncFromStorage(key));
+
+  const deliver = () => {
+    while (hub.queue.length > 0) {
+      const { from, data } = hub.queue.shift();
+      hub.channels.filter(c => c !== from).forEach(c => c.onmessage?.({ data }));
+    }
+  };
+  deliver();
+  return { a, b, storageA, storageB, deliver };
+}
+
+test('tab sync - a change in one tab should update the other and notify', () => {
+  const { a, b, deliver } = openTwoTabs();
+  let notified = 0;
+  b.subscribe(() => notified++);
+
+  a.addTodo('From tab A');
+  deliver();
+
+  assert.deepStrictEqual(b.todos.map(t => t.text), ['From tab A']);
+  assert.ok(notified > 0);
+
+  b.toggleComplete(b.todos[0].id);
+  deliver();
+  assert.strictEqual(a.todos[0].completed, true);
+});
+
+test('tab sync - saves made before the other tab hears about them should both survive', () => {
+  const { a, b, deliver } = openTwoTabs();
+  a.addTodo('Shared');
+  deliver();
+
+  a.addTodo('Only A');
+  b.updateTodo(b.todos[0].id, 'Shared, edited in B');
+  b.addTodo('Only B');
+  deliver();
+
+  const expected = [[1, 'Shared, edited in B'], [2, 'Only A'], [3, 'Only B']];
+  assert.deepStrictEqual(b.todos.map(t => [t.id, t.text]), expected);
+  assert.deepStrictEqual(a.todos.map(t => [t.id, t.text]), expected);
+
+  a.addTodo('Next');
+  assert.strictEqual(a.todos[3].id, 4);
+});
+
+test('tab sync - a deletion in one tab should win over an edit in the other', () => {
+  const { a, b, deliver } = openTwoTabs();
+  a.addTodo('Doomed');
+  a.addTodo('Kept');
+  deliver();
+
+  a.deleteTodo(1);
+  b.toggleComplete(1);
+  deliver();
+
+  assert.deepStrictEqual(a.todos.map(t => t.text), ['Kept']);
+  assert.deepStrictEqual(b.todos.map(t => t.text), ['Kept']);
+});
+
+test('tab sync - each tab should keep its own current list', () => {
+  const { a, b, deliver } = openTwoTabs();
+  const work = a.createList('Work');
+  a.switchList(work);
+  a.addTodo('Work item');
+  deliver();
+
+  assert.deepStrictEqual(b.lists.map(l => l.name), ['Inbox', 'Work']);
+  assert.strictEqual(b.currentListId, 1);
+  assert.deepStrictEqual(b.todos, []);
+
+  b.deleteList(work);
+  deliver();
+  assert.strictEqual(a.currentListId, 1);
+});
+
+test('tab sync - undo history should follow the other tab', () => {
+  const { a, b, deliver } = openTwoTabs();
+  a.addTodo('Undo me');
+  deliver();
+
+  assert.strictEqual(b.undoLabel, "Added 'Undo me'");
+  b.undo();
+  deliver();
+  assert.deepStrictEqual(a.todos, []);
+});
+
+test('StorageService - should pass other tabs\' writes to subscribers and update its cache', async () => {
+  const hub = { channels: [], queue: [] };
+  const adapter = {
+    isAsync: true,
+    entries: async () => [],
+    setItem: async () => {},
+    removeItem: async () => {}
+  };
+  const service = new StorageService('todos', adapter, { channel: new FakeChannel(hub) });
+  await service.init();
+  const keys = [];
+  const unsubscribe = service.subscribe(key => keys.push(key));
+
+  service.channel.onmessage({ data: { key: 'todos_darkMode', value: 'true' } });
+  service.channel.onmessage({ data: { key: 'other_darkMode', value: 'false' } });
+  assert.deepStrictEqual(keys, ['darkMode']);
+  assert.strictEqual(service.load('darkMode'), true);
+
+  service.channel.onmessage({ data: { key: 'todos_darkMode', value: null } });
+  assert.strictEqual(service.load('darkMode', 'unset'), 'unset');
+
+  unsubscribe();
+  service.save('darkMode', false);
+  assert.deepStrictEqual(keys, ['darkMode', 'darkMode']);
+  assert.deepStrictEqual(hub.queue.map(m => m.data), [{ key: 'todos_darkMode', value: 'false' }]);
+});
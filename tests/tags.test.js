@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { normalizeTag, normalizeTags, parseTags, formatWithTags } from '../src/models/tags.js';
+
+test('tags - parseTags should move hashtags out of the text', () => {
+  assert.deepStrictEqual(parseTags('Pay invoice #finance #urgent'), {
+    text: 'Pay invoice',
+    tags: ['finance', 'urgent']
+  });
+});
+
+test('tags - parseTags should handle hashtags mid-sentence', () => {
+  assert.deepStrictEqual(parseTags('Call #family about dinner'), {
+    text: 'Call about dinner',
+    tags: ['family']
+  });
+});
+
+test('tags - parseTags should lower-case and de-duplicate tags', () => {
+  assert.deepStrictEqual(parseTags('Plan #Trip #trip').tags, ['trip']);
+});
+
+test('tags - parseTags should leave numeric references and inline hashes alone', () => {
+  assert.deepStrictEqual(parseTags('Fix issue #42 in C#'), {
+    text: 'Fix issue #42 in C#',
+    tags: []
+  });
+});
+
+test('tags - parseTags should keep text made only of hashtags', () => {
+  assert.deepStrictEqual(parseTags('#reading'), { text: '#reading', tags: ['reading'] });
+});
+
+test('tags - parseTags should support non-ASCII letters', () => {
+  assert.deepStrictEqual(parseTags('Visit #café').tags, ['café']);
+});
+
+test('tags - normalizeTag should strip "#" and reject invalid names', () => {
+  assert.strictEqual(normalizeTag('#Work'), 'work');
+  assert.strictEqual(normalizeTag('  home '), 'home');
+  assert.strictEqual(normalizeTag('two words'), null);
+  assert.strictEqual(normalizeTag('123'), null);
+  assert.strictEqual(normalizeTag(''), null);
+  assert.strictEqual(normalizeTag(null), null);
+});
+
+test('tags - normalizeTags should drop invalid entries', () => {
+  assert.deepStrictEqual(normalizeTags(['a', '#A', 'b c', 5, 'b']), ['a', 'b']);
+  assert.deepStrictEqual(normalizeTags('a'), []);
+});
+
+test('tags - formatWithTags should round-trip through parseTags', () => {
+  const formatted = formatWithTags('Pay invoice', ['finance', 'urgent']);
+
+  assert.strictEqual(formatted, 'Pay invoice #finance #urgent');
+  assert.deepStrictEqual(parseTags(formatted), { text: 'Pay invoice', tags: ['finance', 'urgent'] });
+});
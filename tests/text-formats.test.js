@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  detectTextFormat,
+  toMarkdown,
+  fromMarkdown,
+  toTodoTxt,
+  fromTodoTxt,
+  parseTextTodos
+} from '../src/models/text-formats.js';
+
+/**
+ * Builds a todo with defaults for the fields a test doesn't care about.
+ *
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Todo
+ */
+function todo(fields) {
+  return {
+    id: 1,
+    text: 'Task',
+    completed: false,
+    createdAt: new Date(2024, 2, 5, 14, 30).toISOString(),
+    dueDate: null,
+    dueTime: null,
+    priority: 'normal',
+    tags: [],
+    subtasks: [],
+    ...fields
+  };
+}
+
+test('text-formats - detectTextFormat should recognize Markdown list items', () => {
+  assert.strictEqual(detectTextFormat('# Groceries\n\n- [ ] Milk'), 'markdown');
+  assert.strictEqual(detectTextFormat('(A) 2024-03-05 Call mom'), 'todotxt');
+});
+
+test('text-formats - toMarkdown should write a GitHub task list with checklists', () => {
+  const markdown = toMarkdown('Inbox', [
+    todo({ text: 'Pack', tags: ['travel'], subtasks: [{ id: 1, text: 'Passport', completed: true }] }),
+    todo({ id: 2, text: 'Done thing', completed: true })
+  ]);
+
+  assert.strictEqual(markdown, '# Inbox\n\n- [ ] Pack #travel\n  - [x] Passport\n- [x] Done thing\n');
+});
+
+test('text-formats - fromMarkdown should read tasks, plain bullets and nested checklists', () => {
+  const todos = fromMarkdown('# List\nSome intro\n- [ ] Pack #travel\n  - [X] Passport\n* Plain bullet\n- [x] Done');
+
+  assert.deepStrictEqual(todos.map(t => [t.id, t.text, t.completed, t.tags]), [
+    [1, 'Pack', false, ['travel']],
+    [2, 'Plain bullet', false, []],
+    [3, 'Done', true, []]
+  ]);
+  assert.deepStrictEqual(todos[0].subtasks, [{ id: 1, text: 'Passport', completed: true }]);
+});
+
+test('text-formats - fromMarkdown should read quick-add fields in item text', () => {
+  const [todo] = fromMarkdown('- [ ] Pay rent 2099-01-01 !high every 1st #home');
+
+  assert.deepStrictEqual(
+    [todo.text, todo.dueDate, todo.priority, todo.recurrence, todo.tags],
+    ['Pay rent', '2099-01-01', 'high', { frequency: 'monthly', day: 1 }, ['home']]
+  );
+});
+
+test('text-formats - Markdown should round-trip text, completion and checklists', () => {
+  const original = [
+    todo({ text: 'Pack', tags: ['travel'], subtasks: [{ id: 1, text: 'Passport', completed: false }] }),
+    todo({ id: 2, text: 'Done thing', completed: true })
+  ];
+
+  const roundTripped = fromMarkdown(toMarkdown('Inbox', original));
+
+  assert.deepStrictEqual(
+    roundTripped.map(t => [t.text, t.completed, t.tags, t.subtasks]),
+    original.map(t => [t.text, t.completed, t.tags, t.subtasks])
+  );
+});
+
+test('text-formats - Markdown should round-trip dates, priorities and recurrence, and text that looks like them', () => {
+  const original = [
+    todo({ text: 'Review report for monday' }),
+    todo({ id: 2, text: 'Say !high every day at 6pm', tags: ['work'] }),
+    todo({ id: 3, text: 'Read \\today in next week', dueDate: '2024-03-20', dueTime: '18:00', priority: 'urgent' }),
+    todo({ id: 4, text: 'Water plants', dueDate: '2024-03-08', recurrence: { frequency: 'weekly', weekdays: [1, 5] } }),
+    todo({ id: 5, text: 'Pay rent', dueDate: '2024-04-01', priority: 'low', recurrence: { frequency: 'monthly', day: 1 } }),
+    todo({ id: 6, text: 'Stretch', dueDate: '2024-03-06', recurrence: { frequency: 'interval', days: 3 } })
+  ];
+  const fields = t => [t.text, t.tags, t.dueDate, t.dueTime, t.priority, t.recurrence || null];
+
+  const markdown = toMarkdown('Inbox', original);
+
+  assert.match(markdown, /- \[ \] Review report for \\monday\n/);
+  assert.match(markdown, /- \[ \] Water plants 2024-03-08 every monday and friday\n/);
+  assert.deepStrictEqual(fromMarkdown(markdown).map(fields), original.map(fields));
+});
+
+test('text-formats - toTodoTxt should write priorities, dates, projects and due dates', () => {
+  const text = toTodoTxt([
+    todo({ text: 'Call mom', priority: 'urgent', tags: ['family'], dueDate: '2024-03-09' }),
+    todo({ id: 2, text: 'Pay rent', completed: true, priority: 'high' })
+  ]);
+
+  assert.strictEqual(text, [
+    '(A) 2024-03-05 Call mom +family due:2024-03-09',
+    'x Pay rent pri:B created:2024-03-05',
+    ''
+  ].join('\n'));
+});
+
+test('text-formats - fromTodoTxt should read the standard fields', () => {
+  const [open, done] = fromTodoTxt([
+    '(B) 2024-03-05 Call mom @phone +family due:2024-03-09 url:example',
+    '',
+    'x 2024-03-07 2024-03-01 Pay rent'
+  ].join('\n'));
+
+  assert.strictEqual(open.text, 'Call mom url:example');
+  assert.strictEqual(open.priority, 'high');
+  assert.deepStrictEqual(open.tags, ['phone', 'family']);
+  assert.strictEqual(open.dueDate, '2024-03-09');
+  assert.strictEqual(open.createdAt, new Date(2024, 2, 5).toISOString());
+  assert.strictEqual(done.completed, true);
+  assert.strictEqual(done.createdAt, new Date(2024, 2, 1).toISOString());
+});
+
+test('text-formats - todo.txt should round-trip text, completion and creation date', () => {
+  const original = [
+    todo({ text: 'Call mom', priority: 'low', tags: ['family'], dueDate: '2024-03-09' }),
+    todo({ id: 2, text: 'Pay rent', completed: true, priority: 'urgent' })
+  ];
+
+  const roundTripped = fromTodoTxt(toTodoTxt(original));
+
+  assert.deepStrictEqual(
+    roundTripped.map(t => [t.text, t.completed, t.createdAt.slice(0, 10), t.priority, t.tags, t.dueDate]),
+    original.map(t => [t.text, t.completed, new Date(2024, 2, 5).toISOString().slice(0, 10), t.priority, t.tags, t.dueDate])
+  );
+});
+
+test('text-formats - todo.txt should put a recorded completion date in its standard slot', () => {
+  const done = todo({ text: 'Pay rent', completed: true, completedAt: new Date(2024, 2, 7, 9).toISOString() });
+
+  const text = toTodoTxt([done]);
+  assert.strictEqual(text, 'x 2024-03-07 2024-03-05 Pay rent\n');
+
+  const [roundTripped] = fromTodoTxt(text);
+  assert.strictEqual(roundTripped.completedAt, new Date(2024, 2, 7).toISOString());
+  assert.strictEqual(roundTripped.createdAt, new Date(2024, 2, 5).toISOString());
+});
+
+test('text-formats - parseTextTodos should report items that break the todo schema', () => {
+  const { format, todos, errors } = parseTextTodos(`- [ ] Fine\n- [ ] ${'x'.repeat(501)}`);
+
+  assert.strictEqual(format, 'markdown');
+  assert.strictEqual(todos.length, 1);
+  assert.deepStrictEqual(errors, [{ list: 'Markdown', index: 1, messages: ['text must be at most 500 characters'] }]);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+import {
+  THEME_MODES,
+  PALETTES,
+  DEFAULT_THEME,
+  FIRST_PAINT_KEY,
+  isValidAccent,
+  normalizeTheme,
+  isDark,
+  themeClasses,
+  accentProperties
+} from '../src/models/theme.js';
+
+/**
+ * Runs the first-paint script from index.html against a stand-in
+ * document and returns what it applied to the body.
+ *
+ * @param {Object|null} saved - Theme saved under FIRST_PAINT_KEY, or null
+ * @param {boolean} prefersDark - Whether the system asks for a dark scheme
+ * @returns {Promise<{classes: Array<string>, properties: Object<string, string>}>} Applied classes and variables
+ */
+async function runFirstPaintScript(saved, prefersDark) {
+  const page = await readFile(new URL('../src/index.html', import.meta.url), 'utf8');
+  const [, source] = page.match(/<body>\s*<script>([\s\S]*?)<\/script>/);
+  const classes = new Set();
+  const properties = {};
+  const body = {
+    classList: {
+      add: name => classes.add(name),
+      toggle: (name, force) => force ? classes.add(name) : classes.delete(name)
+    },
+    style: { setProperty: (name, value) => properties[name] = value }
+  };
+  vm.runInNewContext(source, {
+    localStorage: { getItem: key => key === FIRST_PAINT_KEY && saved ? JSON.stringify(saved) : null },
+    window: { matchMedia: () => ({ matches: prefersDark }) },
+    document: { body }
+  });
+  return { classes: [...classes], properties };
+}
+
+test('theme - normalizeTheme should repair each field and default to following the system', () => {
+  assert.deepStrictEqual(normalizeTheme(null), DEFAULT_THEME);
+  assert.deepStrictEqual(normalizeTheme('dark'), DEFAULT_THEME);
+  assert.deepStrictEqual(
+    normalizeTheme({ mode: 'dark', palette: 'sepia', accent: '#FF8800' }),
+    { mode: 'dark', palette: 'sepia', accent: '#ff8800' }
+  );
+  assert.deepStrictEqual(
+    normalizeTheme({ mode: 'dim', palette: 'neon', accent: 'red' }),
+    { mode: 'system', palette: 'default', accent: null }
+  );
+});
+
+test('theme - normalizeTheme should carry over the dark mode flag of earlier versions', () => {
+  assert.strictEqual(normalizeTheme(null, true).mode, 'dark');
+  assert.strictEqual(normalizeTheme(null, false).mode, 'light');
+  // A saved theme wins over the old flag
+  assert.strictEqual(normalizeTheme({ mode: 'light' }, true).mode, 'light');
+});
+
+test('theme - isDark should follow the system only in system mode', () => {
+  assert.strictEqual(isDark({ mode: 'system' }, true), true);
+  assert.strictEqual(isDark({ mode: 'system' }, false), false);
+  assert.strictEqual(isDark({ mode: 'dark' }, false), true);
+  assert.strictEqual(isDark({ mode: 'light' }, true), false);
+});
+
+test('theme - themeClasses should name the dark variant and any palette but the default', () => {
+  assert.deepStrictEqual(themeClasses(DEFAULT_THEME, false), []);
+  assert.deepStrictEqual(themeClasses({ mode: 'system', palette: 'solarized' }, true), ['dark-mode', 'palette-solarized']);
+  assert.deepStrictEqual(themeClasses({ mode: 'light', palette: 'high-contrast' }, true), ['palette-high-contrast']);
+});
+
+test('theme - accentProperties should override the primary colours only for a valid accent', () => {
+  assert.strictEqual(isValidAccent('#1a2B3c'), true);
+  assert.strictEqual(isValidAccent('#abc'), false);
+  assert.deepStrictEqual(accentProperties(null), {});
+  assert.deepStrictEqual(accentProperties('url(x)'), {});
+  assert.deepStrictEqual(accentProperties('#ff8800'), {
+    '--color-primary': '#ff8800',
+    '--color-primary-hover': 'color-mix(in srgb, #ff8800 80%, var(--color-text))'
+  });
+});
+
+test('theme - the first-paint script in index.html should apply what the app would', async () => {
+  const themes = [
+    null,
+    ...THEME_MODES.flatMap(mode => PALETTES.map(palette => ({ mode, palette, accent: null }))),
+    { mode: 'dark', palette: 'sepia', accent: '#ff8800' }
+  ];
+  for (const saved of themes) {
+    for (const prefersDark of [false, true]) {
+      const theme = normalizeTheme(saved);
+      const applied = await runFirstPaintScript(saved, prefersDark);
+      const label = `${JSON.stringify(saved)}, prefersDark ${prefersDark}`;
+      assert.deepStrictEqual(applied.classes.sort(), themeClasses(theme, prefersDark).sort(), label);
+      assert.deepStrictEqual(applied.properties, accentProperties(theme.accent), label);
+    }
+  }
+});
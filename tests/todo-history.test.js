@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { TodoHistory, PERSISTED_HISTORY_LIMIT } from '../src/models/todo-history.js';
+
+test('TodoHistory - should start empty', () => {
+  const history = new TodoHistory();
+
+  assert.strictEqual(history.canUndo, false);
+  assert.strictEqual(history.canRedo, false);
+  assert.strictEqual(history.undoLabel, null);
+});
+
+test('TodoHistory - undo should return the recorded snapshot', () => {
+  const history = new TodoHistory();
+
+  history.record('Added \'A\'', { value: 1 });
+  const entry = history.undo({ value: 2 });
+
+  assert.deepStrictEqual(entry, { label: 'Added \'A\'', snapshot: { value: 1 } });
+  assert.strictEqual(history.canUndo, false);
+  assert.strictEqual(history.canRedo, true);
+});
+
+test('TodoHistory - redo should return the state captured at undo time', () => {
+  const history = new TodoHistory();
+
+  history.record('Added \'A\'', { value: 1 });
+  history.undo({ value: 2 });
+  const entry = history.redo({ value: 1 });
+
+  assert.deepStrictEqual(entry, { label: 'Added \'A\'', snapshot: { value: 2 } });
+  assert.strictEqual(history.canUndo, true);
+  assert.strictEqual(history.canRedo, false);
+});
+
+test('TodoHistory - undo and redo should return null when stacks are empty', () => {
+  const history = new TodoHistory();
+
+  assert.strictEqual(history.undo({}), null);
+  assert.strictEqual(history.redo({}), null);
+});
+
+test('TodoHistory - recording should discard redo entries', () => {
+  const history = new TodoHistory();
+
+  history.record('First', { value: 1 });
+  history.undo({ value: 2 });
+  history.record('Second', { value: 1 });
+
+  assert.strictEqual(history.canRedo, false);
+});
+
+test('TodoHistory - should drop the oldest entries beyond the limit', () => {
+  const history = new TodoHistory(2);
+
+  history.record('First', { value: 1 });
+  history.record('Second', { value: 2 });
+  history.record('Third', { value: 3 });
+
+  assert.strictEqual(history.undo({}).label, 'Third');
+  assert.strictEqual(history.undo({}).label, 'Second');
+  assert.strictEqual(history.undo({}), null);
+});
+
+test('TodoHistory - should restore from serialized state', () => {
+  const history = new TodoHistory();
+  history.record('First', { value: 1 });
+
+  const restored = new TodoHistory(50, JSON.parse(JSON.stringify(history)));
+
+  assert.strictEqual(restored.undoLabel, 'First');
+});
+
+test('TodoHistory - should ignore malformed persisted state', () => {
+  const history = new TodoHistory(50, { past: [null, { label: 1 }, 'x'], future: 'nope' });
+
+  assert.strictEqual(history.canUndo, false);
+  assert.strictEqual(history.canRedo, false);
+});
+
+test('TodoHistory - recent should keep only the newest entries of each stack', () => {
+  const history = new TodoHistory();
+  for (let i = 1; i <= PERSISTED_HISTORY_LIMIT + 2; i++) {
+    history.record(`Step ${i}`, { value: i });
+  }
+  history.undo({ value: 'now' });
+
+  const { past, future } = history.recent();
+
+  assert.strictEqual(past.length, PERSISTED_HISTORY_LIMIT);
+  assert.strictEqual(past[past.length - 1].label, `Step ${PERSISTED_HISTORY_LIMIT + 1}`);
+  assert.deepStrictEqual(future.map(entry => entry.label), [`Step ${PERSISTED_HISTORY_LIMIT + 2}`]);
+});
+
+test('TodoHistory - fromStorage should upgrade snapshots and drop rejected ones', () => {
+  const state = {
+    past: [{ label: 'Kept', snapshot: { value: 1 } }, { label: 'Dropped', snapshot: { value: -1 } }],
+    future: [{ label: 'Redo', snapshot: { value: 2 } }]
+  };
+
+  const history = TodoHistory.fromStorage(state, snapshot => snapshot.value > 0 ? { value: snapshot.value * 10 } : null);
+
+  assert.deepStrictEqual(history.peekRedo(), { label: 'Redo', snapshot: { value: 20 } });
+  assert.deepStrictEqual(history.undo({}), { label: 'Kept', snapshot: { value: 10 } });
+  assert.strictEqual(history.canUndo, false);
+});
@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { TodoModel } from '../src/models/todo-model.js';
+import { SCHEMA_VERSION } from '../src/models/schema.js';
 
 /**
  * Mock storage service for testing
@@ -95,6 +96,83 @@ test('TodoModel - toggleComplete should handle invalid ID', () => {
   assert.strictEqual(model.todos.length, initialLength);
 });
 
+test('TodoModel - completing a todo should record when, and reopening should clear it', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Test todo');
+  const todoId = model.todos[0].id;
+  assert.strictEqual(model.todos[0].completedAt, null);
+
+  const before = new Date().toISOString();
+  model.toggleComplete(todoId);
+  const { completedAt } = model.todos[0];
+  assert.ok(completedAt >= before && completedAt <= new Date().toISOString());
+  assert.strictEqual(storage.data.items[0].completedAt, completedAt);
+
+  model.toggleComplete(todoId);
+  assert.strictEqual(model.todos[0].completedAt, null);
+
+  model.undo();
+  assert.strictEqual(model.todos[0].completedAt, completedAt);
+});
+
+test('TodoModel - every way of completing a todo should record the completion time', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  model.addTodo('Pay rent', { dueDate: '2999-01-01', recurrence: { frequency: 'monthly', day: 1 } });
+  model.addTodo('Call mom');
+  model.addSubtask(1, 'Book van');
+
+  model.toggleSubtask(1, 1);
+  model.toggleComplete(2);
+  model.completeTodos([3]);
+
+  const byText = text => model.todos.filter(t => t.text === text).map(t => t.completedAt !== null);
+  assert.deepStrictEqual(byText('Move house'), [true]);
+  // The next occurrence of a repeating todo starts open
+  assert.deepStrictEqual(byText('Pay rent'), [true, false]);
+  assert.deepStrictEqual(byText('Call mom'), [true]);
+});
+
+test('TodoModel - clearing or deleting completed todos should keep their completions', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Buy milk');
+  model.addTodo('Walk dog');
+  model.addTodo('Call mom');
+  model.completeTodos([1, 2, 3]);
+  const { createdAt, completedAt } = model.todos[0];
+
+  model.clearCompleted();
+  model.addTodo('Water plants');
+  model.toggleComplete(4);
+  model.deleteTodo(4);
+
+  assert.strictEqual(model.todos.length, 0);
+  assert.strictEqual(model.completions.length, 4);
+  assert.deepStrictEqual(model.completions[0], { createdAt, completedAt });
+  assert.deepStrictEqual(new TodoModel(storage).completions, model.completions);
+});
+
+test('TodoModel - reopening a todo or undoing its completion should remove the completion', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Buy milk');
+
+  model.toggleComplete(1);
+  model.toggleComplete(1);
+  assert.deepStrictEqual(model.completions, []);
+
+  model.toggleComplete(1);
+  model.undo();
+  assert.deepStrictEqual(model.completions, []);
+
+  model.redo();
+  assert.deepStrictEqual(model.completions, [{ createdAt: model.todos[0].createdAt, completedAt: model.todos[0].completedAt }]);
+  assert.deepStrictEqual(storage.data.completions, model.completions);
+});
+
 test('TodoModel - deleteTodo should remove a todo', () => {
   const storage = new MockStorage();
   const model = new TodoModel(storage);
@@ -311,3 +389,1338 @@ test('TodoModel - should calculate nextId from existing todos', () => {
   assert.strictEqual(model.todos[model.todos.length - 1].id, 6);
 });
 
+
+test('TodoModel - undo should revert the last change', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Buy milk');
+  model.deleteTodo(model.todos[0].id);
+
+  const label = model.undo();
+
+  assert.strictEqual(label, 'Deleted \'Buy milk\'');
+  assert.strictEqual(model.todos.length, 1);
+  assert.strictEqual(model.todos[0].text, 'Buy milk');
+});
+
+test('TodoModel - redo should re-apply an undone change', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Buy milk');
+  model.toggleComplete(model.todos[0].id);
+  model.undo();
+
+  assert.strictEqual(model.todos[0].completed, false);
+
+  const label = model.redo();
+
+  assert.strictEqual(label, 'Completed \'Buy milk\'');
+  assert.strictEqual(model.todos[0].completed, true);
+});
+
+test('TodoModel - lastChange should describe every change, undo and redo', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  assert.strictEqual(model.lastChange, null);
+
+  model.addTodo('Buy milk');
+  const added = model.lastChange;
+  assert.deepStrictEqual(added, { label: 'Added \'Buy milk\'' });
+
+  model.addTodo('Buy milk');
+  assert.notStrictEqual(model.lastChange, added);
+
+  model.setFilter('active');
+  assert.strictEqual(model.lastChange.label, 'Added \'Buy milk\'');
+
+  model.undo();
+  assert.strictEqual(model.lastChange.label, 'Undid: Added \'Buy milk\'');
+  model.redo();
+  assert.strictEqual(model.lastChange.label, 'Redid: Added \'Buy milk\'');
+});
+
+test('TodoModel - undo should cover every mutation', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Todo 1');
+  model.addTodo('Todo 2');
+  model.updateTodo(model.todos[0].id, 'Edited');
+  model.toggleComplete(model.todos[1].id);
+  model.clearCompleted();
+  model.clearAll();
+
+  const labels = [];
+  while (model.canUndo) {
+    labels.push(model.undo());
+  }
+
+  assert.deepStrictEqual(labels, [
+    'Cleared 1 todo',
+    'Cleared 1 completed todo',
+    'Completed \'Todo 2\'',
+    'Edited \'Todo 1\'',
+    'Added \'Todo 2\'',
+    'Added \'Todo 1\''
+  ]);
+  assert.strictEqual(model.todos.length, 0);
+});
+
+test('TodoModel - undo should restore nextId', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Todo 1');
+  model.undo();
+  model.addTodo('Todo 2');
+
+  assert.strictEqual(model.todos[0].id, 1);
+});
+
+test('TodoModel - undo should return null when there is nothing to undo', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  assert.strictEqual(model.undo(), null);
+  assert.strictEqual(model.redo(), null);
+});
+
+test('TodoModel - no-op mutations should not be recorded', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.deleteTodo(999);
+  model.toggleComplete(999);
+  model.clearCompleted();
+  model.clearAll();
+
+  assert.strictEqual(model.canUndo, false);
+});
+
+test('TodoModel - undo and redo should notify subscribers', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Test todo');
+
+  let notificationCount = 0;
+  model.subscribe(() => {
+    notificationCount++;
+  });
+
+  model.undo();
+  model.redo();
+
+  assert.strictEqual(notificationCount, 2);
+});
+
+test('TodoModel - history should survive a reload', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Buy milk');
+  model.deleteTodo(model.todos[0].id);
+
+  storage.data = JSON.parse(JSON.stringify(storage.data));
+  const reloaded = new TodoModel(storage);
+
+  assert.strictEqual(reloaded.undoLabel, 'Deleted \'Buy milk\'');
+  reloaded.undo();
+  assert.strictEqual(reloaded.todos[0].text, 'Buy milk');
+});
+
+test('TodoModel - only the most recent history should be written to storage', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  for (let i = 1; i <= 15; i++) {
+    model.addTodo(`Task ${i}`);
+  }
+
+  assert.strictEqual(storage.data.history.past.length, 10);
+  assert.strictEqual(storage.data.history.schemaVersion, SCHEMA_VERSION);
+  // The rest stays undoable until the page is closed
+  for (let i = 0; i < 15; i++) {
+    model.undo();
+  }
+  assert.strictEqual(model.todos.length, 0);
+});
+
+test('TodoModel - history saved by an older version should be migrated on reload', () => {
+  const storage = new MockStorage();
+  storage.data.schemaVersion = SCHEMA_VERSION;
+  storage.data.items = [];
+  storage.data.history = {
+    past: [{
+      label: 'Deleted \'Old task\'',
+      snapshot: {
+        currentListId: 1,
+        lists: [{ id: 1, name: 'Inbox' }],
+        nextListId: 2,
+        data: { 1: { todos: [{ id: 1, text: '  Old task ', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }, { text: '' }], nextId: 2 } }
+      }
+    }],
+    future: []
+  };
+
+  const model = new TodoModel(storage);
+  model.undo();
+
+  assert.strictEqual(model.todos.length, 1);
+  assert.deepStrictEqual(model.todos[0], {
+    id: 1,
+    text: 'Old task',
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    completedAt: null,
+    dueDate: null,
+    dueTime: null,
+    priority: 'normal',
+    tags: [],
+    subtasks: [],
+    recurrence: null
+  });
+});
+
+/**
+ * Returns a local "YYYY-MM-DD" date offset from today by the given number of days.
+ */
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+test('TodoModel - addTodo should store an optional due date and time', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Dated', { dueDate: '2030-01-02', dueTime: '09:30' });
+  model.addTodo('Undated');
+
+  assert.strictEqual(model.todos[0].dueDate, '2030-01-02');
+  assert.strictEqual(model.todos[0].dueTime, '09:30');
+  assert.strictEqual(model.todos[1].dueDate, null);
+  assert.strictEqual(model.todos[1].dueTime, null);
+});
+
+test('TodoModel - addTodo should ignore invalid due dates', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Bad date', { dueDate: 'tomorrow', dueTime: '09:30' });
+
+  assert.strictEqual(model.todos[0].dueDate, null);
+  assert.strictEqual(model.todos[0].dueTime, null);
+});
+
+test('TodoModel - updateTodo should set and clear the due date', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+  const todoId = model.todos[0].id;
+
+  model.updateTodo(todoId, 'Task', { dueDate: '2030-01-02', dueTime: '08:00' });
+  assert.strictEqual(model.todos[0].dueDate, '2030-01-02');
+  assert.strictEqual(model.todos[0].dueTime, '08:00');
+
+  model.updateTodo(todoId, 'Task', { dueDate: null, dueTime: null });
+  assert.strictEqual(model.todos[0].dueDate, null);
+  assert.strictEqual(model.todos[0].dueTime, null);
+});
+
+test('TodoModel - updateTodo without due fields should keep the due date', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task', { dueDate: '2030-01-02' });
+
+  model.updateTodo(model.todos[0].id, 'Renamed');
+
+  assert.strictEqual(model.todos[0].dueDate, '2030-01-02');
+});
+
+test('TodoModel - due-date filters should split incomplete todos by due date', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Yesterday', { dueDate: daysFromToday(-1) });
+  model.addTodo('Today', { dueDate: daysFromToday(0) });
+  model.addTodo('Tomorrow', { dueDate: daysFromToday(1) });
+  model.addTodo('Undated');
+  model.addTodo('Done yesterday', { dueDate: daysFromToday(-1) });
+  model.toggleComplete(model.todos[4].id);
+
+  model.setFilter('overdue');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Yesterday']);
+
+  model.setFilter('today');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Today']);
+
+  model.setFilter('upcoming');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Tomorrow']);
+
+  assert.strictEqual(model.overdueCount, 1);
+});
+
+test('TodoModel - should reject unknown filters', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.setFilter('someday');
+
+  assert.strictEqual(model.filter, 'all');
+});
+
+test('TodoModel - should migrate stored todos without due dates to the current schema', () => {
+  const storage = new MockStorage();
+  const stored = { id: 1, text: 'Legacy', completed: false, createdAt: '2024-01-01T00:00:00.000Z' };
+  storage.data.items = [stored];
+
+  const model = new TodoModel(storage);
+  model.setFilter('overdue');
+
+  assert.deepStrictEqual(model.todos[0], {
+    ...stored, updatedAt: stored.createdAt, completedAt: null, dueDate: null, dueTime: null, priority: 'normal', tags: [], subtasks: [], recurrence: null
+  });
+  assert.strictEqual(model.filteredTodos.length, 0);
+});
+
+test('TodoModel - addTodo should default to normal priority', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Plain');
+  model.addTodo('Important', { priority: 'urgent' });
+  model.addTodo('Unknown', { priority: 'critical' });
+
+  assert.deepStrictEqual(model.todos.map(t => t.priority), ['normal', 'urgent', 'normal']);
+});
+
+test('TodoModel - updateTodo should change priority', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+
+  model.updateTodo(model.todos[0].id, 'Task', { priority: 'high' });
+  assert.strictEqual(model.todos[0].priority, 'high');
+
+  model.updateTodo(model.todos[0].id, 'Task', { priority: 'critical' });
+  assert.strictEqual(model.todos[0].priority, 'high');
+});
+
+test('TodoModel - setPriorityFilter should combine with the status filter', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('High active', { priority: 'high' });
+  model.addTodo('High done', { priority: 'high' });
+  model.addTodo('Low active', { priority: 'low' });
+  model.toggleComplete(model.todos[1].id);
+
+  model.setPriorityFilter('high');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['High active', 'High done']);
+
+  model.setFilter('active');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['High active']);
+
+  model.setPriorityFilter(null);
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['High active', 'Low active']);
+});
+
+test('TodoModel - priority sort should be stable and leave stored order untouched', () => {
+  const storage = new MockStorage();
+  storage.data.items = [
+    { id: 1, text: 'Legacy', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+  ];
+  const model = new TodoModel(storage);
+  model.addTodo('Low', { priority: 'low' });
+  model.addTodo('Urgent', { priority: 'urgent' });
+  model.addTodo('Normal');
+
+  model.setSortOrder('priority');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Urgent', 'Legacy', 'Normal', 'Low']);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Legacy', 'Low', 'Urgent', 'Normal']);
+
+  model.setSortOrder('default');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Legacy', 'Low', 'Urgent', 'Normal']);
+});
+
+test('TodoModel - should ignore unknown priority filters and sort orders', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.setPriorityFilter('critical');
+  model.setSortOrder('alphabetical');
+
+  assert.strictEqual(model.priorityFilter, null);
+  assert.strictEqual(model.sortOrder, 'default');
+});
+
+test('TodoModel - addTodo should parse hashtags into tags', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('Pay invoice #finance #urgent');
+
+  assert.strictEqual(model.todos[0].text, 'Pay invoice');
+  assert.deepStrictEqual(model.todos[0].tags, ['finance', 'urgent']);
+});
+
+test('TodoModel - updateTodo should add hashtags or replace tags when given', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task #work');
+  const todoId = model.todos[0].id;
+
+  model.updateTodo(todoId, 'Task #home');
+  assert.deepStrictEqual(model.todos[0].tags, ['work', 'home']);
+
+  model.updateTodo(todoId, 'Task #errand', { tags: [] });
+  assert.deepStrictEqual(model.todos[0].tags, ['errand']);
+
+  model.updateTodo(todoId, 'Renamed');
+  assert.deepStrictEqual(model.todos[0].tags, ['errand']);
+});
+
+test('TodoModel - tag filter should combine with the status filter', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Invoice #finance');
+  model.addTodo('Budget #finance');
+  model.addTodo('Groceries #home');
+  model.toggleComplete(model.todos[1].id);
+
+  model.setTagFilter('#finance');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Invoice', 'Budget']);
+
+  model.setFilter('active');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Invoice']);
+
+  model.setTagFilter(null);
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['Invoice', 'Groceries']);
+});
+
+test('TodoModel - allTags should list every tag once, sorted', () => {
+  const storage = new MockStorage();
+  storage.data.items = [
+    { id: 1, text: 'Legacy', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+  ];
+  const model = new TodoModel(storage);
+  model.addTodo('A #work #home');
+  model.addTodo('B #errands #work');
+
+  assert.deepStrictEqual(model.allTags, ['errands', 'home', 'work']);
+});
+
+test('TodoModel - renameTag should update every todo carrying the tag', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A #work');
+  model.addTodo('B #work #job');
+  model.addTodo('C #home');
+  model.setTagFilter('work');
+
+  model.renameTag('work', '#Job');
+
+  assert.deepStrictEqual(model.todos.map(t => t.tags), [['job'], ['job'], ['home']]);
+  assert.strictEqual(model.tagFilter, 'job');
+  assert.strictEqual(model.undoLabel, 'Renamed tag \'#work\' to \'#job\'');
+});
+
+test('TodoModel - deleteTag should remove the tag but keep the todos', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A #work');
+  model.addTodo('B #work #home');
+  model.setTagFilter('work');
+
+  model.deleteTag('work');
+
+  assert.strictEqual(model.todos.length, 2);
+  assert.deepStrictEqual(model.todos.map(t => t.tags), [[], ['home']]);
+  assert.strictEqual(model.tagFilter, null);
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(t => t.tags), [['work'], ['work', 'home']]);
+});
+
+test('TodoModel - renameTag and deleteTag should ignore unknown tags', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A #work');
+
+  model.renameTag('missing', 'other');
+  model.renameTag('work', 'not valid');
+  model.deleteTag('missing');
+
+  assert.deepStrictEqual(model.todos[0].tags, ['work']);
+  assert.strictEqual(model.undoLabel, 'Added \'A\'');
+});
+
+test('TodoModel - addSubtask should append checklist items in order', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  const todoId = model.todos[0].id;
+
+  model.addSubtask(todoId, '  Book van  ');
+  model.addSubtask(todoId, 'Pack boxes');
+  model.addSubtask(todoId, '');
+  model.addSubtask(todoId, 'a'.repeat(501));
+  model.addSubtask(999, 'Nowhere');
+
+  assert.deepStrictEqual(model.todos[0].subtasks, [
+    { id: 1, text: 'Book van', completed: false },
+    { id: 2, text: 'Pack boxes', completed: false }
+  ]);
+});
+
+test('TodoModel - updateSubtask and deleteSubtask should change a single item', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  const todoId = model.todos[0].id;
+  model.addSubtask(todoId, 'Book van');
+  model.addSubtask(todoId, 'Pack boxes');
+
+  model.updateSubtask(todoId, 1, 'Book a big van');
+  model.updateSubtask(todoId, 2, '   ');
+  model.deleteSubtask(todoId, 2);
+
+  assert.deepStrictEqual(model.todos[0].subtasks, [
+    { id: 1, text: 'Book a big van', completed: false }
+  ]);
+});
+
+test('TodoModel - completing every subtask should complete the parent', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  const todoId = model.todos[0].id;
+  model.addSubtask(todoId, 'Book van');
+  model.addSubtask(todoId, 'Pack boxes');
+
+  model.toggleSubtask(todoId, 1);
+  assert.strictEqual(model.todos[0].completed, false);
+
+  model.toggleSubtask(todoId, 2);
+  assert.strictEqual(model.todos[0].completed, true);
+
+  model.toggleSubtask(todoId, 2);
+  assert.strictEqual(model.todos[0].completed, false);
+});
+
+test('TodoModel - adding an open subtask should reopen a completed parent', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  const todoId = model.todos[0].id;
+  model.toggleComplete(todoId);
+
+  model.addSubtask(todoId, 'Return keys');
+
+  assert.strictEqual(model.todos[0].completed, false);
+});
+
+test('TodoModel - completing the parent should complete its subtasks', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  const todoId = model.todos[0].id;
+  model.addSubtask(todoId, 'Book van');
+  model.addSubtask(todoId, 'Pack boxes');
+
+  model.toggleComplete(todoId);
+
+  assert.deepStrictEqual(model.todos[0].subtasks.map(s => s.completed), [true, true]);
+
+  model.toggleComplete(todoId);
+
+  assert.strictEqual(model.todos[0].completed, false);
+  assert.deepStrictEqual(model.todos[0].subtasks.map(s => s.completed), [true, true]);
+});
+
+test('TodoModel - subtask changes should be persisted and undoable', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Move house');
+  const todoId = model.todos[0].id;
+  model.addSubtask(todoId, 'Book van');
+
+  assert.strictEqual(storage.data.items[0].subtasks.length, 1);
+
+  model.deleteSubtask(todoId, 1);
+  assert.strictEqual(model.undoLabel, 'Deleted subtask \'Book van\'');
+
+  model.undo();
+  assert.strictEqual(model.todos[0].subtasks[0].text, 'Book van');
+});
+
+test('TodoModel - completing a repeating todo should add its next occurrence', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Water plants', { dueDate: '2999-01-04', dueTime: '09:00', recurrence: { frequency: 'interval', days: 3 } });
+  model.addTodo('Unrelated');
+
+  model.toggleComplete(1);
+
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.text, t.completed, t.dueDate]), [
+    [1, 'Water plants', true, '2999-01-04'],
+    [3, 'Water plants', false, '2999-01-07'],
+    [2, 'Unrelated', false, null]
+  ]);
+  assert.strictEqual(model.todos[0].recurrence, null);
+  assert.deepStrictEqual(model.todos[1].recurrence, { frequency: 'interval', days: 3 });
+  assert.strictEqual(model.todos[1].dueTime, '09:00');
+  assert.strictEqual(storage.data.items.length, 3);
+
+  model.toggleComplete(1);
+  model.toggleComplete(1);
+  assert.strictEqual(model.todos.length, 3);
+});
+
+test('TodoModel - the next occurrence should start with an unticked checklist', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Standup notes', { dueDate: '2999-01-04', recurrence: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] } });
+  model.addSubtask(1, 'Yesterday');
+
+  model.toggleSubtask(1, 1);
+
+  assert.strictEqual(model.todos[0].completed, true);
+  assert.strictEqual(model.todos[1].dueDate, '2999-01-07');
+  assert.deepStrictEqual(model.todos[1].subtasks, [{ id: 1, text: 'Yesterday', completed: false }]);
+});
+
+test('TodoModel - completing a repeating todo should be undoable in one step', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Pay rent', { dueDate: '2999-01-01', recurrence: { frequency: 'monthly', day: 1 } });
+
+  model.toggleComplete(1);
+  assert.strictEqual(model.todos[1].dueDate, '2999-02-01');
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.completed]), [[1, false]]);
+  assert.deepStrictEqual(model.todos[0].recurrence, { frequency: 'monthly', day: 1 });
+});
+
+test('TodoModel - updateTodo should set and clear the recurrence rule', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Stretch', { recurrence: { frequency: 'fortnightly' } });
+  assert.strictEqual(model.todos[0].recurrence, null);
+
+  model.updateTodo(1, 'Stretch', { recurrence: { frequency: 'daily' } });
+  assert.deepStrictEqual(model.todos[0].recurrence, { frequency: 'daily' });
+
+  model.updateTodo(1, 'Stretch more');
+  assert.deepStrictEqual(model.todos[0].recurrence, { frequency: 'daily' });
+
+  model.updateTodo(1, 'Stretch', { recurrence: null });
+  assert.strictEqual(model.todos[0].recurrence, null);
+
+  model.toggleComplete(1);
+  assert.strictEqual(model.todos.length, 1);
+});
+
+test('TodoModel - should start with a single default list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  assert.deepStrictEqual(model.lists, [{ id: 1, name: 'Inbox' }]);
+  assert.strictEqual(model.currentListId, 1);
+  assert.strictEqual(model.currentList.name, 'Inbox');
+});
+
+test('TodoModel - each list should keep its own todos and nextId', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Personal 1');
+
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Work 1');
+  model.addTodo('Work 2');
+
+  assert.deepStrictEqual(model.todos.map(t => t.id), [1, 2]);
+  assert.deepStrictEqual(storage.data[`list${workId}_items`].map(t => t.text), ['Work 1', 'Work 2']);
+  assert.strictEqual(storage.data[`list${workId}_nextId`], 3);
+
+  model.switchList(1);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Personal 1']);
+  assert.deepStrictEqual(storage.data.items.map(t => t.text), ['Personal 1']);
+});
+
+test('TodoModel - should remember the selected list across reloads', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Work 1');
+
+  const reloaded = new TodoModel(storage);
+
+  assert.strictEqual(reloaded.currentListId, workId);
+  assert.strictEqual(reloaded.todos[0].text, 'Work 1');
+  assert.deepStrictEqual(reloaded.lists.map(l => l.name), ['Inbox', 'Work']);
+});
+
+test('TodoModel - createList and renameList should validate names', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  assert.strictEqual(model.createList('   '), null);
+  assert.strictEqual(model.createList('a'.repeat(101)), null);
+
+  const id = model.createList('  Work  ');
+  model.renameList(id, 'Office');
+  model.renameList(id, '');
+
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Inbox', 'Office']);
+});
+
+test('TodoModel - deleteList should remove its todos and switch away', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Work 1');
+
+  model.deleteList(workId);
+
+  assert.deepStrictEqual(model.lists.map(l => l.id), [1]);
+  assert.strictEqual(model.currentListId, 1);
+  assert.strictEqual(storage.data[`list${workId}_items`], undefined);
+});
+
+test('TodoModel - deleteList should keep the last list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.deleteList(1);
+
+  assert.strictEqual(model.lists.length, 1);
+});
+
+test('TodoModel - undoing deleteList should restore the list and its todos', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Work 1');
+  model.deleteList(workId);
+
+  model.undo();
+
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Inbox', 'Work']);
+  assert.strictEqual(model.currentListId, workId);
+  assert.strictEqual(model.todos[0].text, 'Work 1');
+});
+
+test('TodoModel - moveList should reorder lists', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const a = model.createList('A');
+  model.createList('B');
+
+  model.moveList(a, 0);
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['A', 'Inbox', 'B']);
+
+  model.moveList(a, 99);
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Inbox', 'B', 'A']);
+});
+
+test('TodoModel - revealTodo should clear the filters only when they hide the todo', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Report #work', { priority: 'high' });
+  model.addTodo('Lunch');
+  model.toggleComplete(2);
+  model.setFilter('active');
+  model.setTagFilter('work');
+
+  assert.strictEqual(model.revealTodo(1), true);
+  assert.strictEqual(model.filter, 'active');
+  assert.strictEqual(model.tagFilter, 'work');
+
+  model.setSearchQuery('report');
+  let notifications = 0;
+  model.subscribe(() => notifications++);
+
+  assert.strictEqual(model.revealTodo(2), true);
+  assert.deepStrictEqual([model.filter, model.priorityFilter, model.tagFilter, model.searchQuery], ['all', null, null, '']);
+  assert.strictEqual(notifications, 1);
+  assert.strictEqual(model.revealTodo(99), false);
+});
+
+test('TodoModel - moveTodoToList should move a todo with a new id in the target list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Existing');
+  model.switchList(1);
+  model.addTodo('Report #q3', { priority: 'high' });
+
+  model.moveTodoToList(model.todos[0].id, workId);
+
+  assert.strictEqual(model.todos.length, 0);
+  model.switchList(workId);
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.text]), [[1, 'Existing'], [2, 'Report']]);
+  assert.strictEqual(model.todos[1].priority, 'high');
+  assert.deepStrictEqual(model.todos[1].tags, ['q3']);
+});
+
+test('TodoModel - undoing moveTodoToList should restore both lists', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const workId = model.createList('Work');
+  model.addTodo('Report');
+  model.moveTodoToList(model.todos[0].id, workId);
+
+  model.undo();
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Report']);
+  assert.deepStrictEqual(storage.data[`list${workId}_items`], []);
+
+  model.redo();
+
+  assert.strictEqual(model.todos.length, 0);
+  assert.deepStrictEqual(storage.data[`list${workId}_items`].map(t => t.text), ['Report']);
+});
+
+test('TodoModel - completeTodos should complete several todos with one save and notification', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Water plants', { dueDate: '2999-01-04', recurrence: { frequency: 'daily' } });
+  model.addTodo('Buy milk');
+  model.addTodo('Call mum');
+  let saves = 0;
+  let notifications = 0;
+  const save = storage.save.bind(storage);
+  storage.save = (key, value) => {
+    saves += key === 'items' ? 1 : 0;
+    save(key, value);
+  };
+  model.subscribe(() => notifications++);
+
+  model.completeTodos([1, 2]);
+
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.completed, t.dueDate]), [
+    [1, true, '2999-01-04'],
+    [4, false, '2999-01-05'],
+    [2, true, null],
+    [3, false, null]
+  ]);
+  assert.strictEqual(saves, 1);
+  assert.strictEqual(notifications, 1);
+  assert.strictEqual(model.undoLabel, 'Completed 2 todos');
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.completed]), [[1, false], [2, false], [3, false]]);
+});
+
+test('TodoModel - completeTodos should reopen todos and skip ones already in that state', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One');
+  model.addTodo('Two');
+  model.toggleComplete(1);
+
+  model.completeTodos([1, 2], false);
+
+  assert.deepStrictEqual(model.todos.map(t => t.completed), [false, false]);
+  assert.strictEqual(model.undoLabel, 'Reopened 1 todo');
+});
+
+test('TodoModel - deleteTodos should delete several todos as one undoable change', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One');
+  model.addTodo('Two');
+  model.addTodo('Three');
+
+  model.deleteTodos([1, 3, 99]);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Two']);
+  assert.strictEqual(model.undoLabel, 'Deleted 2 todos');
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['One', 'Two', 'Three']);
+});
+
+test('TodoModel - updateTodos should add tags and set priority and due date on each todo', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Report #work', { dueDate: '2999-01-01', dueTime: '09:00' });
+  model.addTodo('Slides');
+  model.addTodo('Lunch');
+
+  model.updateTodos([1, 2], { addTags: ['Q3', 'work'], priority: 'high', dueDate: '2999-02-01' });
+
+  assert.deepStrictEqual(model.todos.map(t => [t.tags, t.priority, t.dueDate, t.dueTime]), [
+    [['work', 'q3'], 'high', '2999-02-01', '09:00'],
+    [['q3', 'work'], 'high', '2999-02-01', null],
+    [[], 'normal', null, null]
+  ]);
+  assert.strictEqual(model.undoLabel, 'Edited 2 todos');
+
+  model.updateTodos([1, 2], { dueDate: null, priority: 'bogus' });
+  assert.deepStrictEqual(model.todos.map(t => [t.priority, t.dueDate, t.dueTime]).slice(0, 2), [
+    ['high', null, null],
+    ['high', null, null]
+  ]);
+});
+
+test('TodoModel - batch changes that change nothing should report it and record no history', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One #work', { priority: 'high' });
+  model.addTodo('Two #work', { priority: 'high' });
+  model.toggleComplete(1);
+  const undoLabel = model.undoLabel;
+
+  assert.strictEqual(model.completeTodos([1], true), false);
+  assert.strictEqual(model.updateTodos([1, 2], { priority: 'high', addTags: ['work'] }), false);
+  assert.strictEqual(model.moveTodosToList([1, 2], model.currentListId), false);
+  assert.strictEqual(model.deleteTodos([99]), false);
+  assert.strictEqual(model.undoLabel, undoLabel);
+
+  assert.strictEqual(model.updateTodos([1, 2], { priority: 'low' }), true);
+  assert.strictEqual(model.undoLabel, 'Edited 2 todos');
+  assert.strictEqual(model.updateTodos([1, 2], { priority: 'low', dueDate: '2999-01-01' }), true);
+  assert.strictEqual(model.completeTodos([1, 2], true), true);
+  assert.strictEqual(model.undoLabel, 'Completed 1 todo');
+});
+
+test('TodoModel - moveTodosToList should move several todos in order with new ids', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Existing');
+  model.switchList(1);
+  model.addTodo('One');
+  model.addTodo('Two');
+  model.addTodo('Three');
+
+  model.moveTodosToList([3, 1], workId);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Two']);
+  assert.strictEqual(model.undoLabel, 'Moved 2 todos to \'Work\'');
+  model.switchList(workId);
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.text]), [[1, 'Existing'], [2, 'One'], [3, 'Three']]);
+
+  model.addTodo('Four');
+  assert.strictEqual(model.todos[3].id, 4);
+});
+
+test('TodoModel - undo should switch back to the list that changed', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Inbox todo');
+  const workId = model.createList('Work');
+  model.switchList(workId);
+
+  model.undo(); // Created list 'Work'
+  model.undo(); // Added 'Inbox todo'
+
+  assert.strictEqual(model.currentListId, 1);
+  assert.strictEqual(model.todos.length, 0);
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Inbox']);
+});
+
+test('TodoModel - listSummaries should count active todos per list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A');
+  model.addTodo('B');
+  model.toggleComplete(model.todos[0].id);
+  const workId = model.createList('Work');
+
+  assert.deepStrictEqual(model.listSummaries, [
+    { id: 1, name: 'Inbox', activeCount: 1 },
+    { id: workId, name: 'Work', activeCount: 0 }
+  ]);
+});
+
+test('TodoModel - completions should start from the completed todos of every list', () => {
+  const storage = new MockStorage();
+  const done = (id, day) => ({
+    id, text: `Task ${id}`, completed: true, createdAt: `2024-03-0${day}T08:00:00.000Z`, completedAt: `2024-03-0${day}T10:00:00.000Z`
+  });
+  storage.data.schemaVersion = SCHEMA_VERSION;
+  storage.data.lists = [{ id: 1, name: 'Inbox' }, { id: 2, name: 'Work' }];
+  storage.data.items = [done(1, 5), { id: 2, text: 'Open', completed: false, createdAt: '2024-03-01T08:00:00.000Z' }];
+  storage.data.list2_items = [done(1, 3)];
+
+  const model = new TodoModel(storage);
+
+  assert.deepStrictEqual(model.completions.map(c => c.completedAt), ['2024-03-03T10:00:00.000Z', '2024-03-05T10:00:00.000Z']);
+  assert.deepStrictEqual(storage.data.completions, model.completions);
+});
+
+test('TodoModel - imported and synced completions should be added to the log once', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const todo = {
+    id: 1, text: 'Imported', completed: true, createdAt: '2024-03-01T08:00:00.000Z', completedAt: '2024-03-02T08:00:00.000Z'
+  };
+
+  model.importData({ lists: [{ id: 1, name: 'Inbox', nextId: 2, todos: [todo] }] }, 'merge');
+  model.applySyncedLists([{ id: 1, name: 'Inbox', nextId: 3, todos: [todo, { ...todo, id: 2, createdAt: '2024-03-02T07:00:00.000Z' }] }]);
+
+  assert.deepStrictEqual(model.completions, [
+    { createdAt: todo.createdAt, completedAt: todo.completedAt },
+    { createdAt: '2024-03-02T07:00:00.000Z', completedAt: todo.completedAt }
+  ]);
+});
+
+test('TodoModel - reorderTodo should place a todo before or after another', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  ['A', 'B', 'C', 'D'].forEach(text => model.addTodo(text));
+
+  model.reorderTodo(4, 1);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['D', 'A', 'B', 'C']);
+
+  model.reorderTodo(4, 3, true);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'B', 'C', 'D']);
+  assert.deepStrictEqual(storage.data.items.map(t => t.text), ['A', 'B', 'C', 'D']);
+});
+
+test('TodoModel - reorderTodo should ignore invalid and no-op moves', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  ['A', 'B'].forEach(text => model.addTodo(text));
+
+  model.reorderTodo(1, 1);
+  model.reorderTodo(1, 2);
+  model.reorderTodo(999, 1);
+  model.reorderTodo(1, 999);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'B']);
+  assert.strictEqual(model.undoLabel, 'Added \'B\'');
+});
+
+test('TodoModel - moveTodoBy should step over todos hidden by the filter', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  ['A', 'B', 'C', 'D'].forEach(text => model.addTodo(text));
+  model.toggleComplete(2);
+  model.toggleComplete(3);
+  model.setFilter('active');
+
+  model.moveTodoBy(4, -1);
+
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.text), ['D', 'A']);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['D', 'A', 'B', 'C']);
+
+  model.moveTodoBy(4, 1);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'D', 'B', 'C']);
+});
+
+test('TodoModel - moveTodoBy should stop at the ends of the view', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  ['A', 'B'].forEach(text => model.addTodo(text));
+
+  model.moveTodoBy(1, -1);
+  model.moveTodoBy(2, 1);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'B']);
+});
+
+test('TodoModel - manual order should be disabled while sorting by priority', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  ['A', 'B'].forEach(text => model.addTodo(text));
+  model.setSortOrder('priority');
+
+  model.reorderTodo(2, 1);
+
+  assert.strictEqual(model.canReorder, false);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'B']);
+});
+
+test('TodoModel - reordering should be undoable', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  ['A', 'B', 'C'].forEach(text => model.addTodo(text));
+
+  model.moveTodoBy(3, -1);
+  model.undo();
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'B', 'C']);
+});
+
+test('TodoModel - setSearchQuery should combine with the status filter', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Buy milk');
+  model.addTodo('Buy crème fraîche');
+  model.addTodo('Walk dog');
+  model.toggleComplete(1);
+
+  model.setSearchQuery('  CREME ');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.id), [2]);
+
+  model.setSearchQuery('buy');
+  model.setFilter('active');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.id), [2]);
+
+  model.setSearchQuery('');
+  assert.deepStrictEqual(model.filteredTodos.map(t => t.id), [2, 3]);
+});
+
+test('TodoModel - setSearchQuery should only notify when the query changes', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  let calls = 0;
+  model.subscribe(() => calls++);
+
+  model.setSearchQuery('milk');
+  model.setSearchQuery('milk');
+  model.setSearchQuery(null);
+
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(model.searchQuery, '');
+});
+
+test('TodoModel - exportData should include every list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Inbox task');
+  const workId = model.createList('Work');
+  model.switchList(workId);
+  model.addTodo('Work task');
+
+  const data = model.exportData();
+
+  assert.strictEqual(data.currentListId, workId);
+  assert.deepStrictEqual(data.lists.map(l => [l.name, l.todos.map(t => t.text), l.nextId]), [
+    ['Inbox', ['Inbox task'], 2],
+    ['Work', ['Work task'], 2]
+  ]);
+});
+
+test('TodoModel - importData replace should swap in the backup lists and be undoable', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Old task');
+  const backup = {
+    currentListId: 7,
+    lists: [{ id: 7, name: 'Imported', nextId: 10, todos: [{ id: 4, text: 'New task', completed: false, createdAt: 'x' }] }]
+  };
+
+  const result = model.importData(backup, 'replace');
+
+  assert.deepStrictEqual(result, { added: 1, skipped: 0 });
+  assert.deepStrictEqual(model.lists, [{ id: 7, name: 'Imported' }]);
+  assert.strictEqual(model.currentListId, 7);
+  assert.strictEqual(model.nextId, 10);
+  assert.strictEqual(model.createList('Next'), 8);
+
+  model.undo();
+  model.undo();
+
+  assert.deepStrictEqual(model.lists, [{ id: 1, name: 'Inbox' }]);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Old task']);
+  assert.strictEqual(storage.data.list7_items, undefined);
+});
+
+test('TodoModel - importData merge should remap colliding ids and skip duplicates', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('First');
+  model.addTodo('Second');
+  const existing = model.todos[0];
+  const backup = {
+    lists: [
+      {
+        id: 1,
+        name: 'inbox',
+        nextId: 4,
+        todos: [
+          { ...existing },
+          { id: 2, text: 'Imported', completed: false, createdAt: 'x' },
+          { id: 9, text: 'Far id', completed: true, createdAt: 'y' }
+        ]
+      },
+      { id: 1, name: 'Work', nextId: 2, todos: [{ id: 1, text: 'Work task', completed: false, createdAt: 'z' }] }
+    ]
+  };
+
+  const result = model.importData(backup, 'merge');
+
+  assert.deepStrictEqual(result, { added: 3, skipped: 1 });
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.text]), [
+    [1, 'First'], [2, 'Second'], [3, 'Imported'], [9, 'Far id']
+  ]);
+  assert.strictEqual(model.nextId, 10);
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Inbox', 'Work']);
+
+  model.addTodo('After import');
+  assert.strictEqual(model.todos[model.todos.length - 1].id, 10);
+});
+
+test('TodoModel - importData merge should add to the target list by id when names repeat', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.createList('Work');
+  const secondWork = model.createList('Work');
+  model.switchList(secondWork);
+  const todo = { id: 1, text: 'Imported', completed: false, createdAt: '2024-01-01T00:00:00.000Z' };
+
+  model.importData({ targetListId: secondWork, lists: [{ id: secondWork, name: 'Work', nextId: 2, todos: [todo] }] }, 'merge');
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Imported']);
+  assert.strictEqual(model.lists.length, 3);
+  assert.strictEqual(model.exportData().lists[1].todos.length, 0);
+});
+
+test('TodoModel - importData merge should not record history when everything is a duplicate', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Only');
+  const data = model.exportData();
+
+  const result = model.importData(data, 'merge');
+
+  assert.deepStrictEqual(result, { added: 0, skipped: 1 });
+  assert.strictEqual(model.undoLabel, 'Added \'Only\'');
+});
+
+test('TodoModel - should record the schema version after migrating', () => {
+  const storage = new MockStorage();
+  storage.data.items = [{ id: 1, text: 'Legacy', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }];
+
+  const model = new TodoModel(storage);
+
+  assert.deepStrictEqual(model.upgradeReport, { fromVersion: 1, toVersion: SCHEMA_VERSION, repaired: 0, quarantined: 0 });
+  assert.strictEqual(storage.data.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(storage.data.items[0].priority, 'normal');
+});
+
+test('TodoModel - should repair invalid records in every list on load', () => {
+  const storage = new MockStorage();
+  storage.data.schemaVersion = SCHEMA_VERSION;
+  storage.data.lists = [{ id: 1, name: 'Inbox' }, { id: 2, name: 'Work' }];
+  storage.data.list2_items = [
+    { id: 4, text: 'Kept', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+    { id: 4, text: 'Duplicate', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+    { text: 42, completed: 'yes' }
+  ];
+
+  const model = new TodoModel(storage);
+  model.switchList(2);
+
+  assert.deepStrictEqual(model.todos.map(t => [t.id, t.text, t.completed]), [
+    [4, 'Kept', false],
+    [5, 'Duplicate', false],
+    [6, '42', false]
+  ]);
+  assert.strictEqual(model.upgradeReport.repaired, 2);
+
+  model.addTodo('Next');
+  assert.strictEqual(model.todos[3].id, 7);
+});
+
+test('TodoModel - should quarantine unrecoverable records instead of dropping them', () => {
+  const storage = new MockStorage();
+  storage.data.quarantine = [{ listId: 1, record: 'older', reason: 'not an object', quarantinedAt: '2024-01-01T00:00:00.000Z' }];
+  storage.data.items = [
+    { id: 1, text: 'Fine', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+    { id: 2, text: '   ', completed: false },
+    null
+  ];
+
+  const model = new TodoModel(storage);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Fine']);
+  assert.strictEqual(model.upgradeReport.quarantined, 2);
+  assert.strictEqual(storage.data.quarantine.length, 3);
+  assert.deepStrictEqual(storage.data.quarantine.slice(1).map(q => [q.listId, q.record, q.reason]), [
+    [1, { id: 2, text: '   ', completed: false }, 'text is missing or empty'],
+    [1, null, 'not an object']
+  ]);
+});
+
+test('TodoModel - should quarantine over-long text in full so it can be recovered', () => {
+  const storage = new MockStorage();
+  const text = `${'Long notes '.repeat(60)}end`;
+  storage.data.items = [{ id: 1, text, completed: false, createdAt: '2024-01-01T00:00:00.000Z' }];
+
+  const model = new TodoModel(storage);
+
+  assert.deepStrictEqual(model.todos, []);
+  assert.strictEqual(model.upgradeReport.quarantined, 1);
+  assert.strictEqual(storage.data.quarantine[0].reason, 'text is too long');
+  assert.strictEqual(storage.data.quarantine[0].record.text, text);
+});
+
+test('TodoModel - should not rewrite lists that are already valid', () => {
+  const storage = new MockStorage();
+  storage.data.schemaVersion = SCHEMA_VERSION;
+  const items = [{
+    id: 1, text: 'Fine', completed: false, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z',
+    completedAt: null, dueDate: null, dueTime: null, priority: 'normal', tags: [], subtasks: [], recurrence: null
+  }];
+  storage.data.items = items;
+
+  const model = new TodoModel(storage);
+
+  assert.strictEqual(storage.data.items, items);
+  assert.deepStrictEqual(model.upgradeReport, { fromVersion: SCHEMA_VERSION, toVersion: SCHEMA_VERSION, repaired: 0, quarantined: 0 });
+  assert.strictEqual(storage.data.quarantine, undefined);
+});
+
+test('TodoModel - should stamp updatedAt on added and changed todos only', () => {
+  const storage = new MockStorage();
+  const old = '2000-01-01T00:00:00.000Z';
+  storage.data.items = [
+    { id: 1, text: 'First', completed: false, createdAt: old, updatedAt: old },
+    { id: 2, text: 'Second', completed: false, createdAt: old, updatedAt: old }
+  ];
+  const model = new TodoModel(storage);
+
+  model.toggleComplete(1);
+  model.addTodo('Third');
+
+  assert.notStrictEqual(model.todos[0].updatedAt, old);
+  assert.strictEqual(model.todos[1].updatedAt, old);
+  assert.ok(model.todos[2].updatedAt > old);
+  assert.deepStrictEqual(storage.data.items.map(t => t.updatedAt), model.todos.map(t => t.updatedAt));
+});
+
+test('TodoModel - applySyncedLists should replace lists without history and keep the current list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const work = model.createList('Work');
+  model.switchList(work);
+  model.setFilter('active');
+  const undoLabel = model.undoLabel;
+  let notified = 0;
+  model.subscribe(() => notified++);
+
+  model.applySyncedLists([
+    { id: 1, name: 'Inbox', nextId: 2, todos: [{ id: 1, text: 'Remote', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }] },
+    { id: work, name: 'Work (renamed)', nextId: 5, todos: [] }
+  ]);
+
+  assert.strictEqual(model.currentListId, work);
+  assert.strictEqual(model.filter, 'active');
+  assert.strictEqual(model.nextId, 5);
+  assert.strictEqual(model.undoLabel, undoLabel);
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Inbox', 'Work (renamed)']);
+  assert.strictEqual(notified, 1);
+
+  model.applySyncedLists([{ id: 1, name: 'Inbox', nextId: 2, todos: [] }]);
+  assert.strictEqual(model.currentListId, 1);
+  assert.strictEqual(storage.data[`list${work}_items`], undefined);
+});
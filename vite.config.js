@@ -1,7 +1,59 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
 import { defineConfig } from 'vite';
 
+/**
+ * Builds src/sw.js into dist/sw.js with the list of files to precache:
+ * every file the bundle wrote plus the public directory. The version is
+ * a hash of their contents, so any change to the build is picked up as
+ * an update by browsers that already installed the app.
+ *
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+function serviceWorker() {
+  let config;
+
+  return {
+    name: 'todo-service-worker',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    generateBundle(options, bundle) {
+      const files = Object.values(bundle).map(file => [file.fileName, file.type === 'chunk' ? file.code : file.source]);
+      if (config.publicDir) {
+        for (const path of readdirSync(config.publicDir, { recursive: true })) {
+          const fullPath = join(config.publicDir, path);
+          if (statSync(fullPath).isFile()) {
+            files.push([path.split('\\').join('/'), readFileSync(fullPath)]);
+          }
+        }
+      }
+
+      const hash = createHash('sha256');
+      files.sort(([a], [b]) => a.localeCompare(b)).forEach(([name, source]) => hash.update(name).update(source));
+      const precache = {
+        version: hash.digest('hex').slice(0, 12),
+        urls: files.map(([name]) => `${config.base}${name}`)
+      };
+
+      const source = readFileSync(join(config.root, 'sw.js'), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace('self.__PRECACHE__', JSON.stringify(precache))
+      });
+    }
+  };
+}
+
 export default defineConfig({
   root: 'src',
+  plugins: [serviceWorker()],
   build: {
     outDir: '../dist',
     emptyOutDir: true
@@ -9,5 +61,10 @@ export default defineConfig({
   server: {
     port: 8080,
     open: true
+  },
+  preview: {
+    port: 4173,
+    strictPort: true,
+    open: false
   }
 });